@@ -0,0 +1,126 @@
+/**
+ * AliquotasIBSDestino - Alíquotas do IBS por ente de destino (UF e município)
+ * Versão: 1.0.0
+ * O IBS é devido ao estado e ao município de destino da operação (LC 214/2025, art. 11).
+ * Enquanto os entes não fixarem suas alíquotas próprias, a alíquota de referência do IBS
+ * é dividida entre a parcela estadual e a municipal conforme a divisão referencial abaixo.
+ */
+window.AliquotasIBSDestino = (function() {
+    /**
+     * Unidades federativas indexadas pelo código IBGE (dois primeiros dígitos do código do município)
+     * @type {Object}
+     */
+    const UFS = {
+        '11': { sigla: 'RO', nome: 'Rondônia' },
+        '12': { sigla: 'AC', nome: 'Acre' },
+        '13': { sigla: 'AM', nome: 'Amazonas' },
+        '14': { sigla: 'RR', nome: 'Roraima' },
+        '15': { sigla: 'PA', nome: 'Pará' },
+        '16': { sigla: 'AP', nome: 'Amapá' },
+        '17': { sigla: 'TO', nome: 'Tocantins' },
+        '21': { sigla: 'MA', nome: 'Maranhão' },
+        '22': { sigla: 'PI', nome: 'Piauí' },
+        '23': { sigla: 'CE', nome: 'Ceará' },
+        '24': { sigla: 'RN', nome: 'Rio Grande do Norte' },
+        '25': { sigla: 'PB', nome: 'Paraíba' },
+        '26': { sigla: 'PE', nome: 'Pernambuco' },
+        '27': { sigla: 'AL', nome: 'Alagoas' },
+        '28': { sigla: 'SE', nome: 'Sergipe' },
+        '29': { sigla: 'BA', nome: 'Bahia' },
+        '31': { sigla: 'MG', nome: 'Minas Gerais' },
+        '32': { sigla: 'ES', nome: 'Espírito Santo' },
+        '33': { sigla: 'RJ', nome: 'Rio de Janeiro' },
+        '35': { sigla: 'SP', nome: 'São Paulo' },
+        '41': { sigla: 'PR', nome: 'Paraná' },
+        '42': { sigla: 'SC', nome: 'Santa Catarina' },
+        '43': { sigla: 'RS', nome: 'Rio Grande do Sul' },
+        '50': { sigla: 'MS', nome: 'Mato Grosso do Sul' },
+        '51': { sigla: 'MT', nome: 'Mato Grosso' },
+        '52': { sigla: 'GO', nome: 'Goiás' },
+        '53': { sigla: 'DF', nome: 'Distrito Federal' }
+    };
+
+    /**
+     * Divisão referencial da alíquota do IBS entre estado e município
+     * (proporção aproximada da arrecadação atual de ICMS e ISS)
+     * @type {Object}
+     */
+    const DIVISAO_REFERENCIA = {
+        estadual: 0.75,
+        municipal: 0.25
+    };
+
+    /**
+     * Normaliza uma alíquota informada em percentual ou decimal
+     * @param {*} valor - Alíquota informada
+     * @returns {number|null} - Alíquota em decimal ou null se não informada
+     */
+    function normalizarAliquota(valor) {
+        if (valor === null || valor === undefined || valor === '') return null;
+        const numero = parseFloat(valor);
+        if (isNaN(numero) || numero < 0) return null;
+        return numero > 1 ? numero / 100 : numero;
+    }
+
+    /**
+     * Obtém a UF a partir do código IBGE do município (7 dígitos)
+     * @param {string} codigoMunicipio - Código IBGE do município
+     * @returns {string} - Sigla da UF ou string vazia se não identificada
+     */
+    function obterUFPorMunicipio(codigoMunicipio) {
+        const codigo = String(codigoMunicipio || '').replace(/\D/g, '');
+        const uf = UFS[codigo.substring(0, 2)];
+        return uf ? uf.sigla : '';
+    }
+
+    /**
+     * Verifica se a sigla corresponde a uma UF válida
+     * @param {string} sigla - Sigla da UF
+     * @returns {boolean}
+     */
+    function ufValida(sigla) {
+        return Object.values(UFS).some(uf => uf.sigla === String(sigla || '').toUpperCase());
+    }
+
+    /**
+     * Obtém as alíquotas estadual e municipal do IBS aplicáveis ao destino.
+     * Alíquotas informadas para o destino prevalecem sobre a divisão referencial.
+     * @param {number} aliquotaIBS - Alíquota total do IBS (decimal)
+     * @param {Object} destino - Destino ({uf, codigoMunicipio, aliquotaEstadual, aliquotaMunicipal})
+     * @returns {Object} - Alíquotas estadual, municipal e total, com a origem de cada uma
+     */
+    function obterAliquotaDestino(aliquotaIBS, destino = {}) {
+        const estadualInformada = normalizarAliquota(destino.aliquotaEstadual);
+        const municipalInformada = normalizarAliquota(destino.aliquotaMunicipal);
+
+        const estadual = estadualInformada !== null ? estadualInformada : aliquotaIBS * DIVISAO_REFERENCIA.estadual;
+        const municipal = municipalInformada !== null ? municipalInformada : aliquotaIBS * DIVISAO_REFERENCIA.municipal;
+
+        return {
+            estadual,
+            municipal,
+            total: estadual + municipal,
+            origemEstadual: estadualInformada !== null ? 'informada' : 'referencia',
+            origemMunicipal: municipalInformada !== null ? 'informada' : 'referencia'
+        };
+    }
+
+    return {
+        UFS,
+        DIVISAO_REFERENCIA,
+        obterUFPorMunicipio,
+        ufValida,
+        obterAliquotaDestino,
+        normalizarAliquota,
+
+        /**
+         * Obtém o nome da UF a partir da sigla
+         * @param {string} sigla - Sigla da UF
+         * @returns {string} - Nome da UF ou a própria sigla se não encontrada
+         */
+        obterNomeUF: function(sigla) {
+            const uf = Object.values(UFS).find(item => item.sigla === String(sigla || '').toUpperCase());
+            return uf ? uf.nome : sigla;
+        }
+    };
+})();
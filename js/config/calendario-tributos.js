@@ -0,0 +1,191 @@
+/**
+ * CalendarioTributos - Calendário de vencimento dos tributos do regime atual
+ * Versão: 1.0.0
+ * No regime atual o imposto da venda permanece no caixa até o vencimento: PIS, COFINS e IPI no
+ * dia 25 do mês seguinte (Lei 11.933/2009), ICMS conforme o regulamento de cada UF e ISS conforme
+ * a legislação do município. Com o Split Payment o tributo é retido na liquidação e esse prazo
+ * (float) deixa de existir. O calendário padrão pode ser ajustado para a empresa.
+ */
+window.CalendarioTributos = (function() {
+    /**
+     * Tributos do regime atual e vencimento padrão (dia do mês, meses após a competência e
+     * tratamento do vencimento em dia não útil)
+     * @type {Object}
+     */
+    const TRIBUTOS = {
+        pis: { nome: 'PIS/Pasep', dia: 25, mesesApos: 1, diaNaoUtil: 'antecipa', esfera: 'federal' },
+        cofins: { nome: 'COFINS', dia: 25, mesesApos: 1, diaNaoUtil: 'antecipa', esfera: 'federal' },
+        ipi: { nome: 'IPI', dia: 25, mesesApos: 1, diaNaoUtil: 'antecipa', esfera: 'federal' },
+        icms: { nome: 'ICMS', dia: null, mesesApos: 1, diaNaoUtil: 'prorroga', esfera: 'estadual' },
+        iss: { nome: 'ISS', dia: 10, mesesApos: 1, diaNaoUtil: 'prorroga', esfera: 'municipal' }
+    };
+
+    /**
+     * Dia de vencimento do ICMS no mês seguinte por UF (prazo geral de referência; os regulamentos
+     * fixam prazos próprios por atividade, que devem ser informados no calendário da empresa)
+     * @type {Object}
+     */
+    const VENCIMENTO_ICMS_UF = {
+        AC: 10, AL: 10, AM: 10, AP: 10, BA: 9, CE: 20, DF: 10, ES: 10, GO: 10,
+        MA: 10, MG: 8, MS: 10, MT: 10, PA: 10, PB: 15, PE: 15, PI: 10, PR: 10,
+        RJ: 10, RN: 10, RO: 10, RR: 10, RS: 12, SC: 10, SE: 10, SP: 20, TO: 10
+    };
+
+    /**
+     * Dia de vencimento do ICMS quando a UF não é informada
+     * @type {number}
+     */
+    const DIA_ICMS_PADRAO = 10;
+
+    const MS_POR_DIA = 86400000;
+
+    /**
+     * Obtém o vencimento de cada tributo: padrão, prazo da UF para o ICMS e ajustes informados
+     * @param {Object} calendario - Calendário da empresa ({uf, vencimentos: {tributo: {dia, mesesApos}}})
+     * @returns {Object} - Vencimento de cada tributo ({tributo, nome, dia, mesesApos, diaNaoUtil, origem})
+     */
+    function obterVencimentos(calendario = {}) {
+        const uf = String(calendario?.uf || '').toUpperCase();
+        const ajustes = calendario?.vencimentos || {};
+        const vencimentos = {};
+
+        Object.entries(TRIBUTOS).forEach(([tributo, padrao]) => {
+            const ajuste = ajustes[tributo] || {};
+            const diaInformado = parseInt(ajuste.dia);
+            const mesesInformados = parseInt(ajuste.mesesApos);
+
+            let dia = padrao.dia;
+            let origem = 'padrao';
+            if (tributo === 'icms') {
+                dia = VENCIMENTO_ICMS_UF[uf] || DIA_ICMS_PADRAO;
+                origem = VENCIMENTO_ICMS_UF[uf] ? 'uf' : 'padrao';
+            }
+            if (diaInformado >= 1 && diaInformado <= 31) {
+                dia = diaInformado;
+                origem = 'informado';
+            }
+
+            vencimentos[tributo] = {
+                tributo,
+                nome: padrao.nome,
+                dia,
+                mesesApos: mesesInformados >= 1 && mesesInformados <= 3 ? mesesInformados : padrao.mesesApos,
+                diaNaoUtil: padrao.diaNaoUtil,
+                origem
+            };
+        });
+
+        return vencimentos;
+    }
+
+    /**
+     * Calcula a data de vencimento de uma competência. Vencimentos em sábado ou domingo são
+     * antecipados ou prorrogados conforme o tributo (feriados não são considerados).
+     * @param {Object} vencimento - Vencimento do tributo ({dia, mesesApos, diaNaoUtil})
+     * @param {number} ano - Ano da competência
+     * @param {number} mes - Mês da competência (0 a 11)
+     * @returns {Date} - Data de vencimento
+     */
+    function calcularDataVencimento(vencimento, ano, mes) {
+        const mesVencimento = mes + vencimento.mesesApos;
+        const ultimoDia = new Date(ano, mesVencimento + 1, 0).getDate();
+        const data = new Date(ano, mesVencimento, Math.min(vencimento.dia, ultimoDia));
+
+        const passo = vencimento.diaNaoUtil === 'antecipa' ? -1 : 1;
+        while (data.getDay() === 0 || data.getDay() === 6) {
+            data.setDate(data.getDate() + passo);
+        }
+
+        return data;
+    }
+
+    /**
+     * Calcula os dias entre a venda e o recolhimento do tributo (float), dia a dia no ano
+     * @param {Object} vencimento - Vencimento do tributo
+     * @param {Object} ciclo - Ciclo de recebimento ({pmr, percVista, percPrazo})
+     * @param {number} ano - Ano de referência
+     * @returns {Object} - Dias médios de float das vendas à vista, a prazo e ponderado
+     */
+    function calcularDiasFloat(vencimento, ciclo = {}, ano = new Date().getFullYear()) {
+        const pmr = Math.max(0, ciclo.pmr || 0);
+        const percVista = typeof ciclo.percVista === 'number' ? ciclo.percVista : 1;
+        const percPrazo = typeof ciclo.percPrazo === 'number' ? ciclo.percPrazo : 1 - percVista;
+
+        let somaVista = 0;
+        let somaPrazo = 0;
+        let dias = 0;
+        for (let mes = 0; mes < 12; mes++) {
+            const dataVencimento = calcularDataVencimento(vencimento, ano, mes);
+            const diasMes = new Date(ano, mes + 1, 0).getDate();
+            for (let dia = 1; dia <= diasMes; dia++) {
+                const prazo = Math.round((dataVencimento - new Date(ano, mes, dia)) / MS_POR_DIA);
+                somaVista += prazo;
+                // Venda a prazo: o imposto só fica no caixa depois do recebimento
+                somaPrazo += Math.max(0, prazo - pmr);
+                dias++;
+            }
+        }
+
+        const diasVista = somaVista / dias;
+        const diasPrazo = somaPrazo / dias;
+
+        return {
+            diasVista,
+            diasPrazo,
+            dias: percVista * diasVista + percPrazo * diasPrazo
+        };
+    }
+
+    /**
+     * Calcula o float de cada tributo do regime atual, perdido com a retenção na liquidação
+     * @param {Object} impostos - Impostos mensais do regime atual ({pis, cofins, icms, ipi, iss})
+     * @param {Object} calendario - Calendário da empresa ({uf, vencimentos})
+     * @param {Object} ciclo - Ciclo de recebimento ({pmr, percVista, percPrazo})
+     * @param {number} ano - Ano de referência
+     * @returns {Object} - Float por tributo e prazos médios ponderados pelo valor de cada tributo
+     */
+    function calcularFloat(impostos = {}, calendario = {}, ciclo = {}, ano = new Date().getFullYear()) {
+        const vencimentos = obterVencimentos(calendario);
+
+        const tributos = Object.values(vencimentos).map(vencimento => {
+            const valor = Math.max(0, parseFloat(impostos[vencimento.tributo]) || 0);
+            const float = calcularDiasFloat(vencimento, ciclo, ano);
+            return {
+                ...vencimento,
+                valor,
+                diasFloatVista: float.diasVista,
+                diasFloatPrazo: float.diasPrazo,
+                diasFloat: float.dias,
+                // Capital de giro proporcionado pelo prazo: imposto mensal × dias / 30
+                capitalGiro: valor * float.dias / 30
+            };
+        });
+
+        const valorTotal = tributos.reduce((soma, tributo) => soma + tributo.valor, 0);
+        tributos.forEach(tributo => {
+            tributo.participacao = valorTotal > 0 ? tributo.valor / valorTotal : 0;
+        });
+        const ponderar = campo => valorTotal > 0 ?
+            tributos.reduce((soma, tributo) => soma + tributo[campo] * tributo.participacao, 0) : null;
+
+        return {
+            ano,
+            uf: String(calendario?.uf || '').toUpperCase(),
+            tributos,
+            valorTotal,
+            prazoMedioRecolhimento: ponderar('diasFloatVista'),
+            diasFloatMedio: ponderar('diasFloat'),
+            capitalGiro: tributos.reduce((soma, tributo) => soma + tributo.capitalGiro, 0)
+        };
+    }
+
+    return {
+        TRIBUTOS,
+        VENCIMENTO_ICMS_UF,
+        DIA_ICMS_PADRAO,
+        obterVencimentos,
+        calcularDataVencimento,
+        calcularDiasFloat,
+        calcularFloat
+    };
+})();
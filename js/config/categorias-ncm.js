@@ -0,0 +1,250 @@
+/**
+ * CategoriasNCM - Enquadramento dos produtos (NCM) nas categorias de alíquota do IVA Dual
+ * Versão: 1.0.0
+ * A LC 214/2025 prevê a alíquota padrão, reduções de 30% e 60% para bens e serviços listados
+ * em seus anexos, isenções/alíquota zero (hortícolas, frutas e ovos) e a alíquota zero da Cesta
+ * Básica Nacional de Alimentos. A tabela padrão abaixo enquadra os principais capítulos, posições
+ * e subposições por prefixo do NCM; o usuário pode incluir ou alterar regras, que são salvas no
+ * localStorage. Prevalece a regra de prefixo mais longo.
+ */
+window.CategoriasNCM = (function() {
+    /**
+     * Categorias de alíquota e o fator aplicado sobre a alíquota padrão de CBS e IBS
+     * @type {Object}
+     */
+    const CATEGORIAS = {
+        standard: { nome: 'Alíquota padrão', fator: 1 },
+        reduced30: { nome: 'Redução de 30%', fator: 0.7 },
+        reduced60: { nome: 'Redução de 60%', fator: 0.4 },
+        exempt: { nome: 'Isento / alíquota zero', fator: 0 },
+        cestaBasica: { nome: 'Cesta Básica Nacional (alíquota zero)', fator: 0 }
+    };
+
+    /**
+     * Regras padrão de enquadramento por prefixo do NCM
+     * @type {Array}
+     */
+    const REGRAS_PADRAO = [
+        // Cesta Básica Nacional de Alimentos (LC 214/2025, Anexo I)
+        { prefixo: '1006', categoria: 'cestaBasica', descricao: 'Arroz' },
+        { prefixo: '0401', categoria: 'cestaBasica', descricao: 'Leite' },
+        { prefixo: '0402', categoria: 'cestaBasica', descricao: 'Leite em pó e fórmulas infantis' },
+        { prefixo: '0405', categoria: 'cestaBasica', descricao: 'Manteiga' },
+        { prefixo: '151710', categoria: 'cestaBasica', descricao: 'Margarina' },
+        { prefixo: '071333', categoria: 'cestaBasica', descricao: 'Feijão' },
+        { prefixo: '0901', categoria: 'cestaBasica', descricao: 'Café' },
+        { prefixo: '1507', categoria: 'cestaBasica', descricao: 'Óleo de soja' },
+        { prefixo: '110620', categoria: 'cestaBasica', descricao: 'Farinha de mandioca' },
+        { prefixo: '110220', categoria: 'cestaBasica', descricao: 'Farinha de milho' },
+        { prefixo: '1101', categoria: 'cestaBasica', descricao: 'Farinha de trigo' },
+        { prefixo: '170114', categoria: 'cestaBasica', descricao: 'Açúcar' },
+        { prefixo: '170199', categoria: 'cestaBasica', descricao: 'Açúcar' },
+        { prefixo: '19021', categoria: 'cestaBasica', descricao: 'Massas alimentícias' },
+        { prefixo: '19059010', categoria: 'cestaBasica', descricao: 'Pão comum' },
+        { prefixo: '0201', categoria: 'cestaBasica', descricao: 'Carnes bovinas' },
+        { prefixo: '0202', categoria: 'cestaBasica', descricao: 'Carnes bovinas congeladas' },
+        { prefixo: '0203', categoria: 'cestaBasica', descricao: 'Carnes suínas' },
+        { prefixo: '0204', categoria: 'cestaBasica', descricao: 'Carnes ovinas e caprinas' },
+        { prefixo: '0207', categoria: 'cestaBasica', descricao: 'Carnes de aves' },
+        { prefixo: '0302', categoria: 'cestaBasica', descricao: 'Peixes frescos' },
+        { prefixo: '0303', categoria: 'cestaBasica', descricao: 'Peixes congelados' },
+        { prefixo: '0304', categoria: 'cestaBasica', descricao: 'Filés de peixe' },
+        { prefixo: '0406', categoria: 'cestaBasica', descricao: 'Queijos' },
+        { prefixo: '2501', categoria: 'cestaBasica', descricao: 'Sal' },
+
+        // Hortícolas, frutas e ovos com alíquota zero (LC 214/2025, art. 148)
+        { prefixo: '04072', categoria: 'exempt', descricao: 'Ovos' },
+        { prefixo: '0701', categoria: 'exempt', descricao: 'Batatas' },
+        { prefixo: '0702', categoria: 'exempt', descricao: 'Tomates' },
+        { prefixo: '0703', categoria: 'exempt', descricao: 'Cebolas e alhos' },
+        { prefixo: '0704', categoria: 'exempt', descricao: 'Couves' },
+        { prefixo: '0705', categoria: 'exempt', descricao: 'Alfaces' },
+        { prefixo: '0706', categoria: 'exempt', descricao: 'Cenouras e raízes' },
+        { prefixo: '0707', categoria: 'exempt', descricao: 'Pepinos' },
+        { prefixo: '0708', categoria: 'exempt', descricao: 'Legumes de vagem' },
+        { prefixo: '0709', categoria: 'exempt', descricao: 'Outros produtos hortícolas' },
+        { prefixo: '0803', categoria: 'exempt', descricao: 'Bananas' },
+        { prefixo: '0804', categoria: 'exempt', descricao: 'Frutas tropicais' },
+        { prefixo: '0805', categoria: 'exempt', descricao: 'Cítricos' },
+        { prefixo: '0806', categoria: 'exempt', descricao: 'Uvas' },
+        { prefixo: '0807', categoria: 'exempt', descricao: 'Melões e mamões' },
+        { prefixo: '0808', categoria: 'exempt', descricao: 'Maçãs e peras' },
+        { prefixo: '0809', categoria: 'exempt', descricao: 'Frutas de caroço' },
+        { prefixo: '0810', categoria: 'exempt', descricao: 'Outras frutas' },
+
+        // Redução de 60% (medicamentos, higiene básica, insumos agropecuários, dispositivos médicos)
+        { prefixo: '3003', categoria: 'reduced60', descricao: 'Medicamentos' },
+        { prefixo: '3004', categoria: 'reduced60', descricao: 'Medicamentos em doses' },
+        { prefixo: '340111', categoria: 'reduced60', descricao: 'Sabões de toucador' },
+        { prefixo: '330610', categoria: 'reduced60', descricao: 'Dentifrícios' },
+        { prefixo: '481810', categoria: 'reduced60', descricao: 'Papel higiênico' },
+        { prefixo: '9619', categoria: 'reduced60', descricao: 'Fraldas e absorventes' },
+        { prefixo: '3101', categoria: 'reduced60', descricao: 'Adubos' },
+        { prefixo: '3102', categoria: 'reduced60', descricao: 'Adubos nitrogenados' },
+        { prefixo: '3103', categoria: 'reduced60', descricao: 'Adubos fosfatados' },
+        { prefixo: '3104', categoria: 'reduced60', descricao: 'Adubos potássicos' },
+        { prefixo: '3105', categoria: 'reduced60', descricao: 'Outros adubos' },
+        { prefixo: '38089', categoria: 'reduced60', descricao: 'Defensivos agropecuários' },
+        { prefixo: '9018', categoria: 'reduced60', descricao: 'Dispositivos médicos' }
+    ];
+
+    /**
+     * Chave de armazenamento das regras no localStorage
+     * @type {string}
+     */
+    const CHAVE_ARMAZENAMENTO = 'split-payment-categorias-ncm';
+
+    // Regras vigentes, indexadas pelo prefixo
+    let regras = {};
+
+    /**
+     * Mantém apenas os dígitos do NCM
+     * @param {string} ncm - Código NCM (com ou sem pontuação)
+     * @returns {string} - NCM somente com dígitos
+     */
+    function normalizarNCM(ncm) {
+        return String(ncm || '').replace(/\D/g, '').substring(0, 8);
+    }
+
+    // Carregar regras salvas no localStorage
+    function carregarRegrasSalvas() {
+        try {
+            const salvo = localStorage.getItem(CHAVE_ARMAZENAMENTO);
+            if (salvo) {
+                const dados = JSON.parse(salvo);
+                if (Array.isArray(dados.regras)) {
+                    regras = {};
+                    dados.regras.forEach(regra => {
+                        const prefixo = normalizarNCM(regra.prefixo);
+                        if (prefixo && CATEGORIAS[regra.categoria]) {
+                            regras[prefixo] = { prefixo, categoria: regra.categoria, descricao: regra.descricao || '' };
+                        }
+                    });
+                    console.log(`CATEGORIAS-NCM: ${Object.keys(regras).length} regras carregadas do localStorage`);
+                }
+            }
+        } catch (erro) {
+            console.error('CATEGORIAS-NCM: Erro ao carregar regras do localStorage:', erro);
+        }
+    }
+
+    // Salvar regras no localStorage
+    function salvarRegras() {
+        try {
+            localStorage.setItem(CHAVE_ARMAZENAMENTO, JSON.stringify({ regras: Object.values(regras) }));
+            return true;
+        } catch (erro) {
+            console.error('CATEGORIAS-NCM: Erro ao salvar regras no localStorage:', erro);
+            return false;
+        }
+    }
+
+    /**
+     * Obtém a regra de prefixo mais longo aplicável ao NCM
+     * @param {string} ncm - Código NCM
+     * @returns {Object|null} - Regra aplicável ou null se o NCM não se enquadrar em nenhuma
+     */
+    function obterRegra(ncm) {
+        const codigo = normalizarNCM(ncm);
+        for (let tamanho = codigo.length; tamanho >= 2; tamanho--) {
+            const regra = regras[codigo.substring(0, tamanho)];
+            if (regra) return regra;
+        }
+        return null;
+    }
+
+    /**
+     * Obtém a categoria de alíquota do NCM; sem regra aplicável, a alíquota padrão
+     * @param {string} ncm - Código NCM
+     * @returns {string} - Categoria (standard, reduced30, reduced60, exempt ou cestaBasica)
+     */
+    function obterCategoria(ncm) {
+        const regra = obterRegra(ncm);
+        return regra ? regra.categoria : 'standard';
+    }
+
+    /**
+     * Obtém o fator da categoria do NCM sobre a alíquota padrão
+     * @param {string} ncm - Código NCM
+     * @returns {number} - Fator entre 0 e 1
+     */
+    function obterFator(ncm) {
+        return CATEGORIAS[obterCategoria(ncm)].fator;
+    }
+
+    return {
+        CATEGORIAS,
+        normalizarNCM,
+        obterRegra,
+        obterCategoria,
+        obterFator,
+
+        /**
+         * Inicializa as regras com a tabela padrão ou com as regras salvas
+         */
+        inicializar: function() {
+            regras = {};
+            REGRAS_PADRAO.forEach(regra => {
+                regras[regra.prefixo] = { ...regra };
+            });
+            carregarRegrasSalvas();
+        },
+
+        /**
+         * Lista as regras vigentes ordenadas pelo prefixo
+         * @returns {Array} - Cópia das regras
+         */
+        listarRegras: function() {
+            return Object.values(regras)
+                .map(regra => ({ ...regra }))
+                .sort((a, b) => a.prefixo.localeCompare(b.prefixo));
+        },
+
+        /**
+         * Inclui ou altera a regra de um prefixo de NCM
+         * @param {string} prefixo - Prefixo do NCM (2 a 8 dígitos)
+         * @param {string} categoria - Categoria de alíquota
+         * @param {string} descricao - Descrição da regra (opcional)
+         * @throws {Error} Se o prefixo ou a categoria forem inválidos
+         */
+        definirRegra: function(prefixo, categoria, descricao = '') {
+            const codigo = normalizarNCM(prefixo);
+            if (codigo.length < 2) {
+                throw new Error('O prefixo do NCM deve ter ao menos 2 dígitos');
+            }
+            if (!CATEGORIAS[categoria]) {
+                throw new Error(`Categoria de alíquota inválida: ${categoria}`);
+            }
+            regras[codigo] = { prefixo: codigo, categoria, descricao: String(descricao || '').trim() };
+            salvarRegras();
+        },
+
+        /**
+         * Remove a regra de um prefixo de NCM
+         * @param {string} prefixo - Prefixo do NCM
+         * @returns {boolean} - true se a regra existia
+         */
+        removerRegra: function(prefixo) {
+            const codigo = normalizarNCM(prefixo);
+            if (!regras[codigo]) return false;
+            delete regras[codigo];
+            salvarRegras();
+            return true;
+        },
+
+        /**
+         * Descarta as regras do usuário e restaura a tabela padrão
+         */
+        restaurarPadrao: function() {
+            try {
+                localStorage.removeItem(CHAVE_ARMAZENAMENTO);
+            } catch (erro) {
+                console.error('CATEGORIAS-NCM: Erro ao remover regras do localStorage:', erro);
+            }
+            this.inicializar();
+        }
+    };
+})();
+
+// Inicializar as regras ao carregar o script
+window.CategoriasNCM.inicializar();
@@ -13,15 +13,14 @@
         // Propriedades privadas
         _nextSetorId: 4,
         _setoresCronogramas: {},
-        _cronogramaDefault: {
-            '2026': 10.0,
-            '2027': 25.0,
-            '2028': 40.0,
-            '2029': 55.0,
-            '2030': 70.0,
-            '2031': 85.0,
-            '2032': 95.0,
-            '2033': 100.0
+        // Cronograma padrão (0-100) obtido da versão ativa da tabela de transição
+        get _cronogramaDefault() {
+            const cronograma = {};
+            const percentuais = window.CronogramaTransicao.obterTabela().percentuais.splitPayment;
+            Object.keys(percentuais).forEach(ano => {
+                cronograma[ano] = Math.round(percentuais[ano] * 1000) / 10;
+            });
+            return cronograma;
         },
         
         // Método de inicialização
@@ -0,0 +1,443 @@
+/**
+ * CronogramaTransicao - Tabela versionada do cronograma de transição da Reforma Tributária
+ * Versão: 1.0.0
+ * Serve como única fonte de verdade para as alíquotas de referência do IVA Dual, as alíquotas
+ * de teste, a substituição de PIS/COFINS e ICMS/ISS e o cronograma de implementação do Split Payment.
+ * Novas versões da tabela podem ser carregadas em formato JSON sem alteração do código.
+ */
+window.CronogramaTransicao = (function() {
+    /**
+     * Tabela padrão conforme EC 132/2023 e LC 214/2025
+     * Percentuais em decimal (0-1) por ano:
+     * - cbs / ibs: fração da alíquota cheia de referência aplicada no ano
+     * - pisCofins / icmsIss / ipi: fração remanescente dos tributos atuais
+     * - splitPayment: fração das operações sujeitas à retenção na liquidação
+     * - impostoSeletivo: fração da alíquota do Imposto Seletivo em vigor no ano
+     * @type {Object}
+     */
+    const TABELA_PADRAO = {
+        versao: 'LC214-2025.1',
+        descricao: 'Cronograma de transição da LC 214/2025',
+        fundamentoLegal: 'EC 132/2023, art. 125 a 133 do ADCT; LC 214/2025, art. 343 a 348',
+        dataPublicacao: '2025-01-16',
+        aliquotasReferencia: {
+            cbs: 0.088,   // Contribuição sobre Bens e Serviços (federal)
+            ibs: 0.177    // Imposto sobre Bens e Serviços (estadual/municipal)
+        },
+        fatoresCategoria: {
+            standard: 1.0,
+            reduced: 0.5,
+            exempt: 0.0
+        },
+        aliquotasTeste: {
+            // 2026: alíquotas de teste compensáveis com PIS/COFINS (sem aumento de carga)
+            2026: { cbs: 0.009, ibs: 0.001, compensavel: true },
+            // 2027-2028: IBS de 0,1% efetivamente cobrado, com redução equivalente da CBS
+            2027: { cbs: 0, ibs: 0.001, compensavel: false },
+            2028: { cbs: 0, ibs: 0.001, compensavel: false }
+        },
+        valoresAnteriores: {
+            splitPayment: 0,
+            cbs: 0,
+            ibs: 0,
+            pisCofins: 1,
+            icmsIss: 1,
+            ipi: 1,
+            impostoSeletivo: 0
+        },
+        percentuais: {
+            splitPayment: {
+                2026: 0.10, 2027: 0.25, 2028: 0.40, 2029: 0.55,
+                2030: 0.70, 2031: 0.85, 2032: 0.95, 2033: 1.00
+            },
+            cbs: {
+                2026: 0.00, 2027: 1.00, 2028: 1.00, 2029: 1.00,
+                2030: 1.00, 2031: 1.00, 2032: 1.00, 2033: 1.00
+            },
+            ibs: {
+                2026: 0.00, 2027: 0.00, 2028: 0.00, 2029: 0.10,
+                2030: 0.20, 2031: 0.30, 2032: 0.40, 2033: 1.00
+            },
+            pisCofins: {
+                2026: 1.00, 2027: 0.00, 2028: 0.00, 2029: 0.00,
+                2030: 0.00, 2031: 0.00, 2032: 0.00, 2033: 0.00
+            },
+            icmsIss: {
+                2026: 1.00, 2027: 1.00, 2028: 1.00, 2029: 0.90,
+                2030: 0.80, 2031: 0.70, 2032: 0.60, 2033: 0.00
+            },
+            ipi: {
+                // IPI reduzido a zero a partir de 2027, exceto produtos com industrialização incentivada na ZFM
+                2026: 1.00, 2027: 0.00, 2028: 0.00, 2029: 0.00,
+                2030: 0.00, 2031: 0.00, 2032: 0.00, 2033: 0.00
+            },
+            impostoSeletivo: {
+                // Imposto Seletivo cobrado a partir de 2027, em substituição parcial ao IPI
+                2026: 0.00, 2027: 1.00, 2028: 1.00, 2029: 1.00,
+                2030: 1.00, 2031: 1.00, 2032: 1.00, 2033: 1.00
+            }
+        }
+    };
+
+    const TIPOS_OBRIGATORIOS = ['splitPayment', 'cbs', 'ibs', 'pisCofins', 'icmsIss'];
+    const CHAVE_ARMAZENAMENTO = 'cronograma-transicao-split-payment';
+
+    // Tabelas disponíveis indexadas por versão
+    let tabelas = {};
+    let versaoAtiva = TABELA_PADRAO.versao;
+
+    /**
+     * Valida a estrutura de uma tabela de cronograma
+     * @param {Object} tabela - Tabela a validar
+     * @returns {Array} - Lista de erros encontrados (vazia se válida)
+     */
+    function validarTabela(tabela) {
+        const erros = [];
+
+        if (!tabela || typeof tabela !== 'object') {
+            return ['Tabela de cronograma inválida ou vazia'];
+        }
+
+        if (typeof tabela.versao !== 'string' || tabela.versao.trim() === '') {
+            erros.push('Campo "versao" obrigatório');
+        }
+
+        const referencia = tabela.aliquotasReferencia || {};
+        ['cbs', 'ibs'].forEach(tributo => {
+            if (typeof referencia[tributo] !== 'number' || isNaN(referencia[tributo]) ||
+                referencia[tributo] < 0 || referencia[tributo] > 1) {
+                erros.push(`Alíquota de referência "${tributo}" deve ser um decimal entre 0 e 1`);
+            }
+        });
+
+        if (!tabela.percentuais || typeof tabela.percentuais !== 'object') {
+            erros.push('Campo "percentuais" obrigatório');
+            return erros;
+        }
+
+        TIPOS_OBRIGATORIOS.forEach(tipo => {
+            const serie = tabela.percentuais[tipo];
+            if (!serie || typeof serie !== 'object' || Object.keys(serie).length === 0) {
+                erros.push(`Cronograma "${tipo}" ausente`);
+                return;
+            }
+
+            Object.entries(serie).forEach(([ano, valor]) => {
+                if (!/^\d{4}$/.test(ano)) {
+                    erros.push(`Ano inválido "${ano}" no cronograma "${tipo}"`);
+                }
+                if (typeof valor !== 'number' || isNaN(valor) || valor < 0 || valor > 1) {
+                    erros.push(`Percentual inválido para ${tipo}/${ano}: deve ser um decimal entre 0 e 1`);
+                }
+            });
+        });
+
+        return erros;
+    }
+
+    /**
+     * Completa uma tabela carregada com os valores padrão ausentes
+     * @param {Object} tabela - Tabela carregada
+     * @returns {Object} - Tabela completa
+     */
+    function normalizarTabela(tabela) {
+        return {
+            ...tabela,
+            fatoresCategoria: { ...TABELA_PADRAO.fatoresCategoria, ...(tabela.fatoresCategoria || {}) },
+            aliquotasTeste: tabela.aliquotasTeste || {},
+            valoresAnteriores: { ...TABELA_PADRAO.valoresAnteriores, ...(tabela.valoresAnteriores || {}) },
+            percentuais: {
+                ipi: TABELA_PADRAO.percentuais.ipi,
+                impostoSeletivo: TABELA_PADRAO.percentuais.impostoSeletivo,
+                ...tabela.percentuais
+            }
+        };
+    }
+
+    // Carregar tabelas salvas no localStorage
+    function carregarTabelasSalvas() {
+        try {
+            const salvo = localStorage.getItem(CHAVE_ARMAZENAMENTO);
+            if (salvo) {
+                const dados = JSON.parse(salvo);
+                Object.values(dados.tabelas || {}).forEach(tabela => {
+                    if (validarTabela(tabela).length === 0) {
+                        tabelas[tabela.versao] = normalizarTabela(tabela);
+                    }
+                });
+                if (dados.versaoAtiva && tabelas[dados.versaoAtiva]) {
+                    versaoAtiva = dados.versaoAtiva;
+                }
+                console.log(`CRONOGRAMA-TRANSICAO: Tabelas carregadas do localStorage. Versão ativa: ${versaoAtiva}`);
+            }
+        } catch (erro) {
+            console.error('CRONOGRAMA-TRANSICAO: Erro ao carregar tabelas do localStorage:', erro);
+        }
+    }
+
+    // Salvar tabelas carregadas pelo usuário no localStorage
+    function salvarTabelas() {
+        try {
+            const personalizadas = {};
+            Object.keys(tabelas).forEach(versao => {
+                if (versao !== TABELA_PADRAO.versao) {
+                    personalizadas[versao] = tabelas[versao];
+                }
+            });
+            localStorage.setItem(CHAVE_ARMAZENAMENTO, JSON.stringify({
+                versaoAtiva,
+                tabelas: personalizadas
+            }));
+            return true;
+        } catch (erro) {
+            console.error('CRONOGRAMA-TRANSICAO: Erro ao salvar tabelas no localStorage:', erro);
+            return false;
+        }
+    }
+
+    /**
+     * Retorna a tabela da versão informada ou a versão ativa
+     * @param {string} versao - Versão desejada (opcional)
+     * @returns {Object} - Tabela do cronograma
+     */
+    function obterTabela(versao) {
+        return tabelas[versao || versaoAtiva] || tabelas[TABELA_PADRAO.versao];
+    }
+
+    /**
+     * Obtém o percentual de um tipo de cronograma para o ano informado.
+     * Anos anteriores ao cronograma usam os valores anteriores à transição; anos
+     * posteriores mantêm o último valor da tabela.
+     * @param {number} ano - Ano de referência
+     * @param {string} tipo - Tipo ('splitPayment', 'cbs', 'ibs', 'pisCofins', 'icmsIss', 'ipi', 'impostoSeletivo')
+     * @param {string} versao - Versão da tabela (opcional)
+     * @returns {number} - Percentual em decimal (0-1)
+     */
+    function obterPercentual(ano, tipo = 'splitPayment', versao = null) {
+        const tabela = obterTabela(versao);
+        const serie = tabela.percentuais[tipo] || tabela.percentuais.splitPayment;
+        const anos = Object.keys(serie).map(Number).sort((a, b) => a - b);
+
+        ano = parseInt(ano);
+        if (isNaN(ano)) {
+            console.warn(`CRONOGRAMA-TRANSICAO: Ano inválido. Usando ${anos[0]}.`);
+            ano = anos[0];
+        }
+
+        if (typeof serie[ano] === 'number') {
+            return serie[ano];
+        }
+
+        if (ano < anos[0]) {
+            const anterior = tabela.valoresAnteriores[tipo];
+            return typeof anterior === 'number' ? anterior : 0;
+        }
+
+        // Ano posterior ou intermediário ausente: usar o último valor conhecido
+        const anoConhecido = anos.filter(a => a < ano).pop();
+        return serie[anoConhecido];
+    }
+
+    /**
+     * Monta o objeto de alíquotas do IVA Dual a partir da tabela ativa
+     * @param {string} versao - Versão da tabela (opcional)
+     * @returns {Object} - Alíquotas padrão, reduzidas e isentas
+     */
+    function obterAliquotasIVADual(versao = null) {
+        const tabela = obterTabela(versao);
+        const cbs = tabela.aliquotasReferencia.cbs;
+        const ibs = tabela.aliquotasReferencia.ibs;
+        const fatorReduzido = tabela.fatoresCategoria.reduced;
+        const fatorIsento = tabela.fatoresCategoria.exempt;
+
+        return {
+            cbs,
+            ibs,
+            totalIva: cbs + ibs,
+            reduced: {
+                cbs: cbs * fatorReduzido,
+                ibs: ibs * fatorReduzido,
+                total: (cbs + ibs) * fatorReduzido
+            },
+            exempt: {
+                cbs: cbs * fatorIsento,
+                ibs: ibs * fatorIsento,
+                total: (cbs + ibs) * fatorIsento
+            }
+        };
+    }
+
+    /**
+     * Deriva os períodos de transição (primeiro e último ano de cada fase) da tabela
+     * @param {string} versao - Versão da tabela (opcional)
+     * @returns {Object} - Períodos de transição por tributo
+     */
+    function obterPeriodosTransicao(versao = null) {
+        const tabela = obterTabela(versao);
+
+        // Período vai do primeiro ano com alteração até o primeiro ano com o valor final
+        const periodo = (serie, valorFinal) => {
+            const anos = Object.keys(serie).map(Number).sort((a, b) => a - b);
+            const inicio = anos.find(ano => serie[ano] !== 1 - valorFinal);
+            const fim = anos.find(ano => serie[ano] === valorFinal);
+            return inicio !== undefined ? { start: inicio, end: fim !== undefined ? fim : anos[anos.length - 1] } : null;
+        };
+
+        return {
+            cbs: periodo(tabela.percentuais.cbs, 1),
+            ibs: periodo(tabela.percentuais.ibs, 1),
+            icmsIss: periodo(tabela.percentuais.icmsIss, 0),
+            pisCofins: periodo(tabela.percentuais.pisCofins, 0),
+            splitPayment: periodo(tabela.percentuais.splitPayment, 1)
+        };
+    }
+
+    // API pública
+    return {
+        /**
+         * Inicializa o cronograma com a tabela padrão e as tabelas salvas
+         */
+        inicializar: function() {
+            tabelas = {};
+            tabelas[TABELA_PADRAO.versao] = normalizarTabela(TABELA_PADRAO);
+            versaoAtiva = TABELA_PADRAO.versao;
+            carregarTabelasSalvas();
+        },
+
+        obterPercentual,
+        obterAliquotasIVADual,
+        obterPeriodosTransicao,
+        validarTabela,
+
+        /**
+         * Retorna uma cópia da tabela ativa (ou da versão informada)
+         * @param {string} versao - Versão da tabela (opcional)
+         * @returns {Object} - Tabela do cronograma
+         */
+        obterTabela: function(versao = null) {
+            return JSON.parse(JSON.stringify(obterTabela(versao)));
+        },
+
+        /**
+         * Retorna a versão ativa da tabela
+         * @returns {string} - Identificador da versão
+         */
+        obterVersaoAtiva: function() {
+            return versaoAtiva;
+        },
+
+        /**
+         * Retorna a identificação da tabela para registro nos resultados da simulação
+         * @param {string} versao - Versão da tabela (opcional)
+         * @returns {Object} - {versao, descricao, fundamentoLegal, dataPublicacao}
+         */
+        obterIdentificacao: function(versao = null) {
+            const tabela = obterTabela(versao);
+            return {
+                versao: tabela.versao,
+                descricao: tabela.descricao || '',
+                fundamentoLegal: tabela.fundamentoLegal || '',
+                dataPublicacao: tabela.dataPublicacao || ''
+            };
+        },
+
+        /**
+         * Lista as versões disponíveis
+         * @returns {Array} - Array de objetos {versao, descricao, ativa}
+         */
+        listarVersoes: function() {
+            return Object.values(tabelas).map(tabela => ({
+                versao: tabela.versao,
+                descricao: tabela.descricao || '',
+                ativa: tabela.versao === versaoAtiva
+            }));
+        },
+
+        /**
+         * Obtém as alíquotas de teste do ano, se houver
+         * @param {number} ano - Ano de referência
+         * @param {string} versao - Versão da tabela (opcional)
+         * @returns {Object|null} - {cbs, ibs, compensavel} ou null
+         */
+        obterAliquotasTeste: function(ano, versao = null) {
+            return obterTabela(versao).aliquotasTeste[ano] || null;
+        },
+
+        /**
+         * Obtém o fator de redução de uma categoria tributária
+         * @param {string} categoria - 'standard', 'reduced' ou 'exempt'
+         * @param {string} versao - Versão da tabela (opcional)
+         * @returns {number} - Fator multiplicador da alíquota
+         */
+        obterFatorCategoria: function(categoria, versao = null) {
+            const fatores = obterTabela(versao).fatoresCategoria;
+            return typeof fatores[categoria] === 'number' ? fatores[categoria] : fatores.standard;
+        },
+
+        /**
+         * Retorna os anos cobertos pelo cronograma de Split Payment
+         * @param {string} versao - Versão da tabela (opcional)
+         * @returns {Array} - Anos em ordem crescente
+         */
+        obterAnos: function(versao = null) {
+            return Object.keys(obterTabela(versao).percentuais.splitPayment).map(Number).sort((a, b) => a - b);
+        },
+
+        /**
+         * Carrega uma nova tabela de cronograma
+         * @param {Object|string} tabela - Tabela em objeto ou texto JSON
+         * @param {boolean} ativar - Se a tabela deve se tornar a versão ativa
+         * @returns {string} - Versão carregada
+         * @throws {Error} - Se a tabela for inválida
+         */
+        carregarTabela: function(tabela, ativar = true) {
+            if (typeof tabela === 'string') {
+                try {
+                    tabela = JSON.parse(tabela);
+                } catch (erro) {
+                    throw new Error('Arquivo de cronograma não é um JSON válido: ' + erro.message);
+                }
+            }
+
+            const erros = validarTabela(tabela);
+            if (erros.length > 0) {
+                throw new Error('Tabela de cronograma inválida: ' + erros.join('; '));
+            }
+
+            tabelas[tabela.versao] = normalizarTabela(tabela);
+            if (ativar) {
+                versaoAtiva = tabela.versao;
+            }
+            salvarTabelas();
+
+            console.log(`CRONOGRAMA-TRANSICAO: Tabela ${tabela.versao} carregada${ativar ? ' e ativada' : ''}`);
+            return tabela.versao;
+        },
+
+        /**
+         * Define a versão ativa do cronograma
+         * @param {string} versao - Versão a ativar
+         * @returns {boolean} - Sucesso da operação
+         */
+        definirVersaoAtiva: function(versao) {
+            if (!tabelas[versao]) {
+                console.warn(`CRONOGRAMA-TRANSICAO: Versão ${versao} não encontrada`);
+                return false;
+            }
+            versaoAtiva = versao;
+            salvarTabelas();
+            return true;
+        },
+
+        /**
+         * Restaura a tabela padrão como versão ativa
+         */
+        restaurarPadrao: function() {
+            versaoAtiva = TABELA_PADRAO.versao;
+            salvarTabelas();
+        }
+    };
+})();
+
+// Disponibilizar a tabela padrão imediatamente para os módulos de cálculo
+window.CronogramaTransicao.inicializar();
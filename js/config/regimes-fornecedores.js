@@ -0,0 +1,225 @@
+/**
+ * RegimesFornecedores - Regime tributário dos fornecedores para o crédito de CBS/IBS
+ * Versão: 1.0.0
+ * O crédito de CBS/IBS do adquirente corresponde ao tributo efetivamente pago pelo fornecedor
+ * (LC 214/2025, art. 47). Fornecedores do regime regular transferem o crédito integral; optantes
+ * do Simples Nacional que recolhem o IBS/CBS no DAS transferem apenas o valor incluído no DAS;
+ * não contribuintes (pessoas físicas, produtor rural não contribuinte) não transferem crédito.
+ * O cadastro de regimes é mantido pelo usuário ou importado de uma lista e salvo no localStorage.
+ */
+window.RegimesFornecedores = (function() {
+    /**
+     * Regimes de fornecedor e o fator do crédito transferido sobre o crédito integral
+     * @type {Object}
+     */
+    const REGIMES = {
+        regular: { nome: 'Regime regular', fator: 1 },
+        simplesRegular: { nome: 'Simples Nacional - IBS/CBS pelo regime regular', fator: 1 },
+        // Parcela média do DAS correspondente ao IBS/CBS, cerca de 5% do valor da operação
+        simples: { nome: 'Simples Nacional - IBS/CBS no DAS', fator: 0.2 },
+        naoContribuinte: { nome: 'Não contribuinte', fator: 0 }
+    };
+
+    /**
+     * Nomes aceitos na importação da lista de regimes
+     * @type {Object}
+     */
+    const SINONIMOS_REGIME = {
+        'regular': 'regular',
+        'normal': 'regular',
+        'lucro-real': 'regular',
+        'lucro-presumido': 'regular',
+        'simples-regular': 'simplesRegular',
+        'simplesregular': 'simplesRegular',
+        'simples': 'simples',
+        'simples-nacional': 'simples',
+        'mei': 'simples',
+        'nao-contribuinte': 'naoContribuinte',
+        'naocontribuinte': 'naoContribuinte',
+        'pessoa-fisica': 'naoContribuinte'
+    };
+
+    /**
+     * Chave de armazenamento do cadastro no localStorage
+     * @type {string}
+     */
+    const CHAVE_ARMAZENAMENTO = 'split-payment-regimes-fornecedores';
+
+    // Cadastro de regimes, indexado pelo CNPJ/CPF
+    let cadastro = {};
+
+    /**
+     * Mantém apenas os dígitos do CNPJ/CPF
+     * @param {string} documento - CNPJ ou CPF (com ou sem pontuação)
+     * @returns {string} - Documento somente com dígitos
+     */
+    function normalizarDocumento(documento) {
+        return String(documento || '').replace(/\D/g, '');
+    }
+
+    /**
+     * Converte o nome do regime informado na lista para a chave de REGIMES
+     * @param {string} regime - Regime informado
+     * @returns {string|null} - Chave do regime ou null se não reconhecido
+     */
+    function normalizarRegime(regime) {
+        if (REGIMES[regime]) return regime;
+        const chave = String(regime || '').trim().toLowerCase()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[\s_]+/g, '-');
+        return SINONIMOS_REGIME[chave] || null;
+    }
+
+    // Carregar cadastro salvo no localStorage
+    function carregarCadastroSalvo() {
+        try {
+            const salvo = localStorage.getItem(CHAVE_ARMAZENAMENTO);
+            if (salvo) {
+                const dados = JSON.parse(salvo);
+                (dados.fornecedores || []).forEach(fornecedor => {
+                    const documento = normalizarDocumento(fornecedor.documento);
+                    if (documento && REGIMES[fornecedor.regime]) {
+                        cadastro[documento] = { documento, regime: fornecedor.regime, nome: fornecedor.nome || '' };
+                    }
+                });
+                console.log(`REGIMES-FORNECEDORES: ${Object.keys(cadastro).length} fornecedores carregados do localStorage`);
+            }
+        } catch (erro) {
+            console.error('REGIMES-FORNECEDORES: Erro ao carregar cadastro do localStorage:', erro);
+        }
+    }
+
+    // Salvar cadastro no localStorage
+    function salvarCadastro() {
+        try {
+            localStorage.setItem(CHAVE_ARMAZENAMENTO, JSON.stringify({ fornecedores: Object.values(cadastro) }));
+            return true;
+        } catch (erro) {
+            console.error('REGIMES-FORNECEDORES: Erro ao salvar cadastro no localStorage:', erro);
+            return false;
+        }
+    }
+
+    /**
+     * Classifica o fornecedor pelo cadastro. Sem cadastro, CPF é tratado como não contribuinte
+     * e CNPJ como regime regular.
+     * @param {string} documento - CNPJ ou CPF do fornecedor
+     * @returns {Object} - {regime, origem} com origem 'cadastro' ou 'presumido'
+     */
+    function classificar(documento) {
+        const codigo = normalizarDocumento(documento);
+        if (cadastro[codigo]) {
+            return { regime: cadastro[codigo].regime, origem: 'cadastro' };
+        }
+        return { regime: codigo.length === 11 ? 'naoContribuinte' : 'regular', origem: 'presumido' };
+    }
+
+    return {
+        REGIMES,
+        normalizarDocumento,
+        normalizarRegime,
+        classificar,
+
+        /**
+         * Inicializa o cadastro com os fornecedores salvos
+         */
+        inicializar: function() {
+            cadastro = {};
+            carregarCadastroSalvo();
+        },
+
+        /**
+         * Obtém o regime do fornecedor
+         * @param {string} documento - CNPJ ou CPF do fornecedor
+         * @returns {string} - Chave do regime
+         */
+        obterRegime: function(documento) {
+            return classificar(documento).regime;
+        },
+
+        /**
+         * Obtém o fator do crédito transferido pelo regime
+         * @param {string} regime - Chave do regime
+         * @returns {number} - Fator entre 0 e 1 (regime desconhecido: crédito integral)
+         */
+        obterFator: function(regime) {
+            return REGIMES[regime] ? REGIMES[regime].fator : 1;
+        },
+
+        /**
+         * Lista o cadastro de fornecedores ordenado pelo nome
+         * @returns {Array} - Cópia do cadastro
+         */
+        listar: function() {
+            return Object.values(cadastro)
+                .map(fornecedor => ({ ...fornecedor }))
+                .sort((a, b) => (a.nome || a.documento).localeCompare(b.nome || b.documento));
+        },
+
+        /**
+         * Inclui ou altera o regime de um fornecedor
+         * @param {string} documento - CNPJ ou CPF do fornecedor
+         * @param {string} regime - Regime (chave de REGIMES ou nome aceito na importação)
+         * @param {string} nome - Nome do fornecedor (opcional)
+         * @throws {Error} Se o documento ou o regime forem inválidos
+         */
+        definirRegime: function(documento, regime, nome = '') {
+            const codigo = normalizarDocumento(documento);
+            const chave = normalizarRegime(regime);
+            if (codigo.length !== 11 && codigo.length !== 14) {
+                throw new Error(`CNPJ/CPF inválido: ${documento}`);
+            }
+            if (!chave) {
+                throw new Error(`Regime de fornecedor inválido: ${regime}`);
+            }
+            cadastro[codigo] = { documento: codigo, regime: chave, nome: String(nome || cadastro[codigo]?.nome || '').trim() };
+            salvarCadastro();
+        },
+
+        /**
+         * Remove o fornecedor do cadastro
+         * @param {string} documento - CNPJ ou CPF do fornecedor
+         * @returns {boolean} - true se o fornecedor estava cadastrado
+         */
+        removerRegime: function(documento) {
+            const codigo = normalizarDocumento(documento);
+            if (!cadastro[codigo]) return false;
+            delete cadastro[codigo];
+            salvarCadastro();
+            return true;
+        },
+
+        /**
+         * Importa uma lista de regimes em texto, uma linha por fornecedor: documento;regime;nome
+         * (separador ponto e vírgula, vírgula ou tabulação; linhas inválidas e cabeçalho são ignorados)
+         * @param {string} texto - Conteúdo da lista
+         * @returns {Object} - Quantidade de linhas importadas e ignoradas
+         */
+        importarLista: function(texto) {
+            let importados = 0;
+            let ignorados = 0;
+
+            String(texto || '').split(/\r?\n/).forEach(linha => {
+                if (!linha.trim()) return;
+                const [documento, regime, nome] = linha.split(/[;,\t]/).map(campo => campo.trim());
+                const codigo = normalizarDocumento(documento);
+                const chave = normalizarRegime(regime);
+                if ((codigo.length !== 11 && codigo.length !== 14) || !chave) {
+                    ignorados++;
+                    return;
+                }
+                cadastro[codigo] = { documento: codigo, regime: chave, nome: nome || cadastro[codigo]?.nome || '' };
+                importados++;
+            });
+
+            if (importados > 0) {
+                salvarCadastro();
+            }
+            console.log(`REGIMES-FORNECEDORES: ${importados} fornecedores importados, ${ignorados} linhas ignoradas`);
+            return { importados, ignorados };
+        }
+    };
+})();
+
+// Inicializar o cadastro ao carregar o script
+window.RegimesFornecedores.inicializar();
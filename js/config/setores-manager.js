@@ -91,6 +91,16 @@ const SetoresManager = {
         return SetoresRepository.obterAliquotaEfetiva(codigo);
     },
     
+    /**
+     * Obtém a alíquota do Imposto Seletivo para um setor
+     * @param {string} codigo - Código do setor
+     * @returns {number} - Alíquota do IS em decimal
+     */
+    obterAliquotaSeletivo: function(codigo) {
+        if (!this.initialized) this.inicializar();
+        return SetoresRepository.obterAliquotaSeletivo(codigo);
+    },
+    
     /**
      * Obtém o cronograma de implementação específico de um setor, se existir
      * @param {string} codigo - Código do setor
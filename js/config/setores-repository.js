@@ -284,6 +284,8 @@ const SetoresRepository = (function() {
         cronogramaObservacao: 'Válido até 31.12.2040',
         'aliquota-cbs': 0.088,
         'aliquota-ibs': 0.177,
+        'aliquota-is': 0.0025,
+        seletivoObservacao: 'IS sobre a extração limitado a 0,25% do valor de mercado',
         categoriaIva: 'standard'
       },
       'bens_capital': {
@@ -326,6 +328,68 @@ const SetoresRepository = (function() {
         'aliquota-cbs': 0.088,
         'aliquota-ibs': 0.177,
         categoriaIva: 'standard'
+      },
+
+      // Setores sujeitos ao Imposto Seletivo (alíquotas referenciais, pendentes de lei ordinária)
+      'bebidas_alcoolicas': {
+        nome: 'Bebidas Alcoólicas',
+        aliquotaEfetiva: 0.265,
+        reducaoEspecial: 0.00,
+        implementacaoInicial: 10,
+        cronogramaProprio: false,
+        'aliquota-cbs': 0.088,
+        'aliquota-ibs': 0.177,
+        'aliquota-is': 0.100,
+        seletivoObservacao: 'Alíquota referencial; definida em lei ordinária',
+        categoriaIva: 'standard'
+      },
+      'bebidas_acucaradas': {
+        nome: 'Bebidas Açucaradas',
+        aliquotaEfetiva: 0.265,
+        reducaoEspecial: 0.00,
+        implementacaoInicial: 10,
+        cronogramaProprio: false,
+        'aliquota-cbs': 0.088,
+        'aliquota-ibs': 0.177,
+        'aliquota-is': 0.050,
+        seletivoObservacao: 'Alíquota referencial; definida em lei ordinária',
+        categoriaIva: 'standard'
+      },
+      'produtos_fumigenos': {
+        nome: 'Produtos Fumígenos',
+        aliquotaEfetiva: 0.265,
+        reducaoEspecial: 0.00,
+        implementacaoInicial: 10,
+        cronogramaProprio: false,
+        'aliquota-cbs': 0.088,
+        'aliquota-ibs': 0.177,
+        'aliquota-is': 0.250,
+        seletivoObservacao: 'Alíquota referencial; definida em lei ordinária',
+        categoriaIva: 'standard'
+      },
+      'veiculos': {
+        nome: 'Veículos, Embarcações e Aeronaves',
+        aliquotaEfetiva: 0.265,
+        reducaoEspecial: 0.00,
+        implementacaoInicial: 10,
+        cronogramaProprio: false,
+        'aliquota-cbs': 0.088,
+        'aliquota-ibs': 0.177,
+        'aliquota-is': 0.050,
+        seletivoObservacao: 'Alíquota referencial; definida em lei ordinária',
+        categoriaIva: 'standard'
+      },
+      'extracao_mineral': {
+        nome: 'Extração de Bens Minerais',
+        aliquotaEfetiva: 0.265,
+        reducaoEspecial: 0.00,
+        implementacaoInicial: 10,
+        cronogramaProprio: false,
+        'aliquota-cbs': 0.088,
+        'aliquota-ibs': 0.177,
+        'aliquota-is': 0.0025,
+        seletivoObservacao: 'IS sobre a extração limitado a 0,25% do valor de mercado',
+        categoriaIva: 'standard'
       }
     };
     
@@ -413,6 +477,19 @@ const SetoresRepository = (function() {
             return setor.aliquotaEfetiva - setor.reducaoEspecial;
         },
         
+        /**
+         * Retorna a alíquota do Imposto Seletivo para um setor
+         * @param {string} codigo - Código do setor
+         * @returns {number} - Alíquota do IS em decimal (0 se o setor não estiver sujeito ao IS)
+         */
+        obterAliquotaSeletivo: function(codigo) {
+            const setor = this.obterSetor(codigo);
+            if (!setor) return 0;
+            
+            const aliquota = parseFloat(setor['aliquota-is']);
+            return isNaN(aliquota) ? 0 : aliquota;
+        },
+        
         /**
          * Adiciona ou atualiza um setor personalizado
          * @param {string} codigo - Código do setor
@@ -478,6 +555,7 @@ const SetoresRepository = (function() {
                     option.dataset.aliquota = (setorDados.aliquotaEfetiva * 100).toFixed(1);
                     option.dataset.reducao = (setorDados.reducaoEspecial * 100).toFixed(1);
                     option.dataset.efetiva = (aliquotaEfetiva * 100).toFixed(1);
+                    option.dataset.seletivo = (this.obterAliquotaSeletivo(setor.codigo) * 100).toFixed(2);
                     
                     dropdown.appendChild(option);
                 }
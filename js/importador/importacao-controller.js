@@ -8,6 +8,7 @@ const ImportacaoController = (function() {
     let elements = {};
     let dadosImportados = null;
     let logImportacao = [];
+    let progressoArquivos = {};
     
     /**
      * Inicializa o controller
@@ -71,6 +72,7 @@ const ImportacaoController = (function() {
             spedContribuicoes: document.getElementById('sped-contribuicoes'),
             spedEcf: document.getElementById('sped-ecf'),
             spedEcd: document.getElementById('sped-ecd'),
+            xmlDocumentos: document.getElementById('xml-documentos'),
 
             // Checkboxes de opções
             importEmpresa: document.getElementById('import-empresa'),
@@ -80,10 +82,12 @@ const ImportacaoController = (function() {
 
             // Controles adicionais
             periodoReferencia: document.getElementById('periodo-referencia'),
+            codificacao: document.getElementById('codificacao-sped'),
 
             // Botões
             btnImportar: document.getElementById('btn-importar-sped'),
             btnCancelar: document.getElementById('btn-cancelar-importacao'),
+            progresso: document.getElementById('progresso-importacao'),
 
             // Área de log
             logArea: document.getElementById('import-log'),
@@ -124,7 +128,7 @@ const ImportacaoController = (function() {
         });
 
         // Verificar elementos opcionais
-        const elementosOpcionais = ['spedFiscal', 'spedContribuicoes', 'spedEcf', 'spedEcd'];
+        const elementosOpcionais = ['spedFiscal', 'spedContribuicoes', 'spedEcf', 'spedEcd', 'xmlDocumentos'];
         elementosOpcionais.forEach(prop => {
             if (elements[prop]) {
                 console.log(`IMPORTACAO-CONTROLLER: ✓ ${prop} disponível`);
@@ -197,7 +201,7 @@ const ImportacaoController = (function() {
         
         // Verificar arquivos selecionados
         if (!verificarArquivosSelecionados()) {
-            adicionarLog('Selecione pelo menos um arquivo SPED para importação.', 'error');
+            adicionarLog('Selecione pelo menos um arquivo SPED ou XML para importação.', 'error');
             return;
         }
         
@@ -207,38 +211,19 @@ const ImportacaoController = (function() {
             elements.btnImportar.textContent = 'Processando...';
         }
         
-        adicionarLog('Iniciando importação de dados SPED...', 'info');
-        
-        // Processar arquivos selecionados
-        const promessas = [];
-        
-        if (elements.spedFiscal?.files.length > 0) {
-            promessas.push(processarArquivoSped(elements.spedFiscal.files[0], 'fiscal'));
-        }
-        
-        if (elements.spedContribuicoes?.files.length > 0) {
-            promessas.push(processarArquivoSped(elements.spedContribuicoes.files[0], 'contribuicoes'));
-        }
-        
-        if (elements.spedEcf?.files.length > 0) {
-            promessas.push(processarArquivoSped(elements.spedEcf.files[0], 'ecf'));
-        }
+        progressoArquivos = {};
         
-        if (elements.spedEcd?.files.length > 0) {
-            promessas.push(processarArquivoSped(elements.spedEcd.files[0], 'ecd'));
+        // Documentos fiscais em XML são a fonte alternativa quando nenhum arquivo SPED é selecionado
+        const arquivosXML = Array.from(elements.xmlDocumentos?.files || []);
+        const possuiSped = ['spedFiscal', 'spedContribuicoes', 'spedEcf', 'spedEcd']
+            .some(campo => elements[campo]?.files.length > 0);
+        if (possuiSped && arquivosXML.length > 0) {
+            adicionarLog('Arquivos SPED e XML selecionados: os XML foram ignorados, prevalecem os dados do SPED.', 'warning');
         }
         
-        // Aguardar processamento de todos os arquivos
-        Promise.all(promessas)
-            .then(resultados => {
-                console.log('IMPORTACAO-CONTROLLER: Todos os arquivos processados', resultados);
-                
-                // Combinar os resultados
-                const dadosCombinados = combinarResultados(resultados);
-                
-                // Extrair dados para o simulador
-                const dadosSimulador = window.SpedExtractor.extrairDadosParaSimulador(dadosCombinados);
-                
+        const processamento = possuiSped ? importarArquivosSped() : importarDocumentosXML(arquivosXML);
+        processamento
+            .then(dadosSimulador => {
                 // Adaptar dados para o formato esperado pelo DataManager
                 const dadosAdaptados = adaptarParaDataManager(dadosSimulador);
                 
@@ -270,6 +255,8 @@ const ImportacaoController = (function() {
                 
             })
             .catch(erro => {
+                // O cancelamento já foi registrado no log por cancelarImportacao
+                if (erro.cancelado) return;
                 console.error('IMPORTACAO-CONTROLLER: Erro durante importação:', erro);
                 adicionarLog('Erro durante a importação: ' + erro.message, 'error');
             })
@@ -279,13 +266,154 @@ const ImportacaoController = (function() {
                     elements.btnImportar.disabled = false;
                     elements.btnImportar.textContent = 'Importar Dados';
                 }
+                if (elements.progresso) {
+                    elements.progresso.textContent = '';
+                }
+            });
+    }
+    
+    /**
+     * Processa os arquivos SPED selecionados e extrai os dados para o simulador. SPED Fiscal e
+     * SPED Contribuições aceitam um arquivo por competência.
+     * @returns {Promise<Object>} - Dados extraídos pelo SpedExtractor, com a série mensal
+     */
+    function importarArquivosSped() {
+        adicionarLog('Iniciando importação de dados SPED...', 'info');
+        
+        const promessas = [];
+        
+        if (elements.spedFiscal?.files.length > 0) {
+            promessas.push(processarArquivosSped(Array.from(elements.spedFiscal.files), 'fiscal'));
+        }
+        
+        if (elements.spedContribuicoes?.files.length > 0) {
+            promessas.push(processarArquivosSped(Array.from(elements.spedContribuicoes.files), 'contribuicoes'));
+        }
+        
+        if (elements.spedEcf?.files.length > 0) {
+            promessas.push(processarArquivoSped(elements.spedEcf.files[0], 'ecf'));
+        }
+        
+        if (elements.spedEcd?.files.length > 0) {
+            promessas.push(processarArquivoSped(elements.spedEcd.files[0], 'ecd'));
+        }
+        
+        // Aguardar processamento de todos os arquivos
+        return Promise.all(promessas)
+            .then(grupos => {
+                const todosResultados = grupos.flat();
+                console.log('IMPORTACAO-CONTROLLER: Todos os arquivos processados', todosResultados);
+                
+                // Ordenar as EFD mensais pelo período do registro 0000; os parâmetros usam a competência mais recente
+                const periodos = organizarPeriodos(todosResultados);
+                const resultados = todosResultados.filter(resultado =>
+                    !['fiscal', 'contribuicoes'].includes(resultado?.metadados?.tipoArquivo) ||
+                    periodos.maisRecentes.includes(resultado)
+                );
+                
+                // Combinar os resultados
+                const dadosCombinados = combinarResultados(resultados);
+                
+                // Extrair dados para o simulador
+                const dadosSimulador = window.SpedExtractor.extrairDadosParaSimulador(dadosCombinados);
+                
+                // Série mensal das competências importadas: faturamento médio e sazonalidade
+                dadosSimulador.empresa = dadosSimulador.empresa || {};
+                dadosSimulador.empresa.serieMensal = [];
+                if (periodos.competencias.length > 1) {
+                    const serieMensal = window.SpedExtractor.extrairSerieMensal(periodos.competencias);
+                    const faturamentoMedio = serieMensal.reduce((total, item) => total + item.faturamento, 0) / serieMensal.length;
+                    dadosSimulador.empresa.serieMensal = serieMensal;
+                    if (faturamentoMedio > 0) {
+                        dadosSimulador.empresa.faturamento = faturamentoMedio;
+                        dadosSimulador.empresa.faturamentoMensal = faturamentoMedio;
+                    }
+                    adicionarLog(`Série mensal: ${serieMensal.length} competências de ${formatarCompetencia(serieMensal[0].competencia)} a ${formatarCompetencia(serieMensal[serieMensal.length - 1].competencia)}, faturamento médio ${formatarMoeda(faturamentoMedio)}`, 'info');
+                }
+                
+                return dadosSimulador;
             });
     }
     
+    /**
+     * Processa os documentos fiscais em XML (NF-e, NFC-e e CT-e) e extrai os dados para o simulador
+     * @param {Array} arquivos - Arquivos XML selecionados
+     * @returns {Promise<Object>} - Dados na mesma estrutura do SpedExtractor
+     */
+    function importarDocumentosXML(arquivos) {
+        if (!window.NfeXmlParser) {
+            return Promise.reject(new Error('Módulo de importação de XML (NfeXmlParser) não carregado'));
+        }
+        
+        adicionarLog(`Iniciando importação de ${arquivos.length} documentos fiscais em XML...`, 'info');
+        
+        return window.NfeXmlParser.processarArquivos(arquivos, {
+            aoProgredir: progresso => {
+                if (elements.progresso) {
+                    elements.progresso.textContent = `XML: ${progresso.percentual.toFixed(0)}% - ${progresso.arquivosLidos} de ${progresso.totalArquivos} arquivos, ${progresso.documentosLidos.toLocaleString('pt-BR')} documentos`;
+                }
+            }
+        })
+            .then(resultado => {
+                const metadados = resultado.metadados;
+                const modelos = Object.entries(metadados.documentosPorModelo)
+                    .map(([modelo, quantidade]) => `${modelo}: ${quantidade}`)
+                    .join(', ');
+                adicionarLog(`${metadados.documentosEmpresa} documentos da empresa ${resultado.empresa.cnpj} (${modelos}) em ${metadados.competencias.length} competências.`, 'success');
+                
+                const descartes = metadados.descartes;
+                if (descartes.duplicados > 0) adicionarLog(`${descartes.duplicados} documentos repetidos ignorados.`, 'info');
+                if (descartes.cancelados > 0) adicionarLog(`${descartes.cancelados} documentos cancelados ignorados.`, 'info');
+                if (descartes.naoAutorizados > 0) adicionarLog(`${descartes.naoAutorizados} documentos sem autorização de uso ignorados.`, 'warning');
+                if (descartes.semData > 0) adicionarLog(`${descartes.semData} documentos sem data de emissão ignorados.`, 'warning');
+                metadados.arquivosIgnorados.forEach(item => {
+                    adicionarLog(`${item.arquivo}: ${item.motivo}.`, 'warning');
+                });
+                
+                const dadosSimulador = window.NfeXmlParser.extrairDadosParaSimulador(resultado);
+                
+                // Resumo das agregações por CFOP, destino e forma de pagamento
+                const resumir = (lista, rotulo) => lista.slice(0, 5).map(item => `${rotulo(item)}: ${formatarMoeda(item.valor)}`).join(', ');
+                adicionarLog(`Principais CFOPs - ${resumir(dadosSimulador.agregados.porCFOP, item => item.cfop)}`, 'info');
+                if (dadosSimulador.agregados.porDestino.length > 0) {
+                    adicionarLog(`Vendas por destino - ${resumir(dadosSimulador.agregados.porDestino, item => item.uf)}`, 'info');
+                }
+                if (dadosSimulador.agregados.porFormaPagamento.length > 0) {
+                    adicionarLog(`Vendas por forma de pagamento - ${resumir(dadosSimulador.agregados.porFormaPagamento, item => item.nome)}`, 'info');
+                }
+                if (dadosSimulador.empresa.serieMensal.length > 0) {
+                    const serie = dadosSimulador.empresa.serieMensal;
+                    adicionarLog(`Série mensal: ${serie.length} competências de ${formatarCompetencia(serie[0].competencia)} a ${formatarCompetencia(serie[serie.length - 1].competencia)}, faturamento médio ${formatarMoeda(dadosSimulador.empresa.faturamento)}`, 'info');
+                }
+                
+                return dadosSimulador;
+            });
+    }
+    
+    /**
+     * Processa em sequência os arquivos de um tipo de SPED (uma EFD por competência)
+     * @param {Array} arquivos - Arquivos selecionados
+     * @param {string} tipo - Tipo do SPED dos arquivos
+     * @returns {Promise<Array>} - Dados de cada arquivo, na ordem de seleção
+     */
+    function processarArquivosSped(arquivos, tipo) {
+        const resultados = [];
+
+        return arquivos.reduce((cadeia, arquivo, indice) => cadeia
+            .then(() => processarArquivoSped(arquivo, tipo, { indice: indice + 1, total: arquivos.length }))
+            .then(dados => {
+                resultados.push(dados);
+            }), Promise.resolve())
+            .then(() => resultados);
+    }
+    
     /**
      * Processa um arquivo SPED
+     * @param {File} arquivo - Arquivo selecionado
+     * @param {string} tipo - Tipo do SPED do arquivo
+     * @param {Object} posicao - Posição do arquivo entre os do mesmo tipo ({indice, total}), opcional
      */
-    function processarArquivoSped(arquivo, tipo) {
+    function processarArquivoSped(arquivo, tipo, posicao = null) {
         adicionarLog(`Processando arquivo ${arquivo.name} (${tipo})...`, 'info');
 
         return new Promise((resolve, reject) => {
@@ -299,7 +427,10 @@ const ImportacaoController = (function() {
 
                 console.log(`IMPORTACAO-CONTROLLER: Iniciando processamento de ${arquivo.name} (${tipo}) - Tamanho: ${arquivo.size} bytes`);
 
-                window.SpedParser.processarArquivo(arquivo, tipo)
+                window.SpedParser.processarArquivo(arquivo, tipo, {
+                    aoProgredir: progresso => atualizarProgressoArquivo(tipo, { ...progresso, posicao }),
+                    codificacao: elements.codificacao?.value || ''
+                })
                     .then(dados => {
                         // Validar dados retornados
                         if (!dados || typeof dados !== 'object') {
@@ -334,21 +465,60 @@ const ImportacaoController = (function() {
                             dataProcessamento: new Date().toISOString()
                         };
 
+                        // Integridade estrutural: um arquivo truncado ou editado não segue para a simulação
+                        if (window.SpedValidationModule && typeof window.SpedValidationModule.validarDadosSped === 'function') {
+                            const relatorioValidacao = window.SpedValidationModule.validarDadosSped(dados);
+                            dados.relatorioValidacao = relatorioValidacao;
+
+                            const integridade = relatorioValidacao.integridade;
+                            if (integridade && !integridade.valida) {
+                                integridade.erros.slice(0, 5).forEach(erro => {
+                                    const local = erro.linha ? `linha ${erro.linha}` : 'arquivo';
+                                    adicionarLog(`${arquivo.name} (${local}${erro.registro ? `, ${erro.registro}` : ''}): ${erro.mensagem}`, 'error');
+                                });
+                                exibirRelatorioValidacao(relatorioValidacao);
+                                reject(new Error(`Estrutura do arquivo ${arquivo.name} inconsistente (${integridade.totalErros} erro(s)) - importação interrompida`));
+                                return;
+                            }
+                        }
+
+                        // Codificação usada na leitura do arquivo
+                        const codificacao = dados.metadados.codificacao;
+                        if (codificacao) {
+                            const substituidos = codificacao.caracteresSubstituidos > 0 ?
+                                `, ${codificacao.caracteresSubstituidos} caracteres não reconhecidos` : '';
+                            adicionarLog(
+                                `${arquivo.name}: codificação ${codificacao.nome} (${codificacao.descricaoOrigem})${substituidos}`,
+                                codificacao.origem === 'nova-tentativa' || codificacao.caracteresSubstituidos > 0 ? 'warning' : 'info'
+                            );
+                        }
+
                         // Log detalhado dos dados encontrados
                         logDadosExtraidos(dados, tipo);
 
+                        // Registros lidos por bloco do arquivo
+                        const blocos = Object.entries(dados.metadados?.registrosPorBloco || {})
+                            .map(([bloco, quantidade]) => `${bloco}: ${quantidade.toLocaleString('pt-BR')}`)
+                            .join(', ');
+                        if (blocos) {
+                            adicionarLog(`${arquivo.name}: ${(dados.metadados.totalLinhas || 0).toLocaleString('pt-BR')} linhas, registros por bloco - ${blocos}`, 'info');
+                        }
+
                         adicionarLog(`Arquivo ${arquivo.name} processado com sucesso.`, 'success');
                         resolve(dados);
                     })
                     .catch(erro => {
-                        adicionarLog(`Erro ao processar ${arquivo.name}: ${erro.message}`, 'error');
-                        console.error('IMPORTACAO-CONTROLLER: Erro no processamento:', erro);
+                        if (!erro.cancelado) {
+                            adicionarLog(`Erro ao processar ${arquivo.name}: ${erro.message}`, 'error');
+                            console.error('IMPORTACAO-CONTROLLER: Erro no processamento:', erro);
+                        }
 
                         // Fornecer mais contexto sobre o erro
                         const erroDetalhado = new Error(`Falha no processamento de ${arquivo.name}: ${erro.message}`);
                         erroDetalhado.arquivoOriginal = arquivo.name;
                         erroDetalhado.tipoArquivo = tipo;
                         erroDetalhado.erroOriginal = erro;
+                        erroDetalhado.cancelado = erro.cancelado === true;
 
                         reject(erroDetalhado);
                     });
@@ -360,6 +530,36 @@ const ImportacaoController = (function() {
         });
     }
     
+    /**
+     * Exibe no log da importação o relatório de validação de um arquivo SPED
+     * @param {Object} relatorio - Relatório gerado por SpedValidationModule.validarDadosSped
+     */
+    function exibirRelatorioValidacao(relatorio) {
+        if (!elements.logArea || typeof window.SpedValidationModule?.gerarRelatorioHTML !== 'function') return;
+
+        const container = document.createElement('div');
+        container.innerHTML = window.SpedValidationModule.gerarRelatorioHTML(relatorio);
+        elements.logArea.appendChild(container);
+        elements.logArea.scrollTop = elements.logArea.scrollHeight;
+    }
+    
+    /**
+     * Atualiza a indicação de progresso da leitura dos arquivos
+     * @param {string} tipo - Tipo do SPED do arquivo
+     * @param {Object} progresso - Progresso informado pelo SpedParser ({percentual, blocoAtual, linhasLidas})
+     */
+    function atualizarProgressoArquivo(tipo, progresso) {
+        progressoArquivos[tipo] = progresso;
+        if (!elements.progresso) return;
+
+        elements.progresso.textContent = Object.entries(progressoArquivos)
+            .map(([tipoArquivo, item]) => {
+                const posicao = item.posicao?.total > 1 ? ` (${item.posicao.indice}/${item.posicao.total})` : '';
+                return `${tipoArquivo.toUpperCase()}${posicao}: ${item.percentual.toFixed(0)}% - bloco ${item.blocoAtual || '-'}, ${item.linhasLidas.toLocaleString('pt-BR')} linhas`;
+            })
+            .join(' | ');
+    }
+    
     /**
      * Verifica se os registros específicos de impostos estão presentes conforme novo layout
      * Foca nos registros essenciais para extração de dados tributários
@@ -404,9 +604,9 @@ const ImportacaoController = (function() {
             }
         } 
         else if (tipo === 'fiscal') {
-            // Verificar ICMS (E110) e IPI (E200)
+            // Verificar ICMS (E110) e IPI (E520)
             const registrosE110 = dados.debitos?.icms?.filter(reg => reg.registro === 'E110') || [];
-            const registrosE200 = dados.debitos?.ipi?.filter(reg => reg.registro === 'E200') || [];
+            const registrosE520 = dados.debitos?.ipi?.filter(reg => reg.registro === 'E520') || [];
 
             if (registrosE110.length > 0) {
                 console.log(`IMPORTACAO-CONTROLLER: Encontrados ${registrosE110.length} registros E110 (ICMS)`);
@@ -414,10 +614,10 @@ const ImportacaoController = (function() {
                 console.warn('IMPORTACAO-CONTROLLER: Nenhum registro E110 (ICMS) encontrado');
             }
 
-            if (registrosE200.length > 0) {
-                console.log(`IMPORTACAO-CONTROLLER: Encontrados ${registrosE200.length} registros E200 (IPI)`);
+            if (registrosE520.length > 0) {
+                console.log(`IMPORTACAO-CONTROLLER: Encontrados ${registrosE520.length} registros E520 (IPI)`);
             } else {
-                console.warn('IMPORTACAO-CONTROLLER: Nenhum registro E200 (IPI) encontrado');
+                console.warn('IMPORTACAO-CONTROLLER: Nenhum registro E520 (IPI) encontrado');
             }
         }
     }
@@ -453,11 +653,11 @@ const ImportacaoController = (function() {
                     adicionarLog(`ICMS: Débitos R$ ${icmsDebitos.toFixed(2)}, Créditos R$ ${icmsCreditos.toFixed(2)}`, 'info');
                 }
 
-                // Log simplificado para IPI conforme tabela de mapeamento (E200)
-                const registrosE200 = dados.debitos?.ipi?.filter(reg => reg.registro === 'E200') || [];
-                if (registrosE200.length > 0) {
-                    const ipiDebitos = registrosE200[0].valorTotalDebitos || 0;
-                    const ipiCreditos = registrosE200[0].valorTotalCreditos || 0;
+                // Log simplificado para IPI conforme tabela de mapeamento (E520)
+                const registrosE520 = dados.debitos?.ipi?.filter(reg => reg.registro === 'E520') || [];
+                if (registrosE520.length > 0) {
+                    const ipiDebitos = registrosE520[0].valorTotalDebitos || 0;
+                    const ipiCreditos = registrosE520[0].valorTotalCreditos || 0;
                     adicionarLog(`IPI: Débitos R$ ${ipiDebitos.toFixed(2)}, Créditos R$ ${ipiCreditos.toFixed(2)}`, 'info');
                 }
                 break;
@@ -517,6 +717,105 @@ const ImportacaoController = (function() {
         }
     }
     
+    /**
+     * Converte uma data do SPED (DDMMAAAA) em Date
+     * @param {string} valor - Data no formato DDMMAAAA
+     * @returns {Date|null} - Data ou null se inválida
+     */
+    function converterDataSped(valor) {
+        const texto = String(valor || '').trim();
+        if (!/^\d{8}$/.test(texto)) return null;
+
+        const data = new Date(parseInt(texto.substring(4, 8)), parseInt(texto.substring(2, 4)) - 1, parseInt(texto.substring(0, 2)));
+        return isNaN(data.getTime()) ? null : data;
+    }
+    
+    /**
+     * Formata uma competência AAAA-MM como MM/AAAA
+     * @param {string} competencia - Competência no formato AAAA-MM
+     * @returns {string} - Competência formatada
+     */
+    function formatarCompetencia(competencia) {
+        const [ano, mes] = String(competencia || '').split('-');
+        return mes && ano ? `${mes}/${ano}` : String(competencia || '');
+    }
+    
+    /**
+     * Ordena as EFD mensais (SPED Fiscal e SPED Contribuições) pelo período do registro 0000 e
+     * monta as competências da série mensal. Arquivos que se sobrepõem a um período já coberto são
+     * ignorados na série e as competências sem arquivo são informadas no log.
+     * @param {Array} resultados - Dados de todos os arquivos processados
+     * @returns {Object} - Competências em ordem ({competencia, fiscal, contribuicoes}), arquivos mais
+     *                     recentes de cada tipo, lacunas e sobreposições encontradas
+     */
+    function organizarPeriodos(resultados) {
+        const competencias = {};
+        const maisRecentes = [];
+        const lacunas = [];
+        const sobreposicoes = [];
+
+        ['fiscal', 'contribuicoes'].forEach(tipo => {
+            const rotulo = tipo === 'fiscal' ? 'SPED Fiscal' : 'SPED Contribuições';
+            const arquivos = resultados
+                .filter(resultado => resultado?.metadados?.tipoArquivo === tipo)
+                .map(resultado => ({
+                    resultado,
+                    inicio: converterDataSped(resultado.empresa?.dataInicial),
+                    fim: converterDataSped(resultado.empresa?.dataFinal)
+                }));
+            if (arquivos.length === 0) return;
+
+            const semPeriodo = arquivos.filter(arquivo => !arquivo.inicio || !arquivo.fim || arquivo.fim < arquivo.inicio);
+            semPeriodo.forEach(arquivo => {
+                adicionarLog(`${arquivo.resultado.metadados.nomeArquivo}: período do registro 0000 inválido, arquivo fora da série mensal.`, 'warning');
+            });
+
+            const validos = arquivos
+                .filter(arquivo => !semPeriodo.includes(arquivo))
+                .sort((a, b) => a.inicio - b.inicio || a.fim - b.fim);
+
+            // Os parâmetros fiscais usam a competência mais recente de cada tipo
+            const ultimo = validos.length > 0 ? validos[validos.length - 1] : arquivos[arquivos.length - 1];
+            maisRecentes.push(ultimo.resultado);
+
+            let anterior = null;
+            validos.forEach(arquivo => {
+                const nomeArquivo = arquivo.resultado.metadados.nomeArquivo;
+
+                if (anterior && arquivo.inicio <= anterior.fim) {
+                    sobreposicoes.push({ tipo, arquivo: nomeArquivo, arquivoAnterior: anterior.resultado.metadados.nomeArquivo });
+                    adicionarLog(`${rotulo}: ${nomeArquivo} sobrepõe o período de ${anterior.resultado.metadados.nomeArquivo} e foi ignorado na série mensal.`, 'warning');
+                    return;
+                }
+
+                if (anterior) {
+                    const esperado = new Date(anterior.fim.getFullYear(), anterior.fim.getMonth(), anterior.fim.getDate() + 1);
+                    if (arquivo.inicio > esperado) {
+                        const fimLacuna = new Date(arquivo.inicio.getFullYear(), arquivo.inicio.getMonth(), arquivo.inicio.getDate() - 1);
+                        lacunas.push({ tipo, inicio: esperado, fim: fimLacuna });
+                        adicionarLog(`${rotulo}: período sem arquivo de ${esperado.toLocaleDateString('pt-BR')} a ${fimLacuna.toLocaleDateString('pt-BR')}.`, 'warning');
+                    }
+                }
+
+                if (arquivo.inicio.getFullYear() !== arquivo.fim.getFullYear() || arquivo.inicio.getMonth() !== arquivo.fim.getMonth()) {
+                    adicionarLog(`${rotulo}: ${nomeArquivo} abrange mais de um mês e foi atribuído à competência inicial.`, 'warning');
+                }
+
+                const competencia = `${arquivo.inicio.getFullYear()}-${String(arquivo.inicio.getMonth() + 1).padStart(2, '0')}`;
+                competencias[competencia] = competencias[competencia] || { competencia, fiscal: null, contribuicoes: null };
+                competencias[competencia][tipo] = arquivo.resultado;
+                anterior = arquivo;
+            });
+        });
+
+        return {
+            competencias: Object.values(competencias).sort((a, b) => a.competencia.localeCompare(b.competencia)),
+            maisRecentes,
+            lacunas,
+            sobreposicoes
+        };
+    }
+    
     /**
      * Combina os resultados de múltiplos arquivos SPED
      */
@@ -601,11 +900,11 @@ const ImportacaoController = (function() {
 
                         // Preservar registros específicos de impostos (evitar duplicação)
                         if (prop === 'debitos' || prop === 'creditos' || prop === 'ajustes') {
-                            // Verificar se são registros de impostos específicos (E110, E200, M200, M210, M600, M610)
+                            // Verificar se são registros de impostos específicos (E110, E520, M200, M210, M600, M610)
                             if (Array.isArray(valores)) {
                                 valores.forEach(valor => {
                                     // Verificar registros específicos pelos campos mapeados
-                                    if (valor.registro === 'E110' || valor.registro === 'E200' || 
+                                    if (valor.registro === 'E110' || valor.registro === 'E520' || 
                                         valor.registro === 'M200' || valor.registro === 'M210' || 
                                         valor.registro === 'M600' || valor.registro === 'M610') {
 
@@ -992,7 +1291,8 @@ const ImportacaoController = (function() {
                     ),
                     margem: window.DataManager.extrairValorPercentual(dadosExtraidos.empresa.margem || 0.15),
                     tipoEmpresa: dadosExtraidos.empresa.tipoEmpresa || '',
-                    regime: dadosExtraidos.empresa.regime || ''
+                    regime: dadosExtraidos.empresa.regime || '',
+                    serieMensal: dadosExtraidos.empresa.serieMensal || []
                 };
             }
 
@@ -1022,7 +1322,8 @@ const ImportacaoController = (function() {
                     percPrazo: window.DataManager.extrairValorPercentual(
                         dadosExtraidos.cicloFinanceiro.percPrazo || 
                         dadosExtraidos.cicloFinanceiro.percentualPrazo || 0.7
-                    )
+                    ),
+                    mixRecebimentos: dadosExtraidos.cicloFinanceiro.mixRecebimentos || []
                 };
             }
 
@@ -1038,6 +1339,22 @@ const ImportacaoController = (function() {
                 regimePisCofins: dadosExtraidos.parametrosFiscais?.regimePisCofins || ''
             };
 
+            // ICMS-ST, DIFAL e FCP - cargas efetivas apuradas no E210/E310
+            if (dadosExtraidos.parametrosFiscais?.icmsComplementar) {
+                estruturaAdaptada.parametrosFiscais.icmsComplementar = {
+                    ...(estruturaAdaptada.parametrosFiscais.icmsComplementar || {}),
+                    ...dadosExtraidos.parametrosFiscais.icmsComplementar
+                };
+            }
+
+            // Saldo credor de ICMS a transportar (E110)
+            if (dadosExtraidos.parametrosFiscais?.saldoCredorICMS) {
+                estruturaAdaptada.parametrosFiscais.saldoCredorICMS = {
+                    ...(estruturaAdaptada.parametrosFiscais.saldoCredorICMS || {}),
+                    ...dadosExtraidos.parametrosFiscais.saldoCredorICMS
+                };
+            }
+
             // Créditos - Extrair diretamente dos registros mapeados
             estruturaAdaptada.parametrosFiscais.creditos = {
                 pis: window.DataManager.normalizarValor(obterCreditoPIS(dadosExtraidos), 'monetario'),
@@ -1048,6 +1365,18 @@ const ImportacaoController = (function() {
                 ibs: 0   // Valor padrão, será calculado depois
             };
 
+            // Fornecedores (0150/C100): crédito de CBS/IBS recuperável conforme o regime de cada um
+            const fornecedores = dadosExtraidos.parametrosFiscais?.fornecedores || [];
+            estruturaAdaptada.parametrosFiscais.fornecedores = fornecedores;
+            if (fornecedores.length > 0 && window.CreditosFornecedores) {
+                const creditosFornecedores = window.CreditosFornecedores.calcular(fornecedores, {
+                    cbs: window.DataManager.extrairValorPercentual(dadosExtraidos.ivaConfig?.cbs || 0.088),
+                    ibs: window.DataManager.extrairValorPercentual(dadosExtraidos.ivaConfig?.ibs || 0.177)
+                });
+                estruturaAdaptada.parametrosFiscais.creditos.cbs = creditosFornecedores.totais.creditoCBS;
+                estruturaAdaptada.parametrosFiscais.creditos.ibs = creditosFornecedores.totais.creditoIBS;
+            }
+
             // Débitos - Extrair diretamente dos registros mapeados
             if (!estruturaAdaptada.parametrosFiscais.debitos) {
                 estruturaAdaptada.parametrosFiscais.debitos = {};
@@ -1080,7 +1409,9 @@ const ImportacaoController = (function() {
                     cbs: window.DataManager.extrairValorPercentual(dadosExtraidos.ivaConfig.cbs || 0.088),
                     ibs: window.DataManager.extrairValorPercentual(dadosExtraidos.ivaConfig.ibs || 0.177),
                     categoriaIva: dadosExtraidos.ivaConfig.categoriaIva || 'standard',
-                    reducaoEspecial: window.DataManager.extrairValorPercentual(dadosExtraidos.ivaConfig.reducaoEspecial || 0)
+                    reducaoEspecial: window.DataManager.extrairValorPercentual(dadosExtraidos.ivaConfig.reducaoEspecial || 0),
+                    destinosIBS: dadosExtraidos.ivaConfig.destinosIBS || [],
+                    itensNCM: dadosExtraidos.ivaConfig.itensNCM || []
                 };
             }
 
@@ -1687,6 +2018,11 @@ const ImportacaoController = (function() {
                 adicionarLog(`Regime tributário não reconhecido: ${dadosEmpresa.regime}`, 'warning');
             }
         }
+
+        // Série mensal das EFD importadas
+        if (typeof FormsManager !== 'undefined' && typeof FormsManager.preencherSerieMensal === 'function') {
+            FormsManager.preencherSerieMensal(dadosEmpresa.serieMensal || []);
+        }
     }  
     
     /**
@@ -2062,13 +2398,13 @@ const ImportacaoController = (function() {
     }
 
     /**
-     * Obtém o valor de débito de IPI a partir do registro E200 (campo 2)
+     * Obtém o valor de débito de IPI a partir do registro E520 (campo 3)
      */
     function obterDebitoIPI(dados) {
-        // Buscar registro E200 no array de débitos IPI
-        const registrosE200 = dados.debitos?.ipi?.filter(reg => reg.registro === 'E200') || [];
-        if (registrosE200.length > 0 && registrosE200[0].valorTotalDebitos !== undefined) {
-            return registrosE200[0].valorTotalDebitos;
+        // Buscar registro E520 no array de débitos IPI
+        const registrosE520 = dados.debitos?.ipi?.filter(reg => reg.registro === 'E520') || [];
+        if (registrosE520.length > 0 && registrosE520[0].valorTotalDebitos !== undefined) {
+            return registrosE520[0].valorTotalDebitos;
         }
 
         // Verificar se há dados em parametrosFiscais.debitos.ipi (de um processamento anterior)
@@ -2081,13 +2417,13 @@ const ImportacaoController = (function() {
     }
 
     /**
-     * Obtém o valor de crédito de IPI a partir do registro E200 (campo 3)
+     * Obtém o valor de crédito de IPI a partir do registro E520 (campo 4)
      */
     function obterCreditoIPI(dados) {
-        // Buscar registro E200 no array de débitos IPI
-        const registrosE200 = dados.debitos?.ipi?.filter(reg => reg.registro === 'E200') || [];
-        if (registrosE200.length > 0 && registrosE200[0].valorTotalCreditos !== undefined) {
-            return registrosE200[0].valorTotalCreditos;
+        // Buscar registro E520 no array de débitos IPI
+        const registrosE520 = dados.debitos?.ipi?.filter(reg => reg.registro === 'E520') || [];
+        if (registrosE520.length > 0 && registrosE520[0].valorTotalCreditos !== undefined) {
+            return registrosE520[0].valorTotalCreditos;
         }
 
         // Verificar se há dados em parametrosFiscais.creditos.ipi (de um processamento anterior)
@@ -2501,6 +2837,64 @@ const ImportacaoController = (function() {
             }
         }
 
+        // Cargas efetivas de ICMS-ST, DIFAL e FCP (E210/E310)
+        const icmsComplementar = parametrosFiscais?.icmsComplementar;
+        if (icmsComplementar) {
+            const camposCarga = {
+                'icms-carga-efetiva-st': icmsComplementar.cargaEfetivaST,
+                'icms-carga-efetiva-difal': icmsComplementar.cargaEfetivaDIFAL,
+                'icms-carga-efetiva-fcp': icmsComplementar.cargaEfetivaFCP
+            };
+
+            Object.entries(camposCarga).forEach(([id, carga]) => {
+                const campo = document.getElementById(id);
+                if (campo && carga > 0) {
+                    campo.value = (carga * 100).toFixed(2);
+                    marcarFonteDados(campo, 'sped_fiscal');
+                    campo.dispatchEvent(new Event('input', { bubbles: true }));
+                }
+            });
+
+            if (camposCarga['icms-carga-efetiva-st'] > 0 || camposCarga['icms-carga-efetiva-difal'] > 0 ||
+                camposCarga['icms-carga-efetiva-fcp'] > 0) {
+                adicionarLog('Cargas efetivas de ICMS-ST, DIFAL e FCP preenchidas a partir do E210/E310.', 'info');
+            }
+        }
+
+        // Saldo credor de ICMS a transportar (E110)
+        const saldoCredorICMS = parametrosFiscais?.saldoCredorICMS;
+        if (saldoCredorICMS?.saldoInicial > 0) {
+            const campoSaldo = document.getElementById('saldo-credor-icms');
+            if (campoSaldo) {
+                campoSaldo.value = window.CurrencyFormatter?.formatarValorMonetario ?
+                    window.CurrencyFormatter.formatarValorMonetario(saldoCredorICMS.saldoInicial * 100) :
+                    saldoCredorICMS.saldoInicial.toFixed(2);
+                marcarFonteDados(campoSaldo, 'sped_fiscal');
+            }
+
+            const campoData = document.getElementById('saldo-credor-data-referencia');
+            if (campoData && saldoCredorICMS.dataReferencia) {
+                campoData.value = saldoCredorICMS.dataReferencia;
+                marcarFonteDados(campoData, 'sped_fiscal');
+            }
+
+            const campoAcumulo = document.getElementById('saldo-credor-acumulo-mensal');
+            if (campoAcumulo && typeof saldoCredorICMS.acumuloMensal === 'number') {
+                campoAcumulo.value = saldoCredorICMS.acumuloMensal.toFixed(2);
+                marcarFonteDados(campoAcumulo, 'sped_fiscal');
+            }
+
+            adicionarLog(`Saldo credor de ICMS identificado (E110): ${formatarMoeda(saldoCredorICMS.saldoInicial)}.`, 'info');
+        }
+
+        // Fornecedores e regime tributário para o crédito de CBS/IBS
+        if (Array.isArray(parametrosFiscais?.fornecedores) && parametrosFiscais.fornecedores.length > 0 &&
+            typeof FormsManager !== 'undefined' && typeof FormsManager.preencherFornecedores === 'function') {
+            FormsManager.preencherFornecedores(parametrosFiscais.fornecedores);
+            const semCredito = parametrosFiscais.fornecedores.filter(fornecedor => fornecedor.regime !== 'regular' && fornecedor.regime !== 'simplesRegular').length;
+            adicionarLog(`Compras de ${parametrosFiscais.fornecedores.length} fornecedores importadas (${semCredito} com crédito de CBS/IBS limitado ou inexistente).`, 'info');
+        }
+
         // Alíquotas efetivas se disponíveis
         preencherAliquotasEfetivas(dadosExtraidos);
     }
@@ -3017,6 +3411,13 @@ const ImportacaoController = (function() {
                 console.log(`IMPORTACAO-CONTROLLER: Percentual de vendas à vista preenchido: ${percVista.toFixed(1)}%`);
             }
 
+            // Mix de meios de pagamento (formas de pagamento dos XML)
+            if (Array.isArray(cicloFinanceiro.mixRecebimentos) && cicloFinanceiro.mixRecebimentos.length > 0 &&
+                typeof FormsManager !== 'undefined' && typeof FormsManager.preencherMeiosPagamento === 'function') {
+                FormsManager.preencherMeiosPagamento(cicloFinanceiro.mixRecebimentos);
+                adicionarLog(`Mix de recebimentos importado com ${cicloFinanceiro.mixRecebimentos.length} meios de pagamento.`, 'info');
+            }
+
             return true;
         } catch (erro) {
             console.error('IMPORTACAO-CONTROLLER: Erro ao preencher ciclo financeiro:', erro);
@@ -3145,6 +3546,20 @@ const ImportacaoController = (function() {
         } else {
             preencherCamposIVAManuais(ivaConfig);
         }
+
+        // Distribuição do faturamento por destino para o IBS
+        if (Array.isArray(ivaConfig.destinosIBS) && ivaConfig.destinosIBS.length > 0 &&
+            typeof FormsManager !== 'undefined' && typeof FormsManager.preencherDestinosIBS === 'function') {
+            FormsManager.preencherDestinosIBS(ivaConfig.destinosIBS);
+            adicionarLog(`Faturamento distribuído entre ${ivaConfig.destinosIBS.length} destinos para o cálculo do IBS.`, 'info');
+        }
+
+        // Vendas e compras por NCM para o cálculo da CBS/IBS por produto
+        if (Array.isArray(ivaConfig.itensNCM) && ivaConfig.itensNCM.length > 0 &&
+            typeof FormsManager !== 'undefined' && typeof FormsManager.preencherItensNCM === 'function') {
+            FormsManager.preencherItensNCM(ivaConfig.itensNCM);
+            adicionarLog(`${ivaConfig.itensNCM.length} NCMs importados para o cálculo da CBS/IBS por produto.`, 'info');
+        }
     }
 
     function preencherCamposIVAManuais(ivaConfig) {
@@ -3246,11 +3661,20 @@ const ImportacaoController = (function() {
      * Cancela o processo de importação
      */
     function cancelarImportacao() {
+        // Interromper a leitura dos arquivos em andamento
+        if (window.SpedParser && typeof window.SpedParser.cancelarProcessamento === 'function') {
+            window.SpedParser.cancelarProcessamento();
+        }
+        if (window.NfeXmlParser && typeof window.NfeXmlParser.cancelarProcessamento === 'function') {
+            window.NfeXmlParser.cancelarProcessamento();
+        }
+
         // Limpar campos de arquivo
         if (elements.spedFiscal) elements.spedFiscal.value = '';
         if (elements.spedContribuicoes) elements.spedContribuicoes.value = '';
         if (elements.spedEcf) elements.spedEcf.value = '';
         if (elements.spedEcd) elements.spedEcd.value = '';
+        if (elements.xmlDocumentos) elements.xmlDocumentos.value = '';
 
         // Limpar dados
         dadosImportados = null;
@@ -3269,7 +3693,8 @@ const ImportacaoController = (function() {
             (elements.spedFiscal?.files.length > 0) ||
             (elements.spedContribuicoes?.files.length > 0) ||
             (elements.spedEcf?.files.length > 0) ||
-            (elements.spedEcd?.files.length > 0)
+            (elements.spedEcd?.files.length > 0) ||
+            (elements.xmlDocumentos?.files.length > 0)
         );
     }
     
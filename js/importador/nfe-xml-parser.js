@@ -0,0 +1,951 @@
+/**
+ * NfeXmlParser - Importação de documentos fiscais eletrônicos em XML (NF-e, NFC-e e CT-e)
+ * Fonte de dados alternativa ao SPED: lê os XML exportados pelo ERP, identifica a empresa pelo
+ * CNPJ que aparece em mais documentos (como emitente, destinatário ou tomador) e agrega as
+ * operações por mês, CFOP, UF de destino e meio de pagamento. O resultado tem a mesma estrutura
+ * que o SpedExtractor.extrairDadosParaSimulador entrega ao adaptarParaDataManager.
+ */
+const NfeXmlParser = (function() {
+    /**
+     * Modelos de documento fiscal reconhecidos
+     * @type {Object}
+     */
+    const MODELOS = {
+        '55': 'NF-e',
+        '65': 'NFC-e',
+        '57': 'CT-e',
+        '67': 'CT-e OS'
+    };
+
+    /**
+     * Situações do protocolo de autorização aceitas (100: autorizado; 150: autorizado fora de prazo)
+     * @type {Array}
+     */
+    const SITUACOES_AUTORIZADAS = ['100', '150'];
+
+    /**
+     * Tipo do evento de cancelamento da NF-e e do CT-e
+     * @type {string}
+     */
+    const EVENTO_CANCELAMENTO = '110111';
+
+    /**
+     * Formas de pagamento da NF-e/NFC-e (pag/detPag/tPag) e o meio de pagamento correspondente em
+     * LiquidacaoRecebiveis. Formas sem liquidação financeira (sem pagamento, programa de
+     * fidelidade, outros) não entram no mix de recebimentos.
+     * @type {Object}
+     */
+    const FORMAS_PAGAMENTO = {
+        '01': { nome: 'Dinheiro', meio: 'dinheiro' },
+        '02': { nome: 'Cheque', meio: 'dinheiro' },
+        '03': { nome: 'Cartão de crédito', meio: 'creditoVista' },
+        '04': { nome: 'Cartão de débito', meio: 'debito' },
+        '05': { nome: 'Crédito loja', meio: 'boleto' },
+        '10': { nome: 'Vale alimentação', meio: 'creditoVista' },
+        '11': { nome: 'Vale refeição', meio: 'creditoVista' },
+        '12': { nome: 'Vale presente', meio: 'creditoVista' },
+        '13': { nome: 'Vale combustível', meio: 'creditoVista' },
+        '15': { nome: 'Boleto bancário', meio: 'boleto' },
+        '16': { nome: 'Depósito bancário', meio: 'pix' },
+        '17': { nome: 'PIX dinâmico', meio: 'pix' },
+        '18': { nome: 'Transferência bancária', meio: 'pix' },
+        '19': { nome: 'Programa de fidelidade', meio: null },
+        '20': { nome: 'PIX estático', meio: 'pix' },
+        '90': { nome: 'Sem pagamento', meio: null },
+        '99': { nome: 'Outros', meio: null }
+    };
+
+    /**
+     * Finais de CFOP de venda de produção do estabelecimento (indústria)
+     * @type {Array}
+     */
+    const CFOPS_PRODUCAO = ['101', '103', '105', '109', '111', '113', '116', '118', '122', '124', '125', '401'];
+
+    /**
+     * Finais de CFOP de entrada sem crédito no mês: ativo imobilizado (crédito parcelado em 48
+     * meses) e material de uso e consumo
+     * @type {Array}
+     */
+    const CFOPS_SEM_CREDITO = ['406', '407', '551', '552', '553', '555', '556', '557'];
+
+    /**
+     * Alíquotas de PIS e COFINS do regime não cumulativo, usadas nos créditos das compras
+     * @type {Object}
+     */
+    const ALIQUOTAS_NAO_CUMULATIVO = { pis: 0.0165, cofins: 0.076 };
+
+    const MS_POR_DIA = 86400000;
+
+    // Indica se o processamento em andamento foi cancelado
+    let cancelado = false;
+
+    /**
+     * Lê o conteúdo de um arquivo XML (UTF-8, conforme o leiaute da NF-e e do CT-e)
+     * @param {File} arquivo - Arquivo selecionado
+     * @returns {Promise<string>} - Conteúdo do arquivo
+     */
+    function lerArquivo(arquivo) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = e => resolve(e.target.result);
+            reader.onerror = e => reject(new Error('Erro ao ler o arquivo: ' + e.target.error));
+            reader.readAsText(arquivo, 'UTF-8');
+        });
+    }
+
+    /**
+     * Obtém o primeiro filho com o nome informado, ignorando o namespace
+     * @param {Element} no - Elemento pai
+     * @param {string} nome - Nome local do filho
+     * @returns {Element|null} - Elemento filho ou null
+     */
+    function filho(no, nome) {
+        if (!no) return null;
+        return Array.from(no.children || []).find(elemento => elemento.localName === nome) || null;
+    }
+
+    /**
+     * Obtém todos os filhos com o nome informado, ignorando o namespace
+     * @param {Element} no - Elemento pai
+     * @param {string} nome - Nome local dos filhos
+     * @returns {Array} - Elementos filhos
+     */
+    function filhos(no, nome) {
+        if (!no) return [];
+        return Array.from(no.children || []).filter(elemento => elemento.localName === nome);
+    }
+
+    /**
+     * Percorre o caminho de elementos a partir do nó (ex.: 'emit/enderEmit/UF')
+     * @param {Element} no - Elemento inicial
+     * @param {string} caminho - Nomes locais separados por '/'
+     * @returns {Element|null} - Elemento encontrado ou null
+     */
+    function elemento(no, caminho) {
+        return caminho.split('/').reduce((atual, nome) => filho(atual, nome), no);
+    }
+
+    /**
+     * Obtém o texto de um elemento pelo caminho
+     * @param {Element} no - Elemento inicial
+     * @param {string} caminho - Caminho do elemento
+     * @returns {string} - Texto sem espaços nas extremidades ('' se ausente)
+     */
+    function texto(no, caminho) {
+        const encontrado = elemento(no, caminho);
+        return encontrado ? String(encontrado.textContent || '').trim() : '';
+    }
+
+    /**
+     * Obtém o valor numérico de um elemento pelo caminho (decimais com ponto, conforme o leiaute)
+     * @param {Element} no - Elemento inicial
+     * @param {string} caminho - Caminho do elemento
+     * @returns {number} - Valor ou 0 se ausente
+     */
+    function numero(no, caminho) {
+        const valor = parseFloat(texto(no, caminho));
+        return isNaN(valor) ? 0 : valor;
+    }
+
+    /**
+     * Obtém o único filho de um grupo de escolha (ex.: ICMS/ICMS00, PIS/PISAliq)
+     * @param {Element} no - Elemento do grupo
+     * @returns {Element|null} - Elemento filho ou null
+     */
+    function grupoEscolha(no) {
+        return no && no.children && no.children.length > 0 ? no.children[0] : null;
+    }
+
+    /**
+     * Converte a data de emissão (dhEmi com fuso ou dEmi) na data AAAA-MM-DD
+     * @param {string} valor - Data ou data e hora no formato ISO 8601
+     * @returns {string} - Data AAAA-MM-DD ou '' se inválida
+     */
+    function converterData(valor) {
+        const data = String(valor || '').substring(0, 10);
+        return /^\d{4}-\d{2}-\d{2}$/.test(data) ? data : '';
+    }
+
+    /**
+     * Calcula os dias entre duas datas AAAA-MM-DD
+     * @param {string} inicio - Data inicial
+     * @param {string} fim - Data final
+     * @returns {number|null} - Dias entre as datas ou null se alguma for inválida
+     */
+    function diasEntre(inicio, fim) {
+        const dataInicio = Date.parse(inicio);
+        const dataFim = Date.parse(fim);
+        if (isNaN(dataInicio) || isNaN(dataFim)) return null;
+        return Math.round((dataFim - dataInicio) / MS_POR_DIA);
+    }
+
+    /**
+     * Lê a identificação de um participante (emitente, destinatário, remetente ou tomador)
+     * @param {Element} no - Elemento do participante
+     * @param {string} endereco - Nome do grupo de endereço (enderEmit, enderDest, enderReme...)
+     * @returns {Object|null} - {documento, nome, uf, codigoMunicipio, contribuinte, crt} ou null
+     */
+    function lerParticipante(no, endereco) {
+        if (!no) return null;
+
+        const documento = texto(no, 'CNPJ') || texto(no, 'CPF');
+        return {
+            documento,
+            nome: texto(no, 'xNome'),
+            uf: texto(no, `${endereco}/UF`).toUpperCase(),
+            codigoMunicipio: texto(no, `${endereco}/cMun`),
+            // indIEDest 1: contribuinte do ICMS; no emitente, a presença da IE
+            contribuinte: texto(no, 'indIEDest') ? texto(no, 'indIEDest') === '1' : !!texto(no, 'IE'),
+            crt: texto(no, 'CRT')
+        };
+    }
+
+    /**
+     * Lê os itens (det) da NF-e/NFC-e com os tributos destacados
+     * @param {Element} infNFe - Elemento infNFe
+     * @returns {Array} - Itens ({codigo, descricao, ncm, cfop, valor, icms, icmsST, fcp, difal, ipi, pis, cofins, aliquotaPIS})
+     */
+    function lerItensNFe(infNFe) {
+        return filhos(infNFe, 'det').map(det => {
+            const prod = filho(det, 'prod');
+            const imposto = filho(det, 'imposto');
+            const icms = grupoEscolha(filho(imposto, 'ICMS'));
+            const pis = grupoEscolha(filho(imposto, 'PIS'));
+            const cofins = grupoEscolha(filho(imposto, 'COFINS'));
+
+            return {
+                codigo: texto(prod, 'cProd'),
+                descricao: texto(prod, 'xProd'),
+                ncm: texto(prod, 'NCM').replace(/\D/g, ''),
+                cfop: texto(prod, 'CFOP'),
+                // Valor da operação sem os tributos cobrados por fora (IPI e ICMS-ST)
+                valor: numero(prod, 'vProd') + numero(prod, 'vFrete') + numero(prod, 'vSeg') +
+                    numero(prod, 'vOutro') - numero(prod, 'vDesc'),
+                icms: numero(icms, 'vICMS'),
+                icmsST: numero(icms, 'vICMSST'),
+                fcp: numero(icms, 'vFCP') + numero(icms, 'vFCPST'),
+                difal: numero(imposto, 'ICMSUFDest/vICMSUFDest') + numero(imposto, 'ICMSUFDest/vFCPUFDest'),
+                ipi: numero(imposto, 'IPI/IPITrib/vIPI'),
+                pis: numero(pis, 'vPIS'),
+                cofins: numero(cofins, 'vCOFINS'),
+                aliquotaPIS: numero(pis, 'pPIS')
+            };
+        });
+    }
+
+    /**
+     * Interpreta uma NF-e ou NFC-e (infNFe)
+     * @param {Element} infNFe - Elemento infNFe
+     * @returns {Object} - Documento fiscal
+     */
+    function interpretarNFe(infNFe) {
+        const ide = filho(infNFe, 'ide');
+        const dataEmissao = converterData(texto(ide, 'dhEmi') || texto(ide, 'dEmi'));
+
+        // Protocolo de autorização do nfeProc (irmão do elemento NFe)
+        const nfeProc = infNFe.parentNode?.parentNode;
+        const situacao = nfeProc?.localName === 'nfeProc' ? texto(nfeProc, 'protNFe/infProt/cStat') : '';
+
+        // Duplicatas: número de parcelas e prazo médio de vencimento
+        const duplicatas = filhos(elemento(infNFe, 'cobr'), 'dup').map(dup => ({
+            valor: numero(dup, 'vDup'),
+            dias: diasEntre(dataEmissao, texto(dup, 'dVenc'))
+        }));
+
+        return {
+            tipo: 'nfe',
+            modelo: texto(ide, 'mod'),
+            chave: String(infNFe.getAttribute('Id') || '').replace(/^NFe/, ''),
+            numero: texto(ide, 'nNF'),
+            serie: texto(ide, 'serie'),
+            dataEmissao,
+            competencia: dataEmissao.substring(0, 7),
+            // tpNF 0: entrada; 1: saída
+            tipoNota: texto(ide, 'tpNF'),
+            // finNFe 4: devolução de mercadoria
+            devolucao: texto(ide, 'finNFe') === '4',
+            naturezaOperacao: texto(ide, 'natOp'),
+            situacao,
+            emitente: lerParticipante(filho(infNFe, 'emit'), 'enderEmit'),
+            destinatario: lerParticipante(filho(infNFe, 'dest'), 'enderDest'),
+            tomador: null,
+            itens: lerItensNFe(infNFe),
+            valorTotal: numero(infNFe, 'total/ICMSTot/vNF'),
+            pagamentos: filhos(elemento(infNFe, 'pag'), 'detPag').map(detPag => ({
+                forma: texto(detPag, 'tPag'),
+                valor: numero(detPag, 'vPag')
+            })),
+            duplicatas
+        };
+    }
+
+    /**
+     * Interpreta um CT-e (infCte). O tomador do serviço é indicado em ide/toma3 (remetente,
+     * expedidor, recebedor ou destinatário) ou informado em ide/toma4.
+     * @param {Element} infCte - Elemento infCte
+     * @returns {Object} - Documento fiscal
+     */
+    function interpretarCTe(infCte) {
+        const ide = filho(infCte, 'ide');
+        const dataEmissao = converterData(texto(ide, 'dhEmi'));
+
+        const cteProc = infCte.parentNode?.parentNode;
+        const situacao = cteProc?.localName === 'cteProc' ? texto(cteProc, 'protCTe/infProt/cStat') : '';
+
+        const participantes = {
+            '0': lerParticipante(filho(infCte, 'rem'), 'enderReme'),
+            '1': lerParticipante(filho(infCte, 'exped'), 'enderExped'),
+            '2': lerParticipante(filho(infCte, 'receb'), 'enderReceb'),
+            '3': lerParticipante(filho(infCte, 'dest'), 'enderDest')
+        };
+        const toma4 = elemento(ide, 'toma4');
+        const tomador = toma4 ?
+            lerParticipante(toma4, 'enderToma') :
+            participantes[texto(ide, 'toma3/toma') || texto(ide, 'toma03/toma')] || null;
+
+        // O destino da prestação de transporte é o município de término
+        const destino = {
+            documento: tomador?.documento || '',
+            nome: tomador?.nome || '',
+            uf: texto(ide, 'UFFim').toUpperCase(),
+            codigoMunicipio: texto(ide, 'cMunFim'),
+            contribuinte: tomador?.contribuinte || false,
+            crt: ''
+        };
+
+        const icms = grupoEscolha(elemento(infCte, 'imp/ICMS'));
+        const valor = numero(infCte, 'vPrest/vTPrest');
+
+        return {
+            tipo: 'cte',
+            modelo: texto(ide, 'mod'),
+            chave: String(infCte.getAttribute('Id') || '').replace(/^CTe/, ''),
+            numero: texto(ide, 'nCT'),
+            serie: texto(ide, 'serie'),
+            dataEmissao,
+            competencia: dataEmissao.substring(0, 7),
+            tipoNota: '1',
+            devolucao: false,
+            naturezaOperacao: texto(ide, 'natOp'),
+            situacao,
+            emitente: lerParticipante(filho(infCte, 'emit'), 'enderEmit'),
+            destinatario: destino,
+            tomador,
+            itens: [{
+                codigo: '',
+                descricao: 'Prestação de serviço de transporte',
+                ncm: '',
+                cfop: texto(ide, 'CFOP'),
+                valor,
+                icms: numero(icms, 'vICMS') || numero(icms, 'vICMSOutraUF'),
+                icmsST: numero(icms, 'vICMSSTRet'),
+                fcp: 0,
+                difal: 0,
+                ipi: 0,
+                pis: 0,
+                cofins: 0,
+                aliquotaPIS: 0
+            }],
+            valorTotal: valor,
+            pagamentos: [],
+            duplicatas: []
+        };
+    }
+
+    /**
+     * Interpreta o conteúdo de um arquivo XML: NF-e/NFC-e (NFe, nfeProc ou lote enviNFe), CT-e
+     * (CTe, cteProc) e eventos de cancelamento (procEventoNFe, procEventoCTe)
+     * @param {string} conteudo - Conteúdo do arquivo
+     * @returns {Object} - {documentos, cancelamentos (chaves), erro}
+     */
+    function interpretarXML(conteudo) {
+        const resultado = { documentos: [], cancelamentos: [], erro: null };
+
+        const xml = new DOMParser().parseFromString(String(conteudo || '').replace(/^\uFEFF/, ''), 'application/xml');
+        if (xml.getElementsByTagName('parsererror').length > 0 || !xml.documentElement) {
+            resultado.erro = 'XML mal formado';
+            return resultado;
+        }
+
+        Array.from(xml.getElementsByTagNameNS('*', 'infNFe')).forEach(infNFe => {
+            resultado.documentos.push(interpretarNFe(infNFe));
+        });
+        Array.from(xml.getElementsByTagNameNS('*', 'infCte')).forEach(infCte => {
+            resultado.documentos.push(interpretarCTe(infCte));
+        });
+        Array.from(xml.getElementsByTagNameNS('*', 'infEvento')).forEach(infEvento => {
+            const chave = texto(infEvento, 'chNFe') || texto(infEvento, 'chCTe');
+            if (texto(infEvento, 'tpEvento') === EVENTO_CANCELAMENTO && chave) {
+                resultado.cancelamentos.push(chave);
+            }
+        });
+
+        if (resultado.documentos.length === 0 && resultado.cancelamentos.length === 0) {
+            resultado.erro = 'Nenhuma NF-e, NFC-e, CT-e ou evento de cancelamento encontrado';
+        }
+
+        return resultado;
+    }
+
+    /**
+     * Identifica a empresa pelo CNPJ que aparece em mais documentos, como emitente, destinatário
+     * ou tomador
+     * @param {Array} documentos - Documentos interpretados
+     * @param {string} cnpjInformado - CNPJ da empresa, se informado (prevalece sobre a identificação)
+     * @returns {Object|null} - {cnpj, nome, uf, codigoMunicipio, crt} ou null
+     */
+    function identificarEmpresa(documentos, cnpjInformado = '') {
+        const contagem = {};
+        const cadastros = {};
+
+        documentos.forEach(documento => {
+            const participantes = [documento.emitente, documento.tipo === 'cte' ? documento.tomador : documento.destinatario];
+            new Set(participantes.map(participante => participante?.documento).filter(codigo => codigo?.length === 14))
+                .forEach(codigo => {
+                    contagem[codigo] = (contagem[codigo] || 0) + 1;
+                });
+            participantes.forEach(participante => {
+                // O cadastro do emitente é o mais completo (inclui o CRT)
+                if (participante?.documento && (!cadastros[participante.documento] || participante === documento.emitente)) {
+                    cadastros[participante.documento] = participante;
+                }
+            });
+        });
+
+        const informado = String(cnpjInformado || '').replace(/\D/g, '');
+        const cnpj = informado.length === 14 ? informado :
+            Object.keys(contagem).sort((a, b) => contagem[b] - contagem[a])[0];
+        if (!cnpj) return null;
+
+        const cadastro = cadastros[cnpj] || {};
+        return {
+            cnpj,
+            nome: cadastro.nome || '',
+            uf: cadastro.uf || '',
+            codigoMunicipio: cadastro.codigoMunicipio || '',
+            crt: cadastro.crt || ''
+        };
+    }
+
+    /**
+     * Classifica o documento do ponto de vista da empresa: saída (venda ou prestação emitida) ou
+     * entrada (compra ou frete contratado). Documentos sem a empresa são de terceiros.
+     * @param {Object} documento - Documento interpretado
+     * @param {string} cnpj - CNPJ da empresa
+     * @returns {string|null} - 'saida', 'entrada' ou null
+     */
+    function classificarOperacao(documento, cnpj) {
+        const emitente = documento.emitente?.documento === cnpj;
+
+        if (documento.tipo === 'cte') {
+            if (emitente) return 'saida';
+            return documento.tomador?.documento === cnpj ? 'entrada' : null;
+        }
+
+        if (emitente) {
+            return documento.tipoNota === '1' ? 'saida' : 'entrada';
+        }
+        if (documento.destinatario?.documento === cnpj && documento.tipoNota === '1') {
+            return 'entrada';
+        }
+        return null;
+    }
+
+    /**
+     * Cria os acumuladores de tributos por tipo
+     * @returns {Object} - {icms, ipi, pis, cofins} zerados
+     */
+    function criarTributos() {
+        return { icms: 0, ipi: 0, pis: 0, cofins: 0 };
+    }
+
+    /**
+     * Agrega os documentos da empresa por mês, CFOP, destino, meio de pagamento, NCM e fornecedor.
+     * Débitos vêm dos tributos destacados nas saídas. Créditos de ICMS e IPI vêm do destaque nas
+     * entradas; os de PIS e COFINS são calculados às alíquotas do regime não cumulativo sobre as
+     * compras com direito a crédito (somente quando a empresa está nesse regime). Devoluções de
+     * venda reduzem o faturamento e os débitos; devoluções de compra reduzem as compras e os créditos.
+     * @param {Array} documentos - Documentos classificados ({...documento, operacao})
+     * @param {Object} empresa - Empresa identificada ({uf, codigoMunicipio})
+     * @param {boolean} naoCumulativo - Se a empresa apura PIS/COFINS no regime não cumulativo
+     * @returns {Object} - Agregados por mês, CFOP, destino, forma de pagamento, NCM e fornecedor
+     */
+    function agregarDocumentos(documentos, empresa, naoCumulativo) {
+        const porMes = {};
+        const porCFOP = {};
+        const porDestino = {};
+        const porFormaPagamento = {};
+        const porNCM = {};
+        const porFornecedor = {};
+        const vendas = { b2b: 0, b2c: 0, producao: 0, servicos: 0, total: 0 };
+        const complementar = { st: 0, difal: 0, fcp: 0 };
+        const prazos = { recebimento: { soma: 0, valor: 0 }, pagamento: { soma: 0, valor: 0 } };
+
+        documentos.forEach(documento => {
+            const mes = porMes[documento.competencia] = porMes[documento.competencia] || {
+                competencia: documento.competencia,
+                faturamento: 0,
+                compras: 0,
+                debitos: criarTributos(),
+                creditos: criarTributos(),
+                documentos: 0
+            };
+            mes.documentos++;
+
+            // Devolução: estorna a operação de sentido oposto
+            const venda = documento.operacao === 'saida' ? !documento.devolucao : documento.devolucao;
+            const sinal = documento.devolucao ? -1 : 1;
+            let valorDocumento = 0;
+
+            documento.itens.forEach(item => {
+                const finalCFOP = item.cfop.substring(1);
+                const cfop = porCFOP[item.cfop] = porCFOP[item.cfop] || {
+                    cfop: item.cfop,
+                    operacao: documento.operacao,
+                    valor: 0,
+                    icms: 0,
+                    quantidadeItens: 0
+                };
+                cfop.valor += item.valor;
+                cfop.icms += item.icms;
+                cfop.quantidadeItens++;
+                valorDocumento += item.valor;
+
+                if (item.ncm) {
+                    const ncm = porNCM[item.ncm] = porNCM[item.ncm] ||
+                        { ncm: item.ncm, descricao: item.descricao, valorSaidas: 0, valorEntradas: 0, quantidadeItens: 0 };
+                    ncm[venda ? 'valorSaidas' : 'valorEntradas'] += sinal * item.valor;
+                    ncm.quantidadeItens++;
+                }
+
+                if (venda) {
+                    mes.faturamento += sinal * item.valor;
+                    mes.debitos.icms += sinal * item.icms;
+                    mes.debitos.ipi += sinal * item.ipi;
+                    mes.debitos.pis += sinal * item.pis;
+                    mes.debitos.cofins += sinal * item.cofins;
+                    complementar.st += sinal * item.icmsST;
+                    complementar.difal += sinal * item.difal;
+                    complementar.fcp += sinal * item.fcp;
+                    if (CFOPS_PRODUCAO.includes(finalCFOP)) vendas.producao += sinal * item.valor;
+                } else {
+                    mes.compras += sinal * item.valor;
+                    if (!CFOPS_SEM_CREDITO.includes(finalCFOP)) {
+                        mes.creditos.icms += sinal * item.icms;
+                        mes.creditos.ipi += sinal * item.ipi;
+                        if (naoCumulativo) {
+                            mes.creditos.pis += sinal * item.valor * ALIQUOTAS_NAO_CUMULATIVO.pis;
+                            mes.creditos.cofins += sinal * item.valor * ALIQUOTAS_NAO_CUMULATIVO.cofins;
+                        }
+                    }
+                }
+            });
+
+            if (documento.devolucao) return;
+
+            if (documento.operacao === 'saida') {
+                vendas.total += valorDocumento;
+                if (documento.tipo === 'cte') vendas.servicos += valorDocumento;
+
+                // B2B: destinatário contribuinte com CNPJ; NFC-e e pessoas físicas são B2C
+                const destinatario = documento.destinatario;
+                if (destinatario?.documento?.length === 14 && documento.modelo !== '65') {
+                    vendas.b2b += valorDocumento;
+                } else {
+                    vendas.b2c += valorDocumento;
+                }
+
+                // Destino para o IBS: município do destinatário ou, na venda presencial, o do estabelecimento
+                const uf = destinatario?.uf || empresa.uf;
+                if (uf !== 'EX') {
+                    const codigoMunicipio = destinatario?.codigoMunicipio || empresa.codigoMunicipio;
+                    const chave = codigoMunicipio || uf;
+                    if (chave) {
+                        const destino = porDestino[chave] = porDestino[chave] || { uf, codigoMunicipio, valor: 0 };
+                        destino.valor += valorDocumento;
+                    }
+                }
+
+                // Formas de pagamento: crédito com mais de uma duplicata é parcelado
+                documento.pagamentos.forEach(pagamento => {
+                    const forma = FORMAS_PAGAMENTO[pagamento.forma] || FORMAS_PAGAMENTO['99'];
+                    const parcelas = pagamento.forma === '03' ? Math.max(1, documento.duplicatas.length) : 1;
+                    const chave = `${pagamento.forma}-${parcelas > 1 ? 'parcelado' : 'vista'}`;
+                    const item = porFormaPagamento[chave] = porFormaPagamento[chave] || {
+                        forma: pagamento.forma,
+                        nome: forma.nome,
+                        meio: forma.meio === 'creditoVista' && parcelas > 1 ? 'creditoParcelado' : forma.meio,
+                        valor: 0,
+                        somaParcelas: 0
+                    };
+                    item.valor += pagamento.valor;
+                    item.somaParcelas += pagamento.valor * parcelas;
+                });
+            } else {
+                // Fornecedor da mercadoria ou transportador do frete contratado
+                const fornecedor = documento.emitente;
+                if (fornecedor?.documento && fornecedor.documento !== empresa.cnpj) {
+                    const item = porFornecedor[fornecedor.documento] = porFornecedor[fornecedor.documento] ||
+                        { documento: fornecedor.documento, nome: fornecedor.nome, uf: fornecedor.uf, crt: fornecedor.crt, valorCompras: 0 };
+                    item.valorCompras += valorDocumento;
+                }
+            }
+
+            // Prazos das duplicatas: recebimento nas saídas, pagamento nas entradas
+            const prazo = prazos[documento.operacao === 'saida' ? 'recebimento' : 'pagamento'];
+            documento.duplicatas.forEach(duplicata => {
+                if (duplicata.dias === null || duplicata.dias < 0 || duplicata.valor <= 0) return;
+                prazo.soma += duplicata.dias * duplicata.valor;
+                prazo.valor += duplicata.valor;
+            });
+        });
+
+        return {
+            porMes,
+            porCFOP: Object.values(porCFOP).sort((a, b) => b.valor - a.valor),
+            porDestino: Object.values(porDestino).sort((a, b) => b.valor - a.valor),
+            porFormaPagamento: Object.values(porFormaPagamento)
+                .map(item => ({
+                    forma: item.forma,
+                    nome: item.nome,
+                    meio: item.meio,
+                    valor: item.valor,
+                    parcelas: item.valor > 0 ? Math.round(item.somaParcelas / item.valor) : 1
+                }))
+                .sort((a, b) => b.valor - a.valor),
+            porNCM: Object.values(porNCM),
+            porFornecedor: Object.values(porFornecedor),
+            vendas,
+            complementar,
+            prazoMedioRecebimento: prazos.recebimento.valor > 0 ? prazos.recebimento.soma / prazos.recebimento.valor : null,
+            prazoMedioPagamento: prazos.pagamento.valor > 0 ? prazos.pagamento.soma / prazos.pagamento.valor : null
+        };
+    }
+
+    /**
+     * Determina o regime tributário pelo CRT do emitente e, no regime normal, pela alíquota de
+     * PIS destacada nas saídas (0,65%: cumulativo/lucro presumido; 1,65%: não cumulativo/lucro real)
+     * @param {Object} empresa - Empresa identificada ({crt})
+     * @param {Array} saidas - Documentos de saída da empresa
+     * @returns {Object} - {regime, regimePisCofins}
+     */
+    function determinarRegime(empresa, saidas) {
+        if (['1', '2', '4'].includes(empresa.crt)) {
+            return { regime: 'simples', regimePisCofins: 'cumulativo' };
+        }
+
+        const aliquotas = {};
+        saidas.forEach(documento => documento.itens.forEach(item => {
+            if (item.aliquotaPIS > 0) {
+                aliquotas[item.aliquotaPIS] = (aliquotas[item.aliquotaPIS] || 0) + item.valor;
+            }
+        }));
+        const aliquotaPredominante = parseFloat(Object.keys(aliquotas).sort((a, b) => aliquotas[b] - aliquotas[a])[0]);
+
+        if (aliquotaPredominante > 0 && aliquotaPredominante < 1) {
+            return { regime: 'presumido', regimePisCofins: 'cumulativo' };
+        }
+        return { regime: 'real', regimePisCofins: 'nao-cumulativo' };
+    }
+
+    /**
+     * Processa os arquivos XML em sequência, descarta duplicados, cancelados e não autorizados,
+     * identifica a empresa e agrega as operações
+     * @param {Array} arquivos - Arquivos XML selecionados
+     * @param {Object} opcoes - Opções do processamento
+     * @param {string} opcoes.cnpj - CNPJ da empresa (opcional; sem ele, o CNPJ mais frequente)
+     * @param {Function} opcoes.aoProgredir - Chamada após cada arquivo com {percentual, arquivosLidos, totalArquivos, documentosLidos}
+     * @returns {Promise<Object>} - {empresa, documentos, agregados, regime, metadados}
+     */
+    function processarArquivos(arquivos, opcoes = {}) {
+        const lista = Array.from(arquivos || []);
+        if (lista.length === 0) {
+            return Promise.reject(new Error('Nenhum arquivo XML selecionado'));
+        }
+
+        cancelado = false;
+        const documentos = [];
+        const cancelamentos = new Set();
+        const ignorados = [];
+
+        return lista.reduce((cadeia, arquivo, indice) => cadeia
+            .then(() => {
+                if (cancelado) {
+                    const erro = new Error('Processamento dos arquivos XML cancelado');
+                    erro.cancelado = true;
+                    throw erro;
+                }
+                return lerArquivo(arquivo);
+            })
+            .then(conteudo => {
+                const resultado = interpretarXML(conteudo);
+                if (resultado.erro) {
+                    ignorados.push({ arquivo: arquivo.name, motivo: resultado.erro });
+                }
+                resultado.documentos.forEach(documento => documentos.push({ ...documento, arquivo: arquivo.name }));
+                resultado.cancelamentos.forEach(chave => cancelamentos.add(chave));
+
+                if (typeof opcoes.aoProgredir === 'function') {
+                    opcoes.aoProgredir({
+                        percentual: (indice + 1) / lista.length * 100,
+                        arquivosLidos: indice + 1,
+                        totalArquivos: lista.length,
+                        documentosLidos: documentos.length
+                    });
+                }
+            }), Promise.resolve())
+            .then(() => consolidar(documentos, cancelamentos, ignorados, lista.length, opcoes.cnpj));
+    }
+
+    /**
+     * Consolida os documentos lidos: descarta duplicados, cancelados, não autorizados e de
+     * terceiros, classifica as operações da empresa e agrega os valores
+     * @param {Array} documentos - Documentos interpretados
+     * @param {Set} cancelamentos - Chaves com evento de cancelamento
+     * @param {Array} ignorados - Arquivos ignorados ({arquivo, motivo})
+     * @param {number} totalArquivos - Quantidade de arquivos lidos
+     * @param {string} cnpjInformado - CNPJ da empresa, se informado
+     * @returns {Object} - {empresa, documentos, agregados, regime, metadados}
+     */
+    function consolidar(documentos, cancelamentos, ignorados, totalArquivos, cnpjInformado) {
+        const descartes = { duplicados: 0, cancelados: 0, naoAutorizados: 0, semData: 0, terceiros: 0 };
+        const chaves = new Set();
+
+        const validos = documentos.filter(documento => {
+            if (documento.chave && chaves.has(documento.chave)) {
+                descartes.duplicados++;
+                return false;
+            }
+            chaves.add(documento.chave);
+
+            if (cancelamentos.has(documento.chave)) {
+                descartes.cancelados++;
+                return false;
+            }
+            if (documento.situacao && !SITUACOES_AUTORIZADAS.includes(documento.situacao)) {
+                descartes.naoAutorizados++;
+                return false;
+            }
+            if (!documento.competencia) {
+                descartes.semData++;
+                return false;
+            }
+            return true;
+        });
+
+        const empresa = identificarEmpresa(validos, cnpjInformado);
+        if (!empresa) {
+            throw new Error('Não foi possível identificar a empresa (CNPJ) nos documentos XML');
+        }
+
+        const daEmpresa = validos
+            .map(documento => ({ ...documento, operacao: classificarOperacao(documento, empresa.cnpj) }))
+            .filter(documento => {
+                if (documento.operacao) return true;
+                descartes.terceiros++;
+                return false;
+            });
+
+        const regime = determinarRegime(empresa, daEmpresa.filter(documento => documento.operacao === 'saida'));
+        const agregados = agregarDocumentos(daEmpresa, empresa, regime.regimePisCofins === 'nao-cumulativo');
+
+        const documentosPorModelo = {};
+        daEmpresa.forEach(documento => {
+            const nome = MODELOS[documento.modelo] || `Modelo ${documento.modelo}`;
+            documentosPorModelo[nome] = (documentosPorModelo[nome] || 0) + 1;
+        });
+
+        console.log(`NFE-XML-PARSER: ${daEmpresa.length} documentos da empresa ${empresa.cnpj} em ${Object.keys(agregados.porMes).length} meses`, descartes);
+
+        return {
+            empresa,
+            documentos: daEmpresa,
+            agregados,
+            regime,
+            metadados: {
+                fonte: 'xml',
+                totalArquivos,
+                totalDocumentos: documentos.length,
+                documentosEmpresa: daEmpresa.length,
+                documentosPorModelo,
+                descartes,
+                arquivosIgnorados: ignorados,
+                competencias: Object.keys(agregados.porMes).sort(),
+                dataProcessamento: new Date().toISOString()
+            }
+        };
+    }
+
+    /**
+     * Monta os dados para o simulador na estrutura do SpedExtractor.extrairDadosParaSimulador.
+     * Valores mensais são a média das competências lidas; com duas ou mais competências a série
+     * mensal alimenta a sazonalidade.
+     * @param {Object} resultado - Resultado de processarArquivos
+     * @returns {Object} - {empresa, cicloFinanceiro, parametrosFiscais, ivaConfig, validacao, metadados}
+     */
+    function extrairDadosParaSimulador(resultado) {
+        const { empresa, agregados, regime, metadados } = resultado;
+        const meses = Object.values(agregados.porMes).sort((a, b) => a.competencia.localeCompare(b.competencia));
+        const numeroMeses = Math.max(1, meses.length);
+        const media = obter => meses.reduce((total, mes) => total + obter(mes), 0) / numeroMeses;
+        const mediaTributos = campo => Object.fromEntries(
+            Object.keys(criarTributos()).map(tributo => [tributo, media(mes => mes[campo][tributo])])
+        );
+
+        const faturamento = media(mes => mes.faturamento);
+        const inconsistencias = [];
+
+        const serieMensal = meses.length > 1 ? meses.map(mes => ({
+            competencia: mes.competencia,
+            faturamento: mes.faturamento,
+            debitos: { ...mes.debitos },
+            creditos: { ...mes.creditos },
+            saldos: Object.fromEntries(Object.keys(mes.debitos).map(tributo => [tributo, mes.debitos[tributo] - mes.creditos[tributo]]))
+        })) : [];
+
+        // Tipo de empresa: prestação de transporte, venda de produção própria ou revenda
+        const vendas = agregados.vendas;
+        const tipoEmpresa = vendas.total > 0 && vendas.servicos / vendas.total > 0.5 ? 'servicos' :
+            vendas.total > 0 && vendas.producao / vendas.total > 0.5 ? 'industria' : 'comercio';
+
+        const percentualB2B = vendas.total > 0 ? vendas.b2b / vendas.total * 100 : 100;
+        const tipoOperacao = percentualB2B > 80 ? 'b2b' : percentualB2B < 20 ? 'b2c' : 'mista';
+
+        // Mix de recebimentos pelas formas de pagamento das vendas
+        const formasComMeio = agregados.porFormaPagamento.filter(item => item.meio && item.valor > 0);
+        const totalPagamentos = formasComMeio.reduce((total, item) => total + item.valor, 0);
+        const mixRecebimentos = {};
+        formasComMeio.forEach(item => {
+            const atual = mixRecebimentos[item.meio] = mixRecebimentos[item.meio] ||
+                { meio: item.meio, participacao: 0, somaParcelas: 0 };
+            atual.participacao += item.valor / totalPagamentos;
+            atual.somaParcelas += item.parcelas * item.valor / totalPagamentos;
+        });
+
+        const totalDestinos = agregados.porDestino.reduce((total, destino) => total + destino.valor, 0);
+        const destinosIBS = totalDestinos > 0 ? agregados.porDestino.map(destino => ({
+            uf: destino.uf,
+            codigoMunicipio: destino.codigoMunicipio,
+            valor: destino.valor / numeroMeses,
+            participacao: destino.valor / totalDestinos
+        })) : [];
+
+        const regimeFornecedor = fornecedor => {
+            const cadastrado = window.RegimesFornecedores && window.RegimesFornecedores.listar()
+                .some(item => item.documento === fornecedor.documento);
+            if (cadastrado || !fornecedor.crt) {
+                return window.RegimesFornecedores ? window.RegimesFornecedores.obterRegime(fornecedor.documento) : 'regular';
+            }
+            // CRT 1, 2 ou 4: Simples Nacional; 3: regime normal
+            return ['1', '2', '4'].includes(fornecedor.crt) ? 'simples' : 'regular';
+        };
+
+        if (meses.length === 0) {
+            inconsistencias.push({ tipo: 'dados_ausentes', mensagem: 'Nenhuma operação da empresa encontrada nos XML' });
+        }
+        if (faturamento <= 0) {
+            inconsistencias.push({ tipo: 'faturamento', mensagem: 'Nenhuma venda encontrada nos XML: o faturamento ficará zerado' });
+        }
+        if (metadados.descartes.terceiros > 0) {
+            inconsistencias.push({
+                tipo: 'documentos_terceiros',
+                mensagem: `${metadados.descartes.terceiros} documentos não têm a empresa como emitente, destinatária ou tomadora e foram ignorados`
+            });
+        }
+
+        const debitos = mediaTributos('debitos');
+        const creditos = mediaTributos('creditos');
+
+        return {
+            empresa: {
+                nome: empresa.nome,
+                cnpj: empresa.cnpj,
+                uf: empresa.uf,
+                codMunicipio: empresa.codigoMunicipio,
+                faturamento,
+                faturamentoMensal: faturamento,
+                tipoEmpresa,
+                regime: regime.regime,
+                serieMensal
+            },
+            cicloFinanceiro: {
+                pmr: agregados.prazoMedioRecebimento !== null ? Math.round(agregados.prazoMedioRecebimento) : undefined,
+                pmp: agregados.prazoMedioPagamento !== null ? Math.round(agregados.prazoMedioPagamento) : undefined,
+                mixRecebimentos: Object.values(mixRecebimentos).map(item => ({
+                    meio: item.meio,
+                    participacao: item.participacao,
+                    parcelas: Math.max(1, Math.round(item.somaParcelas / item.participacao))
+                }))
+            },
+            parametrosFiscais: {
+                sistemaAtual: {
+                    regimeTributario: regime.regime,
+                    regimePISCOFINS: regime.regimePisCofins === 'nao-cumulativo' ? 'não cumulativo' : 'cumulativo'
+                },
+                tipoOperacao,
+                regimePisCofins: regime.regimePisCofins,
+                debitos: { ...debitos, iss: 0 },
+                creditos,
+                fornecedores: agregados.porFornecedor
+                    .map(fornecedor => ({
+                        documento: fornecedor.documento,
+                        nome: fornecedor.nome,
+                        uf: fornecedor.uf,
+                        regime: regimeFornecedor(fornecedor),
+                        valorCompras: fornecedor.valorCompras / numeroMeses
+                    }))
+                    .sort((a, b) => b.valorCompras - a.valorCompras),
+                icmsComplementar: faturamento > 0 ? {
+                    cargaEfetivaST: agregados.complementar.st / numeroMeses / faturamento,
+                    cargaEfetivaDIFAL: agregados.complementar.difal / numeroMeses / faturamento,
+                    cargaEfetivaFCP: agregados.complementar.fcp / numeroMeses / faturamento
+                } : null
+            },
+            ivaConfig: {
+                destinosIBS,
+                itensNCM: agregados.porNCM
+                    .map(item => ({
+                        ...item,
+                        valorSaidas: Math.max(0, item.valorSaidas / numeroMeses),
+                        valorEntradas: Math.max(0, item.valorEntradas / numeroMeses)
+                    }))
+                    .sort((a, b) => (b.valorSaidas + b.valorEntradas) - (a.valorSaidas + a.valorEntradas))
+            },
+            agregados: {
+                porCFOP: agregados.porCFOP,
+                porDestino: agregados.porDestino,
+                porFormaPagamento: agregados.porFormaPagamento,
+                porMes: meses
+            },
+            validacao: {
+                inconsistencias,
+                confiabilidade: inconsistencias.length > 3 ? 'baixa' : inconsistencias.length > 0 ? 'média' : 'alta'
+            },
+            metadados
+        };
+    }
+
+    /**
+     * Interrompe o processamento em andamento antes do próximo arquivo
+     */
+    function cancelarProcessamento() {
+        cancelado = true;
+    }
+
+    // Interface pública
+    return {
+        processarArquivos,
+        interpretarXML,
+        extrairDadosParaSimulador,
+        cancelarProcessamento,
+        FORMAS_PAGAMENTO,
+        modelosSuportados: Object.keys(MODELOS),
+        versao: '1.0.0'
+    };
+})();
+
+// Garantir que o NfeXmlParser seja carregado globalmente
+if (typeof window !== 'undefined') {
+    window.NfeXmlParser = NfeXmlParser;
+    console.log('NFE-XML-PARSER: Módulo carregado com sucesso na versão', NfeXmlParser.versao);
+}
@@ -653,6 +653,33 @@ const SpedExtractor = (function() {
                 dados.ivaConfig = { ...dados.ivaConfig, ...ivaConfig };
             }
 
+            // Distribuir faturamento por destino para o IBS (0150/C100/C190)
+            dados.ivaConfig.destinosIBS = extrairDestinosIBS(dadosSped);
+
+            // Vendas e compras mensais por NCM para o cálculo da CBS/IBS por produto (0200/C170)
+            dados.ivaConfig.itensNCM = extrairItensNCM(dadosSped);
+
+            // Compras por fornecedor para o crédito de CBS/IBS conforme o regime (0150/C100)
+            dados.parametrosFiscais.fornecedores = extrairFornecedores(dadosSped);
+
+            // Cargas efetivas de ICMS-ST, DIFAL e FCP (E200/E210 e E300/E310)
+            const icmsComplementar = extrairICMSComplementar(dadosSped, faturamentoMensal);
+            if (icmsComplementar) {
+                dados.parametrosFiscais.icmsComplementar = {
+                    ...(dados.parametrosFiscais.icmsComplementar || {}),
+                    ...icmsComplementar
+                };
+            }
+
+            // Saldo credor de ICMS a transportar (E110) para o aproveitamento no IBS
+            const saldoCredorICMS = extrairSaldoCredorICMS(dadosSped);
+            if (saldoCredorICMS) {
+                dados.parametrosFiscais.saldoCredorICMS = {
+                    ...(dados.parametrosFiscais.saldoCredorICMS || {}),
+                    ...saldoCredorICMS
+                };
+            }
+
             // Validar dados extraídos
             const problemas = validarDadosExtraidos(dados);
             if (problemas.length > 0) {
@@ -684,7 +711,7 @@ const SpedExtractor = (function() {
                     },
                     ajustesIcmsIpi: {
                         icms: { ajustesAplicados: false, valorAjustesDebito: 0, valorAjustesCredito: 0 },
-                        ipi: { ajustesAplicados: false, registrosE210: 0, registrosE220: 0 }
+                        ipi: { ajustesAplicados: false, registrosAjusteDebito: 0, registrosAjusteCredito: 0 }
                     }
                 }
             };
@@ -1777,7 +1804,7 @@ const SpedExtractor = (function() {
 
     /**
      * Calcula débitos de IPI com processamento correto de ajustes
-     * MODIFICADA: Agora processa corretamente os registros E210 e E220 para ajustes
+     * Fonte: registro E520 (apuração do IPI) e ajustes de débito/crédito quando disponíveis
      */
     function calcularDebitosIPI(dadosSped, faturamentoMensal) {
         console.log('SPED-EXTRACTOR: Calculando débitos IPI');
@@ -1788,7 +1815,7 @@ const SpedExtractor = (function() {
             return 0; // IPI só se aplica à indústria
         }
 
-        // PRIORIDADE 1: Dados diretos do SPED Fiscal - registro E200 campo 2
+        // PRIORIDADE 1: Dados diretos do SPED Fiscal - registro E520 campos 3 e 5
         if (dadosSped.debitos?.ipi?.length > 0) {
             console.log(`SPED-EXTRACTOR: Encontrados ${dadosSped.debitos.ipi.length} registros de débitos IPI`);
 
@@ -1799,14 +1826,15 @@ const SpedExtractor = (function() {
             let totalDebitos = 0;
 
             dadosSped.debitos.ipi.forEach(debito => {
-                // Obter valor total dos débitos (campo 2 do E200)
-                const valorTotalDebitos = parseValorMonetario(debito.valorTotalDebitos || 0);
+                // Obter valor dos débitos do IPI e outros débitos (campos 3 e 5 do E520)
+                const valorTotalDebitos = parseValorMonetario(debito.valorTotalDebitos || 0) + 
+                                          parseValorMonetario(debito.valorOutrosDebitos || 0);
 
-                // Buscar registros de ajuste relacionados (E210 para débitos, E220 para créditos)
+                // Buscar registros de ajuste relacionados
                 let valorAjustesDebito = 0;
                 let valorAjustesCredito = 0;
 
-                // Verificar se existem ajustes de débito (E210)
+                // Verificar se existem ajustes de débito
                 if (dadosSped.ajustes?.ipi_debito) {
                     valorAjustesDebito = dadosSped.ajustes.ipi_debito.reduce((total, ajuste) => 
                         total + parseValorMonetario(ajuste.valorAjuste || 0), 0);
@@ -1814,7 +1842,7 @@ const SpedExtractor = (function() {
                     console.log(`SPED-EXTRACTOR: Ajustes IPI débito encontrados: ${valorAjustesDebito.toFixed(2)}`);
                 }
 
-                // Verificar se existem ajustes de crédito (E220)
+                // Verificar se existem ajustes de crédito
                 if (dadosSped.ajustes?.ipi_credito) {
                     valorAjustesCredito = dadosSped.ajustes.ipi_credito.reduce((total, ajuste) => 
                         total + parseValorMonetario(ajuste.valorAjuste || 0), 0);
@@ -1823,7 +1851,7 @@ const SpedExtractor = (function() {
                 }
 
                 // Aplicar a fórmula correta conforme documento técnico
-                // VL_TOT_DEBITOS + VL_AJ_DEBITOS(E210) - VL_AJ_CREDITOS(E220)
+                // VL_DEB_IPI + VL_OD_IPI + ajustes de débito - ajustes de crédito
                 const valorDebitoAjustado = valorTotalDebitos + valorAjustesDebito - valorAjustesCredito;
 
                 console.log(`SPED-EXTRACTOR: Débito IPI ajustado: ${valorTotalDebitos} + ${valorAjustesDebito} - ${valorAjustesCredito} = ${valorDebitoAjustado}`);
@@ -1832,8 +1860,8 @@ const SpedExtractor = (function() {
                 if (dadosSped.validacoesTecnicas?.ajustesIcmsIpi?.ipi) {
                     dadosSped.validacoesTecnicas.ajustesIcmsIpi.ipi = {
                         ajustesAplicados: true,
-                        registrosE210: dadosSped.ajustes?.ipi_debito?.length || 0,
-                        registrosE220: dadosSped.ajustes?.ipi_credito?.length || 0
+                        registrosAjusteDebito: dadosSped.ajustes?.ipi_debito?.length || 0,
+                        registrosAjusteCredito: dadosSped.ajustes?.ipi_credito?.length || 0
                     };
                 }
 
@@ -1848,52 +1876,23 @@ const SpedExtractor = (function() {
             }
         }
 
-        // PRIORIDADE 2: Verificar registros E200, E210 e E220 diretamente
-        if (dadosSped.registros?.filter(r => r.startsWith('|E200|')).length > 0) {
-            const registrosE200 = dadosSped.registros.filter(r => r.startsWith('|E200|'));
-            const registrosE210 = dadosSped.registros?.filter(r => r.startsWith('|E210|')) || [];
-            const registrosE220 = dadosSped.registros?.filter(r => r.startsWith('|E220|')) || [];
-            
+        // PRIORIDADE 2: Verificar registros E520 diretamente
+        if (dadosSped.registros?.filter(r => r.startsWith('|E520|')).length > 0) {
+            const registrosE520 = dadosSped.registros.filter(r => r.startsWith('|E520|'));
             let valorDebito = 0;
 
-            registrosE200.forEach(registro => {
+            registrosE520.forEach(registro => {
                 const campos = registro.split('|');
-                // Campo 2 = Valor Total dos Débitos (VL_TOT_DEBITOS)
-                const valorTotalDebitos = parseFloat(campos[2]?.replace(',', '.') || 0);
-                
-                // Buscar ajustes relacionados a este período
-                let valorAjustesDebito = 0;
-                let valorAjustesCredito = 0;
-                
-                // Processar registros E210 (ajustes débitos)
-                if (registrosE210.length > 0) {
-                    valorAjustesDebito = registrosE210.reduce((total, ajuste) => {
-                        const camposAjuste = ajuste.split('|');
-                        // Campo 3 = Valor do Ajuste (VL_AJ_DEBITOS)
-                        const valorAjuste = parseFloat(camposAjuste[3]?.replace(',', '.') || 0);
-                        return total + valorAjuste;
-                    }, 0);
-                }
-                
-                // Processar registros E220 (ajustes créditos)
-                if (registrosE220.length > 0) {
-                    valorAjustesCredito = registrosE220.reduce((total, ajuste) => {
-                        const camposAjuste = ajuste.split('|');
-                        // Campo 3 = Valor do Ajuste (VL_AJ_CREDITOS)
-                        const valorAjuste = parseFloat(camposAjuste[3]?.replace(',', '.') || 0);
-                        return total + valorAjuste;
-                    }, 0);
-                }
-                
-                // Aplicar a fórmula correta: VL_TOT_DEBITOS + VL_AJ_DEBITOS - VL_AJ_CREDITOS
-                const valorDebitoRegistro = valorTotalDebitos + valorAjustesDebito - valorAjustesCredito;
+                // Campo 3 = Débitos do IPI (VL_DEB_IPI), Campo 5 = Outros débitos (VL_OD_IPI)
+                const valorDebitoRegistro = parseFloat(campos[3]?.replace(',', '.') || 0) + 
+                                            parseFloat(campos[5]?.replace(',', '.') || 0);
                 valorDebito += valorDebitoRegistro;
-                
-                console.log(`SPED-EXTRACTOR: E200/E210/E220 processados: ${valorTotalDebitos} + ${valorAjustesDebito} - ${valorAjustesCredito} = ${valorDebitoRegistro}`);
+
+                console.log(`SPED-EXTRACTOR: E520 processado: ${valorDebitoRegistro}`);
             });
 
             if (valorDebito > 0) {
-                console.log(`SPED-EXTRACTOR: Débito IPI extraído diretamente dos registros E200/E210/E220: ${valorDebito}`);
+                console.log(`SPED-EXTRACTOR: Débito IPI extraído diretamente dos registros E520: ${valorDebito}`);
                 return valorDebito;
             }
         }
@@ -2406,7 +2405,7 @@ function obterAliquotaMediaEstado(uf) {
 }
 
 /**
- * Calcula créditos de IPI com processamento aprimorado para E220
+ * Calcula créditos de IPI a partir da apuração do IPI (E520)
  * @param {Object} dadosSped - Dados do SPED processados
  * @returns {number} - Valor total dos créditos de IPI
  */
@@ -2419,43 +2418,44 @@ function calcularCreditosIPI(dadosSped) {
         return 0; // IPI só se aplica à indústria
     }
 
-    // PRIORIDADE 1: Dados diretos do SPED Fiscal - registro E200 campo 3
+    // PRIORIDADE 1: Dados diretos do SPED Fiscal - registro E520 campos 4 e 6
     if (dadosSped.debitos?.ipi?.length > 0) {
-        const registrosE200 = dadosSped.debitos.ipi.filter(reg => reg.registro === 'E200');
-        console.log(`SPED-EXTRACTOR: Encontrados ${registrosE200.length} registros E200 para créditos IPI`);
+        const registrosE520 = dadosSped.debitos.ipi.filter(reg => reg.registro === 'E520');
+        console.log(`SPED-EXTRACTOR: Encontrados ${registrosE520.length} registros E520 para créditos IPI`);
 
-        if (registrosE200.length > 0) {
-            const totalCreditos = registrosE200.reduce((sum, registro) => {
-                // Campo 3: VL_TOT_CREDITOS
-                const valorCredito = registro.valorTotalCreditos || 0;
+        if (registrosE520.length > 0) {
+            const totalCreditos = registrosE520.reduce((sum, registro) => {
+                // Campo 4: VL_CRED_IPI, Campo 6: VL_OC_IPI
+                const valorCredito = (registro.valorTotalCreditos || 0) + (registro.valorOutrosCreditos || 0);
                 if (valorCredito > 0) {
-                    console.log(`SPED-EXTRACTOR: Crédito IPI do registro E200: ${valorCredito}`);
+                    console.log(`SPED-EXTRACTOR: Crédito IPI do registro E520: ${valorCredito}`);
                 }
                 return sum + valorCredito;
             }, 0);
 
             if (totalCreditos > 0) {
-                console.log(`SPED-EXTRACTOR: Créditos IPI extraídos do registro E200: ${totalCreditos}`);
+                console.log(`SPED-EXTRACTOR: Créditos IPI extraídos do registro E520: ${totalCreditos}`);
                 return totalCreditos;
             }
         }
     }
 
-    // PRIORIDADE 2: Verificar registros E200 diretamente
-    if (dadosSped.registros?.filter(r => r.startsWith('|E200|')).length > 0) {
-        const registrosE200 = dadosSped.registros.filter(r => r.startsWith('|E200|'));
+    // PRIORIDADE 2: Verificar registros E520 diretamente
+    if (dadosSped.registros?.filter(r => r.startsWith('|E520|')).length > 0) {
+        const registrosE520 = dadosSped.registros.filter(r => r.startsWith('|E520|'));
         let valorCredito = 0;
 
-        registrosE200.forEach(registro => {
+        registrosE520.forEach(registro => {
             const campos = registro.split('|');
-            // Campo 3 = Valor Total dos Créditos (VL_TOT_CREDITOS)
-            if (campos.length > 3) {
-                valorCredito += parseFloat(campos[3]?.replace(',', '.') || 0);
+            // Campo 4 = Créditos do IPI (VL_CRED_IPI), Campo 6 = Outros créditos (VL_OC_IPI)
+            if (campos.length > 6) {
+                valorCredito += parseFloat(campos[4]?.replace(',', '.') || 0) + 
+                                parseFloat(campos[6]?.replace(',', '.') || 0);
             }
         });
 
         if (valorCredito > 0) {
-            console.log(`SPED-EXTRACTOR: Crédito IPI extraído diretamente dos registros E200: ${valorCredito}`);
+            console.log(`SPED-EXTRACTOR: Crédito IPI extraído diretamente dos registros E520: ${valorCredito}`);
             return valorCredito;
         }
     }
@@ -2852,6 +2852,284 @@ function analisarCFOPs(cfops) {
     }
 }
 
+/**
+ * Distribui o faturamento de saída por destino (UF e município) para o cálculo do IBS
+ * Utiliza o município do participante (0150) de cada documento (C100), com o valor das
+ * operações do registro analítico (C190). Saídas sem participante identificado (consumidor
+ * final) são atribuídas ao município do próprio estabelecimento.
+ * @param {Object} dadosSped - Dados do SPED processados
+ * @returns {Array} - Lista de {uf, codigoMunicipio, valor, participacao}
+ */
+function extrairDestinosIBS(dadosSped) {
+    const documentosSaida = (dadosSped.documentos || []).filter(doc => doc.indOper === '1');
+    if (documentosSaida.length === 0) return [];
+
+    const obterUF = codigo => window.AliquotasIBSDestino ? window.AliquotasIBSDestino.obterUFPorMunicipio(codigo) : '';
+    const municipioEstabelecimento = dadosSped.empresa?.codMunicipio || '';
+    const ufEstabelecimento = (dadosSped.empresa?.uf || obterUF(municipioEstabelecimento) || '').toUpperCase();
+
+    const destinos = {};
+    let totalSaidas = 0;
+
+    documentosSaida.forEach(doc => {
+        // Valor das operações: soma do C190 do documento ou, na ausência, valor total do C100
+        const valor = Array.isArray(doc.analiticos) && doc.analiticos.length > 0 ?
+            doc.analiticos.reduce((soma, analitico) => soma + (analitico.valorOpr || 0), 0) :
+            (doc.valorTotal || 0);
+
+        if (valor <= 0) return;
+
+        const codigoMunicipio = doc.participante?.codigoMunicipio || municipioEstabelecimento;
+        const uf = (doc.participante?.uf || obterUF(codigoMunicipio) || ufEstabelecimento).toUpperCase();
+        const chave = codigoMunicipio || uf;
+
+        if (!chave) return;
+
+        if (!destinos[chave]) {
+            destinos[chave] = { uf, codigoMunicipio, valor: 0 };
+        }
+        destinos[chave].valor += valor;
+        totalSaidas += valor;
+    });
+
+    if (totalSaidas <= 0) return [];
+
+    const resultado = Object.values(destinos)
+        .map(destino => ({ ...destino, participacao: destino.valor / totalSaidas }))
+        .sort((a, b) => b.valor - a.valor);
+
+    console.log(`SPED-EXTRACTOR: Faturamento distribuído entre ${resultado.length} destinos para o IBS`);
+    return resultado;
+}
+
+/**
+ * Agrupa as vendas e compras por NCM para o cálculo da CBS/IBS por produto
+ * Cada item de documento (C170) é relacionado ao cadastro do produto (0200) pelo código do
+ * item; o CFOP indica se é saída (5, 6, 7) ou entrada (1, 2, 3). Os valores líquidos de
+ * desconto são divididos pelo número de meses escriturados.
+ * @param {Object} dadosSped - Dados do SPED processados
+ * @returns {Array} - Lista de {ncm, descricao, valorSaidas, valorEntradas, quantidadeItens}, em R$/mês
+ */
+function extrairItensNCM(dadosSped) {
+    const itens = dadosSped.itens || [];
+    const produtos = {};
+    itens.filter(item => item.tipo === 'item' && item.codigo).forEach(item => {
+        produtos[item.codigo] = item;
+    });
+
+    const itensDocumento = itens.filter(item => item.tipo === 'item_documento');
+    if (itensDocumento.length === 0 || Object.keys(produtos).length === 0) return [];
+
+    // Meses escriturados, pela data de emissão dos documentos (DDMMAAAA)
+    const meses = new Set((dadosSped.documentos || [])
+        .map(doc => String(doc.dataEmissao || '').substring(2, 8))
+        .filter(mes => mes.length === 6));
+    const numeroMeses = Math.max(1, meses.size);
+
+    const porNCM = {};
+    itensDocumento.forEach(item => {
+        const produto = produtos[item.codItem];
+        const ncm = String(produto?.ncm || '').replace(/\D/g, '');
+        const cfop = String(item.cfop || '');
+        if (!ncm || !cfop) return;
+
+        const saida = ['5', '6', '7'].includes(cfop.charAt(0));
+        const entrada = ['1', '2', '3'].includes(cfop.charAt(0));
+        const valor = (item.valorItem || 0) - (item.valorDesc || 0);
+        if ((!saida && !entrada) || valor <= 0) return;
+
+        if (!porNCM[ncm]) {
+            porNCM[ncm] = { ncm, descricao: produto.descricao || '', valorSaidas: 0, valorEntradas: 0, quantidadeItens: 0 };
+        }
+        porNCM[ncm][saida ? 'valorSaidas' : 'valorEntradas'] += valor;
+        // Itens agregados pelo SpedParser informam quantos registros C170 representam
+        porNCM[ncm].quantidadeItens += item.quantidadeRegistros || 1;
+    });
+
+    const resultado = Object.values(porNCM)
+        .map(item => ({
+            ...item,
+            valorSaidas: item.valorSaidas / numeroMeses,
+            valorEntradas: item.valorEntradas / numeroMeses
+        }))
+        .sort((a, b) => (b.valorSaidas + b.valorEntradas) - (a.valorSaidas + a.valorEntradas));
+
+    console.log(`SPED-EXTRACTOR: ${resultado.length} NCMs identificados nos itens dos documentos (${numeroMeses} meses)`);
+    return resultado;
+}
+
+/**
+ * Agrupa as compras por fornecedor para o cálculo do crédito de CBS/IBS recuperável
+ * Utiliza o participante (0150) de cada documento de entrada (C100), com o valor das operações
+ * do registro analítico (C190) ou, na ausência, o valor total do documento. O regime de cada
+ * fornecedor vem do cadastro de RegimesFornecedores; sem cadastro, CPF é tratado como não
+ * contribuinte e CNPJ como regime regular.
+ * @param {Object} dadosSped - Dados do SPED processados
+ * @returns {Array} - Lista de {documento, nome, uf, regime, valorCompras}, em R$/mês
+ */
+function extrairFornecedores(dadosSped) {
+    const documentosEntrada = (dadosSped.documentos || []).filter(doc => doc.indOper === '0' && doc.participante);
+    if (documentosEntrada.length === 0) return [];
+
+    // Meses escriturados, pela data de emissão dos documentos (DDMMAAAA)
+    const meses = new Set((dadosSped.documentos || [])
+        .map(doc => String(doc.dataEmissao || '').substring(2, 8))
+        .filter(mes => mes.length === 6));
+    const numeroMeses = Math.max(1, meses.size);
+
+    const fornecedores = {};
+    documentosEntrada.forEach(doc => {
+        const valor = Array.isArray(doc.analiticos) && doc.analiticos.length > 0 ?
+            doc.analiticos.reduce((soma, analitico) => soma + (analitico.valorOpr || 0), 0) :
+            (doc.valorTotal || 0);
+        const documento = String(doc.participante.cnpjCpf || '').replace(/\D/g, '');
+        const chave = documento || doc.participante.codigo;
+        if (valor <= 0 || !chave) return;
+
+        if (!fornecedores[chave]) {
+            fornecedores[chave] = {
+                documento,
+                nome: doc.participante.nome || '',
+                uf: doc.participante.uf || '',
+                regime: window.RegimesFornecedores ? window.RegimesFornecedores.obterRegime(documento) : 'regular',
+                valorCompras: 0
+            };
+        }
+        fornecedores[chave].valorCompras += valor;
+    });
+
+    const resultado = Object.values(fornecedores)
+        .map(fornecedor => ({ ...fornecedor, valorCompras: fornecedor.valorCompras / numeroMeses }))
+        .sort((a, b) => b.valorCompras - a.valorCompras);
+
+    console.log(`SPED-EXTRACTOR: Compras de ${resultado.length} fornecedores identificadas nos documentos de entrada`);
+    return resultado;
+}
+
+/**
+ * Extrai as cargas efetivas de ICMS-ST, DIFAL e FCP da apuração do SPED Fiscal
+ * ICMS-ST: valor retido do registro E210 (campo 8). DIFAL e FCP: débitos totais do
+ * registro E310 (campos 4 e 14). As cargas são expressas sobre o faturamento mensal.
+ * @param {Object} dadosSped - Dados do SPED processados
+ * @param {number} faturamentoMensal - Faturamento mensal de referência
+ * @returns {Object|null} - Cargas efetivas e valores apurados, ou null se não houver registros
+ */
+function extrairICMSComplementar(dadosSped, faturamentoMensal) {
+    const registrosST = dadosSped.debitos?.icms_st || [];
+    const registrosDifal = dadosSped.debitos?.icms_difal_fcp || [];
+
+    if (registrosST.length === 0 && registrosDifal.length === 0) return null;
+    if (!faturamentoMensal || faturamentoMensal <= 0) {
+        console.warn('SPED-EXTRACTOR: Faturamento não identificado; cargas de ICMS-ST/DIFAL/FCP não calculadas');
+        return null;
+    }
+
+    const somar = (registros, campo) => registros.reduce((total, registro) =>
+        total + parseValorMonetario(registro[campo] || 0), 0);
+
+    const valorST = somar(registrosST, 'valorRetencao');
+    const valorDifal = somar(registrosDifal, 'valorTotalDebitosDifal');
+    const valorFcp = somar(registrosDifal, 'valorTotalDebitosFcp');
+
+    const resultado = {
+        cargaEfetivaST: valorST / faturamentoMensal,
+        cargaEfetivaDIFAL: valorDifal / faturamentoMensal,
+        cargaEfetivaFCP: valorFcp / faturamentoMensal,
+        valoresApurados: {
+            st: valorST,
+            difal: valorDifal,
+            fcp: valorFcp,
+            ufsST: [...new Set(registrosST.map(r => r.uf).filter(Boolean))],
+            ufsDifal: [...new Set(registrosDifal.map(r => r.uf).filter(Boolean))]
+        }
+    };
+
+    console.log(`SPED-EXTRACTOR: ICMS complementar - ST: ${valorST.toFixed(2)}, DIFAL: ${valorDifal.toFixed(2)}, FCP: ${valorFcp.toFixed(2)}`);
+    return resultado;
+}
+
+/**
+ * Extrai o saldo credor de ICMS a transportar da apuração do SPED Fiscal (E110)
+ * O saldo do último período (campo 14) passa a valer no mês seguinte ao fim da escrituração.
+ * Com mais de um período, a variação mensal é estimada entre o saldo anterior do primeiro
+ * período (campo 10) e o saldo a transportar do último.
+ * @param {Object} dadosSped - Dados do SPED processados
+ * @returns {Object|null} - {saldoInicial, acumuloMensal, dataReferencia} ou null se não houver saldo
+ */
+function extrairSaldoCredorICMS(dadosSped) {
+    const apuracoes = (dadosSped.debitos?.icms || []).filter(registro => registro.registro === 'E110');
+    if (apuracoes.length === 0) return null;
+
+    const primeira = apuracoes[0];
+    const ultima = apuracoes[apuracoes.length - 1];
+    const saldoInicial = parseValorMonetario(ultima.valorSaldoCredorTransportar || 0);
+    if (saldoInicial <= 0) return null;
+
+    const saldoAnterior = parseValorMonetario(primeira.valorSaldoCredorAnterior || 0);
+    const acumuloMensal = (saldoInicial - saldoAnterior) / apuracoes.length;
+
+    // DT_FIN do 0000 no formato DDMMAAAA
+    let dataReferencia = '';
+    const dataFinal = String(dadosSped.empresa?.dataFinal || '');
+    if (/^\d{8}$/.test(dataFinal)) {
+        const proximoMes = new Date(parseInt(dataFinal.substring(4, 8)), parseInt(dataFinal.substring(2, 4)), 1);
+        dataReferencia = `${proximoMes.getFullYear()}-${String(proximoMes.getMonth() + 1).padStart(2, '0')}`;
+    }
+
+    console.log(`SPED-EXTRACTOR: Saldo credor de ICMS a transportar: ${saldoInicial.toFixed(2)} (variação mensal ${acumuloMensal.toFixed(2)})`);
+
+    return {
+        saldoInicial,
+        acumuloMensal,
+        ...(dataReferencia ? { dataReferencia } : {})
+    };
+}
+
+/**
+ * Monta a série mensal de faturamento, débitos, créditos e saldos a partir das EFD de cada
+ * competência. O faturamento vem dos documentos de saída do SPED Fiscal (ou do SPED
+ * Contribuições, na falta dele); ICMS e IPI da apuração do SPED Fiscal (E110/E520) e PIS e
+ * COFINS do SPED Contribuições (M200/M600). Tributos sem arquivo na competência ficam zerados.
+ * @param {Array} periodos - Competências em ordem ({competencia: 'AAAA-MM', fiscal, contribuicoes})
+ * @returns {Array} - Série mensal ({competencia, faturamento, debitos, creditos, saldos})
+ */
+function extrairSerieMensal(periodos) {
+    if (!Array.isArray(periodos)) return [];
+
+    return periodos.map(periodo => {
+        const fiscal = periodo.fiscal || null;
+        const contribuicoes = periodo.contribuicoes || null;
+
+        const faturamento = calcularFaturamentoPorDocumentos(fiscal?.documentos).faturamentoTotal ||
+            calcularFaturamentoPorDocumentos(contribuicoes?.documentos).faturamentoTotal || 0;
+
+        const debitos = {
+            icms: fiscal ? calcularDebitosICMS(fiscal, faturamento) : 0,
+            ipi: fiscal ? calcularDebitosIPI(fiscal, faturamento) : 0,
+            pis: contribuicoes ? calcularDebitosPIS(contribuicoes, faturamento) : 0,
+            cofins: contribuicoes ? calcularDebitosCOFINS(contribuicoes, faturamento) : 0
+        };
+        const creditos = {
+            icms: fiscal ? calcularCreditosICMS(fiscal) : 0,
+            ipi: fiscal ? calcularCreditosIPI(fiscal) : 0,
+            pis: contribuicoes ? calcularCreditosPIS(contribuicoes) : 0,
+            cofins: contribuicoes ? calcularCreditosCOFINS(contribuicoes) : 0
+        };
+        const saldos = {};
+        Object.keys(debitos).forEach(tributo => {
+            saldos[tributo] = debitos[tributo] - creditos[tributo];
+        });
+
+        return {
+            competencia: periodo.competencia,
+            faturamento,
+            debitos,
+            creditos,
+            saldos
+        };
+    });
+}
+
 /**
  * Determina tipo de operação (B2B, B2C, mista)
  * @param {Object} dadosSped - Dados do SPED processados
@@ -3968,6 +4246,10 @@ function calcularAliquotaMediaICMS(dadosFiscal) {
 // Interface pública
 return {
     extrairDadosParaSimulador,
+    extrairDestinosIBS,
+    extrairICMSComplementar,
+    extrairSaldoCredorICMS,
+    extrairSerieMensal,
     calcularParametrosFiscais,
     processarSPEDFiscal,
     processarSPEDContribuicoes,
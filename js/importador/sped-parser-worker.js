@@ -0,0 +1,25 @@
+/**
+ * Web Worker do SpedParser - processamento de arquivos SPED fora da thread principal
+ * Recebe {acao: 'processar', arquivo, tipo, codificacao}, lê o arquivo em partes pelo
+ * SpedParser.processarArquivoEmPartes e responde com mensagens {evento: 'progresso', progresso},
+ * {evento: 'concluido', dados} ou {evento: 'erro', mensagem}. O cancelamento é feito pela thread
+ * principal, encerrando o Worker.
+ */
+importScripts('sped-parser.js');
+
+self.onmessage = function(evento) {
+    const mensagem = evento.data || {};
+    if (mensagem.acao !== 'processar') {
+        return;
+    }
+
+    SpedParser.processarArquivoEmPartes(mensagem.arquivo, mensagem.tipo, {
+        aoProgredir: progresso => self.postMessage({ evento: 'progresso', progresso }),
+        codificacao: mensagem.codificacao
+    })
+        .then(dados => self.postMessage({ evento: 'concluido', dados }))
+        .catch(erro => {
+            console.error('SPED-PARSER-WORKER: Erro ao processar o arquivo:', erro);
+            self.postMessage({ evento: 'erro', mensagem: erro.message });
+        });
+};
@@ -64,10 +64,15 @@ const SpedParser = (function() {
             'E111': parseRegistroE111,  // Ajustes ICMS
             'E116': parseRegistroE116,  // Obrigações ICMS
             
+            // Registros de apuração ICMS-ST e DIFAL/FCP - BLOCO E
+            'E200': parseRegistroE200,  // Período de apuração ICMS-ST por UF
+            'E210': parseRegistroE210,  // Apuração ICMS-ST
+            'E220': parseRegistroE220,  // Ajustes ICMS-ST
+            'E300': parseRegistroE300,  // Período de apuração DIFAL/FCP por UF
+            'E310': parseRegistroE310,  // Apuração DIFAL/FCP
+            
             // Registros de apuração IPI - BLOCO E
-            'E200': parseRegistroE200,  // Apuração IPI
-            'E210': parseRegistroE210,  // Ajustes IPI
-            'E220': parseRegistroE220,  // Outras informações IPI
+            'E520': parseRegistroE520,  // Apuração IPI
             
             // Registros de inventário - BLOCO H
             'H010': parseRegistroH010,  // Inventário
@@ -261,65 +266,418 @@ const SpedParser = (function() {
         }
     };
 
+    /**
+     * Tamanho de cada parte lida do arquivo (bytes). O arquivo é decodificado e processado parte a
+     * parte, sem manter o conteúdo inteiro em memória.
+     * @type {number}
+     */
+    const TAMANHO_PARTE = 4 * 1024 * 1024;
+
+    /**
+     * Codificações de caracteres aceitas para os arquivos SPED. O leiaute do SPED determina o
+     * ISO-8859-1, mas muitos sistemas geram Windows-1252 ou UTF-8.
+     * @type {Object}
+     */
+    const CODIFICACOES = {
+        'utf-8': 'UTF-8',
+        'windows-1252': 'Windows-1252',
+        'iso-8859-1': 'ISO-8859-1',
+        'utf-16le': 'UTF-16LE',
+        'utf-16be': 'UTF-16BE'
+    };
+
+    /**
+     * Descrição da origem da codificação usada na leitura, para o log da importação
+     * @type {Object}
+     */
+    const ORIGENS_CODIFICACAO = {
+        informada: 'informada pelo usuário',
+        bom: 'detectada pelo BOM',
+        conteudo: 'detectada pelo conteúdo',
+        padrao: 'padrão, sem caracteres acentuados no início do arquivo',
+        'nova-tentativa': 'nova leitura após caracteres inválidos em UTF-8'
+    };
+
+    /**
+     * Quantidade de caracteres inválidos (U+FFFD) na leitura em UTF-8 detectada automaticamente a
+     * partir da qual o arquivo é lido novamente em Windows-1252
+     * @type {number}
+     */
+    const LIMITE_CARACTERES_SUBSTITUIDOS = 10;
+
+    /**
+     * Registros filhos conferidos na hierarquia do arquivo, por tipo de SPED: o registro pai e o
+     * último código do grupo do pai. Entre o pai e o filho só podem aparecer registros desse grupo
+     * (C100 a C199, por exemplo). Na EFD Contribuições o C180 e o C190 são registros de nível 2 e o
+     * grupo do C100 termina no C179.
+     * @type {Object}
+     */
+    const HIERARQUIA_REGISTROS = {
+        fiscal: {
+            C170: { pai: 'C100', ultimoDoGrupo: 'C199' },
+            C190: { pai: 'C100', ultimoDoGrupo: 'C199' }
+        },
+        contribuicoes: {
+            C170: { pai: 'C100', ultimoDoGrupo: 'C179' },
+            M210: { pai: 'M200', ultimoDoGrupo: 'M299' },
+            M610: { pai: 'M600', ultimoDoGrupo: 'M699' }
+        }
+    };
+
+    /**
+     * Quantidade máxima de ocorrências estruturais guardadas por arquivo (as demais são apenas
+     * contadas), para que um arquivo muito corrompido não ocupe a memória com mensagens
+     * @type {number}
+     */
+    const LIMITE_OCORRENCIAS_ESTRUTURA = 200;
+
+    /**
+     * Endereço do Web Worker de processamento, no mesmo diretório deste script
+     * @type {string}
+     */
+    const URL_WORKER = typeof document !== 'undefined' && document.currentScript?.src ?
+        document.currentScript.src.replace(/sped-parser\.js(\?.*)?$/, 'sped-parser-worker.js') :
+        'js/importador/sped-parser-worker.js';
+
+    // Processamentos em andamento, para cancelamento
+    const _processamentosAtivos = new Set();
+
     /**
      * Processa um arquivo SPED e extrai os dados relevantes
+     * O arquivo é lido em partes por um Web Worker, sem bloquear a interface. Se o navegador não
+     * permitir o Worker (ex.: página aberta via file://), o mesmo processamento em partes é feito
+     * na thread principal.
+     * @param {File} arquivo - Arquivo SPED
+     * @param {string} tipo - Tipo do SPED ('fiscal', 'contribuicoes', 'ecf', 'ecd'); detectado se omitido
+     * @param {Object} opcoes - Opções ({aoProgredir(progresso), usarWorker, codificacao}); sem
+     *        codificação informada ela é detectada no arquivo
+     * @returns {Promise<Object>} - Dados extraídos; rejeitada com erro.cancelado = true se cancelada
      */
-    function processarArquivo(arquivo, tipo) {
+    function processarArquivo(arquivo, tipo, opcoes = {}) {
+        const controle = { cancelado: false, worker: null, rejeitar: null };
+        _processamentosAtivos.add(controle);
+
+        const notificarProgresso = progresso => {
+            if (typeof opcoes.aoProgredir === 'function') {
+                opcoes.aoProgredir(progresso);
+            }
+        };
+
         return new Promise((resolve, reject) => {
-            try {
-                // Inicializar o FileReader corretamente
-                const reader = new FileReader();
+            controle.rejeitar = reject;
+
+            const processarLocalmente = () => {
+                processarArquivoEmPartes(arquivo, tipo, {
+                    aoProgredir: notificarProgresso,
+                    cancelado: () => controle.cancelado,
+                    codificacao: opcoes.codificacao
+                }).then(resolve, reject);
+            };
 
-                // Configurar o manipulador de evento para quando o arquivo for carregado
-                reader.onload = function(e) {
-                    try {
-                        // Extrair o conteúdo do resultado do leitor
-                        const conteudo = e.target.result;
-
-                        // Dividir o conteúdo em linhas
-                        const linhas = conteudo.split('\n');
-
-                        // Determinar o tipo de SPED com base no conteúdo, se não foi especificado
-                        const tipoEfetivo = tipo || determinarTipoSped(linhas, arquivo.name);
-
-                        // Extrair dados das linhas
-                        const dadosExtraidos = extrairDados(linhas, tipoEfetivo);
-
-                        // Adicionar metadados do arquivo
-                        dadosExtraidos.metadados = {
-                            ...(dadosExtraidos.metadados || {}),
-                            nomeArquivo: arquivo.name,
-                            tamanhoBytes: arquivo.size,
-                            tipoArquivo: tipoEfetivo,
-                            dataProcessamento: new Date().toISOString()
-                        };
-
-                        // Adicionar cálculo de ciclos após processamento
-                        const ciclos = calcularCiclosFinanceiros(dadosExtraidos);
-                        if (ciclos) {
-                            dadosExtraidos.ciclosFinanceiros = ciclos;
-                        }
+            let worker = null;
+            if (opcoes.usarWorker !== false && typeof Worker !== 'undefined') {
+                try {
+                    worker = new Worker(URL_WORKER);
+                } catch (erroWorker) {
+                    console.warn('SPED-PARSER: Web Worker indisponível, processando na thread principal:', erroWorker.message);
+                }
+            }
+            if (!worker) {
+                processarLocalmente();
+                return;
+            }
 
-                        resolve(dadosExtraidos);
-                    } catch (erro) {
-                        console.error('SPED-PARSER: Erro ao processar conteúdo do arquivo:', erro);
-                        reject(erro);
-                    }
-                };
+            controle.worker = worker;
+            worker.onmessage = function(evento) {
+                const mensagem = evento.data || {};
+                switch (mensagem.evento) {
+                    case 'progresso':
+                        notificarProgresso(mensagem.progresso);
+                        break;
+                    case 'concluido':
+                        worker.terminate();
+                        resolve(mensagem.dados);
+                        break;
+                    case 'erro':
+                        worker.terminate();
+                        reject(new Error(mensagem.mensagem));
+                        break;
+                }
+            };
+            worker.onerror = function(evento) {
+                // Falha ao carregar ou executar o Worker: repetir o processamento na thread principal
+                evento.preventDefault();
+                worker.terminate();
+                controle.worker = null;
+                console.warn('SPED-PARSER: Falha no Web Worker, processando na thread principal:', evento.message);
+                processarLocalmente();
+            };
+            worker.postMessage({ acao: 'processar', arquivo, tipo, codificacao: opcoes.codificacao });
+        }).finally(() => {
+            _processamentosAtivos.delete(controle);
+        });
+    }
 
-                // Configurar o manipulador de erro
-                reader.onerror = function(e) {
-                    console.error('SPED-PARSER: Erro na leitura do arquivo:', e.target.error);
-                    reject(new Error('Erro ao ler o arquivo: ' + e.target.error));
-                };
+    /**
+     * Cancela os processamentos de arquivo em andamento. O Worker é encerrado imediatamente; na
+     * thread principal o processamento é interrompido antes da leitura da próxima parte.
+     */
+    function cancelarProcessamento() {
+        _processamentosAtivos.forEach(controle => {
+            controle.cancelado = true;
+            if (controle.worker) {
+                controle.worker.terminate();
+                controle.worker = null;
+                controle.rejeitar(criarErroCancelamento());
+            }
+        });
+    }
 
-                // Iniciar a leitura do arquivo como texto
-                reader.readAsText(arquivo);
+    /**
+     * Cria o erro que rejeita um processamento cancelado
+     * @returns {Error} - Erro com a propriedade cancelado = true
+     */
+    function criarErroCancelamento() {
+        const erro = new Error('Processamento do arquivo SPED cancelado');
+        erro.cancelado = true;
+        return erro;
+    }
 
-            } catch (erro) {
-                console.error('SPED-PARSER: Erro ao configurar leitor de arquivo:', erro);
-                reject(erro);
+    /**
+     * Lê uma parte do arquivo
+     * @param {Blob} parte - Parte do arquivo (Blob.slice)
+     * @returns {Promise<ArrayBuffer>} - Conteúdo da parte
+     */
+    function lerParte(parte) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = e => resolve(e.target.result);
+            reader.onerror = e => reject(new Error('Erro ao ler o arquivo: ' + e.target.error));
+            reader.readAsArrayBuffer(parte);
+        });
+    }
+
+    /**
+     * Detecta a codificação de caracteres pelo início do arquivo: BOM ou, na falta dele, validação
+     * das sequências UTF-8 dos bytes acima de 0x7F. Bytes que não formam UTF-8 válido indicam
+     * codificação de um byte (Windows-1252 se houver bytes 0x80-0x9F, senão ISO-8859-1).
+     * @param {Uint8Array} bytes - Bytes iniciais do arquivo
+     * @returns {Object} - Codificação e origem da detecção ({codificacao, origem})
+     */
+    function detectarCodificacao(bytes) {
+        if (bytes.length >= 3 && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return { codificacao: 'utf-8', origem: 'bom' };
+        }
+        if (bytes.length >= 2 && bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return { codificacao: 'utf-16le', origem: 'bom' };
+        }
+        if (bytes.length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return { codificacao: 'utf-16be', origem: 'bom' };
+        }
+
+        let sequenciasValidas = 0;
+        let bytesInvalidos = 0;
+        let bytesControle = 0;
+        let i = 0;
+        while (i < bytes.length) {
+            const byte = bytes[i];
+            if (byte < 0x80) {
+                i++;
+                continue;
+            }
+            if (byte <= 0x9F) {
+                bytesControle++;
+            }
+
+            const continuacoes = byte >= 0xC2 && byte <= 0xDF ? 1 :
+                byte >= 0xE0 && byte <= 0xEF ? 2 :
+                byte >= 0xF0 && byte <= 0xF4 ? 3 : 0;
+            if (continuacoes === 0) {
+                bytesInvalidos++;
+                i++;
+                continue;
+            }
+            // Sequência interrompida pelo fim da parte lida não é avaliada
+            if (i + continuacoes >= bytes.length) {
+                break;
+            }
+
+            let valida = true;
+            for (let j = 1; j <= continuacoes; j++) {
+                if ((bytes[i + j] & 0xC0) !== 0x80) {
+                    valida = false;
+                    break;
+                }
+            }
+            if (valida) {
+                sequenciasValidas++;
+                i += continuacoes + 1;
+            } else {
+                bytesInvalidos++;
+                i++;
+            }
+        }
+
+        if (sequenciasValidas === 0 && bytesInvalidos === 0) {
+            // Somente ASCII: UTF-8 é compatível e a leitura é refeita se surgirem caracteres inválidos
+            return { codificacao: 'utf-8', origem: 'padrao' };
+        }
+        if (bytesInvalidos > sequenciasValidas) {
+            return { codificacao: bytesControle > 0 ? 'windows-1252' : 'iso-8859-1', origem: 'conteudo' };
+        }
+        return { codificacao: 'utf-8', origem: 'conteudo' };
+    }
+
+    /**
+     * Conta os caracteres de substituição (U+FFFD) gerados pela decodificação de bytes inválidos
+     * @param {string} texto - Texto decodificado
+     * @returns {number} - Quantidade de caracteres substituídos
+     */
+    function contarCaracteresSubstituidos(texto) {
+        let quantidade = 0;
+        let posicao = texto.indexOf('\uFFFD');
+        while (posicao !== -1) {
+            quantidade++;
+            posicao = texto.indexOf('\uFFFD', posicao + 1);
+        }
+        return quantidade;
+    }
+
+    /**
+     * Lê o arquivo em partes, decodifica o texto e processa as linhas de cada parte. Executado pelo
+     * Web Worker ou, na falta dele, pela thread principal. Se a codificação detectada for UTF-8 e a
+     * leitura gerar caracteres inválidos em excesso, o arquivo é lido novamente em Windows-1252.
+     * @param {Blob} arquivo - Arquivo SPED (File ou Blob com a propriedade name)
+     * @param {string} tipo - Tipo do SPED; detectado pelas primeiras linhas se omitido
+     * @param {Object} opcoes - Opções ({aoProgredir(progresso), cancelado(): boolean, codificacao})
+     * @returns {Promise<Object>} - Dados extraídos, com metadados (inclusive a codificação usada) e
+     *          ciclos financeiros
+     */
+    function processarArquivoEmPartes(arquivo, tipo, opcoes = {}) {
+        const codificacaoInformada = String(opcoes.codificacao || '').toLowerCase();
+        if (codificacaoInformada && !CODIFICACOES[codificacaoInformada]) {
+            return Promise.reject(new Error(`Codificação de caracteres não suportada: ${opcoes.codificacao}`));
+        }
+
+        const deteccao = codificacaoInformada ? { codificacao: codificacaoInformada, origem: 'informada' } : null;
+
+        return lerArquivoEmPartes(arquivo, tipo, opcoes, deteccao).catch(erro => {
+            if (!erro.codificacaoInvalida) {
+                throw erro;
+            }
+            console.warn(`SPED-PARSER: ${erro.message}. Lendo ${arquivo.name} novamente em Windows-1252.`);
+            return lerArquivoEmPartes(arquivo, tipo, opcoes, { codificacao: 'windows-1252', origem: 'nova-tentativa' });
+        });
+    }
+
+    /**
+     * Leitura em partes de processarArquivoEmPartes com uma codificação definida ou detectada
+     * @param {Blob} arquivo - Arquivo SPED
+     * @param {string} tipo - Tipo do SPED; detectado pelas primeiras linhas se omitido
+     * @param {Object} opcoes - Opções ({aoProgredir(progresso), cancelado(): boolean})
+     * @param {Object|null} deteccao - Codificação a usar ({codificacao, origem}); null para detectar
+     * @returns {Promise<Object>} - Dados extraídos; rejeitada com erro.codificacaoInvalida = true
+     *          quando a leitura em UTF-8 detectado gera caracteres inválidos em excesso
+     */
+    function lerArquivoEmPartes(arquivo, tipo, opcoes, deteccao) {
+        let decodificador = null;
+        let caracteresSubstituidos = 0;
+        let extracao = null;
+        let tipoEfetivo = tipo;
+        let resto = '';
+        let numeroLinha = 0;
+
+        const processarTexto = texto => {
+            // A última linha da parte pode estar incompleta e é concluída pela parte seguinte
+            const linhas = (resto + texto).split('\n');
+            resto = linhas.pop();
+
+            if (!extracao) {
+                tipoEfetivo = tipo || determinarTipoSped(linhas, arquivo.name);
+                extracao = criarExtracao(tipoEfetivo);
+            }
+            for (let i = 0; i < linhas.length; i++) {
+                extracao.processarLinha(linhas[i], ++numeroLinha);
+            }
+        };
+
+        const decodificar = (conteudo, ultimaParte) => {
+            if (!decodificador) {
+                deteccao = deteccao || detectarCodificacao(new Uint8Array(conteudo));
+                decodificador = new TextDecoder(deteccao.codificacao);
+            }
+
+            const texto = decodificador.decode(conteudo, { stream: !ultimaParte });
+            caracteresSubstituidos += contarCaracteresSubstituidos(texto);
+            if (deteccao.codificacao === 'utf-8' && deteccao.origem !== 'informada' &&
+                caracteresSubstituidos > LIMITE_CARACTERES_SUBSTITUIDOS) {
+                const erro = new Error(`${caracteresSubstituidos} caracteres inválidos na leitura em UTF-8`);
+                erro.codificacaoInvalida = true;
+                throw erro;
+            }
+            return texto;
+        };
+
+        const lerProximaParte = inicio => {
+            if (inicio >= arquivo.size) {
+                return Promise.resolve();
+            }
+            if (typeof opcoes.cancelado === 'function' && opcoes.cancelado()) {
+                return Promise.reject(criarErroCancelamento());
+            }
+
+            const fim = Math.min(arquivo.size, inicio + TAMANHO_PARTE);
+            return lerParte(arquivo.slice(inicio, fim)).then(conteudo => {
+                processarTexto(decodificar(conteudo, fim >= arquivo.size));
+
+                if (typeof opcoes.aoProgredir === 'function') {
+                    opcoes.aoProgredir({
+                        bytesLidos: fim,
+                        totalBytes: arquivo.size,
+                        percentual: arquivo.size > 0 ? fim / arquivo.size * 100 : 100,
+                        ...extracao.obterProgresso()
+                    });
+                }
+                return lerProximaParte(fim);
+            });
+        };
+
+        return lerProximaParte(0).then(() => {
+            if (!extracao) {
+                tipoEfetivo = tipo || determinarTipoSped([], arquivo.name);
+                extracao = criarExtracao(tipoEfetivo);
+            }
+            if (resto) {
+                extracao.processarLinha(resto, ++numeroLinha);
             }
+
+            const dadosExtraidos = extracao.finalizar();
+            const codificacao = deteccao?.codificacao || 'utf-8';
+            const origemCodificacao = deteccao?.origem || 'padrao';
+
+            // Adicionar metadados do arquivo
+            dadosExtraidos.metadados = {
+                ...(dadosExtraidos.metadados || {}),
+                nomeArquivo: arquivo.name,
+                tamanhoBytes: arquivo.size,
+                tipoArquivo: tipoEfetivo,
+                codificacao: {
+                    codificacao,
+                    nome: CODIFICACOES[codificacao],
+                    origem: origemCodificacao,
+                    descricaoOrigem: ORIGENS_CODIFICACAO[origemCodificacao],
+                    caracteresSubstituidos
+                },
+                dataProcessamento: new Date().toISOString()
+            };
+
+            // Adicionar cálculo de ciclos após processamento
+            const ciclos = calcularCiclosFinanceiros(dadosExtraidos);
+            if (ciclos) {
+                dadosExtraidos.ciclosFinanceiros = ciclos;
+            }
+
+            return dadosExtraidos;
         });
     }
     
@@ -389,8 +747,30 @@ const SpedParser = (function() {
 
     /**
      * Extrai dados relevantes das linhas do arquivo SPED
+     * @param {Array} linhas - Linhas do arquivo
+     * @param {string} tipo - Tipo do SPED
+     * @returns {Object} - Dados extraídos
      */
     function extrairDados(linhas, tipo) {
+        const extracao = criarExtracao(tipo || determinarTipoSped(linhas));
+        for (let i = 0; i < linhas.length; i++) {
+            extracao.processarLinha(linhas[i], i + 1);
+        }
+        return extracao.finalizar();
+    }
+
+    /**
+     * Cria uma extração incremental: as linhas são processadas uma a uma, na ordem do arquivo, e os
+     * itens (C170) e registros analíticos (C190) são agregados à medida que são lidos, de forma que a
+     * memória usada não cresça com o número de linhas desses registros.
+     * A estrutura do arquivo é acompanhada na mesma leitura (metadados.estrutura): quantidade de
+     * registros por tipo, abertura e encerramento de cada bloco, totais declarados nos registros
+     * 9900, 9990 e 9999 e ocorrências de hierarquia, com o número da linha, para a validação de
+     * integridade do SpedValidationModule.
+     * @param {string} tipo - Tipo do SPED
+     * @returns {Object} - Extração ({processarLinha(linha, numeroLinha), obterProgresso(), finalizar()})
+     */
+    function criarExtracao(tipo) {
         const resultado = {
             empresa: {},
             documentos: [],
@@ -422,7 +802,7 @@ const SpedParser = (function() {
             }
         };
 
-        let tipoSped = tipo || determinarTipoSped(linhas);
+        let tipoSped = tipo;
         
         if (!tipoSped || !registrosMapeados[tipoSped]) {
             console.warn(`SPED-PARSER: Tipo não reconhecido: ${tipoSped}. Usando 'fiscal' como padrão.`);
@@ -431,34 +811,168 @@ const SpedParser = (function() {
 
         resultado.metadados.tipoDetectado = tipoSped;
 
+        const agregados = { itens: new Map(), analiticos: new Map() };
+        const registrosPorBloco = {};
+        let blocoAtual = null;
+        let totalLinhas = 0;
         let linhaBemSucedida = 0;
-        
-        for (let i = 0; i < linhas.length; i++) {
-            const linha = linhas[i];
-            
-            if (!linha.trim()) continue;
+
+        const estrutura = {
+            totalLinhas: 0,
+            registrosPorTipo: {},
+            primeiroRegistro: null,
+            ultimoRegistro: null,
+            blocos: {},
+            totaisDeclarados: {},
+            encerramentoArquivo: null,
+            ocorrencias: [],
+            totalOcorrencias: 0
+        };
+        const hierarquia = HIERARQUIA_REGISTROS[tipoSped] || {};
+        const gruposPais = {};
+        Object.values(hierarquia).forEach(({ pai, ultimoDoGrupo }) => {
+            gruposPais[pai] = ultimoDoGrupo;
+        });
+        const paisAbertos = {};
+        let blocoEstrutura = null;
+
+        function registrarOcorrencia(linha, registro, mensagem) {
+            estrutura.totalOcorrencias++;
+            if (estrutura.ocorrencias.length < LIMITE_OCORRENCIAS_ESTRUTURA) {
+                estrutura.ocorrencias.push({ linha, registro, mensagem });
+            }
+        }
+
+        function lerQuantidade(valor) {
+            const texto = String(valor || '').trim();
+            return /^\d+$/.test(texto) ? parseInt(texto, 10) : null;
+        }
+
+        /**
+         * Acompanha a estrutura do arquivo a cada linha: sequência dos blocos, hierarquia dos
+         * registros e totais declarados no bloco 9
+         */
+        function acompanharEstrutura(linha, campos, numeroLinha) {
+            const registro = campos[1] || '';
+            const registroValido = linha.charAt(0) === '|' && /^[0-9A-Z]{4}$/.test(registro);
+
+            if (estrutura.encerramentoArquivo) {
+                // A assinatura digital anexada após o 9999 não faz parte do leiaute
+                if (registroValido) {
+                    registrarOcorrencia(numeroLinha, registro, 'Registro após o encerramento do arquivo (9999)');
+                }
+                return;
+            }
+
+            estrutura.totalLinhas++;
+            if (!registroValido) {
+                registrarOcorrencia(numeroLinha, null, 'Linha fora do leiaute do SPED (código de registro ausente ou inválido)');
+                return;
+            }
+
+            estrutura.registrosPorTipo[registro] = (estrutura.registrosPorTipo[registro] || 0) + 1;
+            if (!estrutura.primeiroRegistro) {
+                estrutura.primeiroRegistro = { registro, linha: numeroLinha };
+            }
+            estrutura.ultimoRegistro = { registro, linha: numeroLinha };
+
+            // Blocos contíguos, abertos pelo X001 e encerrados pelo X990 (no bloco 9 o 9999 vem após o 9990)
+            const bloco = registro.charAt(0);
+            let dadosBloco = estrutura.blocos[bloco];
+            if (!dadosBloco) {
+                dadosBloco = estrutura.blocos[bloco] = {
+                    primeiraLinha: numeroLinha,
+                    primeiroRegistro: registro,
+                    linhas: 0,
+                    abertura: null,
+                    encerramento: null
+                };
+            } else if (blocoEstrutura !== bloco) {
+                registrarOcorrencia(numeroLinha, registro, `Registro do bloco ${bloco} fora da sequência: o bloco foi interrompido após a linha ${dadosBloco.ultimaLinha}`);
+            } else if (dadosBloco.encerramento && registro !== '9999') {
+                registrarOcorrencia(numeroLinha, registro, `Registro após o encerramento do bloco ${bloco} (${bloco}990 na linha ${dadosBloco.encerramento.linha})`);
+            }
+            blocoEstrutura = bloco;
+            dadosBloco.linhas++;
+            dadosBloco.ultimaLinha = numeroLinha;
+            dadosBloco.ultimoRegistro = registro;
+
+            if (registro === `${bloco}001`) {
+                // No bloco 0 a abertura 0001 vem logo após o 0000
+                const posicaoAbertura = bloco === '0' ? 2 : 1;
+                if (dadosBloco.abertura || dadosBloco.linhas !== posicaoAbertura) {
+                    registrarOcorrencia(numeroLinha, registro, `Abertura do bloco ${bloco} fora da posição: deve ser o ${posicaoAbertura === 1 ? 'primeiro' : 'segundo'} registro do bloco`);
+                }
+                dadosBloco.abertura = dadosBloco.abertura || { linha: numeroLinha };
+            } else if (registro === `${bloco}990`) {
+                const quantidade = lerQuantidade(campos[2]);
+                if (quantidade === null) {
+                    registrarOcorrencia(numeroLinha, registro, `Quantidade de linhas do bloco ${bloco} inválida`);
+                }
+                dadosBloco.encerramento = { linha: numeroLinha, quantidade };
+            } else if (registro === '9900') {
+                const registroTotalizado = String(campos[2] || '').trim();
+                const quantidade = lerQuantidade(campos[3]);
+                if (!/^[0-9A-Z]{4}$/.test(registroTotalizado) || quantidade === null) {
+                    registrarOcorrencia(numeroLinha, registro, 'Totalização de registro inválida (REG_BLC ou QTD_REG_BLC)');
+                } else if (estrutura.totaisDeclarados[registroTotalizado]) {
+                    registrarOcorrencia(numeroLinha, registro, `Registro ${registroTotalizado} totalizado mais de uma vez (primeira totalização na linha ${estrutura.totaisDeclarados[registroTotalizado].linha})`);
+                } else {
+                    estrutura.totaisDeclarados[registroTotalizado] = { quantidade, linha: numeroLinha };
+                }
+            } else if (registro === '9999') {
+                const quantidade = lerQuantidade(campos[2]);
+                if (quantidade === null) {
+                    registrarOcorrencia(numeroLinha, registro, 'Quantidade de linhas do arquivo inválida');
+                }
+                estrutura.encerramentoArquivo = { linha: numeroLinha, quantidade };
+            }
+
+            // Hierarquia: o filho vem depois do pai, apenas com registros do grupo do pai entre eles
+            Object.keys(paisAbertos).forEach(pai => {
+                if (registro < pai || registro > gruposPais[pai]) {
+                    delete paisAbertos[pai];
+                }
+            });
+            if (gruposPais[registro]) {
+                paisAbertos[registro] = numeroLinha;
+            }
+            const relacao = hierarquia[registro];
+            if (relacao && !paisAbertos[relacao.pai]) {
+                registrarOcorrencia(numeroLinha, registro, `Registro ${registro} sem o registro pai ${relacao.pai}`);
+            }
+        }
+
+        function processarLinha(linha, numeroLinha) {
+            totalLinhas++;
+            if (!linha.trim()) return;
 
             try {
                 const campos = linha.split('|');
+                acompanharEstrutura(linha, campos, numeroLinha);
                 
                 if (campos.length < 2) {
                     resultado.metadados.registrosIgnorados++;
-                    continue;
+                    return;
                 }
                 
                 const registro = campos[1];
 
+                // Bloco do registro (primeiro caractere do código), para o acompanhamento do progresso
+                blocoAtual = registro.charAt(0) || blocoAtual;
+                registrosPorBloco[blocoAtual] = (registrosPorBloco[blocoAtual] || 0) + 1;
+
                 if (registrosMapeados[tipoSped] && registrosMapeados[tipoSped][registro]) {
                     try {
                         const dadosRegistro = registrosMapeados[tipoSped][registro](campos);
                         
                         if (dadosRegistro && dadosRegistro !== null) {
-                            integrarDados(resultado, dadosRegistro, registro);
+                            integrarDados(resultado, dadosRegistro, registro, agregados);
                             linhaBemSucedida++;
                             resultado.metadados.registrosProcessados++;
                         }
                     } catch (erroRegistro) {
-                        const mensagemErro = `Erro no registro ${registro} (linha ${i + 1}): ${erroRegistro.message}`;
+                        const mensagemErro = `Erro no registro ${registro} (linha ${numeroLinha}): ${erroRegistro.message}`;
                         resultado.metadados.erros.push(mensagemErro);
                         console.warn('SPED-PARSER:', mensagemErro);
                     }
@@ -466,23 +980,48 @@ const SpedParser = (function() {
                     resultado.metadados.registrosIgnorados++;
                 }
             } catch (erroLinha) {
-                const mensagemErro = `Erro na linha ${i + 1}: ${erroLinha.message}`;
+                const mensagemErro = `Erro na linha ${numeroLinha}: ${erroLinha.message}`;
                 resultado.metadados.erros.push(mensagemErro);
                 console.warn('SPED-PARSER:', mensagemErro);
             }
         }
 
-        console.log(`SPED-PARSER: Processamento concluído para ${tipoSped}:`, {
-            totalLinhas: linhas.length,
-            registrosProcessados: resultado.metadados.registrosProcessados,
-            registrosIgnorados: resultado.metadados.registrosIgnorados,
-            erros: resultado.metadados.erros.length,
-            linhaBemSucedida: linhaBemSucedida
-        });
+        function obterProgresso() {
+            return {
+                linhasLidas: totalLinhas,
+                registrosProcessados: resultado.metadados.registrosProcessados,
+                blocoAtual,
+                registrosPorBloco: { ...registrosPorBloco }
+            };
+        }
 
-        processarRelacoesEntreDados(resultado, tipoSped);
+        function finalizar() {
+            agregados.itens.forEach(item => resultado.itens.push(item));
+            agregados.analiticos.forEach(analitico => resultado.itensAnaliticos.push(analitico));
+            resultado.metadados.totalLinhas = totalLinhas;
+            resultado.metadados.registrosPorBloco = registrosPorBloco;
+            resultado.metadados.estrutura = estrutura;
+
+            console.log(`SPED-PARSER: Processamento concluído para ${tipoSped}:`, {
+                totalLinhas: totalLinhas,
+                registrosProcessados: resultado.metadados.registrosProcessados,
+                registrosIgnorados: resultado.metadados.registrosIgnorados,
+                erros: resultado.metadados.erros.length,
+                linhaBemSucedida: linhaBemSucedida,
+                itensAgregados: agregados.itens.size,
+                analiticosAgregados: agregados.analiticos.size
+            });
 
-        return resultado;
+            processarRelacoesEntreDados(resultado, tipoSped);
+
+            return resultado;
+        }
+
+        return {
+            processarLinha,
+            obterProgresso,
+            finalizar
+        };
     }
     
     /**
@@ -557,6 +1096,16 @@ const SpedParser = (function() {
         return campos[indice] ? campos[indice].trim() : valorPadrao;
     }
 
+    /**
+     * Obtém a UF a partir do código IBGE do município
+     */
+    function obterUFPorMunicipio(codigoMunicipio) {
+        if (typeof window !== 'undefined' && window.AliquotasIBSDestino) {
+            return window.AliquotasIBSDestino.obterUFPorMunicipio(codigoMunicipio);
+        }
+        return '';
+    }
+
     /**
      * Converte string para valor monetário
      */
@@ -656,7 +1205,7 @@ const SpedParser = (function() {
                 // Bloco C
                 'C100', 'C170', 'C190', 'C197',
                 // Bloco E
-                'E110', 'E111', 'E116', 'E200', 'E210', 'E220',
+                'E110', 'E111', 'E116', 'E200', 'E210', 'E220', 'E300', 'E310', 'E520',
                 // Bloco H
                 'H010', 'H020',
                 // Bloco 9 (controle)
@@ -926,8 +1475,13 @@ const SpedParser = (function() {
 
     /**
      * Integra dados do registro no resultado final
+     * @param {Object} resultado - Resultado da extração
+     * @param {Object} dadosRegistro - Dados do registro interpretado
+     * @param {string} registro - Código do registro (ex.: 'C170')
+     * @param {Object} agregados - Agregação dos itens e registros analíticos ({itens, analiticos}, opcional).
+     *                             Sem agregação, cada C170/C190 é mantido individualmente.
      */
-    function integrarDados(resultado, dadosRegistro, registro) {
+    function integrarDados(resultado, dadosRegistro, registro, agregados = null) {
         if (!dadosRegistro || !dadosRegistro.tipo) return;
 
         switch (dadosRegistro.tipo) {
@@ -940,13 +1494,40 @@ const SpedParser = (function() {
                 break;
 
             case 'item':
-            case 'item_documento':
                 resultado.itens.push(dadosRegistro);
                 break;
 
-            case 'analitico_icms':
-                resultado.itensAnaliticos.push(dadosRegistro);
+            case 'item_documento':
+                if (agregados) {
+                    agregarItemDocumento(agregados.itens, dadosRegistro);
+                } else {
+                    resultado.itens.push(dadosRegistro);
+                }
+                break;
+
+            case 'analitico_icms': {
+                // C190 é filho do último C100 lido: herdar participante e indicador de operação
+                const documentoAtual = resultado.documentos[resultado.documentos.length - 1];
+                if (registro === 'C190' && documentoAtual) {
+                    dadosRegistro.codPart = documentoAtual.codPart;
+                    dadosRegistro.indOper = documentoAtual.indOper;
+                    documentoAtual.analiticos = documentoAtual.analiticos || [];
+                    // Com agregação, o documento guarda apenas os valores usados nas análises
+                    documentoAtual.analiticos.push(agregados ? {
+                        cstIcms: dadosRegistro.cstIcms,
+                        cfop: dadosRegistro.cfop,
+                        aliqIcms: dadosRegistro.aliqIcms,
+                        valorOpr: dadosRegistro.valorOpr,
+                        valorIcms: dadosRegistro.valorIcms
+                    } : dadosRegistro);
+                }
+                if (agregados) {
+                    agregarAnalitico(agregados.analiticos, dadosRegistro, registro);
+                } else {
+                    resultado.itensAnaliticos.push(dadosRegistro);
+                }
                 break;
+            }
 
             case 'participante':
                 resultado.participantes.push(dadosRegistro);
@@ -963,6 +1544,16 @@ const SpedParser = (function() {
                 break;
 
             case 'debito':
+                if (registro === 'E210' || registro === 'E310') {
+                    // E210/E310 são filhos do último período por UF (E200/E300) lido: herdar UF e datas
+                    const periodos = resultado.detalhamento[registro === 'E210' ? 'periodo_icms_st' : 'periodo_icms_difal_fcp'] || [];
+                    const periodoAtual = periodos[periodos.length - 1];
+                    if (periodoAtual) {
+                        dadosRegistro.uf = periodoAtual.uf;
+                        dadosRegistro.dataInicial = periodoAtual.dataInicial;
+                        dadosRegistro.dataFinal = periodoAtual.dataFinal;
+                    }
+                }
                 if (dadosRegistro.categoria) {
                     if (!resultado.debitos[dadosRegistro.categoria]) {
                         resultado.debitos[dadosRegistro.categoria] = [];
@@ -1029,6 +1620,63 @@ const SpedParser = (function() {
         }
     }
     
+    /**
+     * Campos numéricos somados na agregação dos itens de documento (C170)
+     * @type {Array}
+     */
+    const CAMPOS_SOMA_ITEM = ['qtd', 'valorItem', 'valorTotalItem', 'valorDesc', 'valorBcIcms', 'valorIcms', 'valorBcIcmsSt', 'valorIcmsSt'];
+
+    /**
+     * Campos numéricos somados na agregação dos registros analíticos (C190)
+     * @type {Array}
+     */
+    const CAMPOS_SOMA_ANALITICO = ['valorOpr', 'valorBcIcms', 'valorIcms', 'valorBcIcmsSt', 'valorIcmsSt', 'valorRedBc', 'valorIpi'];
+
+    /**
+     * Agrega o item de documento (C170) por código do item, CFOP e indicador de movimentação,
+     * somando quantidades e valores
+     * @param {Map} itens - Itens agregados
+     * @param {Object} item - Item interpretado (parseRegistroC170)
+     */
+    function agregarItemDocumento(itens, item) {
+        const chave = `${item.codItem}|${item.cfop}|${item.indMov}`;
+        const agregado = itens.get(chave);
+        if (!agregado) {
+            // O número do item identifica uma linha da nota e não se aplica ao agregado
+            const novo = { ...item, quantidadeRegistros: 1 };
+            delete novo.numItem;
+            itens.set(chave, novo);
+            return;
+        }
+        CAMPOS_SOMA_ITEM.forEach(campo => {
+            agregado[campo] += item[campo] || 0;
+        });
+        agregado.quantidadeRegistros++;
+    }
+
+    /**
+     * Agrega o registro analítico (C190) por registro, indicador de operação, CST, CFOP e alíquota
+     * @param {Map} analiticos - Registros analíticos agregados
+     * @param {Object} analitico - Registro interpretado (parseRegistroC190)
+     * @param {string} registro - Código do registro
+     */
+    function agregarAnalitico(analiticos, analitico, registro) {
+        const chave = `${registro}|${analitico.indOper}|${analitico.cstIcms}|${analitico.cfop}|${analitico.aliqIcms}`;
+        const agregado = analiticos.get(chave);
+        if (!agregado) {
+            // Participante e observação são do documento e não se aplicam ao agregado
+            const novo = { ...analitico, quantidadeRegistros: 1 };
+            delete novo.codPart;
+            delete novo.codObs;
+            analiticos.set(chave, novo);
+            return;
+        }
+        CAMPOS_SOMA_ANALITICO.forEach(campo => {
+            agregado[campo] += analitico[campo] || 0;
+        });
+        agregado.quantidadeRegistros++;
+    }
+
     function integrarDadosContribuicoes(resultado, dadosRegistro, registro) {
         if (!dadosRegistro || !dadosRegistro.tipo) return;
 
@@ -1363,20 +2011,21 @@ const SpedParser = (function() {
             return {
                 tipo: 'empresa',
                 categoria: 'identificacao',
-                versaoLeiaute: validarCampo(campos, 3),
-                finalidade: validarCampo(campos, 4),
-                dataInicial: validarCampo(campos, 5),
-                dataFinal: validarCampo(campos, 6),
+                versaoLeiaute: validarCampo(campos, 2),
+                finalidade: validarCampo(campos, 3),
+                dataInicial: validarCampo(campos, 4), // DT_INI no campo 4
+                dataFinal: validarCampo(campos, 5), // DT_FIN no campo 5
                 nomeEmpresarial: nome,
                 cnpj: cnpj,
                 nome: nome, // Nome correto
-                uf: validarCampo(campos, 8), // UF está no campo 8
-                ie: validarCampo(campos, 9), // IE está no campo 9
-                codMunicipio: validarCampo(campos, 10), // Código do município está no campo 10
-                im: validarCampo(campos, 11),
-                suframa: validarCampo(campos, 12),
-                perfil: validarCampo(campos, 13),
-                atividade: validarCampo(campos, 14)
+                cpf: validarCampo(campos, 8),
+                uf: validarCampo(campos, 9), // UF está no campo 9 (após o CPF)
+                ie: validarCampo(campos, 10), // IE está no campo 10
+                codMunicipio: validarCampo(campos, 11), // Código do município está no campo 11
+                im: validarCampo(campos, 12),
+                suframa: validarCampo(campos, 13),
+                perfil: validarCampo(campos, 14),
+                atividade: validarCampo(campos, 15)
             };
         } catch (erro) {
             console.warn('Erro ao processar registro 0000:', erro.message, 'Conteúdo do campo:', JSON.stringify(campos));
@@ -1406,19 +2055,22 @@ const SpedParser = (function() {
         };
     }
 
+    // Registro 0150 - Participante (CNPJ e CPF em campos distintos; COD_MUN no campo 8)
     function parseRegistro0150(campos) {
         if (!validarEstruturaRegistro(campos, 11)) return null;
+        const codigoMunicipio = validarCampo(campos, 8);
         return {
             tipo: 'participante',
             codigo: validarCampo(campos, 2),
             nome: validarCampo(campos, 3),
             codigoPais: validarCampo(campos, 4),
-            cnpjCpf: validarCampo(campos, 5),
-            ie: validarCampo(campos, 6),
-            codigoMunicipio: validarCampo(campos, 7),
-            suframa: validarCampo(campos, 8),
-            endereco: validarCampo(campos, 9),
-            numero: validarCampo(campos, 10)
+            cnpjCpf: validarCampo(campos, 5) || validarCampo(campos, 6),
+            ie: validarCampo(campos, 7),
+            codigoMunicipio: codigoMunicipio,
+            uf: obterUFPorMunicipio(codigoMunicipio),
+            suframa: validarCampo(campos, 9),
+            endereco: validarCampo(campos, 10),
+            numero: validarCampo(campos, 11)
         };
     }
 
@@ -1448,12 +2100,7 @@ const SpedParser = (function() {
 
     // Registro C100 - Documento Fiscal
     function parseRegistroC100(campos) {
-        // Log para debug
-        if (campos.length > 12 && campos[12]) {
-            console.log('Registro C100 - Valor do campo 12:', campos[12]);
-        }
-
-        const documento = {
+        return {
             tipo: 'documento',
             indOper: campos[2], // 0=Entrada, 1=Saída
             indEmit: campos[3],
@@ -1467,13 +2114,6 @@ const SpedParser = (function() {
             valorTotal: parseValorMonetario(campos[12]), // Valor do documento
             valorProdutos: parseValorMonetario(campos[16]) // Valor dos produtos
         };
-
-        // Log do documento parseado
-        if (documento.valorTotal > 0) {
-            console.log('Documento C100 parseado:', documento);
-        }
-
-        return documento;
     }
 
     // Registro C170 - Item do Documento
@@ -1607,55 +2247,132 @@ const SpedParser = (function() {
     }
 
     function parseRegistroE200(campos) {
+        if (!validarEstruturaRegistro(campos, 5)) {
+            console.warn('Registro E200 com estrutura insuficiente:', campos.length, 'campos encontrados (esperado 5+)');
+            return null;
+        }
+
+        return {
+            tipo: 'periodo_icms_st',
+            uf: validarCampo(campos, 2),                // Campo 02: UF
+            dataInicial: validarCampo(campos, 3),       // Campo 03: DT_INI
+            dataFinal: validarCampo(campos, 4),         // Campo 04: DT_FIN
+            registro: 'E200'
+        };
+    }
+
+    function parseRegistroE210(campos) {
         if (!validarEstruturaRegistro(campos, 15)) {
-            console.warn('Registro E200 com estrutura insuficiente:', campos.length, 'campos encontrados (esperado 15+)');
+            console.warn('Registro E210 com estrutura insuficiente:', campos.length, 'campos encontrados (esperado 15+)');
             return null;
         }
 
         try {
             return {
                 tipo: 'debito',
-                categoria: 'ipi',
-                codigoApuracao: validarCampo(campos, 1, ''),                         // Identificador da apuração
-                periodoApuracao: validarCampo(campos, 2, ''),                        // Período de apuração
-                valorTotalDebitos: parseValorMonetario(validarCampo(campos, 3, '0')),  // Campo 02: VL_TOT_DEBITOS
-                valorTotalCreditos: parseValorMonetario(validarCampo(campos, 4, '0')),  // Campo 03: VL_TOT_CREDITOS
-                valorSaldoApurado: parseValorMonetario(validarCampo(campos, 5, '0')),   // Campo 04: VL_SLD_APURADO
-                valorSaldoAnterior: parseValorMonetario(validarCampo(campos, 6, '0')),  // Campo 05: VL_SLD_CREDOR_ANT
-                valorDeducoes: parseValorMonetario(validarCampo(campos, 7, '0')),       // Campo 06: VL_TOT_DED
-                valorIpiRecolher: parseValorMonetario(validarCampo(campos, 8, '0')),    // Campo 07: VL_IPI_RECOLHER
-                valorSaldoCredorTransportar: parseValorMonetario(validarCampo(campos, 9, '0')), // Campo 08: VL_SLD_CREDOR_TRANSPORTAR
-                valorDebitosEspeciais: parseValorMonetario(validarCampo(campos, 10, '0')), // Campo 09: DEB_ESP_ST
-                registro: 'E200'
+                categoria: 'icms_st',
+                indicadorMovimento: validarCampo(campos, 2),                                  // Campo 02: IND_MOV_ST
+                valorSaldoCredorAnterior: parseValorMonetario(validarCampo(campos, 3, '0')),  // Campo 03: VL_SLD_CRED_ANT_ST
+                valorDevolucoes: parseValorMonetario(validarCampo(campos, 4, '0')),           // Campo 04: VL_DEVOL_ST
+                valorRessarcimentos: parseValorMonetario(validarCampo(campos, 5, '0')),       // Campo 05: VL_RESSARC_ST
+                valorOutrosCreditos: parseValorMonetario(validarCampo(campos, 6, '0')),       // Campo 06: VL_OUT_CRED_ST
+                valorAjustesCreditos: parseValorMonetario(validarCampo(campos, 7, '0')),      // Campo 07: VL_AJ_CREDITOS_ST
+                valorRetencao: parseValorMonetario(validarCampo(campos, 8, '0')),             // Campo 08: VL_RETENCAO_ST
+                valorOutrosDebitos: parseValorMonetario(validarCampo(campos, 9, '0')),        // Campo 09: VL_OUT_DEB_ST
+                valorAjustesDebitos: parseValorMonetario(validarCampo(campos, 10, '0')),      // Campo 10: VL_AJ_DEBITOS_ST
+                valorSaldoDevedorAnterior: parseValorMonetario(validarCampo(campos, 11, '0')), // Campo 11: VL_SLD_DEV_ANT_ST
+                valorDeducoes: parseValorMonetario(validarCampo(campos, 12, '0')),            // Campo 12: VL_DEDUCOES_ST
+                valorIcmsRecolher: parseValorMonetario(validarCampo(campos, 13, '0')),        // Campo 13: VL_ICMS_RECOL_ST
+                valorSaldoCredorTransportar: parseValorMonetario(validarCampo(campos, 14, '0')), // Campo 14: VL_SLD_CRED_ST_TRANSPORTAR
+                valorDebitosEspeciais: parseValorMonetario(validarCampo(campos, 15, '0')),    // Campo 15: DEB_ESP_ST
+                registro: 'E210'
             };
         } catch (erro) {
-            console.warn('Erro ao processar registro E200:', erro.message);
+            console.warn('Erro ao processar registro E210:', erro.message);
             return null;
         }
     }
 
-    function parseRegistroE210(campos) {
-        if (!validarEstruturaRegistro(campos, 7)) return null;
+    function parseRegistroE220(campos) {
+        if (!validarEstruturaRegistro(campos, 5)) return null;
         return {
             tipo: 'ajuste',
-            categoria: 'ipi',
-            indAj: validarCampo(campos, 2),
-            valorAj: parseValorMonetario(validarCampo(campos, 3, '0')),
-            codAj: validarCampo(campos, 4)
+            categoria: 'icms_st',
+            codAjApur: validarCampo(campos, 2),
+            descrCompl: validarCampo(campos, 3),
+            valorAjuste: parseValorMonetario(validarCampo(campos, 4, '0'))
         };
     }
 
-    function parseRegistroE220(campos) {
-        if (!validarEstruturaRegistro(campos, 6)) return null;
+    function parseRegistroE300(campos) {
+        if (!validarEstruturaRegistro(campos, 5)) {
+            console.warn('Registro E300 com estrutura insuficiente:', campos.length, 'campos encontrados (esperado 5+)');
+            return null;
+        }
+
         return {
-            tipo: 'informacao_adicional',
-            categoria: 'ipi',
-            codInfAd: validarCampo(campos, 2),
-            txtCompl: validarCampo(campos, 3),
-            qtdRef: parseValorMonetario(validarCampo(campos, 4, '0'))
+            tipo: 'periodo_icms_difal_fcp',
+            uf: validarCampo(campos, 2),                // Campo 02: UF
+            dataInicial: validarCampo(campos, 3),       // Campo 03: DT_INI
+            dataFinal: validarCampo(campos, 4),         // Campo 04: DT_FIN
+            registro: 'E300'
         };
     }
 
+    function parseRegistroE310(campos) {
+        if (!validarEstruturaRegistro(campos, 22)) {
+            console.warn('Registro E310 com estrutura insuficiente:', campos.length, 'campos encontrados (esperado 22+)');
+            return null;
+        }
+
+        try {
+            return {
+                tipo: 'debito',
+                categoria: 'icms_difal_fcp',
+                indicadorMovimento: validarCampo(campos, 2),                                  // Campo 02: IND_MOV_FCP_DIFAL
+                valorTotalDebitosDifal: parseValorMonetario(validarCampo(campos, 4, '0')),    // Campo 04: VL_TOT_DEBITOS_DIFAL
+                valorOutrosDebitosDifal: parseValorMonetario(validarCampo(campos, 5, '0')),   // Campo 05: VL_OUT_DEB_DIFAL
+                valorTotalCreditosDifal: parseValorMonetario(validarCampo(campos, 6, '0')),   // Campo 06: VL_TOT_CREDITOS_DIFAL
+                valorDeducoesDifal: parseValorMonetario(validarCampo(campos, 9, '0')),        // Campo 09: VL_DEDUCOES_DIFAL
+                valorRecolherDifal: parseValorMonetario(validarCampo(campos, 10, '0')),       // Campo 10: VL_RECOL_DIFAL
+                valorTotalDebitosFcp: parseValorMonetario(validarCampo(campos, 14, '0')),     // Campo 14: VL_TOT_DEB_FCP
+                valorOutrosDebitosFcp: parseValorMonetario(validarCampo(campos, 15, '0')),    // Campo 15: VL_OUT_DEB_FCP
+                valorTotalCreditosFcp: parseValorMonetario(validarCampo(campos, 16, '0')),    // Campo 16: VL_TOT_CRED_FCP
+                valorDeducoesFcp: parseValorMonetario(validarCampo(campos, 19, '0')),         // Campo 19: VL_DEDUCOES_FCP
+                valorRecolherFcp: parseValorMonetario(validarCampo(campos, 20, '0')),         // Campo 20: VL_RECOL_FCP
+                registro: 'E310'
+            };
+        } catch (erro) {
+            console.warn('Erro ao processar registro E310:', erro.message);
+            return null;
+        }
+    }
+
+    function parseRegistroE520(campos) {
+        if (!validarEstruturaRegistro(campos, 8)) {
+            console.warn('Registro E520 com estrutura insuficiente:', campos.length, 'campos encontrados (esperado 8+)');
+            return null;
+        }
+
+        try {
+            return {
+                tipo: 'debito',
+                categoria: 'ipi',
+                valorSaldoAnterior: parseValorMonetario(validarCampo(campos, 2, '0')),   // Campo 02: VL_SD_ANT_IPI
+                valorTotalDebitos: parseValorMonetario(validarCampo(campos, 3, '0')),    // Campo 03: VL_DEB_IPI
+                valorTotalCreditos: parseValorMonetario(validarCampo(campos, 4, '0')),   // Campo 04: VL_CRED_IPI
+                valorOutrosDebitos: parseValorMonetario(validarCampo(campos, 5, '0')),   // Campo 05: VL_OD_IPI
+                valorOutrosCreditos: parseValorMonetario(validarCampo(campos, 6, '0')),  // Campo 06: VL_OC_IPI
+                valorSaldoCredorTransportar: parseValorMonetario(validarCampo(campos, 7, '0')), // Campo 07: VL_SC_IPI
+                valorIpiRecolher: parseValorMonetario(validarCampo(campos, 8, '0')),     // Campo 08: VL_SD_IPI
+                registro: 'E520'
+            };
+        } catch (erro) {
+            console.warn('Erro ao processar registro E520:', erro.message);
+            return null;
+        }
+    }
+
     function parseRegistroH010(campos) {
         if (!validarEstruturaRegistro(campos, 3)) return null;
         return {
@@ -1706,8 +2423,8 @@ const SpedParser = (function() {
                 ie: validarCampo(campos, 11),
                 municipio: validarCampo(campos, 13),  
                 uf: validarCampo(campos, 14),
-                dataInicial: validarCampo(campos, 5),
-                dataFinal: validarCampo(campos, 6),
+                dataInicial: validarCampo(campos, 6), // DT_INI no campo 6 (após NUM_REC_ANTERIOR)
+                dataFinal: validarCampo(campos, 7), // DT_FIN no campo 7
                 versaoLeiaute: validarCampo(campos, 3)
             };
         } catch (erro) {
@@ -1779,14 +2496,16 @@ const SpedParser = (function() {
 
     function parseRegistro0150Contribuicoes(campos) {
         if (!validarEstruturaRegistro(campos, 11)) return null;
+        const codigoMunicipio = validarCampo(campos, 8);
         return {
             tipo: 'participante',
             codigo: validarCampo(campos, 2),
             nome: validarCampo(campos, 3),
             codigoPais: validarCampo(campos, 4),
-            cnpjCpf: validarCampo(campos, 5),
-            ie: validarCampo(campos, 6),
-            codigoMunicipio: validarCampo(campos, 7)
+            cnpjCpf: validarCampo(campos, 5) || validarCampo(campos, 6),
+            ie: validarCampo(campos, 7),
+            codigoMunicipio: codigoMunicipio,
+            uf: obterUFPorMunicipio(codigoMunicipio)
         };
     }
 
@@ -3777,6 +4496,10 @@ const SpedParser = (function() {
     // Interface pública
     return {
         processarArquivo,
+        processarArquivoEmPartes,
+        cancelarProcessamento,
+        detectarCodificacao,
+        codificacoesSuportadas: Object.keys(CODIFICACOES),
         tiposSuportados: Object.keys(registrosMapeados),
         versao: '2.0.0-corrigida'
     };
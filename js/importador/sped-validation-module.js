@@ -5,6 +5,11 @@
  */
 const SpedValidationModule = (function() {
     
+    /**
+     * Quantidade máxima de erros estruturais detalhados no relatório
+     */
+    const LIMITE_ERROS_ESTRUTURA = 200;
+    
     /**
      * Valida a estrutura e qualidade dos dados SPED extraídos
      */
@@ -27,6 +32,9 @@ const SpedValidationModule = (function() {
             // Validação da estrutura básica
             validarEstruturaBasica(dadosSped, relatorio);
             
+            // Validação da integridade estrutural do arquivo (bloco 9, blocos e hierarquia)
+            validarIntegridadeEstrutural(dadosSped, relatorio);
+            
             // Validação dos dados da empresa
             validarDadosEmpresa(dadosSped, relatorio);
             
@@ -86,6 +94,96 @@ const SpedValidationModule = (function() {
         }
     }
     
+    /**
+     * Valida a integridade estrutural do arquivo a partir do acompanhamento feito pelo SpedParser
+     * durante a leitura (metadados.estrutura): quantidade de cada registro contra os totais do 9900,
+     * linhas do arquivo contra o 9999, abertura e encerramento de cada bloco e hierarquia dos
+     * registros. Um arquivo truncado ou editado é recusado antes que seus valores cheguem à simulação.
+     */
+    function validarIntegridadeEstrutural(dadosSped, relatorio) {
+        const estrutura = dadosSped?.metadados?.estrutura;
+        if (!estrutura) {
+            relatorio.alertas.push('Estrutura do arquivo não informada - integridade estrutural não verificada');
+            return;
+        }
+        
+        const erros = [];
+        const adicionarErro = (linha, registro, mensagem) => erros.push({ linha, registro, mensagem });
+        
+        // Ocorrências registradas durante a leitura (hierarquia, sequência dos blocos e linhas fora do leiaute)
+        (estrutura.ocorrencias || []).forEach(ocorrencia => erros.push(ocorrencia));
+        const ocorrenciasOmitidas = Math.max(0, (estrutura.totalOcorrencias || 0) - (estrutura.ocorrencias || []).length);
+        
+        // Abertura e encerramento do arquivo
+        const primeiro = estrutura.primeiroRegistro;
+        if (!primeiro || primeiro.registro !== '0000') {
+            adicionarErro(primeiro?.linha || null, primeiro?.registro || null, 'O arquivo não inicia pelo registro de abertura 0000');
+        }
+        const encerramento = estrutura.encerramentoArquivo;
+        const ultimo = estrutura.ultimoRegistro;
+        if (!encerramento) {
+            adicionarErro(ultimo?.linha || null, ultimo?.registro || null, 'Registro de encerramento 9999 não encontrado: arquivo incompleto ou truncado após esta linha');
+        } else if (encerramento.quantidade !== null && encerramento.quantidade !== estrutura.totalLinhas) {
+            adicionarErro(encerramento.linha, '9999', `Quantidade de linhas declarada (${encerramento.quantidade}) difere das ${estrutura.totalLinhas} linhas do arquivo`);
+        }
+        
+        // Abertura (X001) e encerramento (X990) de cada bloco
+        Object.entries(estrutura.blocos || {}).forEach(([bloco, dados]) => {
+            if (!dados.abertura) {
+                adicionarErro(dados.primeiraLinha, dados.primeiroRegistro, `Bloco ${bloco} sem o registro de abertura ${bloco}001`);
+            }
+            if (!dados.encerramento) {
+                adicionarErro(dados.ultimaLinha, dados.ultimoRegistro, `Bloco ${bloco} sem o registro de encerramento ${bloco}990: bloco incompleto após esta linha`);
+            } else if (dados.encerramento.quantidade !== null && dados.encerramento.quantidade !== dados.linhas) {
+                adicionarErro(dados.encerramento.linha, `${bloco}990`, `Quantidade de linhas do bloco ${bloco} declarada (${dados.encerramento.quantidade}) difere das ${dados.linhas} linhas do bloco`);
+            }
+        });
+        
+        // Quantidade de cada registro contra a totalização do 9900
+        const declarados = estrutura.totaisDeclarados || {};
+        const encontrados = estrutura.registrosPorTipo || {};
+        if (Object.keys(declarados).length === 0) {
+            adicionarErro(null, '9900', 'Nenhuma totalização de registros (9900) encontrada');
+        } else {
+            new Set([...Object.keys(encontrados), ...Object.keys(declarados)]).forEach(registro => {
+                const quantidade = encontrados[registro] || 0;
+                const declarado = declarados[registro];
+                if (!declarado) {
+                    adicionarErro(null, registro, `${quantidade} registro(s) ${registro} no arquivo sem totalização no 9900`);
+                } else if (declarado.quantidade !== quantidade) {
+                    adicionarErro(declarado.linha, '9900', `Registro ${registro}: ${declarado.quantidade} declarado(s) no 9900, ${quantidade} encontrado(s) no arquivo`);
+                }
+            });
+        }
+        
+        // Erros sem linha (registros sem totalização, por exemplo) ao final
+        erros.sort((a, b) => (a.linha ?? Infinity) - (b.linha ?? Infinity));
+        
+        const totalErros = erros.length + ocorrenciasOmitidas;
+        relatorio.integridade = {
+            valida: totalErros === 0,
+            totalErros,
+            erros: erros.slice(0, LIMITE_ERROS_ESTRUTURA)
+        };
+        relatorio.dadosEncontrados.integridade = totalErros === 0;
+        relatorio.estatisticas.estrutura = {
+            linhas: String(estrutura.totalLinhas),
+            tiposRegistro: String(Object.keys(encontrados).length),
+            blocos: Object.entries(estrutura.blocos || {})
+                .sort(([, a], [, b]) => a.primeiraLinha - b.primeiraLinha)
+                .map(([bloco]) => bloco)
+                .join(', ') || '-',
+            totalizacoes9900: String(Object.keys(declarados).length),
+            errosEstruturais: String(totalErros)
+        };
+        
+        if (totalErros === 0) {
+            relatorio.sucessos.push(`Estrutura do arquivo íntegra: ${estrutura.totalLinhas} linhas e ${Object.keys(encontrados).length} tipos de registro conferidos com os totais do bloco 9`);
+        } else {
+            relatorio.problemas.push(`Integridade estrutural: ${totalErros} erro(s) - arquivo truncado ou editado após a geração`);
+        }
+    }
+    
     /**
      * Valida os dados da empresa
      */
@@ -369,7 +467,11 @@ const SpedValidationModule = (function() {
     function calcularPontuacaoFinal(relatorio) {
         relatorio.pontuacao = Math.min(100, Math.max(0, relatorio.pontuacao));
         
-        if (relatorio.pontuacao >= 80) {
+        // Arquivo com estrutura inconsistente não segue para a simulação, qualquer que seja a pontuação
+        if (relatorio.integridade && !relatorio.integridade.valida) {
+            relatorio.status = 'insuficiente';
+            relatorio.recomendacoes.push('Estrutura do arquivo inconsistente com os totais do bloco 9 - gere o arquivo novamente no sistema de origem');
+        } else if (relatorio.pontuacao >= 80) {
             relatorio.status = 'excelente';
             relatorio.recomendacoes.push('Dados SPED de alta qualidade - prosseguir com importação');
         } else if (relatorio.pontuacao >= 60) {
@@ -421,6 +523,7 @@ const SpedValidationModule = (function() {
                     ${gerarSecaoRelatorio('Sucessos', relatorio.sucessos, '#28a745')}
                     ${gerarSecaoRelatorio('Alertas', relatorio.alertas, '#ffc107')}
                     ${gerarSecaoRelatorio('Problemas', relatorio.problemas, '#dc3545')}
+                    ${gerarSecaoIntegridade(relatorio.integridade)}
                     ${gerarSecaoRelatorio('Recomendações', relatorio.recomendacoes, '#17a2b8')}
                     
                     <div class="estatisticas" style="margin-top: 20px;">
@@ -448,6 +551,39 @@ const SpedValidationModule = (function() {
         `;
     }
     
+    /**
+     * Gera a seção dos erros estruturais do relatório HTML, com a linha de cada erro no arquivo
+     */
+    function gerarSecaoIntegridade(integridade) {
+        if (!integridade || integridade.valida) return '';
+        
+        const omitidos = integridade.totalErros - integridade.erros.length;
+        
+        return `
+            <div class="secao-relatorio" style="margin-bottom: 20px;">
+                <h4 style="color: #dc3545; margin-bottom: 10px;">Integridade Estrutural (${integridade.totalErros})</h4>
+                <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+                    <thead>
+                        <tr style="background: #f8f9fa;">
+                            <th style="text-align: left; padding: 4px; border-bottom: 1px solid #dee2e6;">Linha</th>
+                            <th style="text-align: left; padding: 4px; border-bottom: 1px solid #dee2e6;">Registro</th>
+                            <th style="text-align: left; padding: 4px; border-bottom: 1px solid #dee2e6;">Erro</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${integridade.erros.map(erro => `
+                        <tr>
+                            <td style="padding: 4px; border-bottom: 1px solid #eee;">${erro.linha ?? '-'}</td>
+                            <td style="padding: 4px; border-bottom: 1px solid #eee;">${erro.registro || '-'}</td>
+                            <td style="padding: 4px; border-bottom: 1px solid #eee;">${erro.mensagem}</td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+                ${omitidos > 0 ? `<p style="margin: 5px 0 0 0; font-size: 12px;">Mais ${omitidos} erro(s) não detalhado(s)</p>` : ''}
+            </div>
+        `;
+    }
+    
     /**
      * Gera HTML das estatísticas
      */
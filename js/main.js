@@ -31,6 +31,12 @@ document.addEventListener('DOMContentLoaded', function() {
     // Inicializar repository com integração ao DataManager
     inicializarRepository();
     
+    // Inicializar seleção e carga da tabela de transição
+    inicializarCronogramaTransicao();
+    
+    // Inicializar tabela de categorias do IVA por NCM
+    inicializarCategoriasNCM();
+    
     // Inicializar simulador
     if (window.SimuladorFluxoCaixa && typeof window.SimuladorFluxoCaixa.init === 'function') {
         window.SimuladorFluxoCaixa.init();
@@ -65,6 +71,18 @@ document.addEventListener('DOMContentLoaded', function() {
         ImportacaoController.inicializar();
     }
     
+    // Inicializar campos dinâmicos do formulário (FormsManager não é exposto em window)
+    if (typeof FormsManager !== 'undefined') {
+        FormsManager.inicializarModalidadeSplit();
+        FormsManager.inicializarImpostoSeletivo();
+        FormsManager.inicializarDestinosIBS();
+        FormsManager.inicializarSerieMensal();
+        FormsManager.inicializarCalendarioTributos();
+        FormsManager.inicializarItensNCM();
+        FormsManager.inicializarFornecedores();
+        FormsManager.inicializarMeiosPagamento();
+    }
+    
     // Inicializar eventos principais
     inicializarEventosPrincipais();
     
@@ -91,6 +109,162 @@ document.addEventListener('DOMContentLoaded', function() {
     console.log('Inicialização completa com arquitetura de dados padronizada');
 });
 
+/**
+ * Inicializa os controles de versão e carga da tabela de transição na aba de configurações
+ */
+function inicializarCronogramaTransicao() {
+    if (!window.CronogramaTransicao) {
+        console.warn('CronogramaTransicao não encontrado. Usando cronograma interno.');
+        return;
+    }
+    
+    const selectVersao = document.getElementById('versao-cronograma');
+    const inputArquivo = document.getElementById('arquivo-cronograma');
+    
+    // Preencher o seletor de versões e a descrição da versão ativa
+    const atualizarSeletorVersoes = function() {
+        if (!selectVersao) return;
+        
+        selectVersao.innerHTML = '';
+        window.CronogramaTransicao.listarVersoes().forEach(item => {
+            const option = document.createElement('option');
+            option.value = item.versao;
+            option.textContent = item.descricao ? `${item.versao} - ${item.descricao}` : item.versao;
+            option.selected = item.ativa;
+            selectVersao.appendChild(option);
+        });
+        
+        const identificacao = window.CronogramaTransicao.obterIdentificacao();
+        const descricao = document.getElementById('descricao-cronograma');
+        if (descricao) {
+            const referencia = window.CronogramaTransicao.obterTabela().aliquotasReferencia;
+            const formatar = valor => `${(valor * 100).toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}%`;
+            descricao.textContent = `${identificacao.fundamentoLegal || ''} - Alíquotas de referência: CBS ${formatar(referencia.cbs)} e IBS ${formatar(referencia.ibs)}`;
+        }
+    };
+    
+    // Refletir o cronograma de Split Payment da versão ativa na tabela de configurações
+    const atualizarTabelaCronograma = function() {
+        const percentuais = window.CronogramaTransicao.obterTabela().percentuais.splitPayment;
+        Object.keys(percentuais).forEach(ano => {
+            const input = document.querySelector(`input[name="perc-${ano}"]`);
+            if (input) {
+                input.value = (percentuais[ano] * 100).toFixed(1);
+            }
+        });
+    };
+    
+    if (selectVersao) {
+        selectVersao.addEventListener('change', function() {
+            if (window.CronogramaTransicao.definirVersaoAtiva(this.value)) {
+                atualizarSeletorVersoes();
+                atualizarTabelaCronograma();
+                console.log(`Versão do cronograma de transição alterada para ${this.value}`);
+            }
+        });
+    }
+    
+    if (inputArquivo) {
+        inputArquivo.addEventListener('change', function() {
+            const arquivo = this.files && this.files[0];
+            if (!arquivo) return;
+            
+            const leitor = new FileReader();
+            leitor.onload = function(evento) {
+                try {
+                    const versao = window.CronogramaTransicao.carregarTabela(evento.target.result, true);
+                    atualizarSeletorVersoes();
+                    atualizarTabelaCronograma();
+                    alert(`Tabela de transição ${versao} carregada com sucesso.`);
+                } catch (erro) {
+                    console.error('Erro ao carregar tabela de transição:', erro);
+                    alert(erro.message);
+                }
+                inputArquivo.value = '';
+            };
+            leitor.readAsText(arquivo);
+        });
+    }
+    
+    atualizarSeletorVersoes();
+}
+
+/**
+ * Inicializa a tabela editável de enquadramento dos NCMs nas categorias do IVA na aba de configurações
+ */
+function inicializarCategoriasNCM() {
+    if (!window.CategoriasNCM) {
+        console.warn('CategoriasNCM não encontrado. Cálculo por produto indisponível.');
+        return;
+    }
+    
+    const selectCategoria = document.getElementById('regra-ncm-categoria');
+    if (selectCategoria) {
+        selectCategoria.innerHTML = '';
+        Object.entries(window.CategoriasNCM.CATEGORIAS).forEach(([chave, categoria]) => {
+            const option = document.createElement('option');
+            option.value = chave;
+            option.textContent = categoria.nome;
+            selectCategoria.appendChild(option);
+        });
+    }
+    
+    const btnAdicionar = document.getElementById('btn-adicionar-regra-ncm');
+    if (btnAdicionar) {
+        btnAdicionar.addEventListener('click', function() {
+            const campoPrefixo = document.getElementById('regra-ncm-prefixo');
+            const campoDescricao = document.getElementById('regra-ncm-descricao');
+            try {
+                window.CategoriasNCM.definirRegra(campoPrefixo?.value, selectCategoria?.value, campoDescricao?.value);
+                if (campoPrefixo) campoPrefixo.value = '';
+                if (campoDescricao) campoDescricao.value = '';
+                atualizarTabelaCategoriasNCM();
+            } catch (erro) {
+                alert(erro.message);
+            }
+        });
+    }
+    
+    const btnRestaurar = document.getElementById('btn-restaurar-categorias-ncm');
+    if (btnRestaurar) {
+        btnRestaurar.addEventListener('click', function() {
+            if (confirm('Descartar as regras incluídas e restaurar a tabela padrão de categorias por NCM?')) {
+                window.CategoriasNCM.restaurarPadrao();
+                atualizarTabelaCategoriasNCM();
+            }
+        });
+    }
+    
+    atualizarTabelaCategoriasNCM();
+}
+
+/**
+ * Lista as regras de enquadramento por NCM na aba de configurações
+ */
+function atualizarTabelaCategoriasNCM() {
+    const tabela = document.getElementById('tabela-categorias-ncm');
+    if (!tabela || !window.CategoriasNCM) return;
+    
+    const tbody = tabela.querySelector('tbody');
+    tbody.innerHTML = '';
+    
+    window.CategoriasNCM.listarRegras().forEach(regra => {
+        const linha = document.createElement('tr');
+        linha.innerHTML = `
+            <td>${regra.prefixo}</td>
+            <td></td>
+            <td>${window.CategoriasNCM.CATEGORIAS[regra.categoria].nome}</td>
+            <td><button type="button" class="btn btn-accent btn-sm">Remover</button></td>
+        `;
+        linha.children[1].textContent = regra.descricao;
+        linha.querySelector('button').addEventListener('click', function() {
+            window.CategoriasNCM.removerRegra(regra.prefixo);
+            atualizarTabelaCategoriasNCM();
+        });
+        tbody.appendChild(linha);
+    });
+}
+
 /**
  * Atualiza os campos da interface com os valores padrão da estrutura canônica
  * @param {Object} dadosPadrao - Estrutura canônica com valores padrão
@@ -335,6 +509,57 @@ function inicializarEventosPrincipais() {
     } else {
         console.warn('Botão Exportar Excel não encontrado no DOM');
     }
+
+    // Eventos da simulação de Monte Carlo
+    const btnExecutarMonteCarlo = document.getElementById('btn-executar-monte-carlo');
+    if (btnExecutarMonteCarlo) {
+        btnExecutarMonteCarlo.addEventListener('click', executarMonteCarlo);
+    }
+
+    const btnCancelarMonteCarlo = document.getElementById('btn-cancelar-monte-carlo');
+    if (btnCancelarMonteCarlo) {
+        btnCancelarMonteCarlo.addEventListener('click', function() {
+            if (window.SimulacaoMonteCarlo) {
+                window.SimulacaoMonteCarlo.cancelar();
+            }
+        });
+    }
+    
+    // Eventos do grupo econômico
+    const btnAdicionarEmpresaGrupo = document.getElementById('btn-adicionar-empresa-grupo');
+    if (btnAdicionarEmpresaGrupo) {
+        btnAdicionarEmpresaGrupo.addEventListener('click', adicionarEmpresaAoGrupo);
+    }
+    
+    const btnAdicionarOperacaoIntercompany = document.getElementById('btn-adicionar-operacao-intercompany');
+    if (btnAdicionarOperacaoIntercompany) {
+        btnAdicionarOperacaoIntercompany.addEventListener('click', adicionarOperacaoIntercompany);
+    }
+    
+    const btnSimularGrupo = document.getElementById('btn-simular-grupo');
+    if (btnSimularGrupo) {
+        btnSimularGrupo.addEventListener('click', simularGrupoEconomico);
+    }
+    
+    atualizarListaGrupoEconomico();
+    
+    // Eventos dos cenários
+    const btnSalvarCenario = document.getElementById('btn-salvar-cenario');
+    if (btnSalvarCenario) {
+        btnSalvarCenario.addEventListener('click', salvarCenario);
+    }
+    
+    const btnCompararCenarios = document.getElementById('btn-comparar-cenarios');
+    if (btnCompararCenarios) {
+        btnCompararCenarios.addEventListener('click', compararCenarios);
+    }
+    
+    const campoEmpresa = document.getElementById('empresa');
+    if (campoEmpresa) {
+        campoEmpresa.addEventListener('change', atualizarListaCenarios);
+    }
+    
+    atualizarListaCenarios();
     
     const btnExportarMemoria = document.getElementById('btn-exportar-memoria');
     if (btnExportarMemoria) {
@@ -426,6 +651,8 @@ function inicializarEventosPrincipais() {
                     <p><strong>Distribuição de Vendas:</strong> À Vista = ${memoria.dadosEntrada?.cicloFinanceiro?.percVista ? formatarPercentual(memoria.dadosEntrada.cicloFinanceiro.percVista) : 'N/A'}, 
                        A Prazo = ${memoria.dadosEntrada?.cicloFinanceiro?.percPrazo ? formatarPercentual(memoria.dadosEntrada.cicloFinanceiro.percPrazo) : 'N/A'}</p>
                     <p><strong>Alíquota:</strong> ${memoria.dadosEntrada?.parametrosFiscais?.aliquota ? formatarPercentual(memoria.dadosEntrada.parametrosFiscais.aliquota) : 'N/A'}</p>
+                    <p><strong>Imposto Seletivo:</strong> ${memoria.dadosEntrada?.parametrosFiscais?.impostoSeletivo?.aliquotaEfetiva ? formatarPercentual(memoria.dadosEntrada.parametrosFiscais.impostoSeletivo.aliquotaEfetiva) + ' (vencimento dia ' + memoria.dadosEntrada.parametrosFiscais.impostoSeletivo.diaVencimento + ', sem créditos e fora do Split Payment)' : 'Não aplicável'}</p>
+                    <p><strong>Modalidade do Split Payment:</strong> ${window.IVADualSystem.modalidadesSplit[memoria.dadosEntrada?.parametrosSimulacao?.modalidadeSplit]?.nome || 'N/A'}${memoria.dadosEntrada?.parametrosSimulacao?.modalidadeSplit === 'simplificado' ? ' (' + formatarPercentual(memoria.dadosEntrada.parametrosSimulacao.percentualSplitSimplificado) + ' sobre o valor da operação)' : ''}</p>
                 </div>
             </div>
 
@@ -435,6 +662,31 @@ function inicializarEventosPrincipais() {
                     <p><strong>Diferença no Capital de Giro:</strong> ${memoria.impactoBase?.diferencaCapitalGiro ? formatarMoeda(memoria.impactoBase.diferencaCapitalGiro) : 'N/A'}</p>
                     <p><strong>Percentual de Impacto:</strong> ${memoria.impactoBase?.percentualImpacto ? formatarPercentual(memoria.impactoBase.percentualImpacto/100) : 'N/A'}</p>
                     <p><strong>Impacto em Dias de Faturamento:</strong> ${memoria.impactoBase?.impactoDiasFaturamento ? memoria.impactoBase.impactoDiasFaturamento.toFixed(1) + ' dias' : 'N/A'}</p>
+                    ${(memoria.impactoBase?.comparativoModalidades || []).length > 0 ? `
+                    <p><strong>Comparativo entre Modalidades:</strong></p>
+                    <ul>
+                        ${memoria.impactoBase.comparativoModalidades.map(item => `<li>${item.nome}: retenção de ${formatarMoeda(item.valorImpostoSplit)}, vencimento de ${formatarMoeda(item.valorImpostoNormal)}, diferença no capital de giro de ${formatarMoeda(item.diferencaCapitalGiro)}</li>`).join('')}
+                    </ul>` : ''}
+                    ${memoria.impactoBase?.comparativoSimplesNacional ? `
+                    <p><strong>Simples Nacional - IBS/CBS Dentro ou Fora do DAS:</strong></p>
+                    <ul>
+                        ${[memoria.impactoBase.comparativoSimplesNacional.dentroDAS, memoria.impactoBase.comparativoSimplesNacional.foraDAS].map(opcao => `<li>${opcao.nome}: carga tributária de ${formatarMoeda(opcao.cargaTributariaTotal)}, retenção no Split de ${formatarMoeda(opcao.valorRetidoSplit)}, receita B2B perdida de ${formatarMoeda(opcao.perdaDemanda)}</li>`).join('')}
+                        <li>Recomendação: ${memoria.impactoBase.comparativoSimplesNacional.recomendacao.nome}</li>
+                    </ul>` : ''}
+                    ${memoria.impactoBase?.ibsPorDestino ? `
+                    <p><strong>IBS por Ente de Destino (alíquota efetiva de ${formatarPercentual(memoria.impactoBase.ibsPorDestino.aliquotaEfetiva)}):</strong></p>
+                    <ul>
+                        ${memoria.impactoBase.ibsPorDestino.porEnte.map(ente => `<li>${ente.nome} (${ente.tipo === 'estado' ? 'estadual' : 'municipal'}): ${formatarMoeda(ente.valor)}</li>`).join('')}
+                    </ul>` : ''}
+                    ${memoria.impactoBase?.composicaoICMSAtual?.complementar > 0 ? `
+                    <p><strong>Composição do ICMS no Sistema Atual:</strong></p>
+                    <ul>
+                        <li>ICMS próprio: ${formatarMoeda(memoria.impactoBase.composicaoICMSAtual.proprio)}</li>
+                        <li>ICMS-ST: ${formatarMoeda(memoria.impactoBase.composicaoICMSAtual.st)} (FCP-ST: ${formatarMoeda(memoria.impactoBase.composicaoICMSAtual.fcpST)})</li>
+                        <li>DIFAL: ${formatarMoeda(memoria.impactoBase.composicaoICMSAtual.difal)} (FCP-DIFAL: ${formatarMoeda(memoria.impactoBase.composicaoICMSAtual.fcpDifal)})</li>
+                        <li>FCP: ${formatarMoeda(memoria.impactoBase.composicaoICMSAtual.fcp)}</li>
+                        <li>Total: ${formatarMoeda(memoria.impactoBase.composicaoICMSAtual.total)}</li>
+                    </ul>` : ''}
                 </div>
             </div>
 
@@ -445,6 +697,9 @@ function inicializarEventosPrincipais() {
                     <p><strong>Taxa de Crescimento:</strong> ${memoria.projecaoTemporal?.parametros?.taxaCrescimento ? formatarPercentual(memoria.projecaoTemporal.parametros.taxaCrescimento) : 'N/A'}</p>
                     <p><strong>Necessidade Total de Capital de Giro:</strong> ${memoria.projecaoTemporal?.impactoAcumulado?.totalNecessidadeCapitalGiro ? formatarMoeda(memoria.projecaoTemporal.impactoAcumulado.totalNecessidadeCapitalGiro) : 'N/A'}</p>
                     <p><strong>Custo Financeiro Total:</strong> ${memoria.projecaoTemporal?.impactoAcumulado?.custoFinanceiroTotal ? formatarMoeda(memoria.projecaoTemporal.impactoAcumulado.custoFinanceiroTotal) : 'N/A'}</p>
+                    ${memoria.projecaoTemporal?.impactoAcumulado?.valorPresente ? `<p><strong>Custo Financeiro Total a Valor Presente:</strong> ${formatarMoeda(memoria.projecaoTemporal.impactoAcumulado.valorPresente.custoFinanceiroTotal)} (em valores reais: ${formatarMoeda(memoria.projecaoTemporal.impactoAcumulado.valorReal?.custoFinanceiroTotal || 0)})</p>` : ''}
+                    ${memoria.projecaoTemporal?.impactoAcumulado?.totalImpostoSeletivo ? `<p><strong>Imposto Seletivo no Período:</strong> ${formatarMoeda(memoria.projecaoTemporal.impactoAcumulado.totalImpostoSeletivo)}</p>` : ''}
+                    ${memoria.projecaoTemporal?.saldoCredorICMS ? `<p><strong>Saldo Credor de ICMS:</strong> ${formatarMoeda(memoria.projecaoTemporal.saldoCredorICMS.saldoHomologado)} homologado em 2032, ${memoria.projecaoTemporal.saldoCredorICMS.numeroParcelas} parcelas a partir de ${formatarMoeda(memoria.projecaoTemporal.saldoCredorICMS.valorParcelaInicial)} até ${memoria.projecaoTemporal.saldoCredorICMS.anoTermino} (entradas no período projetado: ${formatarMoeda(memoria.projecaoTemporal.impactoAcumulado?.totalSaldoCredorICMS || 0)})</p>` : ''}
                 </div>
             </div>
 
@@ -489,6 +744,28 @@ function inicializarEventosPrincipais() {
         });
     }
     
+    // Evento para o ponto de equilíbrio das estratégias
+    const btnResolverPontoEquilibrio = document.getElementById('btn-resolver-ponto-equilibrio');
+    if (btnResolverPontoEquilibrio) {
+        btnResolverPontoEquilibrio.addEventListener('click', resolverPontoEquilibrio);
+    }
+    
+    const selectTipoMeta = document.getElementById('solver-tipo-meta');
+    if (selectTipoMeta) {
+        selectTipoMeta.addEventListener('change', function() {
+            const campoValor = document.getElementById('solver-valor-meta');
+            if (campoValor && window.SolverEstrategias) {
+                campoValor.value = window.SolverEstrategias.TIPOS_META[this.value]?.padrao ?? '';
+            }
+        });
+    }
+    
+    // Evento para a otimização do mix de estratégias
+    const btnOtimizarEstrategias = document.getElementById('btn-otimizar-estrategias');
+    if (btnOtimizarEstrategias) {
+        btnOtimizarEstrategias.addEventListener('click', otimizarEstrategias);
+    }
+    
     // Adicionar evento para salvar setores que atualize os dropdowns
     const btnSalvarSetor = document.getElementById('btn-salvar-setor');
     if (btnSalvarSetor) {
@@ -1118,6 +1395,21 @@ function atualizarResultadosPorAno() {
         document.getElementById('total-necessidade-giro').textContent = formatarMoeda(projecao.totalNecessidadeCapitalGiro || 0);
         document.getElementById('custo-financeiro-total').textContent = formatarMoeda(projecao.custoFinanceiroTotal || 0);
     }
+    
+    // Atualizar fluxo de caixa período a período
+    atualizarTabelaFluxoCaixa(window.resultadosSimulacao, anoSelecionado);
+    
+    // Atualizar comparativo entre modalidades de Split Payment
+    atualizarComparativoModalidades(window.resultadosSimulacao, anoSelecionado);
+    atualizarComparativoSimplesNacional(window.resultadosSimulacao, anoSelecionado);
+    atualizarIBSPorDestino(window.resultadosSimulacao, anoSelecionado);
+    atualizarSaldoCredorICMS(window.resultadosSimulacao, anoSelecionado);
+    atualizarBancoCreditos(window.resultadosSimulacao, anoSelecionado);
+    atualizarCargaItens(window.resultadosSimulacao, anoSelecionado);
+    atualizarCreditosFornecedores(window.resultadosSimulacao, anoSelecionado);
+    atualizarLiquidacaoRecebiveis(window.resultadosSimulacao, anoSelecionado);
+    atualizarFloatTributos(window.resultadosSimulacao, anoSelecionado);
+    atualizarProjecaoValorPresente(window.resultadosSimulacao, anoSelecionado);
 }
 
 function atualizarInterface(resultado) {
@@ -1191,6 +1483,21 @@ function atualizarInterface(resultado) {
         // NOVA FUNCIONALIDADE: Atualizar débitos, créditos e alíquotas efetivas
         atualizarComposicaoTributaria(resultado, anoSelecionado);
         
+        // Atualizar fluxo de caixa período a período
+        atualizarTabelaFluxoCaixa(resultado, anoSelecionado);
+        
+        // Atualizar comparativo entre modalidades de Split Payment
+        atualizarComparativoModalidades(resultado, anoSelecionado);
+        atualizarComparativoSimplesNacional(resultado, anoSelecionado);
+        atualizarIBSPorDestino(resultado, anoSelecionado);
+        atualizarSaldoCredorICMS(resultado, anoSelecionado);
+        atualizarBancoCreditos(resultado, anoSelecionado);
+        atualizarCargaItens(resultado, anoSelecionado);
+        atualizarCreditosFornecedores(resultado, anoSelecionado);
+        atualizarLiquidacaoRecebiveis(resultado, anoSelecionado);
+        atualizarFloatTributos(resultado, anoSelecionado);
+        atualizarProjecaoValorPresente(resultado, anoSelecionado);
+        
         const divResultadosDetalhados = document.getElementById('resultados-detalhados');
         if (divResultadosDetalhados) {
             divResultadosDetalhados.style.display = 'block';
@@ -1444,6 +1751,21 @@ function atualizarInterface(resultado) {
         document.getElementById('total-necessidade-giro').textContent = formatarMoeda(dadosAno.totalNecessidadeGiro);
         document.getElementById('custo-financeiro-total').textContent = formatarMoeda(dadosAno.custoFinanceiroTotal);
         
+        // Atualizar fluxo de caixa período a período do ano selecionado
+        atualizarTabelaFluxoCaixa(resultado, anoSelecionado);
+        
+        // Atualizar comparativo entre modalidades de Split Payment
+        atualizarComparativoModalidades(resultado, anoSelecionado);
+        atualizarComparativoSimplesNacional(resultado, anoSelecionado);
+        atualizarIBSPorDestino(resultado, anoSelecionado);
+        atualizarSaldoCredorICMS(resultado, anoSelecionado);
+        atualizarBancoCreditos(resultado, anoSelecionado);
+        atualizarCargaItens(resultado, anoSelecionado);
+        atualizarCreditosFornecedores(resultado, anoSelecionado);
+        atualizarLiquidacaoRecebiveis(resultado, anoSelecionado);
+        atualizarFloatTributos(resultado, anoSelecionado);
+        atualizarProjecaoValorPresente(resultado, anoSelecionado);
+        
         // Mostrar div de resultados detalhados
         const divResultadosDetalhados = document.getElementById('resultados-detalhados');
         if (divResultadosDetalhados) {
@@ -1883,16 +2205,11 @@ function atualizarTabelaTransicao(resultado) {
     const tbody = tabela.querySelector('tbody');
     tbody.innerHTML = '';
     
-    const cronograma = {
-        2026: 0.10, 2027: 0.25, 2028: 0.40, 2029: 0.55,
-        2030: 0.70, 2031: 0.85, 2032: 0.95, 2033: 1.00
-    };
-    
     const formatarMoeda = window.DataManager.formatarMoeda;
     
     Object.keys(resultado.projecaoTemporal.resultadosAnuais).sort().forEach(ano => {
         const dadosAno = resultado.projecaoTemporal.resultadosAnuais[ano];
-        const percIVA = cronograma[ano] || 0;
+        const percIVA = window.CronogramaTransicao.obterPercentual(ano, 'splitPayment');
         const percAtual = 1 - percIVA;
         
         const tributosAtuais = (dadosAno.resultadoAtual?.impostos?.total || 0) * percAtual;
@@ -1916,6 +2233,1362 @@ function atualizarTabelaTransicao(resultado) {
     });
 }
 
+/**
+ * Atualiza a tabela do fluxo de caixa período a período (mensal ou diário)
+ * @param {Object} resultado - Resultados da simulação
+ * @param {number} ano - Ano selecionado
+ */
+function atualizarTabelaFluxoCaixa(resultado, ano) {
+    const divFluxo = document.getElementById('fluxo-caixa-periodos');
+    const tabela = document.getElementById('tabela-fluxo-caixa');
+    if (!divFluxo || !tabela) return;
+    
+    const fluxo = resultado?.projecaoTemporal?.resultadosAnuais?.[ano]?.fluxoCaixaMensal || 
+                  resultado?.impactoBase?.fluxoCaixaMensal;
+    
+    if (!fluxo || !Array.isArray(fluxo.periodos)) {
+        divFluxo.style.display = 'none';
+        return;
+    }
+    
+    const formatarMoeda = window.DataManager.formatarMoeda;
+    
+    const titulo = document.getElementById('titulo-fluxo-caixa-periodos');
+    if (titulo) {
+        titulo.textContent = `Fluxo de Caixa ${fluxo.granularidade === 'diaria' ? 'Diário' : 'Mensal'} (${fluxo.ano})`;
+    }
+    
+    document.getElementById('fluxo-periodo-critico').textContent = fluxo.resumo.periodoMaiorDiferenca || '-';
+    document.getElementById('fluxo-necessidade-pico').textContent = formatarMoeda(fluxo.resumo.necessidadePicoCapitalGiro);
+    document.getElementById('fluxo-menor-saldo').textContent = formatarMoeda(fluxo.resumo.menorSaldoSplit);
+    
+    const tbody = tabela.querySelector('tbody');
+    tbody.innerHTML = '';
+    
+    fluxo.periodos.forEach(periodo => {
+        const linha = document.createElement('tr');
+        if (periodo.rotulo === fluxo.resumo.periodoMaiorDiferenca) {
+            linha.classList.add('periodo-critico');
+        }
+        linha.innerHTML = `
+            <td>${periodo.rotulo}</td>
+            <td>${formatarMoeda(periodo.vendas)}</td>
+            <td>${formatarMoeda(periodo.recebimentos)}</td>
+            <td>${formatarMoeda(periodo.splitPayment.impostoRetido)}</td>
+            <td>${formatarMoeda(periodo.atual.impostoRecolhido)}</td>
+            <td>${formatarMoeda(periodo.splitPayment.impostoRecolhido)}</td>
+            <td>${formatarMoeda(periodo.splitPayment.impostoSeletivo || 0)}</td>
+            <td>${formatarMoeda(periodo.splitPayment.creditosCompensados)}</td>
+            <td>${formatarMoeda(periodo.atual.saldoCaixa)}</td>
+            <td class="${periodo.splitPayment.saldoCaixa < 0 ? 'valor-negativo' : ''}">${formatarMoeda(periodo.splitPayment.saldoCaixa)}</td>
+            <td class="${periodo.diferencaSaldo < 0 ? 'valor-negativo' : ''}">${formatarMoeda(periodo.diferencaSaldo)}</td>
+        `;
+        tbody.appendChild(linha);
+    });
+    
+    divFluxo.style.display = 'block';
+}
+
+/**
+ * Atualiza o comparativo entre as modalidades de Split Payment (inteligente, simplificado e manual)
+ * @param {Object} resultado - Resultados da simulação
+ * @param {number} ano - Ano selecionado
+ */
+function atualizarComparativoModalidades(resultado, ano) {
+    const divComparativo = document.getElementById('comparativo-modalidades-split');
+    const tabela = document.getElementById('tabela-modalidades-split');
+    if (!divComparativo || !tabela) return;
+    
+    const dadosAno = resultado?.projecaoTemporal?.resultadosAnuais?.[ano];
+    const comparativo = dadosAno ? dadosAno.comparativoModalidades : resultado?.impactoBase?.comparativoModalidades;
+    const modalidadeSelecionada = dadosAno?.modalidadeSplit || resultado?.impactoBase?.resultadoSplitPayment?.modalidadeSplit;
+    
+    if (!Array.isArray(comparativo) || comparativo.length === 0) {
+        divComparativo.style.display = 'none';
+        return;
+    }
+    
+    const formatarMoeda = window.DataManager.formatarMoeda;
+    
+    const titulo = document.getElementById('titulo-comparativo-modalidades');
+    if (titulo) {
+        titulo.textContent = `Comparativo entre Modalidades de Split Payment (${ano})`;
+    }
+    
+    const tbody = tabela.querySelector('tbody');
+    tbody.innerHTML = '';
+    
+    comparativo.forEach(item => {
+        const linha = document.createElement('tr');
+        if (item.modalidade === modalidadeSelecionada) {
+            linha.classList.add('periodo-critico');
+        }
+        linha.innerHTML = `
+            <td>${item.nome}${item.modalidade === modalidadeSelecionada ? ' (selecionada)' : ''}</td>
+            <td>${formatarMoeda(item.valorImpostoSplit)}</td>
+            <td>${formatarMoeda(item.valorImpostoNormal)}</td>
+            <td>${formatarMoeda(item.saldoCredor)}</td>
+            <td>${formatarMoeda(item.capitalGiroDisponivel)}</td>
+            <td class="${item.diferencaCapitalGiro < 0 ? 'valor-negativo' : ''}">${formatarMoeda(item.diferencaCapitalGiro)}</td>
+            <td>${item.percentualImpacto.toFixed(2)}%</td>
+        `;
+        tbody.appendChild(linha);
+    });
+    
+    divComparativo.style.display = 'block';
+}
+
+/**
+ * Atualiza o comparativo entre recolher o IBS/CBS dentro ou fora do DAS (Simples Nacional)
+ * @param {Object} resultado - Resultados da simulação
+ * @param {number} ano - Ano selecionado
+ */
+function atualizarComparativoSimplesNacional(resultado, ano) {
+    const divComparativo = document.getElementById('comparativo-simples-nacional');
+    const tabela = document.getElementById('tabela-comparativo-simples');
+    if (!divComparativo || !tabela) return;
+    
+    const dadosAno = resultado?.projecaoTemporal?.resultadosAnuais?.[ano];
+    const comparativo = dadosAno ? dadosAno.comparativoSimplesNacional : resultado?.impactoBase?.comparativoSimplesNacional;
+    
+    if (!comparativo) {
+        divComparativo.style.display = 'none';
+        return;
+    }
+    
+    const formatarMoeda = window.DataManager.formatarMoeda;
+    const formatarPercentual = valor => `${(valor * 100).toFixed(2)}%`;
+    const { dentroDAS, foraDAS, recomendacao } = comparativo;
+    
+    const titulo = document.getElementById('titulo-comparativo-simples');
+    if (titulo) {
+        titulo.textContent = `Simples Nacional: IBS/CBS Dentro ou Fora do DAS (${ano})`;
+    }
+    
+    const linhas = [
+        { rotulo: 'DAS', campo: 'valorDAS', formato: formatarMoeda },
+        { rotulo: 'IBS/CBS recolhido fora do DAS', campo: 'ivaRecolhidoForaDAS', formato: formatarMoeda },
+        { rotulo: 'Créditos de IBS/CBS aproveitados', campo: 'creditosAproveitados', formato: formatarMoeda },
+        { rotulo: 'Carga tributária total', campo: 'cargaTributariaTotal', formato: formatarMoeda },
+        { rotulo: 'Alíquota efetiva', campo: 'aliquotaEfetiva', formato: formatarPercentual },
+        { rotulo: 'Crédito transferido ao cliente B2B', campo: 'creditoTransferidoCliente', formato: formatarPercentual },
+        { rotulo: 'Retido no Split Payment', campo: 'valorRetidoSplit', formato: formatarMoeda },
+        { rotulo: 'Custo financeiro da retenção', campo: 'custoFinanceiroRetencao', formato: formatarMoeda },
+        { rotulo: 'Receita B2B perdida', campo: 'perdaDemanda', formato: formatarMoeda },
+        { rotulo: 'Resultado econômico', campo: 'resultadoEconomico', formato: formatarMoeda }
+    ];
+    
+    const tbody = tabela.querySelector('tbody');
+    tbody.innerHTML = '';
+    
+    linhas.forEach(item => {
+        const diferenca = foraDAS[item.campo] - dentroDAS[item.campo];
+        const linha = document.createElement('tr');
+        linha.innerHTML = `
+            <td>${item.rotulo}</td>
+            <td>${item.formato(dentroDAS[item.campo])}</td>
+            <td>${item.formato(foraDAS[item.campo])}</td>
+            <td class="${diferenca < 0 ? 'valor-negativo' : ''}">${item.formato(diferenca)}</td>
+        `;
+        tbody.appendChild(linha);
+    });
+    
+    const divRecomendacao = document.getElementById('recomendacao-simples-nacional');
+    if (divRecomendacao) {
+        divRecomendacao.innerHTML = `
+            <p><strong>Recomendação: ${recomendacao.nome}</strong>${comparativo.disponivel ? ` (vantagem de ${formatarMoeda(recomendacao.vantagemMensal)} ao mês)` : ''}</p>
+            <ul>${recomendacao.justificativas.map(texto => `<li>${texto}</li>`).join('')}</ul>
+        `;
+    }
+    
+    divComparativo.style.display = 'block';
+}
+
+/**
+ * Atualiza a distribuição do IBS devido a cada estado e município de destino
+ * @param {Object} resultado - Resultados da simulação
+ * @param {number} ano - Ano selecionado
+ */
+function atualizarIBSPorDestino(resultado, ano) {
+    const divDestinos = document.getElementById('ibs-por-destino');
+    const tabelaDestinos = document.getElementById('tabela-ibs-por-destino');
+    const tabelaEntes = document.getElementById('tabela-ibs-por-ente');
+    if (!divDestinos || !tabelaDestinos || !tabelaEntes) return;
+    
+    const dadosAno = resultado?.projecaoTemporal?.resultadosAnuais?.[ano];
+    const ibsPorDestino = dadosAno ? dadosAno.ibsPorDestino : resultado?.impactoBase?.ibsPorDestino;
+    
+    if (!ibsPorDestino || ibsPorDestino.destinos.length === 0) {
+        divDestinos.style.display = 'none';
+        return;
+    }
+    
+    const formatarMoeda = window.DataManager.formatarMoeda;
+    const formatarPercentual = valor => `${(valor * 100).toFixed(2)}%`;
+    
+    const titulo = document.getElementById('titulo-ibs-por-destino');
+    if (titulo) {
+        titulo.textContent = `IBS por Ente de Destino (${ano})`;
+    }
+    
+    const tbodyDestinos = tabelaDestinos.querySelector('tbody');
+    tbodyDestinos.innerHTML = '';
+    
+    ibsPorDestino.destinos.forEach(destino => {
+        const linha = document.createElement('tr');
+        linha.innerHTML = `
+            <td>${destino.uf || 'N/I'}</td>
+            <td>${destino.municipio || destino.codigoMunicipio || 'N/I'}</td>
+            <td>${formatarPercentual(destino.participacao)}</td>
+            <td>${formatarPercentual(destino.aliquotaEstadual)}${destino.origemEstadual === 'referencia' ? '*' : ''}</td>
+            <td>${formatarPercentual(destino.aliquotaMunicipal)}${destino.origemMunicipal === 'referencia' ? '*' : ''}</td>
+            <td>${formatarMoeda(destino.valorEstadual)}</td>
+            <td>${formatarMoeda(destino.valorMunicipal)}</td>
+            <td>${formatarMoeda(destino.valor)}</td>
+        `;
+        tbodyDestinos.appendChild(linha);
+    });
+    
+    const tbodyEntes = tabelaEntes.querySelector('tbody');
+    tbodyEntes.innerHTML = '';
+    
+    ibsPorDestino.porEnte.forEach(ente => {
+        const linha = document.createElement('tr');
+        linha.innerHTML = `
+            <td>${ente.nome}</td>
+            <td>${ente.tipo === 'estado' ? 'Estadual' : 'Municipal'}</td>
+            <td>${formatarMoeda(ente.valor)}</td>
+            <td>${formatarPercentual(ibsPorDestino.total > 0 ? ente.valor / ibsPorDestino.total : 0)}</td>
+        `;
+        tbodyEntes.appendChild(linha);
+    });
+    
+    divDestinos.style.display = 'block';
+}
+
+/**
+ * Atualiza o cronograma de aproveitamento do saldo credor de ICMS no IBS
+ * @param {Object} resultado - Resultados da simulação
+ * @param {number} ano - Ano selecionado
+ */
+function atualizarSaldoCredorICMS(resultado, ano) {
+    const divSaldo = document.getElementById('saldo-credor-icms-resultado');
+    const tabela = document.getElementById('tabela-saldo-credor-icms');
+    if (!divSaldo || !tabela) return;
+    
+    const cronograma = resultado?.projecaoTemporal?.saldoCredorICMS;
+    
+    if (!cronograma || cronograma.parcelas.length === 0) {
+        divSaldo.style.display = 'none';
+        return;
+    }
+    
+    const formatarMoeda = window.DataManager.formatarMoeda;
+    const entradasAno = resultado.projecaoTemporal.resultadosAnuais?.[ano]?.saldoCredorICMS;
+    const forma = window.SaldoCredorICMS.formasAproveitamento[cronograma.formaAproveitamento]?.nome || cronograma.formaAproveitamento;
+    
+    const resumo = document.getElementById('resumo-saldo-credor-icms');
+    if (resumo) {
+        resumo.innerHTML = `
+            <p><strong>Saldo homologado ao final de 2032:</strong> ${formatarMoeda(cronograma.saldoHomologado)}</p>
+            <p><strong>Forma de aproveitamento:</strong> ${forma} - ${cronograma.numeroParcelas} parcelas de ${cronograma.anoInicio} a ${cronograma.anoTermino}, a partir de ${formatarMoeda(cronograma.valorParcelaInicial)} ao mês</p>
+            <p><strong>Entradas de caixa em ${ano}:</strong> ${formatarMoeda(entradasAno?.total || 0)} | <strong>Total com correção:</strong> ${formatarMoeda(cronograma.totalEntradas)}</p>
+        `;
+    }
+    
+    const tbody = tabela.querySelector('tbody');
+    tbody.innerHTML = '';
+    
+    Object.keys(cronograma.entradasPorAno).map(Number).sort((a, b) => a - b).forEach(anoEntrada => {
+        const parcelasAno = cronograma.parcelas.filter(parcela => parcela.ano === anoEntrada);
+        const linha = document.createElement('tr');
+        if (anoEntrada === ano) {
+            linha.style.fontWeight = 'bold';
+        }
+        linha.innerHTML = `
+            <td>${anoEntrada}</td>
+            <td>${formatarMoeda(cronograma.entradasPorAno[anoEntrada])}</td>
+            <td>${formatarMoeda(cronograma.entradasPorAno[anoEntrada] / parcelasAno.length)}</td>
+            <td>${formatarMoeda(parcelasAno[parcelasAno.length - 1].saldoRemanescente)}</td>
+        `;
+        tbody.appendChild(linha);
+    });
+    
+    divSaldo.style.display = 'block';
+}
+
+/**
+ * Atualiza a evolução mensal do banco de créditos de IBS/CBS no ano selecionado
+ * @param {Object} resultado - Resultados da simulação
+ * @param {number} ano - Ano selecionado
+ */
+function atualizarBancoCreditos(resultado, ano) {
+    const divBanco = document.getElementById('banco-creditos-resultado');
+    const tabela = document.getElementById('tabela-banco-creditos');
+    if (!divBanco || !tabela) return;
+    
+    const dadosAno = resultado?.projecaoTemporal?.resultadosAnuais?.[ano];
+    const bancoCreditos = dadosAno ? dadosAno.bancoCreditos : resultado?.impactoBase?.bancoCreditos;
+    
+    // Sem créditos imobilizados no ano não há o que exibir
+    if (!bancoCreditos || bancoCreditos.resumo.picoCreditosImobilizados <= 0) {
+        divBanco.style.display = 'none';
+        return;
+    }
+    
+    const formatarMoeda = window.DataManager.formatarMoeda;
+    const { parametros, resumo } = bancoCreditos;
+    const nomesCompensacao = { automatica: 'automática', mensal: 'mensal', trimestral: 'trimestral' };
+    
+    const titulo = document.getElementById('titulo-banco-creditos');
+    if (titulo) {
+        titulo.textContent = `Banco de Créditos de IBS/CBS - ${ano}`;
+    }
+    
+    const resumoEl = document.getElementById('resumo-banco-creditos');
+    if (resumoEl) {
+        resumoEl.innerHTML = `
+            <p><strong>Compensação:</strong> ${nomesCompensacao[parametros.tipoCompensacao]} | <strong>Excedente:</strong> ${parametros.solicitarRessarcimento ? `ressarcimento em ${parametros.prazoRessarcimento} dias` : 'transportado para o mês seguinte'}</p>
+            <p><strong>Créditos imobilizados:</strong> média de ${formatarMoeda(resumo.mediaCreditosImobilizados)}, pico de ${formatarMoeda(resumo.picoCreditosImobilizados)} | <strong>Custo de oportunidade no ano:</strong> ${formatarMoeda(resumo.custoOportunidadeTotal)}</p>
+            <p><strong>Ressarcimentos:</strong> ${formatarMoeda(resumo.totalRessarcimentoSolicitado)} solicitados, ${formatarMoeda(resumo.totalRessarcimentoRecebido)} recebidos, ${formatarMoeda(resumo.filaRessarcimentoFinal)} pendentes ao final do ano</p>
+        `;
+    }
+    
+    const tbody = tabela.querySelector('tbody');
+    tbody.innerHTML = '';
+    
+    bancoCreditos.meses.forEach(item => {
+        const linha = document.createElement('tr');
+        linha.innerHTML = `
+            <td>${String(item.mes).padStart(2, '0')}/${ano}</td>
+            <td>${formatarMoeda(item.creditos)}</td>
+            <td>${formatarMoeda(item.compensado)}</td>
+            <td>${formatarMoeda(item.recolhido)}</td>
+            <td>${formatarMoeda(item.ressarcimentoSolicitado)}</td>
+            <td>${formatarMoeda(item.ressarcimentoRecebido)}</td>
+            <td>${formatarMoeda(item.creditosImobilizados)}</td>
+        `;
+        tbody.appendChild(linha);
+    });
+    
+    divBanco.style.display = 'block';
+}
+
+/**
+ * Atualiza a carga de CBS/IBS por categoria de produto (NCM) no ano selecionado
+ * @param {Object} resultado - Resultados da simulação
+ * @param {number} ano - Ano selecionado
+ */
+function atualizarCargaItens(resultado, ano) {
+    const divCarga = document.getElementById('carga-itens-resultado');
+    const tabela = document.getElementById('tabela-carga-itens');
+    if (!divCarga || !tabela) return;
+    
+    const dadosAno = resultado?.projecaoTemporal?.resultadosAnuais?.[ano];
+    const cargaItens = dadosAno ? dadosAno.cargaItens : resultado?.impactoBase?.cargaItens;
+    
+    if (!cargaItens || cargaItens.itens.length === 0) {
+        divCarga.style.display = 'none';
+        return;
+    }
+    
+    const formatarMoeda = window.DataManager.formatarMoeda;
+    const formatarPercentual = valor => `${(valor * 100).toFixed(2)}%`;
+    
+    const titulo = document.getElementById('titulo-carga-itens');
+    if (titulo) {
+        titulo.textContent = `Carga de CBS/IBS por Produto (NCM) - ${ano}`;
+    }
+    
+    const resumoEl = document.getElementById('resumo-carga-itens');
+    if (resumoEl) {
+        resumoEl.innerHTML = `
+            <p><strong>Alíquota padrão:</strong> ${formatarPercentual(cargaItens.aliquotas.total)} | <strong>Alíquota efetiva da empresa:</strong> ${formatarPercentual(cargaItens.aliquotaEfetiva)} (${cargaItens.itens.length} NCMs)</p>
+            <p><strong>CBS/IBS líquido por produto:</strong> ${formatarMoeda(cargaItens.totais.impostoLiquido)}/mês | <strong>Com alíquota única:</strong> ${formatarMoeda(cargaItens.impostoLiquidoAliquotaUnica)}/mês | <strong>Diferença:</strong> ${formatarMoeda(cargaItens.diferencaAliquotaUnica)}/mês</p>
+        `;
+    }
+    
+    const tbody = tabela.querySelector('tbody');
+    tbody.innerHTML = '';
+    
+    Object.values(cargaItens.porCategoria)
+        .filter(categoria => categoria.quantidade > 0)
+        .forEach(categoria => {
+            const linha = document.createElement('tr');
+            linha.innerHTML = `
+                <td>${categoria.nome}</td>
+                <td>${categoria.quantidade}</td>
+                <td>${formatarMoeda(categoria.valorSaidas)}</td>
+                <td>${formatarMoeda(categoria.debitos)}</td>
+                <td>${formatarMoeda(categoria.valorEntradas)}</td>
+                <td>${formatarMoeda(categoria.creditos)}</td>
+            `;
+            tbody.appendChild(linha);
+        });
+    
+    divCarga.style.display = 'block';
+}
+
+/**
+ * Atualiza o ranking dos fornecedores pelo crédito de CBS/IBS perdido no ano selecionado
+ * @param {Object} resultado - Resultados da simulação
+ * @param {number} ano - Ano selecionado
+ */
+function atualizarCreditosFornecedores(resultado, ano) {
+    const divCreditos = document.getElementById('creditos-fornecedores-resultado');
+    const tabela = document.getElementById('tabela-ranking-fornecedores');
+    if (!divCreditos || !tabela) return;
+    
+    const dadosAno = resultado?.projecaoTemporal?.resultadosAnuais?.[ano];
+    const creditosFornecedores = dadosAno ? dadosAno.creditosFornecedores : resultado?.impactoBase?.creditosFornecedores;
+    
+    if (!creditosFornecedores || creditosFornecedores.fornecedores.length === 0) {
+        divCreditos.style.display = 'none';
+        return;
+    }
+    
+    const formatarMoeda = window.DataManager.formatarMoeda;
+    const { totais, porRegime, ranking } = creditosFornecedores;
+    
+    const titulo = document.getElementById('titulo-creditos-fornecedores');
+    if (titulo) {
+        titulo.textContent = `Crédito de CBS/IBS por Fornecedor - ${ano}`;
+    }
+    
+    const resumoEl = document.getElementById('resumo-creditos-fornecedores');
+    if (resumoEl) {
+        const regimes = Object.values(porRegime)
+            .filter(regime => regime.quantidade > 0)
+            .map(regime => `${regime.nome}: ${regime.quantidade} (${formatarMoeda(regime.valorCompras)})`)
+            .join(' | ');
+        resumoEl.innerHTML = `
+            <p><strong>Crédito recuperável:</strong> ${formatarMoeda(totais.creditoRecuperavel)}/mês (${(totais.percentualRecuperavel * 100).toFixed(1)}% do crédito integral) | <strong>Crédito perdido:</strong> ${formatarMoeda(totais.creditoPerdido)}/mês</p>
+            <p><strong>Fornecedores por regime:</strong> ${regimes}</p>
+        `;
+    }
+    
+    const tbody = tabela.querySelector('tbody');
+    tbody.innerHTML = '';
+    
+    if (ranking.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6">Todos os fornecedores transferem o crédito integral de CBS/IBS.</td></tr>';
+    }
+    
+    ranking.slice(0, 20).forEach((fornecedor, indice) => {
+        const linha = document.createElement('tr');
+        linha.innerHTML = `
+            <td>${indice + 1}</td>
+            <td></td>
+            <td>${window.RegimesFornecedores.REGIMES[fornecedor.regime].nome}</td>
+            <td>${formatarMoeda(fornecedor.valorCompras)}</td>
+            <td>${formatarMoeda(fornecedor.creditoRecuperavel)}</td>
+            <td>${formatarMoeda(fornecedor.creditoPerdido)}</td>
+        `;
+        linha.children[1].textContent = fornecedor.nome || fornecedor.documento;
+        tbody.appendChild(linha);
+    });
+    
+    divCreditos.style.display = 'block';
+}
+
+/**
+ * Atualiza a liquidação dos recebíveis por meio de pagamento no ano selecionado
+ * @param {Object} resultado - Resultados da simulação
+ * @param {number} ano - Ano selecionado
+ */
+function atualizarLiquidacaoRecebiveis(resultado, ano) {
+    const divLiquidacao = document.getElementById('liquidacao-recebiveis-resultado');
+    const tabela = document.getElementById('tabela-liquidacao-recebiveis');
+    if (!divLiquidacao || !tabela) return;
+    
+    const dadosAno = resultado?.projecaoTemporal?.resultadosAnuais?.[ano];
+    const liquidacaoRecebiveis = dadosAno ? dadosAno.liquidacaoRecebiveis : resultado?.impactoBase?.liquidacaoRecebiveis;
+    
+    if (!liquidacaoRecebiveis || liquidacaoRecebiveis.porMeio.length === 0) {
+        divLiquidacao.style.display = 'none';
+        return;
+    }
+    
+    const formatarMoeda = window.DataManager.formatarMoeda;
+    const { totais, porMeio, calendario } = liquidacaoRecebiveis;
+    
+    const titulo = document.getElementById('titulo-liquidacao-recebiveis');
+    if (titulo) {
+        titulo.textContent = `Liquidação dos Recebíveis por Meio de Pagamento - ${ano}`;
+    }
+    
+    const resumoEl = document.getElementById('resumo-liquidacao-recebiveis');
+    if (resumoEl) {
+        const prazos = calendario
+            .map(item => `D+${item.dias}: ${formatarMoeda(item.impostoRetido)}`)
+            .join(' | ');
+        const antecipacao = totais.valorAntecipado > 0 ?
+            `<p><strong>Antecipação:</strong> ${formatarMoeda(totais.valorAntecipado)} antecipados por ${formatarMoeda(totais.custoAntecipacao)} (${(totais.custoAntecipacaoPercentual * 100).toFixed(2)}% do valor, prazo médio de ${liquidacaoRecebiveis.prazoMedioAntecipado.toFixed(1)} dias)</p>` : '';
+        resumoEl.innerHTML = `
+            <p><strong>MDR:</strong> ${formatarMoeda(totais.valorMDR)}/mês (${(totais.percentualMDR * 100).toFixed(2)}% das vendas) | <strong>Prazo médio de recebimento:</strong> ${totais.prazoMedio.toFixed(1)} dias</p>
+            <p><strong>Imposto retido por prazo de liquidação:</strong> ${prazos}</p>
+            ${antecipacao}
+        `;
+    }
+    
+    const tbody = tabela.querySelector('tbody');
+    tbody.innerHTML = '';
+    
+    porMeio.forEach(meio => {
+        const linha = document.createElement('tr');
+        linha.innerHTML = `
+            <td>${meio.nome}${meio.parcelas > 1 ? ` (${meio.parcelas}x)` : ''}</td>
+            <td>${formatarMoeda(meio.valorBruto)}</td>
+            <td>${meio.prazoMedio.toFixed(0)}</td>
+            <td>${formatarMoeda(meio.valorMDR)}</td>
+            <td>${formatarMoeda(meio.impostoRetido)}</td>
+            <td>${formatarMoeda(meio.valorLiquido)}</td>
+            <td>${formatarMoeda(meio.custoAntecipacao)}</td>
+        `;
+        tbody.appendChild(linha);
+    });
+    
+    divLiquidacao.style.display = 'block';
+}
+
+/**
+ * Atualiza o float de cada tributo do regime atual perdido com o Split Payment no ano selecionado
+ * @param {Object} resultado - Resultados da simulação
+ * @param {number} ano - Ano selecionado
+ */
+function atualizarFloatTributos(resultado, ano) {
+    const divFloat = document.getElementById('float-tributos-resultado');
+    const tabela = document.getElementById('tabela-float-tributos');
+    if (!divFloat || !tabela) return;
+    
+    const dadosAno = resultado?.projecaoTemporal?.resultadosAnuais?.[ano];
+    const floatTributos = dadosAno ? dadosAno.floatTributos : resultado?.impactoBase?.floatTributos;
+    
+    if (!floatTributos || floatTributos.tributos.length === 0) {
+        divFloat.style.display = 'none';
+        return;
+    }
+    
+    const formatarMoeda = window.DataManager.formatarMoeda;
+    
+    const titulo = document.getElementById('titulo-float-tributos');
+    if (titulo) {
+        titulo.textContent = `Float dos Tributos Perdido com o Split Payment - ${ano}`;
+    }
+    
+    const resumoEl = document.getElementById('resumo-float-tributos');
+    if (resumoEl) {
+        resumoEl.innerHTML = `
+            <p><strong>Float médio no regime atual:</strong> ${floatTributos.diasFloatMedio.toFixed(1)} dias (${formatarMoeda(floatTributos.capitalGiro)} de capital de giro) | <strong>Split Payment em ${ano}:</strong> ${(floatTributos.percentualImplementacao * 100).toFixed(1)}%</p>
+            <p><strong>Float perdido:</strong> ${floatTributos.diasFloatPerdidos.toFixed(1)} dias (${formatarMoeda(floatTributos.capitalGiroPerdido)})${floatTributos.uf ? ` | <strong>UF:</strong> ${floatTributos.uf}` : ''}</p>
+        `;
+    }
+    
+    const tbody = tabela.querySelector('tbody');
+    tbody.innerHTML = '';
+    
+    floatTributos.tributos.forEach(tributo => {
+        const linha = document.createElement('tr');
+        linha.innerHTML = `
+            <td>${tributo.nome}</td>
+            <td>Dia ${tributo.dia}${tributo.mesesApos > 1 ? ` (+${tributo.mesesApos} meses)` : ''}</td>
+            <td>${formatarMoeda(tributo.valor)}</td>
+            <td>${tributo.diasFloatVista.toFixed(1)}</td>
+            <td>${tributo.diasFloat.toFixed(1)}</td>
+            <td>${tributo.diasFloatPerdidos.toFixed(1)}</td>
+            <td>${formatarMoeda(tributo.capitalGiroPerdido)}</td>
+        `;
+        tbody.appendChild(linha);
+    });
+    
+    divFloat.style.display = 'block';
+}
+
+/**
+ * Atualiza os totais em valor presente e a tabela da projeção em valores nominais, reais e presentes
+ * @param {Object} resultado - Resultados da simulação
+ * @param {number} ano - Ano selecionado (destacado na tabela)
+ */
+function atualizarProjecaoValorPresente(resultado, ano) {
+    const divProjecao = document.getElementById('projecao-valor-presente');
+    const tabela = document.getElementById('tabela-projecao-valor-presente');
+    const projecaoFinanceira = resultado?.projecaoTemporal?.projecaoFinanceira;
+    const formatarMoeda = window.DataManager.formatarMoeda;
+    
+    const totalVP = resultado?.projecaoTemporal?.impactoAcumulado?.valorPresente;
+    const campoNecessidadeVP = document.getElementById('total-necessidade-giro-vp');
+    const campoCustoVP = document.getElementById('custo-financeiro-total-vp');
+    if (campoNecessidadeVP) campoNecessidadeVP.textContent = totalVP ? formatarMoeda(totalVP.totalNecessidadeCapitalGiro) : 'N/A';
+    if (campoCustoVP) campoCustoVP.textContent = totalVP ? formatarMoeda(totalVP.custoFinanceiroTotal) : 'N/A';
+    
+    if (!divProjecao || !tabela) return;
+    if (!projecaoFinanceira || projecaoFinanceira.anos.length === 0) {
+        divProjecao.style.display = 'none';
+        return;
+    }
+    
+    const titulo = document.getElementById('titulo-projecao-valor-presente');
+    if (titulo) {
+        titulo.textContent = `Projeção em Valores Nominais, Reais e Presentes (desconto de ${(projecaoFinanceira.taxaDesconto * 100).toFixed(2)}% a.a.)`;
+    }
+    
+    const tbody = tabela.querySelector('tbody');
+    tbody.innerHTML = '';
+    
+    projecaoFinanceira.anos.forEach(linhaAno => {
+        const linha = document.createElement('tr');
+        if (linhaAno.ano === Number(ano)) {
+            linha.style.fontWeight = 'bold';
+        }
+        linha.innerHTML = `
+            <td>${linhaAno.ano}</td>
+            <td>${(linhaAno.ipca * 100).toFixed(2)}%</td>
+            <td>${linhaAno.fatorDesconto.toFixed(4)}</td>
+            <td>${formatarMoeda(linhaAno.necessidadeNominal)}</td>
+            <td>${formatarMoeda(linhaAno.necessidadeValorPresente)}</td>
+            <td>${formatarMoeda(linhaAno.custoFinanceiroNominal)}</td>
+            <td>${formatarMoeda(linhaAno.custoFinanceiroReal)}</td>
+            <td>${formatarMoeda(linhaAno.custoFinanceiroValorPresente)}</td>
+        `;
+        tbody.appendChild(linha);
+    });
+    
+    const totais = document.createElement('tr');
+    totais.style.fontWeight = 'bold';
+    totais.innerHTML = `
+        <td>Total</td>
+        <td></td>
+        <td></td>
+        <td>${formatarMoeda(projecaoFinanceira.totalNominal.totalNecessidadeCapitalGiro)}</td>
+        <td>${formatarMoeda(projecaoFinanceira.totalValorPresente.totalNecessidadeCapitalGiro)}</td>
+        <td>${formatarMoeda(projecaoFinanceira.totalNominal.custoFinanceiroTotal)}</td>
+        <td>${formatarMoeda(projecaoFinanceira.totalReal.custoFinanceiroTotal)}</td>
+        <td>${formatarMoeda(projecaoFinanceira.totalValorPresente.custoFinanceiroTotal)}</td>
+    `;
+    tbody.appendChild(totais);
+    
+    divProjecao.style.display = 'block';
+}
+
+/**
+ * Lê do formulário as distribuições e os parâmetros da simulação de Monte Carlo.
+ * Campos percentuais são informados em % e convertidos para decimal.
+ * @returns {Object} - Configuração para SimuladorFluxoCaixa.simularMonteCarlo
+ */
+function obterConfiguracaoMonteCarlo() {
+    const distribuicoes = {};
+    const lerNumero = id => parseFloat(document.getElementById(id)?.value);
+    
+    Object.entries(window.SimulacaoMonteCarlo.PARAMETROS).forEach(([parametro, definicao]) => {
+        if (!document.getElementById(`mc-ativar-${parametro}`)?.checked) return;
+        
+        const escala = definicao.percentual ? 0.01 : 1;
+        const minimo = lerNumero(`mc-minimo-${parametro}`) * escala;
+        const moda = lerNumero(`mc-moda-${parametro}`) * escala;
+        const maximo = lerNumero(`mc-maximo-${parametro}`) * escala;
+        const tipo = document.getElementById(`mc-distribuicao-${parametro}`)?.value || 'triangular';
+        
+        if (tipo === 'normal') {
+            distribuicoes[parametro] = { tipo, media: moda, desvioPadrao: lerNumero(`mc-desvio-${parametro}`) * escala };
+        } else if (tipo === 'uniforme') {
+            distribuicoes[parametro] = { tipo, minimo, maximo };
+        } else {
+            distribuicoes[parametro] = { tipo, minimo, moda, maximo };
+        }
+    });
+    
+    const limiteCredito = window.DataManager.extrairValorNumerico('mc-limite-credito');
+    const semente = document.getElementById('mc-semente')?.value;
+    
+    return {
+        ano: parseInt(document.getElementById('ano-visualizacao')?.value, 10) || 2026,
+        iteracoes: parseInt(document.getElementById('mc-iteracoes')?.value, 10),
+        semente: semente !== '' ? semente : undefined,
+        limiteCredito: limiteCredito > 0 ? limiteCredito : null,
+        distribuicoes
+    };
+}
+
+/**
+ * Executa a simulação de Monte Carlo e exibe o progresso e os resultados
+ */
+function executarMonteCarlo() {
+    if (!window.SimulacaoMonteCarlo || !window.SimuladorFluxoCaixa) {
+        alert('Módulo de simulação de Monte Carlo não está disponível.');
+        return;
+    }
+    
+    const btnExecutar = document.getElementById('btn-executar-monte-carlo');
+    const btnCancelar = document.getElementById('btn-cancelar-monte-carlo');
+    const progresso = document.getElementById('progresso-monte-carlo');
+    
+    let configuracao;
+    try {
+        configuracao = obterConfiguracaoMonteCarlo();
+    } catch (erro) {
+        alert('Erro ao ler os parâmetros da simulação de Monte Carlo: ' + erro.message);
+        return;
+    }
+    
+    btnExecutar.disabled = true;
+    btnCancelar.disabled = false;
+    if (progresso) progresso.textContent = 'Iniciando...';
+    
+    window.SimuladorFluxoCaixa.simularMonteCarlo(configuracao, {
+        aoProgredir: function(concluidas, total) {
+            if (progresso) {
+                progresso.textContent = `${concluidas} de ${total} iterações (${Math.round((concluidas / total) * 100)}%)`;
+            }
+        }
+    })
+        .then(resultado => {
+            if (progresso) {
+                progresso.textContent = resultado.cancelada ?
+                    `Cancelada - resultado parcial com ${resultado.iteracoesConcluidas} iterações` :
+                    `Concluída - ${resultado.iteracoesConcluidas} iterações`;
+            }
+            
+            // Disponibilizar o resultado para exportação
+            if (window.resultadosSimulacao) {
+                window.resultadosSimulacao.monteCarlo = resultado;
+            }
+            
+            atualizarResultadoMonteCarlo(resultado);
+        })
+        .catch(erro => {
+            console.error('Erro na simulação de Monte Carlo:', erro);
+            if (progresso) progresso.textContent = '';
+            alert('Erro na simulação de Monte Carlo: ' + erro.message);
+        })
+        .finally(() => {
+            btnExecutar.disabled = false;
+            btnCancelar.disabled = true;
+        });
+}
+
+/**
+ * Exibe os percentis da simulação de Monte Carlo e o histograma da necessidade de capital de giro
+ * @param {Object} resultado - Resultado do SimulacaoMonteCarlo.executar
+ */
+function atualizarResultadoMonteCarlo(resultado) {
+    const divResultado = document.getElementById('resultado-monte-carlo');
+    const tabela = document.getElementById('tabela-resultado-monte-carlo');
+    if (!divResultado || !tabela || !resultado) return;
+    
+    const formatarMoeda = window.DataManager.formatarMoeda;
+    const formatarPercentual = valor => (valor * 100).toFixed(1) + '%';
+    
+    const resumo = document.getElementById('resumo-monte-carlo');
+    if (resumo) {
+        let html = `<p><strong>Ano analisado:</strong> ${resultado.ano} | <strong>Iterações:</strong> ${resultado.iteracoesConcluidas}`;
+        if (resultado.iteracoesComFalha > 0) {
+            html += ` (${resultado.iteracoesComFalha} com falha de cálculo)`;
+        }
+        html += ` | <strong>Semente:</strong> ${resultado.semente}</p>`;
+        
+        if (resultado.probabilidadeExcederLimite) {
+            html += `<p><strong>Probabilidade de a necessidade adicional exceder o limite de ${formatarMoeda(resultado.limiteCredito)}:</strong> ${formatarPercentual(resultado.probabilidadeExcederLimite.necessidadeAdicionalCapitalGiro)}`;
+            html += ` | <strong>Pico mensal:</strong> ${formatarPercentual(resultado.probabilidadeExcederLimite.necessidadePicoCapitalGiro)}</p>`;
+        }
+        resumo.innerHTML = html;
+    }
+    
+    const tbody = tabela.querySelector('tbody');
+    tbody.innerHTML = '';
+    
+    Object.entries(window.SimulacaoMonteCarlo.INDICADORES).forEach(([indicador, nome]) => {
+        const estatisticas = resultado.indicadores[indicador];
+        const linha = document.createElement('tr');
+        linha.innerHTML = `
+            <td>${nome}</td>
+            <td>${formatarMoeda(estatisticas.p5)}</td>
+            <td>${formatarMoeda(estatisticas.p50)}</td>
+            <td>${formatarMoeda(estatisticas.p95)}</td>
+            <td>${formatarMoeda(estatisticas.media)}</td>
+        `;
+        tbody.appendChild(linha);
+    });
+    
+    divResultado.style.display = 'block';
+    
+    if (window.ChartManager && typeof window.ChartManager.renderizarGraficoMonteCarlo === 'function') {
+        window.ChartManager.renderizarGraficoMonteCarlo(resultado);
+    }
+}
+
+/**
+ * Inclui no grupo econômico a empresa preenchida no formulário
+ */
+function adicionarEmpresaAoGrupo() {
+    if (!window.SimuladorFluxoCaixa || typeof window.SimuladorFluxoCaixa.adicionarEmpresaAoGrupo !== 'function') {
+        alert('Módulo de grupo econômico não está disponível.');
+        return;
+    }
+    
+    const nome = document.getElementById('grupo-empresa-nome')?.value.trim() ||
+        document.getElementById('empresa')?.value.trim() || '';
+    const cnpj = document.getElementById('grupo-empresa-cnpj')?.value || '';
+    
+    if (window.SimuladorFluxoCaixa.adicionarEmpresaAoGrupo(nome, cnpj)) {
+        document.getElementById('grupo-empresa-nome').value = '';
+        document.getElementById('grupo-empresa-cnpj').value = '';
+        atualizarListaGrupoEconomico();
+    }
+}
+
+/**
+ * Adiciona uma operação intragrupo com as empresas e o valor informados
+ */
+function adicionarOperacaoIntercompany() {
+    const grupo = window.SimuladorRepository?.obterGrupoEconomico();
+    if (!grupo) return;
+    
+    const vendedor = document.getElementById('grupo-ic-vendedor')?.value;
+    const comprador = document.getElementById('grupo-ic-comprador')?.value;
+    const valorMensal = window.DataManager.extrairValorNumerico('grupo-ic-valor');
+    
+    if (!vendedor || !comprador || vendedor === comprador) {
+        alert('Selecione empresas vendedora e compradora diferentes.');
+        return;
+    }
+    if (!(valorMensal > 0)) {
+        alert('Informe o valor mensal das vendas intragrupo.');
+        return;
+    }
+    
+    window.SimuladorRepository.definirOperacoesIntercompany([
+        ...grupo.operacoesIntercompany,
+        { vendedor, comprador, valorMensal }
+    ]);
+    atualizarListaGrupoEconomico();
+}
+
+/**
+ * Atualiza as tabelas de empresas e operações intragrupo e as listas de seleção
+ */
+function atualizarListaGrupoEconomico() {
+    const tabelaEmpresas = document.getElementById('tabela-empresas-grupo');
+    const tabelaOperacoes = document.getElementById('tabela-operacoes-intercompany');
+    const grupo = window.SimuladorRepository?.obterGrupoEconomico();
+    if (!tabelaEmpresas || !tabelaOperacoes || !grupo) return;
+    
+    const formatarMoeda = window.DataManager.formatarMoeda;
+    const nomes = Object.fromEntries(grupo.entidades.map(entidade => [entidade.id, entidade.nome]));
+    
+    const tbodyEmpresas = tabelaEmpresas.querySelector('tbody');
+    tbodyEmpresas.innerHTML = '';
+    grupo.entidades.forEach(entidade => {
+        const linha = document.createElement('tr');
+        linha.innerHTML = `
+            <td>${escaparHtml(entidade.nome)}</td>
+            <td>${escaparHtml(entidade.cnpj || '-')}</td>
+            <td>${formatarMoeda(entidade.dados?.empresa?.faturamento || 0)}</td>
+            <td>
+                <button type="button" class="btn-secondary" data-acao="carregar">Carregar no Formulário</button>
+                <button type="button" class="btn-secondary" data-acao="remover">Remover</button>
+            </td>
+        `;
+        linha.querySelector('[data-acao="carregar"]').addEventListener('click', function() {
+            window.DataManager.preencherFormulario(entidade.dados);
+        });
+        linha.querySelector('[data-acao="remover"]').addEventListener('click', function() {
+            window.SimuladorRepository.removerEntidadeGrupo(entidade.id);
+            atualizarListaGrupoEconomico();
+        });
+        tbodyEmpresas.appendChild(linha);
+    });
+    
+    ['grupo-ic-vendedor', 'grupo-ic-comprador'].forEach(id => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        // Nomes informados ou importados do SPED atribuídos como texto
+        select.innerHTML = '';
+        grupo.entidades.forEach(entidade => select.appendChild(new Option(entidade.nome, entidade.id)));
+    });
+    
+    const tbodyOperacoes = tabelaOperacoes.querySelector('tbody');
+    tbodyOperacoes.innerHTML = '';
+    grupo.operacoesIntercompany.forEach((operacao, indice) => {
+        const linha = document.createElement('tr');
+        linha.innerHTML = `
+            <td>${escaparHtml(nomes[operacao.vendedor] || operacao.vendedor)}</td>
+            <td>${escaparHtml(nomes[operacao.comprador] || operacao.comprador)}</td>
+            <td>${formatarMoeda(operacao.valorMensal)}</td>
+            <td><button type="button" class="btn-secondary">Remover</button></td>
+        `;
+        linha.querySelector('button').addEventListener('click', function() {
+            window.SimuladorRepository.definirOperacoesIntercompany(
+                grupo.operacoesIntercompany.filter((item, posicao) => posicao !== indice)
+            );
+            atualizarListaGrupoEconomico();
+        });
+        tbodyOperacoes.appendChild(linha);
+    });
+}
+
+/**
+ * Simula o grupo econômico no ano de visualização e exibe a consolidação
+ */
+function simularGrupoEconomico() {
+    if (!window.SimuladorFluxoCaixa || typeof window.SimuladorFluxoCaixa.simularGrupoEconomico !== 'function') {
+        alert('Módulo de grupo econômico não está disponível.');
+        return;
+    }
+    
+    const ano = parseInt(document.getElementById('ano-visualizacao')?.value, 10) || undefined;
+    const resultado = window.SimuladorFluxoCaixa.simularGrupoEconomico(ano);
+    if (!resultado) return;
+    
+    // Disponibilizar o resultado para exportação
+    if (window.resultadosSimulacao) {
+        window.resultadosSimulacao.grupoEconomico = resultado;
+    }
+    
+    atualizarResultadoGrupo(resultado);
+}
+
+/**
+ * Exibe a visão consolidada do grupo e o resultado de cada empresa
+ * @param {Object} resultado - Resultado do ConsolidacaoGrupo.simular
+ */
+function atualizarResultadoGrupo(resultado) {
+    const divResultado = document.getElementById('resultado-grupo');
+    const tabela = document.getElementById('tabela-consolidacao-grupo');
+    if (!divResultado || !tabela || !resultado) return;
+    
+    const formatarMoeda = window.DataManager.formatarMoeda;
+    const consolidado = resultado.consolidado;
+    
+    const resumo = document.getElementById('resumo-grupo');
+    if (resumo) {
+        resumo.innerHTML = `
+            <p><strong>Ano analisado:</strong> ${resultado.ano} | <strong>Empresas:</strong> ${consolidado.numeroEntidades} | <strong>Operações intragrupo:</strong> ${resultado.eliminacoes.length}</p>
+            <p><strong>Faturamento consolidado:</strong> ${formatarMoeda(consolidado.faturamentoConsolidado)} (vendas intragrupo eliminadas: ${formatarMoeda(consolidado.vendasIntercompany)})</p>
+            <p><strong>Impacto consolidado no capital de giro:</strong> ${formatarMoeda(consolidado.diferencaCapitalGiro)} (${consolidado.percentualImpacto.toFixed(2)}%) | <strong>Soma das empresas:</strong> ${formatarMoeda(consolidado.somaDiferencasEntidades)}</p>
+            <p><strong>Necessidade adicional:</strong> ${formatarMoeda(consolidado.necessidadeAdicionalCapitalGiro)} | <strong>Custo financeiro anual:</strong> ${formatarMoeda(consolidado.custoAnualCapitalGiro)} | <strong>Impacto na margem:</strong> ${consolidado.impactoMargem.toFixed(2)} p.p.</p>
+        `;
+    }
+    
+    const tbody = tabela.querySelector('tbody');
+    tbody.innerHTML = '';
+    
+    resultado.entidades.forEach(entidade => {
+        const linha = document.createElement('tr');
+        linha.innerHTML = `
+            <td>${escaparHtml(entidade.nome)}</td>
+            <td>${formatarMoeda(entidade.faturamento)}</td>
+            <td>${formatarMoeda(entidade.vendasIntercompany)}</td>
+            <td>${formatarMoeda(entidade.creditosIntercompany.total)}</td>
+            <td>${formatarMoeda(entidade.diferencaCapitalGiro)}</td>
+            <td>${formatarMoeda(-(entidade.eliminacaoVendas + entidade.eliminacaoCreditos))}</td>
+            <td>${formatarMoeda(entidade.diferencaAjustada)}</td>
+            <td><button type="button" class="btn-secondary">Detalhar</button></td>
+        `;
+        linha.querySelector('button').addEventListener('click', function() {
+            exibirDetalheEmpresaGrupo(entidade);
+        });
+        tbody.appendChild(linha);
+    });
+    
+    const linhaTotal = document.createElement('tr');
+    linhaTotal.style.fontWeight = 'bold';
+    linhaTotal.innerHTML = `
+        <td>Consolidado</td>
+        <td>${formatarMoeda(consolidado.faturamentoConsolidado)}</td>
+        <td>-</td>
+        <td>${formatarMoeda(consolidado.creditosIntercompany)}</td>
+        <td>${formatarMoeda(consolidado.somaDiferencasEntidades)}</td>
+        <td>${formatarMoeda(-(consolidado.eliminacaoVendas + consolidado.eliminacaoCreditos))}</td>
+        <td>${formatarMoeda(consolidado.diferencaCapitalGiro)}</td>
+        <td></td>
+    `;
+    tbody.appendChild(linhaTotal);
+    
+    const detalhe = document.getElementById('detalhe-empresa-grupo');
+    if (detalhe) detalhe.style.display = 'none';
+    
+    divResultado.style.display = 'block';
+}
+
+/**
+ * Exibe o detalhamento de uma empresa do grupo
+ * @param {Object} entidade - Resultado da empresa em ConsolidacaoGrupo.simular
+ */
+function exibirDetalheEmpresaGrupo(entidade) {
+    const detalhe = document.getElementById('detalhe-empresa-grupo');
+    if (!detalhe) return;
+    
+    const formatarMoeda = window.DataManager.formatarMoeda;
+    const formatarPercentual = valor => (valor * 100).toFixed(2) + '%';
+    
+    detalhe.innerHTML = `
+        <h4>${escaparHtml(entidade.nome)}${entidade.cnpj ? ' - CNPJ ' + escaparHtml(entidade.cnpj) : ''}</h4>
+        <p><strong>Capital de giro no regime atual:</strong> ${formatarMoeda(entidade.capitalGiroAtual)} | <strong>Com Split Payment:</strong> ${formatarMoeda(entidade.capitalGiroSplit)}</p>
+        <p><strong>Impacto sem as compras intragrupo:</strong> ${formatarMoeda(entidade.diferencaCapitalGiroSemIntercompany)} | <strong>Com os créditos intragrupo:</strong> ${formatarMoeda(entidade.diferencaCapitalGiro)}</p>
+        <p><strong>Alíquotas efetivas:</strong> CBS ${formatarPercentual(entidade.aliquotasEfetivas.cbs)}, IBS ${formatarPercentual(entidade.aliquotasEfetivas.ibs)} | <strong>Vendas intragrupo:</strong> ${formatarPercentual(entidade.participacaoIntercompany)} do faturamento</p>
+        <p><strong>Compras intragrupo:</strong> ${formatarMoeda(entidade.comprasIntercompany)} com créditos de ${formatarMoeda(entidade.creditosIntercompany.cbs)} (CBS) e ${formatarMoeda(entidade.creditosIntercompany.ibs)} (IBS)</p>
+        <p><strong>Eliminação das vendas intragrupo:</strong> ${formatarMoeda(-entidade.eliminacaoVendas)} | <strong>Eliminação dos créditos intragrupo:</strong> ${formatarMoeda(-entidade.eliminacaoCreditos)}</p>
+        <p><strong>Necessidade adicional de capital de giro (individual):</strong> ${formatarMoeda(entidade.necessidadeAdicionalCapitalGiro)}</p>
+    `;
+    detalhe.style.display = 'block';
+}
+
+/**
+ * Obtém o nome da empresa do formulário, que identifica os cenários
+ * @returns {string} Nome da empresa
+ */
+function obterEmpresaCenarios() {
+    return document.getElementById('empresa')?.value.trim() || '';
+}
+
+/**
+ * Salva os dados do formulário como cenário da empresa
+ */
+function salvarCenario() {
+    if (!window.SimuladorFluxoCaixa || typeof window.SimuladorFluxoCaixa.salvarCenario !== 'function') {
+        alert('Módulo de cenários não está disponível.');
+        return;
+    }
+    
+    const nome = document.getElementById('cenario-nome')?.value.trim() || '';
+    if (!nome) {
+        alert('Informe o nome do cenário.');
+        return;
+    }
+    
+    if (window.SimuladorFluxoCaixa.salvarCenario(obterEmpresaCenarios(), nome)) {
+        atualizarListaCenarios();
+    }
+}
+
+/**
+ * Atualiza a tabela de cenários da empresa do formulário
+ */
+function atualizarListaCenarios() {
+    const tabela = document.getElementById('tabela-cenarios');
+    if (!tabela || !window.SimuladorRepository) return;
+    
+    const empresa = obterEmpresaCenarios();
+    const cenarios = window.SimuladorRepository.obterCenarios(empresa);
+    const formatarMoeda = window.DataManager.formatarMoeda;
+    
+    const tbody = tabela.querySelector('tbody');
+    tbody.innerHTML = '';
+    
+    if (cenarios.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="text-muted">Nenhum cenário salvo para esta empresa.</td></tr>';
+        return;
+    }
+    
+    cenarios.forEach(cenario => {
+        const periodo = cenario.indicadores?.periodo || {};
+        const origem = cenario.origem ? cenarios.find(item => item.id === cenario.origem) : null;
+        const linha = document.createElement('tr');
+        linha.innerHTML = `
+            <td><input type="checkbox" class="selecao-cenario" value="${cenario.id}"></td>
+            <td class="nome-cenario"></td>
+            <td>${new Date(cenario.dataAtualizacao).toLocaleString('pt-BR')}</td>
+            <td>${typeof periodo.diferencaCapitalGiro === 'number' ? formatarMoeda(periodo.diferencaCapitalGiro) : '-'}</td>
+            <td>${typeof periodo.totalNecessidadeCapitalGiro === 'number' ? formatarMoeda(periodo.totalNecessidadeCapitalGiro) : '-'}</td>
+            <td>
+                <button type="button" class="btn-secondary" data-acao="carregar">Carregar no Formulário</button>
+                <button type="button" class="btn-secondary" data-acao="clonar">Clonar</button>
+                <button type="button" class="btn-secondary" data-acao="remover">Remover</button>
+            </td>
+        `;
+        // Nomes informados pelo usuário atribuídos como texto, sem interpretar HTML
+        const celulaNome = linha.querySelector('.nome-cenario');
+        celulaNome.textContent = cenario.nome;
+        if (origem) {
+            const clonado = document.createElement('small');
+            clonado.className = 'text-muted';
+            clonado.textContent = `(clonado de ${origem.nome})`;
+            celulaNome.append(' ', clonado);
+        }
+        // A ordem de seleção define a referência da comparação (primeiro selecionado)
+        linha.querySelector('.selecao-cenario').addEventListener('change', function() {
+            this.dataset.ordem = this.checked ? String(Date.now()) : '';
+        });
+        linha.querySelector('[data-acao="carregar"]').addEventListener('click', function() {
+            if (window.SimuladorFluxoCaixa.carregarCenario(empresa, cenario.id)) {
+                document.getElementById('cenario-nome').value = cenario.nome;
+            }
+        });
+        linha.querySelector('[data-acao="clonar"]').addEventListener('click', function() {
+            window.SimuladorRepository.clonarCenario(empresa, cenario.id);
+            atualizarListaCenarios();
+        });
+        linha.querySelector('[data-acao="remover"]').addEventListener('click', function() {
+            window.SimuladorRepository.removerCenario(empresa, cenario.id);
+            atualizarListaCenarios();
+        });
+        tbody.appendChild(linha);
+    });
+}
+
+/**
+ * Compara os cenários selecionados e exibe as diferenças
+ */
+function compararCenarios() {
+    if (!window.SimuladorFluxoCaixa || typeof window.SimuladorFluxoCaixa.compararCenarios !== 'function') {
+        alert('Módulo de cenários não está disponível.');
+        return;
+    }
+    
+    const ids = Array.from(document.querySelectorAll('#tabela-cenarios .selecao-cenario:checked'))
+        .sort((a, b) => Number(a.dataset.ordem || 0) - Number(b.dataset.ordem || 0))
+        .map(checkbox => checkbox.value);
+    
+    const resultado = window.SimuladorFluxoCaixa.compararCenarios(obterEmpresaCenarios(), ids);
+    if (resultado) {
+        atualizarComparacaoCenarios(resultado);
+    }
+}
+
+/**
+ * Escapa um texto informado pelo usuário para inserção em HTML
+ * @param {string} texto - Texto original
+ * @returns {string} Texto com os caracteres especiais de HTML escapados
+ */
+function escaparHtml(texto) {
+    return String(texto ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Formata o valor de um indicador da comparação de cenários
+ * @param {number|null} valor - Valor do indicador
+ * @param {string} formato - Formato do indicador ('moeda', 'percentual', 'pontos', 'dias')
+ * @returns {string} Valor formatado
+ */
+function formatarIndicadorCenario(valor, formato) {
+    if (valor === null || valor === undefined) return '-';
+    switch (formato) {
+        case 'moeda': return window.DataManager.formatarMoeda(valor);
+        case 'percentual': return valor.toFixed(2) + '%';
+        case 'pontos': return valor.toFixed(2) + ' p.p.';
+        case 'dias': return valor.toFixed(1) + ' dias';
+        default: return String(valor);
+    }
+}
+
+/**
+ * Exibe a comparação de cenários: indicadores do período, de cada ano e de cada estratégia
+ * @param {Object} resultado - Resultado do ComparacaoCenarios.comparar
+ */
+function atualizarComparacaoCenarios(resultado) {
+    const divResultado = document.getElementById('resultado-comparacao-cenarios');
+    if (!divResultado || !resultado) return;
+    
+    const cabecalho = '<tr><th>Indicador</th>' + resultado.cenarios.map((cenario, indice) =>
+        indice === 0 ? `<th>${escaparHtml(cenario.nome)} (referência)</th>` : `<th>${escaparHtml(cenario.nome)}</th><th>Diferença</th>`
+    ).join('') + '</tr>';
+    const colunas = resultado.cenarios.length * 2;
+    
+    const montarLinha = linha => '<tr><td>' + linha.nome + '</td>' + linha.valores.map((valor, indice) => {
+        const celulaValor = `<td>${formatarIndicadorCenario(valor, linha.formato)}</td>`;
+        if (indice === 0) return celulaValor;
+        
+        const delta = linha.deltas[indice];
+        // Diferença de percentuais em pontos percentuais
+        const formatoDelta = linha.formato === 'percentual' ? 'pontos' : linha.formato;
+        const textoDelta = delta === null ? '-' : (delta > 0 ? '+' : '') + formatarIndicadorCenario(delta, formatoDelta) +
+            (linha.deltasPercentuais[indice] !== null && linha.formato !== 'percentual' ?
+                ` (${linha.deltasPercentuais[indice] > 0 ? '+' : ''}${linha.deltasPercentuais[indice].toFixed(1)}%)` : '');
+        return celulaValor + `<td>${textoDelta}</td>`;
+    }).join('') + '</tr>';
+    
+    const montarTabela = corpo => `
+        <div class="table-container">
+            <table class="transition-table">
+                <thead>${cabecalho}</thead>
+                <tbody>${corpo}</tbody>
+            </table>
+        </div>
+    `;
+    const montarGrupo = titulo => `<tr><td colspan="${colunas}"><strong>${titulo}</strong></td></tr>`;
+    
+    let html = '<h4>Indicadores do Período</h4>';
+    html += montarTabela(resultado.periodo.map(montarLinha).join(''));
+    
+    html += '<h4>Projeção por Ano</h4>';
+    html += montarTabela(resultado.anos.map(item =>
+        montarGrupo(item.ano) + item.indicadores.map(montarLinha).join('')
+    ).join(''));
+    
+    html += '<h4>Estratégias de Mitigação</h4>';
+    html += resultado.estrategias.length > 0 ?
+        montarTabela(resultado.estrategias.map(item =>
+            montarGrupo(item.nome) + item.indicadores.map(montarLinha).join('')
+        ).join('')) :
+        '<p class="text-muted">Nenhuma estratégia ativa nos cenários comparados.</p>';
+    
+    divResultado.innerHTML = html;
+    divResultado.style.display = 'block';
+}
+
+/**
+ * Resolve o ponto de equilíbrio da estratégia selecionada e exibe o resultado
+ */
+function resolverPontoEquilibrio() {
+    if (!window.SimuladorFluxoCaixa || typeof window.SimuladorFluxoCaixa.resolverPontoEquilibrio !== 'function') {
+        alert('Módulo de ponto de equilíbrio não está disponível.');
+        return;
+    }
+    
+    const chaveVariavel = document.getElementById('solver-variavel')?.value;
+    const meta = {
+        tipo: document.getElementById('solver-tipo-meta')?.value || 'neutralizacao',
+        valor: document.getElementById('solver-valor-meta')?.value
+    };
+    const ano = document.getElementById('ano-visualizacao-estrategias')?.value;
+    
+    const resultado = window.SimuladorFluxoCaixa.resolverPontoEquilibrio(chaveVariavel, meta, ano);
+    if (resultado) {
+        atualizarResultadoPontoEquilibrio(resultado);
+    }
+}
+
+/**
+ * Exibe o valor necessário do parâmetro e o histórico de convergência do solver
+ * @param {Object} resultado - Resultado do SolverEstrategias.resolver
+ */
+function atualizarResultadoPontoEquilibrio(resultado) {
+    const divResultado = document.getElementById('resultado-ponto-equilibrio');
+    const tabela = document.getElementById('tabela-convergencia-solver');
+    if (!divResultado || !tabela) return;
+    
+    const formatarMoeda = window.DataManager.formatarMoeda;
+    const casas = resultado.unidade === 'dias' ? 0 : 2;
+    const situacoes = {
+        convergiu: 'Meta atendida',
+        limiteSuperior: 'Meta atendida no limite do intervalo',
+        inatingivel: 'Meta inatingível no intervalo',
+        semImpacto: 'Sem impacto a neutralizar'
+    };
+    
+    const resumo = document.getElementById('resumo-ponto-equilibrio');
+    if (resumo) {
+        let html = `<p><strong>${resultado.nome}:</strong> ${situacoes[resultado.situacao] || resultado.situacao}</p>`;
+        if (resultado.valorNecessario !== null) {
+            html += `<p><strong>Valor necessário:</strong> ${resultado.valorNecessario.toFixed(casas)} ${resultado.unidade}`;
+            html += ` | <strong>Efetividade:</strong> ${resultado.efetividade.toFixed(2)}%`;
+            html += ` | <strong>Custo:</strong> ${formatarMoeda(resultado.custo)}</p>`;
+        }
+        html += `<p><strong>Impacto a neutralizar em ${resultado.ano}:</strong> ${formatarMoeda(resultado.necessidadeCapitalGiro)}</p>`;
+        html += `<p class="text-muted">${resultado.mensagem}</p>`;
+        resumo.innerHTML = html;
+    }
+    
+    const tbody = tabela.querySelector('tbody');
+    tbody.innerHTML = '';
+    
+    resultado.historicoConvergencia.forEach(passo => {
+        const linha = document.createElement('tr');
+        linha.innerHTML = `
+            <td>${passo.iteracao}</td>
+            <td>${passo.fase === 'bisseccao' ? 'Bissecção' : 'Varredura'}</td>
+            <td>${passo.valor.toFixed(casas)} ${resultado.unidade}</td>
+            <td>${isFinite(passo.efetividade) ? passo.efetividade.toFixed(2) : '-'}</td>
+            <td>${formatarMoeda(passo.custo)}</td>
+            <td>${isFinite(passo.desvio) ? passo.desvio.toFixed(2) : '-'}</td>
+        `;
+        tbody.appendChild(linha);
+    });
+    
+    divResultado.style.display = 'block';
+}
+
+/**
+ * Otimiza o mix de estratégias com as restrições informadas e exibe a fronteira de Pareto
+ */
+function otimizarEstrategias() {
+    if (!window.SimuladorFluxoCaixa || typeof window.SimuladorFluxoCaixa.otimizarEstrategias !== 'function') {
+        alert('Módulo de otimização de estratégias não está disponível.');
+        return;
+    }
+    
+    // Endividamento zerado significa sem limite além da própria necessidade de capital de giro
+    const dividaMaxima = window.DataManager.extrairValorNumerico('otim-divida-maxima');
+    const restricoes = {
+        aumentoPrecoMaximo: document.getElementById('otim-aumento-preco-maximo')?.value,
+        prazoFornecedorMaximo: document.getElementById('otim-prazo-fornecedor-maximo')?.value,
+        dividaMaxima: dividaMaxima > 0 ? dividaMaxima : null,
+        efetividadeMinima: document.getElementById('otim-efetividade-minima')?.value
+    };
+    const ano = document.getElementById('ano-visualizacao-estrategias')?.value;
+    
+    const resultado = window.SimuladorFluxoCaixa.otimizarEstrategias(restricoes, ano);
+    if (resultado) {
+        atualizarResultadoOtimizacao(resultado);
+    }
+}
+
+/**
+ * Exibe a solução ótima e a fronteira de Pareto do otimizador de estratégias
+ * @param {Object} resultado - Resultado do OtimizadorEstrategias.otimizar
+ */
+function atualizarResultadoOtimizacao(resultado) {
+    const divResultado = document.getElementById('resultado-otimizacao-estrategias');
+    const tabela = document.getElementById('tabela-fronteira-pareto');
+    if (!divResultado || !tabela) return;
+    
+    const formatarMoeda = window.DataManager.formatarMoeda;
+    const nomesEstrategias = {
+        ajustePrecos: 'Ajuste de Preços',
+        renegociacaoPrazos: 'Renegociação de Prazos',
+        antecipacaoRecebiveis: 'Antecipação de Recebíveis',
+        capitalGiro: 'Capital de Giro'
+    };
+    const parametro = (ponto, chave) => ponto.parametros[chave] ?? 0;
+    
+    const resumo = document.getElementById('resumo-otimizacao-estrategias');
+    if (resumo) {
+        const solucao = resultado.solucaoOtima;
+        let html = `<p><strong>Impacto a neutralizar em ${resultado.ano}:</strong> ${formatarMoeda(resultado.necessidadeCapitalGiro)}`;
+        html += ` | <strong>Neutralização máxima sob as restrições:</strong> ${resultado.efetividadeMaximaAlcancavel.toFixed(2)}%</p>`;
+        
+        if (!solucao) {
+            html += '<p class="text-muted">Não há impacto a neutralizar ou nenhuma estratégia é permitida pelas restrições.</p>';
+        } else {
+            const estrategias = solucao.estrategiasSelecionadas.map(nome => nomesEstrategias[nome] || nome).join(', ') || 'Nenhuma';
+            html += `<p><strong>${solucao.viavel ? 'Solução de menor custo' : 'Efetividade mínima inatingível; melhor solução encontrada'}:</strong> ${estrategias}</p>`;
+            html += `<p><strong>Aumento de preços:</strong> ${parametro(solucao, 'ajustePrecos.percentualAumento').toFixed(2)}%`;
+            html += ` | <strong>Prazo adicional com fornecedores:</strong> ${parametro(solucao, 'renegociacaoPrazos.aumentoPrazo')} dias`;
+            html += ` | <strong>Antecipação:</strong> ${parametro(solucao, 'antecipacaoRecebiveis.percentualAntecipacao').toFixed(2)}%`;
+            html += ` | <strong>Captação:</strong> ${formatarMoeda(solucao.valorFinanciamento)}</p>`;
+            html += `<p><strong>Efetividade:</strong> ${solucao.efetividade.toFixed(2)}% | <strong>Custo total:</strong> ${formatarMoeda(solucao.custo)}</p>`;
+        }
+        resumo.innerHTML = html;
+    }
+    
+    const tbody = tabela.querySelector('tbody');
+    tbody.innerHTML = '';
+    
+    resultado.frentePareto.forEach(ponto => {
+        const linha = document.createElement('tr');
+        linha.innerHTML = `
+            <td>${ponto.efetividade.toFixed(2)}</td>
+            <td>${formatarMoeda(ponto.custo)}</td>
+            <td>${parametro(ponto, 'ajustePrecos.percentualAumento').toFixed(2)}</td>
+            <td>${parametro(ponto, 'renegociacaoPrazos.aumentoPrazo')}</td>
+            <td>${parametro(ponto, 'antecipacaoRecebiveis.percentualAntecipacao').toFixed(2)}</td>
+            <td>${formatarMoeda(ponto.valorFinanciamento)}</td>
+        `;
+        tbody.appendChild(linha);
+    });
+    
+    divResultado.style.display = 'block';
+    
+    if (window.ChartManager && typeof window.ChartManager.renderizarGraficoFronteiraPareto === 'function') {
+        window.ChartManager.renderizarGraficoFronteiraPareto(resultado);
+    }
+}
+
 /**
  * Atualiza a composição tributária detalhada
  * @param {Object} resultado - Resultados da simulação
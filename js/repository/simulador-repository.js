@@ -56,6 +56,22 @@ window.SimuladorRepository = {
         interfaceState: {
             simulacaoRealizada: false
         },
+        // Grupo econômico: empresas (dados aninhados do DataManager) e operações intragrupo
+        // {
+        //   nome: String,
+        //   entidades: [{ id, nome, cnpj, dados }],
+        //   operacoesIntercompany: [{ vendedor: id, comprador: id, valorMensal: Number }]
+        // }
+        grupoEconomico: {
+            nome: '',
+            entidades: [],
+            operacoesIntercompany: []
+        },
+        // Cenários nomeados por empresa: dados aninhados do DataManager e resumo dos resultados
+        // {
+        //   [empresa]: [{ id, nome, origem: id do cenário clonado, dataCriacao, dataAtualizacao, dados, indicadores }]
+        // }
+        cenarios: {},
         historicoCalculos: [] // Novo campo para o histórico de cálculos
     },
 
@@ -93,6 +109,21 @@ window.SimuladorRepository = {
                 this._dadosSimulador.historicoCalculos = [];
             }
 
+            // Garantir a estrutura do grupo econômico
+            const grupo = this._dadosSimulador.grupoEconomico || {};
+            this._dadosSimulador.grupoEconomico = {
+                nome: grupo.nome || '',
+                entidades: Array.isArray(grupo.entidades) ? grupo.entidades : [],
+                operacoesIntercompany: Array.isArray(grupo.operacoesIntercompany) ? grupo.operacoesIntercompany : []
+            };
+
+            // Garantir a estrutura dos cenários (lista de cenários por empresa)
+            const cenarios = this._dadosSimulador.cenarios;
+            this._dadosSimulador.cenarios = Object.fromEntries(
+                Object.entries(cenarios && typeof cenarios === 'object' ? cenarios : {})
+                    .filter(([_, lista]) => Array.isArray(lista))
+            );
+
 
             console.log('Dados carregados do localStorage. Histórico de cálculos possui ' + (this._dadosSimulador.historicoCalculos ? this._dadosSimulador.historicoCalculos.length : 0) + ' itens.');
             return true;
@@ -190,6 +221,164 @@ window.SimuladorRepository = {
         this._dadosSimulador.historicoCalculos = [];
         this.salvar();
         console.log('Histórico de cálculos limpo.');
+    },
+
+    /**
+     * Obtém o grupo econômico
+     * @returns {Object} - Grupo com as empresas e as operações intragrupo
+     */
+    obterGrupoEconomico: function() {
+        if (!this._dadosSimulador.grupoEconomico) {
+            this._dadosSimulador.grupoEconomico = { nome: '', entidades: [], operacoesIntercompany: [] };
+        }
+        return this._dadosSimulador.grupoEconomico;
+    },
+
+    /**
+     * Inclui ou substitui uma empresa do grupo econômico, identificada pelo id (CNPJ ou gerado)
+     * @param {Object} entidade - Empresa ({id, nome, cnpj, dados})
+     * @returns {Object} - Empresa armazenada
+     */
+    salvarEntidadeGrupo: function(entidade) {
+        const grupo = this.obterGrupoEconomico();
+        const registro = {
+            id: entidade.id || entidade.cnpj || 'empresa-' + Date.now(),
+            nome: entidade.nome || 'Empresa ' + (grupo.entidades.length + 1),
+            cnpj: entidade.cnpj || '',
+            dados: entidade.dados
+        };
+        const indice = grupo.entidades.findIndex(item => item.id === registro.id);
+        if (indice >= 0) {
+            grupo.entidades[indice] = registro;
+        } else {
+            grupo.entidades.push(registro);
+        }
+        this.salvar();
+        return registro;
+    },
+
+    /**
+     * Remove uma empresa do grupo econômico e as operações intragrupo em que ela participa
+     * @param {string} id - Identificador da empresa
+     */
+    removerEntidadeGrupo: function(id) {
+        const grupo = this.obterGrupoEconomico();
+        grupo.entidades = grupo.entidades.filter(item => item.id !== id);
+        grupo.operacoesIntercompany = grupo.operacoesIntercompany.filter(
+            operacao => operacao.vendedor !== id && operacao.comprador !== id
+        );
+        this.salvar();
+    },
+
+    /**
+     * Substitui as operações intragrupo do grupo econômico
+     * @param {Array} operacoes - Operações ({vendedor, comprador, valorMensal})
+     */
+    definirOperacoesIntercompany: function(operacoes) {
+        this.obterGrupoEconomico().operacoesIntercompany = Array.isArray(operacoes) ? operacoes : [];
+        this.salvar();
+    },
+
+    /**
+     * Normaliza o nome da empresa usado como chave dos cenários
+     * @param {string} empresa - Nome da empresa
+     * @returns {string} - Chave da empresa
+     */
+    _chaveEmpresaCenarios: function(empresa) {
+        return String(empresa || '').trim() || 'Empresa não identificada';
+    },
+
+    /**
+     * Obtém os cenários de uma empresa
+     * @param {string} empresa - Nome da empresa
+     * @returns {Array} - Cenários ({id, nome, origem, dataCriacao, dataAtualizacao, dados, indicadores})
+     */
+    obterCenarios: function(empresa) {
+        if (!this._dadosSimulador.cenarios) {
+            this._dadosSimulador.cenarios = {};
+        }
+        return this._dadosSimulador.cenarios[this._chaveEmpresaCenarios(empresa)] || [];
+    },
+
+    /**
+     * Obtém um cenário de uma empresa
+     * @param {string} empresa - Nome da empresa
+     * @param {string} id - Identificador do cenário
+     * @returns {Object|null} - Cenário ou null se não existir
+     */
+    obterCenario: function(empresa, id) {
+        return this.obterCenarios(empresa).find(cenario => cenario.id === id) || null;
+    },
+
+    /**
+     * Inclui ou substitui um cenário da empresa, identificado pelo id ou, na falta dele, pelo nome
+     * @param {string} empresa - Nome da empresa
+     * @param {Object} cenario - Cenário ({id, nome, origem, dados, indicadores})
+     * @returns {Object} - Cenário armazenado
+     */
+    salvarCenario: function(empresa, cenario) {
+        const chave = this._chaveEmpresaCenarios(empresa);
+        const lista = this.obterCenarios(chave).slice();
+        const nome = String(cenario.nome || '').trim() || 'Cenário ' + (lista.length + 1);
+        const indice = lista.findIndex(item => cenario.id ? item.id === cenario.id : item.nome === nome);
+        const agora = new Date().toISOString();
+
+        const registro = {
+            id: cenario.id || (indice >= 0 ? lista[indice].id : 'cenario-' + Date.now() + '-' + Math.random().toString(36).slice(2, 7)),
+            nome,
+            origem: cenario.origem || (indice >= 0 ? lista[indice].origem : null) || null,
+            dataCriacao: indice >= 0 ? lista[indice].dataCriacao : agora,
+            dataAtualizacao: agora,
+            dados: cenario.dados,
+            indicadores: cenario.indicadores || null
+        };
+        if (indice >= 0) {
+            lista[indice] = registro;
+        } else {
+            lista.push(registro);
+        }
+        this._dadosSimulador.cenarios[chave] = lista;
+        this.salvar();
+        return registro;
+    },
+
+    /**
+     * Cria uma cópia de um cenário da empresa com outro nome
+     * @param {string} empresa - Nome da empresa
+     * @param {string} id - Identificador do cenário a clonar
+     * @param {string} nome - Nome da cópia (padrão: nome do cenário seguido de "(cópia)")
+     * @returns {Object|null} - Cenário criado ou null se o cenário de origem não existir
+     */
+    clonarCenario: function(empresa, id, nome) {
+        const origem = this.obterCenario(empresa, id);
+        if (!origem) return null;
+
+        const nomes = new Set(this.obterCenarios(empresa).map(cenario => cenario.nome));
+        let nomeCopia = String(nome || '').trim() || `${origem.nome} (cópia)`;
+        for (let sequencia = 2; nomes.has(nomeCopia); sequencia++) {
+            nomeCopia = `${origem.nome} (cópia ${sequencia})`;
+        }
+
+        return this.salvarCenario(empresa, {
+            nome: nomeCopia,
+            origem: origem.id,
+            dados: JSON.parse(JSON.stringify(origem.dados)),
+            indicadores: origem.indicadores ? JSON.parse(JSON.stringify(origem.indicadores)) : null
+        });
+    },
+
+    /**
+     * Remove um cenário da empresa
+     * @param {string} empresa - Nome da empresa
+     * @param {string} id - Identificador do cenário
+     */
+    removerCenario: function(empresa, id) {
+        const chave = this._chaveEmpresaCenarios(empresa);
+        this._dadosSimulador.cenarios[chave] = this.obterCenarios(chave).filter(cenario => cenario.id !== id);
+        if (this._dadosSimulador.cenarios[chave].length === 0) {
+            delete this._dadosSimulador.cenarios[chave];
+        }
+        this.salvar();
     }
 };
 
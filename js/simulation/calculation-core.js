@@ -69,12 +69,50 @@ window.CalculationCore = (function() {
             return 1.3;
         }
 
-        // Implementação básica: fator padrão de 1.3 (30% de aumento)
-        // Em uma implementação real, este cálculo seria baseado em dados históricos
-        // de sazonalidade específicos da empresa ou do setor
+        // Com a série mensal importada das EFD, a necessidade é dimensionada pelo mês de pico
+        const fatoresMensais = calcularFatoresSazonalidade(dados.serieMensal);
+        if (fatoresMensais) {
+            return Math.max(...fatoresMensais);
+        }
+
+        // Sem histórico: fator padrão de 1.3 (30% de aumento)
         return 1.3;
     }
 
+    /**
+     * Calcula o fator de sazonalidade de cada mês do ano a partir da série mensal importada.
+     * O fator de um mês é a média do faturamento das competências desse mês dividida pela
+     * média mensal da série; meses sem competência na série recebem fator 1.
+     * @param {Array} serieMensal - Série mensal ({competencia: 'AAAA-MM', faturamento})
+     * @returns {Array|null} - Fatores de janeiro a dezembro, ou null se a série tiver menos de dois meses com faturamento
+     */
+    function calcularFatoresSazonalidade(serieMensal) {
+        if (!Array.isArray(serieMensal)) {
+            return null;
+        }
+
+        const somas = new Array(12).fill(0);
+        const quantidades = new Array(12).fill(0);
+        serieMensal.forEach(item => {
+            const mes = parseInt(String(item?.competencia || '').substring(5, 7)) - 1;
+            const faturamento = parseFloat(item?.faturamento);
+            if (mes >= 0 && mes < 12 && faturamento > 0) {
+                somas[mes] += faturamento;
+                quantidades[mes]++;
+            }
+        });
+
+        const mesesInformados = quantidades.filter(quantidade => quantidade > 0).length;
+        if (mesesInformados < 2) {
+            return null;
+        }
+
+        const medias = somas.map((soma, mes) => quantidades[mes] > 0 ? soma / quantidades[mes] : null);
+        const mediaGeral = medias.reduce((total, media) => total + (media || 0), 0) / mesesInformados;
+
+        return medias.map(media => media !== null ? media / mediaGeral : 1);
+    }
+
     /**
      * Calcula o fator de crescimento para ajuste da necessidade de capital
      * @param {Object} dados - Dados planos de simulação
@@ -124,6 +162,44 @@ window.CalculationCore = (function() {
         return Math.pow(1 + taxaCrescimento, anosDecorridos);
     }
 
+    /**
+     * Calcula os fatores de inflação (IPCA acumulado) e de desconto de cada ano da projeção
+     * Os valores do ano inicial são a data-base: fator de inflação e fator de desconto iguais a 1.
+     * Valor real (R$ do ano inicial) = valor nominal / fatorInflacao;
+     * valor presente = valor nominal × fatorDesconto.
+     * @param {Object} dados - Dados planos de simulação (ipcaProjetado, taxaDesconto)
+     * @param {number} anoInicial - Ano-base da projeção
+     * @param {number} anoFinal - Último ano da projeção
+     * @returns {Object} - Taxa de desconto utilizada e fatores por ano ({ano: {ipca, fatorInflacao, fatorDesconto}})
+     */
+    function calcularFatoresFinanceiros(dados, anoInicial, anoFinal) {
+        const ipcaProjetado = dados?.ipcaProjetado || {};
+        let taxaDesconto = typeof dados?.taxaDesconto === 'number' && !isNaN(dados.taxaDesconto) ? dados.taxaDesconto : 0.12;
+        if (taxaDesconto > 1) taxaDesconto = taxaDesconto / 100;
+
+        const fatores = {};
+        let ipcaAnterior = 0.035; // Centro da meta de inflação, para anos sem projeção informada
+        let fatorInflacao = 1;
+
+        for (let ano = anoInicial; ano <= anoFinal; ano++) {
+            const ipca = typeof ipcaProjetado[ano] === 'number' && !isNaN(ipcaProjetado[ano]) ? ipcaProjetado[ano] : ipcaAnterior;
+            ipcaAnterior = ipca;
+
+            // A inflação do próprio ano-base não altera a data-base
+            if (ano > anoInicial) {
+                fatorInflacao *= (1 + ipca);
+            }
+
+            fatores[ano] = {
+                ipca,
+                fatorInflacao,
+                fatorDesconto: 1 / Math.pow(1 + taxaDesconto, ano - anoInicial)
+            };
+        }
+
+        return { taxaDesconto, fatores };
+    }
+
     /**
      * Calcula as opções de financiamento para a necessidade de capital
      * @param {Object} dados - Dados planos de simulação
@@ -629,7 +705,9 @@ window.CalculationCore = (function() {
     return {
         calcularTempoMedioCapitalGiro,
         calcularFatorSazonalidade,
+        calcularFatoresSazonalidade,
         calcularFatorCrescimento,
+        calcularFatoresFinanceiros,
         calcularOpcoesFinanciamento,
         calcularImpactoResultado,
         calcularAnaliseElasticidade,
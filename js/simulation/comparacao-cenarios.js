@@ -0,0 +1,230 @@
+/**
+ * ComparacaoCenarios - Indicadores e comparação de cenários nomeados da simulação
+ * Versão: 1.0.0
+ * Cada cenário guarda os dados do formulário e um resumo compacto dos resultados (indicadores do
+ * período, de cada ano da projeção e de cada estratégia de mitigação). A comparação usa o primeiro
+ * cenário como referência e calcula a diferença dos demais em relação a ele.
+ */
+window.ComparacaoCenarios = (function() {
+    /**
+     * Número mínimo e máximo de cenários comparados lado a lado
+     * @type {number}
+     */
+    const MINIMO_CENARIOS = 2;
+    const MAXIMO_CENARIOS = 3;
+
+    /**
+     * Indicadores de cada ano, extraídos do resultado de calcularImpactoCapitalGiro
+     * @type {Array}
+     */
+    const INDICADORES_ANO = [
+        { chave: 'capitalGiroAtual', nome: 'Capital de Giro - Regime Atual', formato: 'moeda', obter: r => r.resultadoAtual?.capitalGiroDisponivel },
+        { chave: 'capitalGiroSplit', nome: 'Capital de Giro - Split Payment', formato: 'moeda', obter: r => r.resultadoSplitPayment?.capitalGiroDisponivel },
+        { chave: 'diferencaCapitalGiro', nome: 'Impacto no Capital de Giro', formato: 'moeda', obter: r => r.diferencaCapitalGiro },
+        { chave: 'percentualImpacto', nome: 'Impacto Percentual', formato: 'percentual', obter: r => r.percentualImpacto },
+        { chave: 'necessidadeAdicionalCapitalGiro', nome: 'Necessidade Adicional de Capital de Giro', formato: 'moeda', obter: r => r.necessidadeAdicionalCapitalGiro },
+        { chave: 'impactoDiasFaturamento', nome: 'Impacto em Dias de Faturamento', formato: 'dias', obter: r => r.impactoDiasFaturamento },
+        { chave: 'impactoMargem', nome: 'Impacto na Margem', formato: 'pontos', obter: r => r.impactoMargem },
+        { chave: 'custoAnualCapitalGiro', nome: 'Custo Financeiro Anual', formato: 'moeda', obter: r => r.impactoMargemDetalhado?.custoAnualCapitalGiro },
+        { chave: 'capitalGiroPerdidoFloat', nome: 'Float dos Tributos Perdido', formato: 'moeda', obter: r => r.floatTributos?.capitalGiroPerdido }
+    ];
+
+    /**
+     * Indicadores acumulados no período da projeção
+     * @type {Array}
+     */
+    const INDICADORES_PERIODO = [
+        { chave: 'totalNecessidadeCapitalGiro', nome: 'Necessidade de Capital de Giro Acumulada', formato: 'moeda' },
+        { chave: 'custoFinanceiroTotal', nome: 'Custo Financeiro Acumulado', formato: 'moeda' },
+        { chave: 'impactoMedioMargem', nome: 'Impacto Médio na Margem', formato: 'pontos' }
+    ];
+
+    /**
+     * Indicadores de cada estratégia de mitigação e da combinação das estratégias ativas
+     * @type {Array}
+     */
+    const INDICADORES_ESTRATEGIA = [
+        { chave: 'efetividadePercentual', nome: 'Efetividade', formato: 'percentual' },
+        { chave: 'beneficioNominal', nome: 'Benefício Nominal', formato: 'moeda' },
+        { chave: 'custoNominal', nome: 'Custo Nominal', formato: 'moeda' },
+        { chave: 'vpl', nome: 'VPL do Benefício Líquido', formato: 'moeda' }
+    ];
+
+    /**
+     * Converte o valor em número, preservando a ausência de valor
+     * @param {*} valor - Valor a converter
+     * @returns {number|null} - Número ou null
+     */
+    function numeroOuNulo(valor) {
+        const numero = parseFloat(valor);
+        return isFinite(numero) ? numero : null;
+    }
+
+    /**
+     * Extrai os indicadores de um ano a partir do resultado de calcularImpactoCapitalGiro
+     * @param {Object} resultadoAno - Resultado do ano
+     * @returns {Object} - Valor de cada indicador do ano
+     */
+    function extrairIndicadoresAno(resultadoAno) {
+        return Object.fromEntries(INDICADORES_ANO.map(indicador => [
+            indicador.chave,
+            resultadoAno ? numeroOuNulo(indicador.obter(resultadoAno)) : null
+        ]));
+    }
+
+    /**
+     * Extrai o resumo de uma simulação armazenado no cenário
+     * @param {Object} impactoBase - Resultado de calcularImpactoCapitalGiro no ano inicial
+     * @param {Object} projecaoTemporal - Resultado de calcularProjecaoTemporal
+     * @param {Object} resultadoEstrategias - Resultado de calcularEfeitividadeMitigacao (opcional)
+     * @returns {Object} - Indicadores do período, por ano e por estratégia
+     */
+    function extrairIndicadores(impactoBase, projecaoTemporal, resultadoEstrategias = null) {
+        const acumulado = projecaoTemporal?.impactoAcumulado || {};
+        const periodo = {
+            ...extrairIndicadoresAno(impactoBase),
+            ...Object.fromEntries(INDICADORES_PERIODO.map(indicador => [
+                indicador.chave,
+                numeroOuNulo(acumulado[indicador.chave])
+            ]))
+        };
+
+        const anos = {};
+        Object.entries(projecaoTemporal?.resultadosAnuais || {}).forEach(([ano, resultadoAno]) => {
+            anos[ano] = extrairIndicadoresAno(resultadoAno);
+        });
+
+        const estrategias = {};
+        let combinada = null;
+        if (resultadoEstrategias) {
+            const ranking = resultadoEstrategias.analiseVPL?.ranking || [];
+            Object.entries(resultadoEstrategias.resultadosEstrategias || {}).forEach(([estrategia, resultado]) => {
+                if (!resultado) return;
+                const itemVPL = ranking.find(item => item.estrategia === estrategia) || {};
+                estrategias[estrategia] = {
+                    efetividadePercentual: numeroOuNulo(resultado.efetividadePercentual),
+                    beneficioNominal: numeroOuNulo(itemVPL.beneficioNominal),
+                    custoNominal: numeroOuNulo(itemVPL.custoNominal),
+                    vpl: numeroOuNulo(itemVPL.vpl)
+                };
+            });
+
+            const vplCombinado = resultadoEstrategias.analiseVPL?.combinada || {};
+            combinada = {
+                efetividadePercentual: numeroOuNulo(resultadoEstrategias.efeitividadeCombinada?.efetividadePercentual),
+                beneficioNominal: numeroOuNulo(vplCombinado.beneficioNominal),
+                custoNominal: numeroOuNulo(vplCombinado.custoNominal),
+                vpl: numeroOuNulo(vplCombinado.vpl)
+            };
+        }
+
+        return {
+            anoInicial: impactoBase?.ano || null,
+            versaoCronograma: impactoBase?.versaoCronograma || null,
+            periodo,
+            anos,
+            estrategias,
+            combinada
+        };
+    }
+
+    /**
+     * Monta a linha de comparação de um indicador, com a diferença de cada cenário para o primeiro
+     * @param {Object} indicador - Definição do indicador ({chave, nome, formato})
+     * @param {Array} valores - Valor do indicador em cada cenário (null quando ausente)
+     * @returns {Object} - Linha com valores, diferenças absolutas e percentuais
+     */
+    function compararValores(indicador, valores) {
+        const referencia = valores[0];
+        const deltas = valores.map((valor, indice) => {
+            if (indice === 0 || valor === null || referencia === null) return null;
+            return valor - referencia;
+        });
+
+        return {
+            chave: indicador.chave,
+            nome: indicador.nome,
+            formato: indicador.formato,
+            valores,
+            deltas,
+            deltasPercentuais: deltas.map(delta =>
+                delta === null || !referencia ? null : delta / Math.abs(referencia) * 100
+            )
+        };
+    }
+
+    /**
+     * Compara de dois a três cenários lado a lado, usando o primeiro como referência
+     * @param {Array} cenarios - Cenários ({id, nome, dataAtualizacao, indicadores})
+     * @returns {Object} - Comparação dos indicadores do período, de cada ano e de cada estratégia
+     * @throws {Error} Se a quantidade de cenários for inválida ou algum cenário não tiver indicadores
+     */
+    function comparar(cenarios) {
+        if (!Array.isArray(cenarios) || cenarios.length < MINIMO_CENARIOS || cenarios.length > MAXIMO_CENARIOS) {
+            throw new Error(`Selecione de ${MINIMO_CENARIOS} a ${MAXIMO_CENARIOS} cenários para comparar`);
+        }
+        cenarios.forEach(cenario => {
+            if (!cenario?.indicadores) {
+                throw new Error(`O cenário ${cenario?.nome || ''} não possui resultados calculados`);
+            }
+        });
+
+        const indicadores = cenarios.map(cenario => cenario.indicadores);
+
+        const periodo = [...INDICADORES_PERIODO, ...INDICADORES_ANO].map(indicador =>
+            compararValores(indicador, indicadores.map(item => numeroOuNulo(item.periodo?.[indicador.chave])))
+        );
+
+        const todosAnos = [...new Set(indicadores.flatMap(item => Object.keys(item.anos || {})))]
+            .map(ano => parseInt(ano, 10))
+            .sort((a, b) => a - b);
+        const anos = todosAnos.map(ano => ({
+            ano,
+            indicadores: INDICADORES_ANO.map(indicador =>
+                compararValores(indicador, indicadores.map(item => numeroOuNulo(item.anos?.[ano]?.[indicador.chave])))
+            )
+        }));
+
+        // Estratégias ativas em pelo menos um cenário; nos demais os valores ficam ausentes
+        const todasEstrategias = [...new Set(indicadores.flatMap(item => Object.keys(item.estrategias || {})))];
+        const estrategias = todasEstrategias.map(estrategia => ({
+            estrategia,
+            nome: window.CalculationCore?.traduzirNomeEstrategia ?
+                window.CalculationCore.traduzirNomeEstrategia(estrategia) : estrategia,
+            indicadores: INDICADORES_ESTRATEGIA.map(indicador =>
+                compararValores(indicador, indicadores.map(item => numeroOuNulo(item.estrategias?.[estrategia]?.[indicador.chave])))
+            )
+        }));
+        if (indicadores.some(item => item.combinada)) {
+            estrategias.push({
+                estrategia: 'combinada',
+                nome: 'Combinação das Estratégias',
+                indicadores: INDICADORES_ESTRATEGIA.map(indicador =>
+                    compararValores(indicador, indicadores.map(item => numeroOuNulo(item.combinada?.[indicador.chave])))
+                )
+            });
+        }
+
+        return {
+            cenarios: cenarios.map(cenario => ({
+                id: cenario.id,
+                nome: cenario.nome,
+                dataAtualizacao: cenario.dataAtualizacao || null,
+                anoInicial: cenario.indicadores.anoInicial
+            })),
+            periodo,
+            anos,
+            estrategias
+        };
+    }
+
+    return {
+        MINIMO_CENARIOS,
+        MAXIMO_CENARIOS,
+        INDICADORES_ANO,
+        INDICADORES_PERIODO,
+        INDICADORES_ESTRATEGIA,
+        extrairIndicadores,
+        comparar
+    };
+})();
@@ -0,0 +1,212 @@
+/**
+ * ConsolidacaoGrupo - Simulação consolidada de um grupo econômico com várias empresas (CNPJs)
+ * Versão: 1.0.0
+ * Cada empresa do grupo é simulada pelo IVADualSystem.calcularImpactoCapitalGiro com seus próprios
+ * dados. As vendas intragrupo geram créditos de CBS/IBS na empresa compradora, calculados pela
+ * alíquota efetiva da vendedora. Na visão consolidada o grupo é tratado como um único contribuinte:
+ * a parcela do impacto da vendedora proporcional às vendas intragrupo e o efeito dos créditos
+ * intragrupo na compradora são eliminados.
+ */
+window.ConsolidacaoGrupo = (function() {
+    /**
+     * Margem de segurança da necessidade adicional de capital de giro, a mesma do IVADualSystem
+     * @type {number}
+     */
+    const FATOR_SEGURANCA = 1.2;
+
+    /**
+     * Valida as empresas e as operações intragrupo
+     * @param {Array} entidades - Empresas do grupo ({id, nome, cnpj, dadosPlanos, parametrosSetoriais})
+     * @param {Array} operacoes - Operações intragrupo ({vendedor, comprador, valorMensal})
+     * @returns {Array} - Operações válidas, com o valor mensal numérico
+     * @throws {Error} Se o grupo não tiver empresas ou uma operação referenciar empresa inexistente
+     */
+    function validarGrupo(entidades, operacoes) {
+        if (!Array.isArray(entidades) || entidades.length === 0) {
+            throw new Error('O grupo econômico não possui empresas cadastradas');
+        }
+
+        const ids = new Set();
+        entidades.forEach(entidade => {
+            if (!entidade?.id || !entidade.dadosPlanos) {
+                throw new Error('Empresa do grupo sem identificação ou sem dados de simulação');
+            }
+            if (ids.has(entidade.id)) {
+                throw new Error(`Empresa duplicada no grupo: ${entidade.nome || entidade.id}`);
+            }
+            ids.add(entidade.id);
+        });
+
+        return (operacoes || []).map(operacao => {
+            if (!ids.has(operacao.vendedor) || !ids.has(operacao.comprador)) {
+                throw new Error('Operação intragrupo referencia empresa que não pertence ao grupo');
+            }
+            if (operacao.vendedor === operacao.comprador) {
+                throw new Error('A empresa vendedora e a compradora de uma operação intragrupo devem ser diferentes');
+            }
+            return {
+                vendedor: operacao.vendedor,
+                comprador: operacao.comprador,
+                valorMensal: Math.max(0, parseFloat(operacao.valorMensal) || 0)
+            };
+        }).filter(operacao => operacao.valorMensal > 0);
+    }
+
+    /**
+     * Alíquotas efetivas de CBS e IBS da empresa no ano, sobre o faturamento
+     * @param {Object} impacto - Resultado de calcularImpactoCapitalGiro
+     * @param {number} faturamento - Faturamento mensal da empresa
+     * @returns {Object} - Alíquotas efetivas {cbs, ibs} em decimal
+     */
+    function obterAliquotasEfetivas(impacto, faturamento) {
+        const impostos = impacto?.resultadoIVASemSplit?.impostos || impacto?.resultadoSplitPayment?.impostos || {};
+        if (!(faturamento > 0)) {
+            return { cbs: 0, ibs: 0 };
+        }
+        return {
+            cbs: (impostos.cbs || 0) / faturamento,
+            ibs: (impostos.ibs || 0) / faturamento
+        };
+    }
+
+    /**
+     * Simula as empresas do grupo e consolida o impacto no capital de giro, eliminando as
+     * operações intragrupo
+     * @param {Array} entidades - Empresas do grupo ({id, nome, cnpj, dadosPlanos, parametrosSetoriais})
+     * @param {Array} operacoes - Operações intragrupo ({vendedor, comprador, valorMensal} em R$/mês)
+     * @param {number} ano - Ano de referência
+     * @returns {Object} - Resultado por empresa, eliminações e visão consolidada
+     */
+    function simular(entidades, operacoes, ano) {
+        const operacoesValidas = validarGrupo(entidades, operacoes);
+        const calcularImpacto = (dados, parametrosSetoriais) =>
+            window.IVADualSystem.calcularImpactoCapitalGiro(JSON.parse(JSON.stringify(dados)), ano, parametrosSetoriais || {});
+
+        // 1ª etapa: cada empresa isoladamente, sem os créditos das compras intragrupo
+        const simulacoes = entidades.map(entidade => {
+            const faturamento = Math.max(0, parseFloat(entidade.dadosPlanos.faturamento) || 0);
+            const impactoIsolado = calcularImpacto(entidade.dadosPlanos, entidade.parametrosSetoriais);
+            return {
+                entidade,
+                faturamento,
+                impactoIsolado,
+                aliquotas: obterAliquotasEfetivas(impactoIsolado, faturamento)
+            };
+        });
+        const porId = Object.fromEntries(simulacoes.map(simulacao => [simulacao.entidade.id, simulacao]));
+
+        // Créditos gerados na compradora pela alíquota efetiva da vendedora
+        const eliminacoes = operacoesValidas.map(operacao => {
+            const aliquotas = porId[operacao.vendedor].aliquotas;
+            return {
+                ...operacao,
+                nomeVendedor: porId[operacao.vendedor].entidade.nome,
+                nomeComprador: porId[operacao.comprador].entidade.nome,
+                creditoCBS: operacao.valorMensal * aliquotas.cbs,
+                creditoIBS: operacao.valorMensal * aliquotas.ibs
+            };
+        });
+
+        // 2ª etapa: compradoras com os créditos intragrupo
+        const resultadosEntidades = simulacoes.map(simulacao => {
+            const { entidade, faturamento, impactoIsolado } = simulacao;
+            const vendas = eliminacoes.filter(operacao => operacao.vendedor === entidade.id);
+            const compras = eliminacoes.filter(operacao => operacao.comprador === entidade.id);
+
+            const vendasIntercompany = vendas.reduce((soma, operacao) => soma + operacao.valorMensal, 0);
+            const comprasIntercompany = compras.reduce((soma, operacao) => soma + operacao.valorMensal, 0);
+            const creditosCBS = compras.reduce((soma, operacao) => soma + operacao.creditoCBS, 0);
+            const creditosIBS = compras.reduce((soma, operacao) => soma + operacao.creditoIBS, 0);
+
+            if (faturamento > 0 && vendasIntercompany > faturamento) {
+                console.warn(`Vendas intragrupo de ${entidade.nome} superam o faturamento. Considerando 100% do faturamento.`);
+            }
+
+            let impacto = impactoIsolado;
+            if (creditosCBS + creditosIBS > 0) {
+                impacto = calcularImpacto({
+                    ...entidade.dadosPlanos,
+                    creditosCBS: (entidade.dadosPlanos.creditosCBS || 0) + creditosCBS,
+                    creditosIBS: (entidade.dadosPlanos.creditosIBS || 0) + creditosIBS
+                }, entidade.parametrosSetoriais);
+            }
+
+            // Eliminações: parcela das vendas intragrupo na vendedora e efeito dos créditos na compradora
+            const participacaoIntercompany = faturamento > 0 ? Math.min(1, vendasIntercompany / faturamento) : 0;
+            const capitalGiroAtual = impacto.resultadoAtual.capitalGiroDisponivel;
+            const eliminacaoVendas = impacto.diferencaCapitalGiro * participacaoIntercompany;
+            const eliminacaoCreditos = impacto.diferencaCapitalGiro - impactoIsolado.diferencaCapitalGiro;
+            const diferencaAjustada = impacto.diferencaCapitalGiro - eliminacaoVendas - eliminacaoCreditos;
+            const capitalGiroAtualAjustado = capitalGiroAtual * (1 - participacaoIntercompany);
+            const taxaCapitalGiro = entidade.dadosPlanos.taxaCapitalGiro > 1 ?
+                entidade.dadosPlanos.taxaCapitalGiro / 100 : (entidade.dadosPlanos.taxaCapitalGiro || 0.021);
+
+            return {
+                id: entidade.id,
+                nome: entidade.nome,
+                cnpj: entidade.cnpj || '',
+                faturamento,
+                vendasIntercompany,
+                comprasIntercompany,
+                participacaoIntercompany,
+                creditosIntercompany: { cbs: creditosCBS, ibs: creditosIBS, total: creditosCBS + creditosIBS },
+                aliquotasEfetivas: simulacao.aliquotas,
+                capitalGiroAtual,
+                capitalGiroSplit: impacto.resultadoSplitPayment.capitalGiroDisponivel,
+                diferencaCapitalGiro: impacto.diferencaCapitalGiro,
+                diferencaCapitalGiroSemIntercompany: impactoIsolado.diferencaCapitalGiro,
+                eliminacaoVendas,
+                eliminacaoCreditos,
+                capitalGiroAtualAjustado,
+                diferencaAjustada,
+                taxaCapitalGiro,
+                necessidadeAdicionalCapitalGiro: impacto.necessidadeAdicionalCapitalGiro,
+                impacto
+            };
+        });
+
+        // Visão consolidada
+        const somar = campo => resultadosEntidades.reduce((soma, item) => soma + item[campo], 0);
+        const faturamentoTotal = somar('faturamento');
+        const vendasIntercompany = somar('vendasIntercompany');
+        const faturamentoConsolidado = faturamentoTotal - Math.min(vendasIntercompany, faturamentoTotal);
+        const capitalGiroAtual = somar('capitalGiroAtualAjustado');
+        const diferencaCapitalGiro = somar('diferencaAjustada');
+        const taxaMedia = faturamentoTotal > 0 ?
+            resultadosEntidades.reduce((soma, item) => soma + item.taxaCapitalGiro * item.faturamento, 0) / faturamentoTotal :
+            (resultadosEntidades[0]?.taxaCapitalGiro || 0.021);
+        const custoMensalCapitalGiro = Math.abs(diferencaCapitalGiro) * taxaMedia;
+
+        return {
+            ano,
+            entidades: resultadosEntidades,
+            eliminacoes,
+            consolidado: {
+                numeroEntidades: resultadosEntidades.length,
+                faturamentoTotal,
+                vendasIntercompany,
+                faturamentoConsolidado,
+                creditosIntercompany: resultadosEntidades.reduce((soma, item) => soma + item.creditosIntercompany.total, 0),
+                somaDiferencasEntidades: somar('diferencaCapitalGiro'),
+                eliminacaoVendas: somar('eliminacaoVendas'),
+                eliminacaoCreditos: somar('eliminacaoCreditos'),
+                capitalGiroAtual,
+                capitalGiroSplit: capitalGiroAtual + diferencaCapitalGiro,
+                diferencaCapitalGiro,
+                percentualImpacto: capitalGiroAtual !== 0 ? (diferencaCapitalGiro / capitalGiroAtual) * 100 : 0,
+                necessidadeAdicionalCapitalGiro: Math.abs(diferencaCapitalGiro) * FATOR_SEGURANCA,
+                taxaCapitalGiroMedia: taxaMedia,
+                custoMensalCapitalGiro,
+                custoAnualCapitalGiro: custoMensalCapitalGiro * 12,
+                impactoMargem: faturamentoConsolidado > 0 ? (custoMensalCapitalGiro / faturamentoConsolidado) * 100 : 0
+            }
+        };
+    }
+
+    return {
+        FATOR_SEGURANCA,
+        validarGrupo,
+        obterAliquotasEfetivas,
+        simular
+    };
+})();
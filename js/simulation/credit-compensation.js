@@ -4,7 +4,34 @@
  * Módulo de Compensação de Créditos Inteligente
  * Implementa o modelo de compensação de créditos conforme a seção 3.2.2 da metodologia
  */
-const CreditCompensationModule = (function() {
+window.CreditCompensationModule = (function() {
+    
+    /**
+     * Prazos de ressarcimento do saldo credor de IBS/CBS, em dias (LC 214/2025, art. 39)
+     * @type {Object}
+     */
+    const PRAZOS_RESSARCIMENTO = {
+        conformidade: { dias: 30, nome: 'Programa de conformidade' },
+        padrao: { dias: 60, nome: 'Prazo padrão' },
+        fiscalizacao: { dias: 180, nome: 'Sob procedimento de fiscalização' }
+    };
+    
+    /**
+     * Mês em que o crédito passa a compensar débitos, conforme o tipo de compensação
+     * @param {number} mes - Índice do mês de entrada do crédito (0 = primeiro mês simulado)
+     * @param {string} tipoCompensacao - Tipo de compensação ('automatica', 'mensal', 'trimestral')
+     * @returns {number} - Índice do mês de apropriação
+     */
+    function obterMesApropriacao(mes, tipoCompensacao) {
+        if (tipoCompensacao === 'mensal') {
+            return mes + 1;
+        }
+        if (tipoCompensacao === 'trimestral') {
+            // Apropriação no mês seguinte ao encerramento do trimestre
+            return (Math.floor(mes / 3) + 1) * 3;
+        }
+        return mes;
+    }
     
     /**
      * Calcula a retenção efetiva considerando compensação de créditos
@@ -95,9 +122,123 @@ const CreditCompensationModule = (function() {
         };
     }
     
+    /**
+     * Simula mês a mês o banco de créditos de IBS/CBS: os créditos das aquisições são apropriados
+     * conforme o tipo de compensação, compensados com os débitos e o excedente é levado à fila de
+     * ressarcimento (ou transportado, se o ressarcimento não for solicitado). O valor devolvido
+     * entra no caixa no mês em que vence o prazo legal do pedido.
+     * @param {Array} periodos - Débitos e créditos de cada mês ({debitos, creditos})
+     * @param {Object} opcoes - saldoInicial, tipoCompensacao, solicitarRessarcimento, prazoRessarcimento (dias), taxaCapitalGiro (a.m.)
+     * @returns {Object} - Evolução mensal, fila de pedidos de ressarcimento e resumo do período
+     */
+    function simularBancoCreditos(periodos, opcoes = {}) {
+        if (!Array.isArray(periodos)) {
+            throw new Error('Períodos do banco de créditos devem ser informados em uma lista');
+        }
+        
+        const tipoCompensacao = ['automatica', 'mensal', 'trimestral'].includes(opcoes.tipoCompensacao) ?
+            opcoes.tipoCompensacao : 'automatica';
+        const solicitarRessarcimento = opcoes.solicitarRessarcimento !== false;
+        const prazoRessarcimento = Math.max(0, parseInt(opcoes.prazoRessarcimento ?? PRAZOS_RESSARCIMENTO.padrao.dias) || 0);
+        const mesesPrazo = Math.ceil(prazoRessarcimento / 30);
+        const taxaCapitalGiro = Math.max(0, parseFloat(opcoes.taxaCapitalGiro) || 0);
+        
+        const apropriacoes = {};
+        const fila = [];
+        const meses = [];
+        let saldoCredor = Math.max(0, parseFloat(opcoes.saldoInicial) || 0);
+        
+        periodos.forEach((periodo, mes) => {
+            const debitos = Math.max(0, parseFloat(periodo?.debitos) || 0);
+            const creditos = Math.max(0, parseFloat(periodo?.creditos) || 0);
+            
+            const mesApropriacao = obterMesApropriacao(mes, tipoCompensacao);
+            apropriacoes[mesApropriacao] = (apropriacoes[mesApropriacao] || 0) + creditos;
+            const creditosApropriados = apropriacoes[mes] || 0;
+            delete apropriacoes[mes];
+            
+            // Ressarcimentos cujo prazo vence no mês entram no caixa
+            let ressarcimentoRecebido = 0;
+            fila.filter(pedido => !pedido.recebido && pedido.mesPrevisto === mes).forEach(pedido => {
+                pedido.recebido = true;
+                ressarcimentoRecebido += pedido.valor;
+            });
+            
+            const disponivel = saldoCredor + creditosApropriados;
+            const compensado = Math.min(disponivel, debitos);
+            const recolhido = debitos - compensado;
+            const excedente = disponivel - compensado;
+            
+            let ressarcimentoSolicitado = 0;
+            if (solicitarRessarcimento && excedente > 0) {
+                ressarcimentoSolicitado = excedente;
+                saldoCredor = 0;
+                fila.push({ mesPedido: mes, mesPrevisto: mes + mesesPrazo, valor: excedente, recebido: mesesPrazo === 0 });
+                if (mesesPrazo === 0) {
+                    ressarcimentoRecebido += excedente;
+                }
+            } else {
+                saldoCredor = excedente;
+            }
+            
+            const filaRessarcimento = fila
+                .filter(pedido => !pedido.recebido)
+                .reduce((soma, pedido) => soma + pedido.valor, 0);
+            const creditosAApropriar = Object.values(apropriacoes).reduce((soma, valor) => soma + valor, 0);
+            const creditosImobilizados = saldoCredor + filaRessarcimento + creditosAApropriar;
+            
+            meses.push({
+                mes: mes + 1,
+                debitos,
+                creditos,
+                creditosApropriados,
+                compensado,
+                recolhido,
+                ressarcimentoSolicitado,
+                ressarcimentoRecebido,
+                fluxoCaixaLiquido: ressarcimentoRecebido - recolhido,
+                saldoCredor,
+                filaRessarcimento,
+                creditosAApropriar,
+                creditosImobilizados,
+                custoOportunidade: creditosImobilizados * taxaCapitalGiro
+            });
+        });
+        
+        const somar = campo => meses.reduce((soma, item) => soma + item[campo], 0);
+        const ultimoMes = meses[meses.length - 1];
+        
+        return {
+            parametros: {
+                tipoCompensacao,
+                solicitarRessarcimento,
+                prazoRessarcimento,
+                taxaCapitalGiro
+            },
+            meses,
+            fila,
+            resumo: {
+                totalDebitos: somar('debitos'),
+                totalCreditos: somar('creditos'),
+                totalCompensado: somar('compensado'),
+                totalRecolhido: somar('recolhido'),
+                totalRessarcimentoSolicitado: somar('ressarcimentoSolicitado'),
+                totalRessarcimentoRecebido: somar('ressarcimentoRecebido'),
+                saldoCredorFinal: ultimoMes ? ultimoMes.saldoCredor : saldoCredor,
+                filaRessarcimentoFinal: ultimoMes ? ultimoMes.filaRessarcimento : 0,
+                creditosAApropriarFinal: ultimoMes ? ultimoMes.creditosAApropriar : 0,
+                picoCreditosImobilizados: meses.reduce((maximo, item) => Math.max(maximo, item.creditosImobilizados), 0),
+                mediaCreditosImobilizados: meses.length > 0 ? somar('creditosImobilizados') / meses.length : 0,
+                custoOportunidadeTotal: somar('custoOportunidade')
+            }
+        };
+    }
+    
     // API pública
     return {
+        PRAZOS_RESSARCIMENTO,
         calcularRetencaoEfetiva,
-        calcularImpactoFluxoCaixa
+        calcularImpactoFluxoCaixa,
+        simularBancoCreditos
     };
 })();
\ No newline at end of file
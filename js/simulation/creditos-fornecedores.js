@@ -0,0 +1,94 @@
+/**
+ * CreditosFornecedores - Crédito de CBS/IBS recuperável conforme o regime de cada fornecedor
+ * Versão: 1.0.0
+ * As compras de cada fornecedor geram o crédito integral de CBS/IBS apenas quando o fornecedor
+ * recolhe pelo regime regular. O fator do regime (RegimesFornecedores) reduz o crédito dos
+ * optantes do Simples Nacional e anula o dos não contribuintes; a diferença é o crédito perdido.
+ */
+window.CreditosFornecedores = (function() {
+    /**
+     * Normaliza a lista de fornecedores, descartando os que não têm compras
+     * @param {Array} fornecedores - Fornecedores ({documento, nome, uf, regime, valorCompras})
+     * @returns {Array} - Fornecedores válidos com o valor de compras numérico
+     */
+    function normalizarFornecedores(fornecedores) {
+        if (!Array.isArray(fornecedores)) return [];
+
+        return fornecedores.map(fornecedor => ({
+            documento: window.RegimesFornecedores.normalizarDocumento(fornecedor?.documento),
+            nome: fornecedor?.nome || '',
+            uf: fornecedor?.uf || '',
+            regime: window.RegimesFornecedores.REGIMES[fornecedor?.regime] ? fornecedor.regime :
+                window.RegimesFornecedores.obterRegime(fornecedor?.documento),
+            valorCompras: Math.max(0, parseFloat(fornecedor?.valorCompras) || 0)
+        })).filter(fornecedor => fornecedor.valorCompras > 0);
+    }
+
+    /**
+     * Calcula o crédito de CBS/IBS recuperável de cada fornecedor e consolida por regime
+     * @param {Array} fornecedores - Fornecedores ({documento, nome, uf, regime, valorCompras em R$/mês})
+     * @param {Object} aliquotas - Alíquotas {cbs, ibs} em decimal
+     * @returns {Object} - Fornecedores calculados, totais por regime e ranking do crédito perdido
+     */
+    function calcular(fornecedores, aliquotas = {}) {
+        const aliquotaCBS = aliquotas.cbs || 0;
+        const aliquotaIBS = aliquotas.ibs || 0;
+
+        const lista = normalizarFornecedores(fornecedores).map(fornecedor => {
+            const fator = window.RegimesFornecedores.obterFator(fornecedor.regime);
+            const creditoPotencial = fornecedor.valorCompras * (aliquotaCBS + aliquotaIBS);
+            const creditoCBS = fornecedor.valorCompras * aliquotaCBS * fator;
+            const creditoIBS = fornecedor.valorCompras * aliquotaIBS * fator;
+
+            return {
+                ...fornecedor,
+                fator,
+                creditoPotencial,
+                creditoCBS,
+                creditoIBS,
+                creditoRecuperavel: creditoCBS + creditoIBS,
+                creditoPerdido: Math.max(0, creditoPotencial - creditoCBS - creditoIBS)
+            };
+        });
+
+        const porRegime = {};
+        Object.keys(window.RegimesFornecedores.REGIMES).forEach(regime => {
+            porRegime[regime] = {
+                nome: window.RegimesFornecedores.REGIMES[regime].nome,
+                quantidade: 0,
+                valorCompras: 0,
+                creditoRecuperavel: 0,
+                creditoPerdido: 0
+            };
+        });
+
+        const totais = { valorCompras: 0, creditoPotencial: 0, creditoCBS: 0, creditoIBS: 0, creditoRecuperavel: 0, creditoPerdido: 0 };
+        lista.forEach(fornecedor => {
+            const grupo = porRegime[fornecedor.regime];
+            grupo.quantidade++;
+            grupo.valorCompras += fornecedor.valorCompras;
+            grupo.creditoRecuperavel += fornecedor.creditoRecuperavel;
+            grupo.creditoPerdido += fornecedor.creditoPerdido;
+
+            Object.keys(totais).forEach(campo => {
+                totais[campo] += fornecedor[campo];
+            });
+        });
+        totais.percentualRecuperavel = totais.creditoPotencial > 0 ? totais.creditoRecuperavel / totais.creditoPotencial : 0;
+
+        return {
+            aliquotas: { cbs: aliquotaCBS, ibs: aliquotaIBS },
+            fornecedores: lista,
+            porRegime,
+            totais,
+            ranking: lista
+                .filter(fornecedor => fornecedor.creditoPerdido > 0)
+                .sort((a, b) => b.creditoPerdido - a.creditoPerdido)
+        };
+    }
+
+    return {
+        normalizarFornecedores,
+        calcular
+    };
+})();
@@ -0,0 +1,272 @@
+/**
+ * CronogramaFinanciamento - Cronograma de amortização da captação de capital de giro
+ * Versão: 1.0.0
+ * Gera as parcelas mensais do financiamento pelos sistemas SAC, Price ou bullet, com carência
+ * de juros pagos ou capitalizados, IOF (alíquota diária sobre o principal até 365 dias e
+ * alíquota adicional sobre o valor da operação) e tarifas descontados na liberação. O serviço
+ * da dívida de cada ano alimenta o fluxo de caixa período a período.
+ */
+window.CronogramaFinanciamento = (function() {
+    /**
+     * Sistemas de amortização disponíveis
+     * @type {Object}
+     */
+    const SISTEMAS_AMORTIZACAO = {
+        sac: {
+            nome: 'SAC',
+            descricao: 'Amortização constante, juros decrescentes sobre o saldo devedor'
+        },
+        price: {
+            nome: 'Price',
+            descricao: 'Prestações iguais após a carência'
+        },
+        bullet: {
+            nome: 'Bullet',
+            descricao: 'Juros mensais e principal integral no vencimento'
+        }
+    };
+
+    /**
+     * Tratamentos dos juros no período de carência
+     * @type {Object}
+     */
+    const TRATAMENTOS_CARENCIA = {
+        pagos: {
+            nome: 'Juros pagos',
+            descricao: 'Os juros da carência são pagos mensalmente'
+        },
+        capitalizados: {
+            nome: 'Juros capitalizados',
+            descricao: 'Os juros da carência são incorporados ao saldo devedor'
+        }
+    };
+
+    /**
+     * IOF sobre operações de crédito de pessoa jurídica (Decreto 6.306/2007, art. 7º)
+     * @type {Object}
+     */
+    const IOF_PADRAO = {
+        aliquotaDiaria: 0.0041,  // % ao dia, limitada a 365 dias
+        aliquotaAdicional: 0.38, // % sobre o valor da operação
+        diasMaximos: 365
+    };
+
+    /**
+     * Normaliza os parâmetros do financiamento
+     * @param {Object} parametros - Parâmetros informados
+     * @returns {Object} - Parâmetros normalizados
+     */
+    function normalizarParametros(parametros = {}) {
+        const numero = (valor, padrao) => {
+            const convertido = parseFloat(valor);
+            return isNaN(convertido) ? padrao : convertido;
+        };
+
+        const taxaJuros = Math.max(0, numero(parametros.taxaJuros, 0));
+        const prazo = Math.max(1, parseInt(parametros.prazo) || 1);
+
+        // Data de contratação no formato 'AAAA-MM' ou 'AAAA-MM-DD'
+        const [anoInformado, mesInformado, diaInformado] = String(parametros.dataContratacao || '').split('-').map(Number);
+
+        return {
+            valor: Math.max(0, numero(parametros.valor, 0)),
+            taxaJuros: taxaJuros / 100, // Informada em % a.m., convertida para decimal
+            prazo,
+            carencia: Math.max(0, Math.min(prazo - 1, parseInt(parametros.carencia) || 0)),
+            sistemaAmortizacao: SISTEMAS_AMORTIZACAO[parametros.sistemaAmortizacao] ? parametros.sistemaAmortizacao : 'sac',
+            tratamentoCarencia: TRATAMENTOS_CARENCIA[parametros.tratamentoCarencia] ? parametros.tratamentoCarencia : 'pagos',
+            iofDiario: Math.max(0, numero(parametros.iofDiario, IOF_PADRAO.aliquotaDiaria)) / 100,
+            iofAdicional: Math.max(0, numero(parametros.iofAdicional, IOF_PADRAO.aliquotaAdicional)) / 100,
+            tarifas: Math.max(0, numero(parametros.tarifas, 0)),
+            anoContratacao: anoInformado || 2026,
+            mesContratacao: Math.max(1, Math.min(12, mesInformado || 1)),
+            diaVencimento: Math.max(1, Math.min(31, diaInformado || 1))
+        };
+    }
+
+    /**
+     * Calcula a taxa mensal que iguala o valor líquido liberado ao valor presente das prestações
+     * (custo efetivo total), por bisseção
+     * @param {number} valorLiberado - Valor líquido recebido na contratação
+     * @param {Array} prestacoes - Prestações mensais, a partir do primeiro mês após a contratação
+     * @returns {number|null} - Taxa mensal em decimal ou null se não houver solução
+     */
+    function calcularTaxaInterna(valorLiberado, prestacoes) {
+        const totalPrestacoes = prestacoes.reduce((soma, valor) => soma + valor, 0);
+        if (valorLiberado <= 0 || totalPrestacoes <= 0) return null;
+        if (totalPrestacoes <= valorLiberado) return 0;
+
+        const valorPresente = taxa => prestacoes.reduce((soma, valor, indice) => soma + valor / Math.pow(1 + taxa, indice + 1), 0);
+
+        let minimo = 0;
+        let maximo = 1;
+        for (let iteracao = 0; iteracao < 100; iteracao++) {
+            const taxa = (minimo + maximo) / 2;
+            if (valorPresente(taxa) > valorLiberado) {
+                minimo = taxa;
+            } else {
+                maximo = taxa;
+            }
+        }
+
+        return (minimo + maximo) / 2;
+    }
+
+    /**
+     * Gera o cronograma mensal do financiamento
+     * @param {Object} parametros - Parâmetros do financiamento
+     * @param {number} parametros.valor - Valor contratado (R$)
+     * @param {number} parametros.taxaJuros - Taxa de juros (% a.m.)
+     * @param {number} parametros.prazo - Prazo total em meses, incluindo a carência
+     * @param {number} parametros.carencia - Carência em meses
+     * @param {string} parametros.sistemaAmortizacao - 'sac', 'price' ou 'bullet'
+     * @param {string} parametros.tratamentoCarencia - 'pagos' ou 'capitalizados'
+     * @param {number} parametros.iofDiario - Alíquota diária de IOF (% ao dia)
+     * @param {number} parametros.iofAdicional - Alíquota adicional de IOF (%)
+     * @param {number} parametros.tarifas - Tarifas cobradas na contratação (R$)
+     * @param {string} parametros.dataContratacao - Data de contratação ('AAAA-MM' ou 'AAAA-MM-DD')
+     * @returns {Object} - Parcelas mensais, custos, CET e pagamentos por ano
+     */
+    function gerarCronograma(parametros) {
+        const p = normalizarParametros(parametros);
+        const mesesAmortizacao = p.prazo - p.carencia;
+
+        const parcelas = [];
+        const pagamentosPorAno = {};
+        let saldo = p.valor;
+        let prestacaoPrice = 0;
+        let amortizacaoSAC = 0;
+        let iofDiario = 0;
+
+        for (let numero = 1; numero <= p.prazo && p.valor > 0; numero++) {
+            const saldoInicial = saldo;
+            const juros = saldoInicial * p.taxaJuros;
+            let jurosCapitalizados = 0;
+            let amortizacao = 0;
+            let jurosPagos = juros;
+
+            if (numero <= p.carencia) {
+                if (p.tratamentoCarencia === 'capitalizados') {
+                    jurosCapitalizados = juros;
+                    jurosPagos = 0;
+                }
+            } else {
+                // Prestação e amortização calculadas sobre o saldo ao final da carência
+                if (numero === p.carencia + 1) {
+                    amortizacaoSAC = saldoInicial / mesesAmortizacao;
+                    prestacaoPrice = p.taxaJuros > 0 ?
+                        saldoInicial * p.taxaJuros / (1 - Math.pow(1 + p.taxaJuros, -mesesAmortizacao)) :
+                        saldoInicial / mesesAmortizacao;
+                }
+
+                if (numero === p.prazo) {
+                    amortizacao = saldoInicial;
+                } else if (p.sistemaAmortizacao === 'price') {
+                    amortizacao = prestacaoPrice - juros;
+                } else if (p.sistemaAmortizacao === 'sac') {
+                    amortizacao = amortizacaoSAC;
+                }
+            }
+
+            saldo = saldoInicial + jurosCapitalizados - amortizacao;
+
+            // IOF diário sobre cada amortização, pelo prazo decorrido (meses de 30 dias)
+            iofDiario += amortizacao * p.iofDiario * Math.min(IOF_PADRAO.diasMaximos, numero * 30);
+
+            const indiceMes = p.mesContratacao - 1 + numero;
+            const ano = p.anoContratacao + Math.floor(indiceMes / 12);
+            const mes = (indiceMes % 12) + 1;
+            const prestacao = jurosPagos + amortizacao;
+
+            pagamentosPorAno[ano] = (pagamentosPorAno[ano] || 0) + prestacao;
+
+            parcelas.push({
+                numero,
+                ano,
+                mes,
+                carencia: numero <= p.carencia,
+                saldoInicial,
+                juros,
+                jurosCapitalizados,
+                amortizacao,
+                prestacao,
+                saldoFinal: Math.max(0, saldo)
+            });
+        }
+
+        const somar = campo => parcelas.reduce((soma, parcela) => soma + parcela[campo], 0);
+        const iofAdicional = p.valor * p.iofAdicional;
+        const iof = iofDiario + iofAdicional;
+        const valorLiquidoLiberado = Math.max(0, p.valor - iof - p.tarifas);
+        const totalJuros = somar('juros');
+        const cetMensal = calcularTaxaInterna(valorLiquidoLiberado, parcelas.map(parcela => parcela.prestacao));
+
+        return {
+            parametros: p,
+            valorContratado: p.valor,
+            iofDiario,
+            iofAdicional,
+            iof,
+            tarifas: p.tarifas,
+            valorLiquidoLiberado,
+            anoContratacao: p.anoContratacao,
+            mesContratacao: p.mesContratacao,
+            anoTermino: parcelas.length > 0 ? parcelas[parcelas.length - 1].ano : null,
+            numeroParcelas: parcelas.length,
+            parcelas,
+            pagamentosPorAno,
+            totalJuros,
+            totalJurosCapitalizados: somar('jurosCapitalizados'),
+            totalAmortizacao: somar('amortizacao'),
+            totalPrestacoes: somar('prestacao'),
+            custoTotal: totalJuros + iof + p.tarifas,
+            cetMensal,
+            cetAnual: cetMensal !== null ? Math.pow(1 + cetMensal, 12) - 1 : null
+        };
+    }
+
+    /**
+     * Obtém a liberação e o serviço da dívida de cada mês de um ano
+     * @param {Object} cronograma - Cronograma gerado por gerarCronograma
+     * @param {number} ano - Ano de referência
+     * @returns {Object} - Valores de cada mês (jan a dez), totais e dia de vencimento
+     */
+    function obterFluxoAno(cronograma, ano) {
+        const liberacao = new Array(12).fill(0);
+        const servicoDivida = new Array(12).fill(0);
+        const juros = new Array(12).fill(0);
+
+        if (cronograma && cronograma.anoContratacao === ano) {
+            liberacao[cronograma.mesContratacao - 1] = cronograma.valorLiquidoLiberado;
+        }
+
+        (cronograma?.parcelas || [])
+            .filter(parcela => parcela.ano === ano)
+            .forEach(parcela => {
+                servicoDivida[parcela.mes - 1] += parcela.prestacao;
+                juros[parcela.mes - 1] += parcela.juros - parcela.jurosCapitalizados;
+            });
+
+        const somar = valores => valores.reduce((soma, valor) => soma + valor, 0);
+
+        return {
+            ano,
+            diaVencimento: cronograma?.parametros?.diaVencimento || 1,
+            liberacao,
+            servicoDivida,
+            juros,
+            totalLiberacao: somar(liberacao),
+            totalServicoDivida: somar(servicoDivida),
+            totalJuros: somar(juros)
+        };
+    }
+
+    return {
+        SISTEMAS_AMORTIZACAO,
+        TRATAMENTOS_CARENCIA,
+        IOF_PADRAO,
+        normalizarParametros,
+        gerarCronograma,
+        obterFluxoAno
+    };
+})();
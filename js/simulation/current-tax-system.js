@@ -58,50 +58,17 @@ window.CurrentTaxSystem = (function() {
         csll: 0.09         // Alíquota padrão
     };
     
-    // Em current-tax-system.js
-    const cronogramasPadrao = {
-        splitPayment: {
-            2026: 0.10,
-            2027: 0.25,
-            2028: 0.40,
-            2029: 0.55,
-            2030: 0.70,
-            2031: 0.85,
-            2032: 0.95,
-            2033: 1.00
-        },
-        cbs: {
-            2026: 0.01, // Teste inicial (0,9% de uma alíquota de 8,8%)
-            2027: 1.00, // Implementação total em 2027
-            2028: 1.00,
-            2029: 1.00,
-            2030: 1.00,
-            2031: 1.00,
-            2032: 1.00,
-            2033: 1.00
-        },
-        ibs: {
-            2026: 0.00,
-            2027: 0.00,
-            2028: 0.00,
-            2029: 0.01, // Implementação inicial (0,1% de uma alíquota de 17,7%)
-            2030: 0.25, // 25% da alíquota total
-            2031: 0.50, // 50% da alíquota total
-            2032: 0.75, // 75% da alíquota total
-            2033: 1.00  // 100% da alíquota total
-        }
-    };
-
     /**
      * Obtém o percentual de implementação para um tipo específico de imposto/mecanismo
+     * a partir da tabela versionada do CronogramaTransicao
      * @param {number} ano - Ano para obter o percentual
-     * @param {string} tipo - Tipo de cronograma ('splitPayment', 'cbs', 'ibs')
+     * @param {string} tipo - Tipo de cronograma ('splitPayment', 'cbs', 'ibs', 'pisCofins', 'icmsIss', 'ipi', 'impostoSeletivo')
      * @param {Object} parametrosSetoriais - Parâmetros específicos do setor (opcional)
      * @returns {number} - Percentual de implementação (decimal)
      */
     function obterPercentualImplementacao(ano, tipo = 'splitPayment', parametrosSetoriais = null) {
         // Validar tipo do parâmetro ano
-        if (typeof ano !== 'number' || isNaN(ano) || ano < 2026 || ano > 2050) {
+        if (typeof ano !== 'number' || isNaN(ano) || ano < 2000 || ano > 2050) {
             console.warn(`Ano inválido para cálculo de percentual de implementação: ${ano}. Usando valor padrão.`);
             ano = 2026;
         }
@@ -115,9 +82,8 @@ window.CurrentTaxSystem = (function() {
             return parametrosSetoriais.cronogramas[tipo][ano];
         }
 
-        // Caso contrário, utilizar o cronograma padrão
-        const cronograma = cronogramasPadrao[tipo] || cronogramasPadrao.splitPayment;
-        return cronograma[ano] || 0;
+        // Caso contrário, utilizar a versão ativa da tabela de transição
+        return window.CronogramaTransicao.obterPercentual(ano, tipo);
     }    
 
     /**
@@ -176,10 +142,16 @@ window.CurrentTaxSystem = (function() {
      * @param {number} revenue - Receita bruta
      * @param {number} [rate=aliquotasPadrao.icms.intrastate] - Alíquota do ICMS
      * @param {number} [credits=0] - Créditos de ICMS a serem descontados
-     * @param {boolean} [substituicaoTributaria=false] - Indica se aplica-se o regime de substituição tributária
+     * @param {boolean|Object} [substituicaoTributaria=false] - Indica se aplica-se o regime de substituição tributária,
+     *        ou objeto com os parâmetros de ICMS-ST, DIFAL e FCP (ver calcularComposicaoICMS)
      * @returns {number} Valor do ICMS a recolher
      */
     function calcularICMS(revenue, rate = aliquotasPadrao.icms.intrastate, credits = 0, substituicaoTributaria = false) {
+        // Parâmetros detalhados de ST, DIFAL e FCP
+        if (substituicaoTributaria && typeof substituicaoTributaria === 'object') {
+            return calcularComposicaoICMS(revenue, rate, credits, substituicaoTributaria).total;
+        }
+
         // Validar e normalizar os parâmetros
         revenue = typeof revenue === 'number' && !isNaN(revenue) ? revenue : 0;
         rate = typeof rate === 'number' && !isNaN(rate) ? rate : aliquotasPadrao.icms.intrastate;
@@ -195,6 +167,112 @@ window.CurrentTaxSystem = (function() {
         return Math.max(0, tax - credits);
     }
 
+    /**
+     * Calcula a composição do ICMS considerando substituição tributária (MVA), 
+     * diferencial de alíquotas (DIFAL) em vendas interestaduais a não contribuintes e 
+     * adicional do Fundo de Combate à Pobreza (FCP).
+     * Cargas efetivas apuradas no SPED (E210/E310), quando informadas, prevalecem sobre o cálculo paramétrico.
+     * @param {number} revenue - Receita bruta
+     * @param {number} [rate=aliquotasPadrao.icms.intrastate] - Alíquota interna do ICMS próprio
+     * @param {number} [credits=0] - Créditos de ICMS a serem descontados do ICMS próprio
+     * @param {Object} [parametros={}] - Parâmetros de ICMS-ST, DIFAL e FCP (decimais)
+     * @param {number} [parametros.percentualVendasST=0] - Vendas em que a empresa é substituta tributária
+     * @param {number} [parametros.mvaST=0] - Margem de Valor Agregado da ST
+     * @param {number} [parametros.aliquotaInternaST] - Alíquota interna aplicada à base da ST
+     * @param {number} [parametros.aliquotaFCPST=0] - Adicional de FCP sobre a base da ST
+     * @param {number} [parametros.percentualVendasSubstituido=0] - Vendas de mercadorias com ICMS já retido por ST
+     * @param {number} [parametros.percentualVendasDIFAL=0] - Vendas interestaduais a não contribuintes
+     * @param {number} [parametros.aliquotaInterestadual] - Alíquota interestadual (4%, 7% ou 12%)
+     * @param {number} [parametros.aliquotaInternaDestino] - Alíquota interna da UF de destino
+     * @param {number} [parametros.aliquotaFCPDestino=0] - Adicional de FCP da UF de destino
+     * @param {number} [parametros.aliquotaFCP=0] - Adicional de FCP nas operações internas
+     * @param {number} [parametros.cargaEfetivaST=0] - ICMS-ST retido apurado no SPED / faturamento
+     * @param {number} [parametros.cargaEfetivaDIFAL=0] - DIFAL apurado no SPED / faturamento
+     * @param {number} [parametros.cargaEfetivaFCP=0] - FCP apurado no SPED / faturamento
+     * @returns {Object} Composição do ICMS (proprio, st, fcpST, difal, fcpDifal, fcp, complementar, total)
+     */
+    function calcularComposicaoICMS(revenue, rate = aliquotasPadrao.icms.intrastate, credits = 0, parametros = {}) {
+        // Validar e normalizar os parâmetros
+        revenue = typeof revenue === 'number' && !isNaN(revenue) ? revenue : 0;
+        rate = typeof rate === 'number' && !isNaN(rate) ? rate : aliquotasPadrao.icms.intrastate;
+        credits = typeof credits === 'number' && !isNaN(credits) ? Math.max(0, credits) : 0;
+
+        const normalizar = (valor, padrao = 0) => {
+            const numero = typeof valor === 'number' && !isNaN(valor) ? valor : parseFloat(valor);
+            if (isNaN(numero)) return padrao;
+            return Math.max(0, numero > 1 ? numero / 100 : numero);
+        };
+
+        const p = parametros || {};
+        const mvaST = Math.max(0, parseFloat(p.mvaST) || 0); // MVA pode superar 100%
+        const aliquotaInternaST = normalizar(p.aliquotaInternaST, rate);
+        const aliquotaInterestadual = normalizar(p.aliquotaInterestadual, aliquotasPadrao.icms.interstate.general);
+        const aliquotaInternaDestino = normalizar(p.aliquotaInternaDestino, aliquotasPadrao.icms.intrastate);
+
+        let percentualVendasST = Math.min(1, normalizar(p.percentualVendasST));
+        let percentualVendasSubstituido = Math.min(1, normalizar(p.percentualVendasSubstituido));
+        let percentualVendasDIFAL = Math.min(1, normalizar(p.percentualVendasDIFAL));
+
+        // As parcelas do faturamento não podem superar 100%
+        const somaParcelas = percentualVendasST + percentualVendasSubstituido + percentualVendasDIFAL;
+        if (somaParcelas > 1) {
+            console.warn(`Parcelas de vendas com ST, substituídas e DIFAL somam ${(somaParcelas * 100).toFixed(1)}%. Normalizando.`);
+            percentualVendasST /= somaParcelas;
+            percentualVendasSubstituido /= somaParcelas;
+            percentualVendasDIFAL /= somaParcelas;
+        }
+
+        const vendasST = revenue * percentualVendasST;
+        const vendasDIFAL = revenue * percentualVendasDIFAL;
+        const vendasInternas = revenue - revenue * percentualVendasSubstituido - vendasDIFAL;
+
+        // ICMS próprio: operações internas à alíquota interna e interestaduais à alíquota interestadual.
+        // Mercadorias com ST retida anteriormente não geram débito na saída.
+        const proprio = Math.max(0, vendasInternas * rate + vendasDIFAL * aliquotaInterestadual - credits);
+
+        // ICMS-ST: (valor da operação × (1 + MVA)) × alíquota interna - ICMS próprio da operação
+        const baseST = vendasST * (1 + mvaST);
+        let st = Math.max(0, baseST * aliquotaInternaST - vendasST * rate);
+        let fcpST = baseST * normalizar(p.aliquotaFCPST);
+
+        // DIFAL (EC 87/2015): valor da operação × (alíquota interna do destino - alíquota interestadual)
+        let difal = vendasDIFAL * Math.max(0, aliquotaInternaDestino - aliquotaInterestadual);
+        let fcpDifal = vendasDIFAL * normalizar(p.aliquotaFCPDestino);
+        let fcp = vendasInternas * normalizar(p.aliquotaFCP);
+
+        // Cargas efetivas apuradas no SPED prevalecem sobre o cálculo paramétrico
+        const cargaEfetivaST = normalizar(p.cargaEfetivaST);
+        const cargaEfetivaDIFAL = normalizar(p.cargaEfetivaDIFAL);
+        const cargaEfetivaFCP = normalizar(p.cargaEfetivaFCP);
+
+        if (cargaEfetivaST > 0) {
+            st = revenue * cargaEfetivaST;
+            fcpST = 0;
+        }
+        if (cargaEfetivaDIFAL > 0) {
+            difal = revenue * cargaEfetivaDIFAL;
+        }
+        if (cargaEfetivaFCP > 0) {
+            fcp = revenue * cargaEfetivaFCP;
+            fcpST = 0;
+            fcpDifal = 0;
+        }
+
+        const complementar = st + fcpST + difal + fcpDifal + fcp;
+
+        return {
+            proprio,
+            st,
+            fcpST,
+            difal,
+            fcpDifal,
+            fcp,
+            complementar,
+            total: proprio + complementar,
+            fonte: (cargaEfetivaST > 0 || cargaEfetivaDIFAL > 0 || cargaEfetivaFCP > 0) ? 'sped' : 'parametros'
+        };
+    }
+
 
     /**
      * Calcula o IPI a ser recolhido
@@ -236,6 +314,7 @@ window.CurrentTaxSystem = (function() {
      * @param {boolean} [params.serviceCompany=false] - Indica se é empresa de serviços
      * @param {boolean} [params.cumulativeRegime=false] - Regime cumulativo (true) ou não-cumulativo (false)
      * @param {Object} [params.credits] - Créditos tributários disponíveis
+     * @param {Object} [params.icmsComplementar] - Parâmetros de ICMS-ST, DIFAL e FCP (ver calcularComposicaoICMS)
      * @returns {Object} Objeto contendo todos os impostos calculados
      */
     function calcularTodosImpostosAtuais(params) {
@@ -268,16 +347,25 @@ window.CurrentTaxSystem = (function() {
             cofins: calcularCOFINS(revenue, aliquotasPadrao.cofins, cumulativeRegime, credits.cofins)
         };
 
+        let composicaoICMS = null;
+
         if (serviceCompany) {
             result.iss = calcularISS(revenue, aliquotasPadrao.issqn);
         } else {
-            result.icms = calcularICMS(revenue, aliquotasPadrao.icms.intrastate, credits.icms);
+            // ICMS próprio acrescido de ST, DIFAL e FCP
+            composicaoICMS = calcularComposicaoICMS(revenue, aliquotasPadrao.icms.intrastate, credits.icms, params.icmsComplementar);
+            result.icms = composicaoICMS.total;
             result.ipi = calcularIPI(revenue, aliquotasPadrao.ipi, credits.ipi);
         }
 
         // Cálculo total
         result.total = Object.values(result).reduce((sum, tax) => sum + tax, 0);
 
+        // Detalhamento do ICMS (não integra a soma acima)
+        if (composicaoICMS) {
+            result.composicaoICMS = composicaoICMS;
+        }
+
         return result;
     }
     
@@ -388,9 +476,11 @@ window.CurrentTaxSystem = (function() {
      * Calcula o fluxo de caixa no regime tributário atual (pré-Split Payment)
      * 
      * @param {Object} dados - Dados em formato plano para cálculos
+     * @param {Object} opcoes - Opções do cálculo
+     * @param {number} opcoes.ano - Ano de referência do calendário de vencimentos
      * @returns {Object} - Resultados detalhados do fluxo de caixa atual
      */
-    function calcularFluxoCaixaAtual(dados) {
+    function calcularFluxoCaixaAtual(dados, opcoes = {}) {
         // Verificar se os dados estão em formato plano
         if (dados.empresa !== undefined || dados.cicloFinanceiro !== undefined) {
             console.error('calcularFluxoCaixaAtual recebeu estrutura aninhada. Utilizando formato plano via DataManager.');
@@ -433,12 +523,35 @@ window.CurrentTaxSystem = (function() {
             }
         }
 
+        // Cálculo dos impostos do sistema atual usando função especializada
+        const impostos = calcularTodosImpostosAtuais({
+            revenue: faturamento,
+            serviceCompany: dados.tipoEmpresa === 'servicos',
+            cumulativeRegime: dados.regimePisCofins === 'cumulativo',
+            credits: {
+                pis: dados.creditosPIS || 0,
+                cofins: dados.creditosCOFINS || 0,
+                icms: dados.creditosICMS || 0,
+                ipi: dados.creditosIPI || 0
+            },
+            icmsComplementar: dados.icmsComplementar
+        });
+
+        // ICMS-ST, DIFAL e FCP são recolhidos além da carga tributária informada na alíquota
+        const valorICMSComplementar = impostos.composicaoICMS ? impostos.composicaoICMS.complementar : 0;
+
         // Cálculos do fluxo de caixa atual
-        const valorImpostoTotal = faturamento * aliquota;
+        const valorImpostoTotal = faturamento * aliquota + valorICMSComplementar;
         const valorImpostoLiquido = Math.max(0, valorImpostoTotal - creditos);
 
-        // Prazo para recolhimento do imposto (padrão: dia 25 do mês seguinte)
-        const prazoRecolhimento = 25;
+        // Calendário de vencimentos: dias entre a venda e o recolhimento de cada tributo
+        const anoReferencia = opcoes.ano || parseInt(String(dados.dataInicial || '').substring(0, 4)) || new Date().getFullYear();
+        const calendarioRecolhimento = window.CalendarioTributos ? 
+            window.CalendarioTributos.calcularFloat(impostos, dados.calendarioTributos, { pmr, percVista, percPrazo }, anoReferencia) : null;
+        const usarCalendario = calendarioRecolhimento && calendarioRecolhimento.valorTotal > 0;
+
+        // Prazo médio para recolhimento do imposto (sem calendário: 25 dias)
+        const prazoRecolhimento = usarCalendario ? calendarioRecolhimento.prazoMedioRecolhimento : 25;
 
         // Cálculo do capital de giro obtido pelo adiamento do pagamento de impostos
         const capitalGiroImpostos = valorImpostoLiquido;
@@ -447,34 +560,24 @@ window.CurrentTaxSystem = (function() {
         const recebimentoVista = faturamento * percVista;
         const recebimentoPrazo = faturamento * percPrazo;
 
-        // Cálculo do tempo médio do capital em giro
-        const tempoMedioCapitalGiro = window.CalculationCore.calcularTempoMedioCapitalGiro(pmr, prazoRecolhimento, percVista, percPrazo);
+        // Cálculo do tempo médio do capital em giro (com calendário, ponderado pelo valor de cada tributo)
+        const tempoMedioCapitalGiro = usarCalendario ? calendarioRecolhimento.diasFloatMedio :
+            window.CalculationCore.calcularTempoMedioCapitalGiro(pmr, prazoRecolhimento, percVista, percPrazo);
 
         // Benefício financeiro do capital em giro (em dias de faturamento)
         const beneficioDiasCapitalGiro = (capitalGiroImpostos / faturamento) * tempoMedioCapitalGiro;
 
-        // Cálculo dos impostos do sistema atual usando função especializada
-        const impostos = calcularTodosImpostosAtuais({
-            revenue: faturamento,
-            serviceCompany: dados.tipoEmpresa === 'servicos',
-            cumulativeRegime: dados.regimePisCofins === 'cumulativo',
-            credits: {
-                pis: dados.creditosPIS || 0,
-                cofins: dados.creditosCOFINS || 0,
-                icms: dados.creditosICMS || 0,
-                ipi: dados.creditosIPI || 0
-            }
-        });
-
         // Resultado completo
         const resultado = {
             faturamento,
             valorImpostoTotal,
+            valorICMSComplementar,
             creditos,
             valorImpostoLiquido,
             recebimentoVista,
             recebimentoPrazo,
             prazoRecolhimento,
+            calendarioRecolhimento,
             capitalGiroDisponivel: capitalGiroImpostos,
             tempoMedioCapitalGiro,
             beneficioDiasCapitalGiro,
@@ -497,7 +600,7 @@ window.CurrentTaxSystem = (function() {
      * @param {Object} dados - Dados da simulação (formato aninhado ou plano)
      * @returns {Object} - Resultados detalhados do fluxo de caixa atual
      */
-    function calcularFluxoCaixaAtualCompat(dados) {
+    function calcularFluxoCaixaAtualCompat(dados, opcoes = {}) {
         // Verificar formato e converter se necessário
         let dadosProcessamento;
 
@@ -528,7 +631,7 @@ window.CurrentTaxSystem = (function() {
             dadosProcessamento = dados;
         }
 
-        return calcularFluxoCaixaAtual(dadosProcessamento);
+        return calcularFluxoCaixaAtual(dadosProcessamento, opcoes);
     }
 
     /**
@@ -557,7 +660,7 @@ window.CurrentTaxSystem = (function() {
 		}
 
 		// Obter parâmetros originais
-		const percentualOriginal = obterPercentualImplementacao(ano, parametrosSetoriais);
+		const percentualOriginal = obterPercentualImplementacao(ano, 'splitPayment', parametrosSetoriais);
 
 		// Criar dados com diferentes percentuais
 		const percentuais = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1.0];
@@ -798,6 +901,7 @@ window.CurrentTaxSystem = (function() {
         calcularPIS,
         calcularCOFINS,
         calcularICMS,
+        calcularComposicaoICMS,
         calcularIPI,
         calcularISS,
         calcularTodosImpostosAtuais,
@@ -49,56 +49,326 @@ window.CalculationCore.gerarMemoriaCritica = window.CalculationCore.gerarMemoria
 // Namespace global para o sistema IVA Dual
 window.IVADualSystem = (function() {
     /**
-     * Alíquotas padrão do sistema IVA Dual
-     * @type {Object}
+     * Alíquotas padrão do sistema IVA Dual, obtidas da versão ativa do CronogramaTransicao
+     * @returns {Object} - Alíquotas padrão, reduzidas e isentas
      */
-    const aliquotasIVADual = {
-        cbs: 0.0825, // Contribuição sobre Bens e Serviços (federal)
-        ibs: 0.0825, // Imposto sobre Bens e Serviços (estadual/municipal)
-        totalIva: 0.165, // CBS + IBS
-        reduced: {
-            cbs: 0.04125, // 50% da alíquota padrão
-            ibs: 0.04125, // 50% da alíquota padrão
-            total: 0.0825 // Total reduzido
+    function obterAliquotasIVADual() {
+        return window.CronogramaTransicao.obterAliquotasIVADual();
+    }
+
+    /**
+     * Períodos da transição para o sistema IVA Dual, derivados da versão ativa do CronogramaTransicao
+     * @returns {Object} - Primeiro e último ano de cada fase da transição
+     */
+    function obterPeriodosTransicao() {
+        return window.CronogramaTransicao.obterPeriodosTransicao();
+    }
+
+    /**
+     * Modalidades de recolhimento previstas para o Split Payment
+     */
+    const modalidadesSplit = {
+        inteligente: {
+            nome: 'Split Inteligente',
+            descricao: 'O prestador de serviço de pagamento deduz os créditos do fornecedor antes de reter o imposto',
+            formula: 'Retenção = (Imposto Bruto - Créditos) × Percentual de Implementação'
+        },
+        simplificado: {
+            nome: 'Split Simplificado',
+            descricao: 'Retenção de percentual fixo sobre o valor da operação, com ajuste na apuração',
+            formula: 'Retenção = Valor Recebido × Percentual Fixo × Percentual de Implementação'
         },
-        exempt: {
-            cbs: 0,
-            ibs: 0,
-            total: 0
+        manual: {
+            nome: 'Recolhimento Manual',
+            descricao: 'Autoapuração e recolhimento no vencimento, sem retenção na liquidação',
+            formula: 'Retenção = 0; Recolhimento = Imposto Bruto - Créditos'
         }
     };
 
     /**
-     * Períodos da transição para o sistema IVA Dual
-     * @type {Object}
+     * Percentual fixo padrão de retenção no split simplificado (sobre o valor da operação)
      */
-    const periodosTransicao = {
-        cbs: {
-            start: 2027,
-            end: 2027 // Transição de 1 ano para CBS
-        },
-        ibs: {
-            start: 2029,
-            end: 2033 // Transição de 5 anos para IBS
-        }
+    const PERCENTUAL_SPLIT_SIMPLIFICADO_PADRAO = 0.10;
+
+    /**
+     * Primeiro ano em que a empresa do Simples Nacional pode optar por recolher IBS/CBS fora do DAS
+     */
+    const ANO_INICIO_OPCAO_SIMPLES_HIBRIDO = 2027;
+
+    /**
+     * Participação típica no DAS dos tributos substituídos pela CBS (PIS/COFINS) e pelo IBS (ICMS/ISS),
+     * mesma distribuição utilizada no cálculo de débitos do Simples Nacional
+     */
+    const PARTICIPACAO_TRIBUTOS_CONSUMO_DAS = {
+        comercio: { pisCofins: 0.145, icmsIss: 0.35 },
+        industria: { pisCofins: 0.145, icmsIss: 0.35 },
+        servicos: { pisCofins: 0.145, icmsIss: 0.53 }
     };
 
+    /**
+     * Calcula o ICMS-ST, o DIFAL e o FCP do sistema atual e a parcela que permanece devida no ano
+     * da transição. Esses valores são recolhidos no vencimento próprio, fora do Split Payment, e
+     * são extintos junto com o ICMS conforme o cronograma.
+     *
+     * @param {Object} dados - Dados da empresa (formato plano)
+     * @param {number} faturamento - Faturamento do período
+     * @param {number} ano - Ano de referência para o cronograma de extinção do ICMS
+     * @param {Object} parametrosSetoriais - Parâmetros específicos do setor (opcional)
+     * @returns {Object} - Composição do ICMS, valor no sistema atual e valor remanescente no ano
+     */
+    function calcularICMSComplementar(dados, faturamento, ano, parametrosSetoriais = null) {
+        if (dados.tipoEmpresa === 'servicos' || !dados.icmsComplementar) {
+            return { composicao: null, atual: 0, transicao: 0 };
+        }
+
+        const composicao = window.CurrentTaxSystem.calcularComposicaoICMS(faturamento, undefined, 0, dados.icmsComplementar);
+        const percentualIcmsIss = window.CurrentTaxSystem.obterPercentualImplementacao(ano, 'icmsIss', parametrosSetoriais);
+
+        return {
+            composicao,
+            atual: composicao.complementar,
+            transicao: composicao.complementar * percentualIcmsIss
+        };
+    }
+
+    /**
+     * Calcula a parcela do imposto retida na liquidação e a parcela recolhida no vencimento
+     * conforme a modalidade de Split Payment
+     *
+     * @param {number} valorImpostoTotal - Imposto bruto do período
+     * @param {number} creditos - Créditos compensáveis do período
+     * @param {number} faturamento - Valor das operações do período
+     * @param {number} percentualImplementacao - Percentual de implementação do Split Payment (decimal)
+     * @param {string} modalidade - 'inteligente' (padrão), 'simplificado' ou 'manual'
+     * @param {number} percentualSimplificado - Percentual fixo de retenção no split simplificado (decimal)
+     * @returns {Object} - Valores retidos, recolhidos no vencimento e saldo credor da retenção
+     */
+    function calcularRetencaoSplit(valorImpostoTotal, creditos, faturamento, percentualImplementacao, modalidade = 'inteligente', percentualSimplificado = PERCENTUAL_SPLIT_SIMPLIFICADO_PADRAO) {
+        const modalidadeValida = modalidadesSplit[modalidade] ? modalidade : 'inteligente';
+        const percentual = Math.max(0, Math.min(1, percentualImplementacao || 0));
+        const creditosCompensaveis = Math.min(Math.max(0, creditos || 0), valorImpostoTotal);
+        const valorImpostoLiquido = Math.max(0, valorImpostoTotal - creditosCompensaveis);
+
+        let valorImpostoSplit = 0;
+        let valorImpostoNormal = valorImpostoLiquido;
+        let creditosDeduzidos = 0;
+        let saldoCredor = 0;
+
+        if (modalidadeValida === 'inteligente') {
+            // Créditos abatidos pelo prestador de pagamento antes da retenção
+            valorImpostoSplit = valorImpostoLiquido * percentual;
+            valorImpostoNormal = valorImpostoLiquido - valorImpostoSplit;
+            creditosDeduzidos = creditosCompensaveis * percentual;
+        } else if (modalidadeValida === 'simplificado') {
+            // Percentual fixo sobre a operação; diferença ajustada na apuração
+            const percentualFixo = percentualSimplificado > 1 ? percentualSimplificado / 100 : Math.max(0, percentualSimplificado || 0);
+            const impostoDevidoSplit = valorImpostoLiquido * percentual;
+
+            valorImpostoSplit = Math.max(0, faturamento || 0) * percentualFixo * percentual;
+            valorImpostoNormal = (valorImpostoLiquido - impostoDevidoSplit) + Math.max(0, impostoDevidoSplit - valorImpostoSplit);
+            saldoCredor = Math.max(0, valorImpostoSplit - impostoDevidoSplit);
+        }
+
+        return {
+            modalidade: modalidadeValida,
+            nome: modalidadesSplit[modalidadeValida].nome,
+            valorImpostoLiquido,
+            valorImpostoSplit,
+            valorImpostoNormal,
+            creditosDeduzidos,
+            saldoCredor
+        };
+    }
+
+    /**
+     * Simula os doze meses do ano no banco de créditos de IBS/CBS. Os créditos que excedem os
+     * débitos (exportadores, investimentos relevantes) ou que aguardam apropriação deixam de
+     * ser compensados na liquidação e ficam imobilizados até a compensação ou o ressarcimento.
+     *
+     * @param {Object} dados - Dados planos da simulação (bancoCreditos, taxaCapitalGiro)
+     * @param {number} debitosMensais - IBS/CBS devidos no mês, antes dos créditos
+     * @param {number} creditosMensais - Créditos de IBS/CBS das aquisições do mês, inclusive de investimentos
+     * @returns {Object|null} - Resultado de CreditCompensationModule.simularBancoCreditos, ou null se o módulo não estiver carregado
+     */
+    function simularBancoCreditosAno(dados, debitosMensais, creditosMensais) {
+        if (!window.CreditCompensationModule) {
+            return null;
+        }
+
+        const configuracao = dados.bancoCreditos || {};
+        const periodos = Array.from({ length: 12 }, () => ({
+            debitos: debitosMensais,
+            creditos: creditosMensais
+        }));
+
+        return window.CreditCompensationModule.simularBancoCreditos(periodos, {
+            ...configuracao,
+            taxaCapitalGiro: dados.taxaCapitalGiro > 1 ? dados.taxaCapitalGiro / 100 : (dados.taxaCapitalGiro || 0.021)
+        });
+    }
+
+    /**
+     * Calcula a CBS e o IBS por produto (NCM) no ano, com as alíquotas do setor ponderadas pelo
+     * percentual de implementação de cada tributo
+     *
+     * @param {Object} dados - Dados planos da simulação (itensNCM, aliquotaCBS, aliquotaIBS)
+     * @param {number} ano - Ano de referência
+     * @param {Object} parametrosSetoriais - Parâmetros do setor
+     * @returns {Object|null} - Resultado de SimulacaoItens.calcular, ou null sem itens ou sem o módulo carregado
+     */
+    function calcularCargaItensAno(dados, ano, parametrosSetoriais) {
+        if (!window.SimulacaoItens || !Array.isArray(dados.itensNCM) || dados.itensNCM.length === 0) {
+            return null;
+        }
+
+        const aliquotasPadrao = obterAliquotasIVADual();
+        const percentualCBS = window.CurrentTaxSystem.obterPercentualImplementacao(ano, 'cbs', parametrosSetoriais);
+        const percentualIBS = window.CurrentTaxSystem.obterPercentualImplementacao(ano, 'ibs', parametrosSetoriais);
+
+        return window.SimulacaoItens.calcular(dados.itensNCM, {
+            cbs: (dados.aliquotaCBS || parametrosSetoriais?.aliquotaCBS || aliquotasPadrao.cbs) * percentualCBS,
+            ibs: (dados.aliquotaIBS || parametrosSetoriais?.aliquotaIBS || aliquotasPadrao.ibs) * percentualIBS
+        });
+    }
+
+    /**
+     * Calcula o crédito de CBS/IBS recuperável de cada fornecedor no ano, com as alíquotas do
+     * setor ponderadas pelo percentual de implementação de cada tributo
+     *
+     * @param {Object} dados - Dados planos da simulação (fornecedores, aliquotaCBS, aliquotaIBS)
+     * @param {number} ano - Ano de referência
+     * @param {Object} parametrosSetoriais - Parâmetros do setor
+     * @returns {Object|null} - Resultado de CreditosFornecedores.calcular, ou null sem fornecedores ou sem o módulo carregado
+     */
+    function calcularCreditosFornecedoresAno(dados, ano, parametrosSetoriais) {
+        if (!window.CreditosFornecedores || !Array.isArray(dados.fornecedores) || dados.fornecedores.length === 0) {
+            return null;
+        }
+
+        const aliquotasPadrao = obterAliquotasIVADual();
+        const percentualCBS = window.CurrentTaxSystem.obterPercentualImplementacao(ano, 'cbs', parametrosSetoriais);
+        const percentualIBS = window.CurrentTaxSystem.obterPercentualImplementacao(ano, 'ibs', parametrosSetoriais);
+
+        return window.CreditosFornecedores.calcular(dados.fornecedores, {
+            cbs: (dados.aliquotaCBS || parametrosSetoriais?.aliquotaCBS || aliquotasPadrao.cbs) * percentualCBS,
+            ibs: (dados.aliquotaIBS || parametrosSetoriais?.aliquotaIBS || aliquotasPadrao.ibs) * percentualIBS
+        });
+    }
+
+    /**
+     * Calcula o calendário de liquidação das vendas por meio de pagamento no ano, com o imposto
+     * retido pelo Split Payment em cada liquidação
+     *
+     * @param {Object} dados - Dados da empresa (formato plano), com o mix de meios de pagamento
+     * @param {number} ano - Ano de referência
+     * @param {Object} parametrosSetoriais - Parâmetros específicos do setor (opcional)
+     * @returns {Object|null} - Resultado do LiquidacaoRecebiveis ou null se o mix não foi informado
+     */
+    function calcularLiquidacaoRecebiveisAno(dados, ano, parametrosSetoriais = null) {
+        if (!window.LiquidacaoRecebiveis || !Array.isArray(dados.mixRecebimentos) || dados.mixRecebimentos.length === 0) {
+            return null;
+        }
+
+        const faturamento = Math.max(0, parseFloat(dados.faturamento) || 0);
+        const aliquota = dados.aliquota > 1 ? dados.aliquota / 100 : (dados.aliquota || 0);
+        const creditos = typeof dados.creditos === 'number' && !isNaN(dados.creditos) ? Math.max(0, dados.creditos) : 0;
+        const antecipacao = dados.estrategias?.antecipacaoRecebiveis;
+
+        // Retenção mensal pela mesma regra do fluxo de caixa (modalidade e percentual de implementação do ano)
+        const percentualImplementacao = dados.splitPayment !== false ?
+            window.CurrentTaxSystem.obterPercentualImplementacao(ano, 'splitPayment', parametrosSetoriais) : 0;
+        const valorImpostoTotal = faturamento * aliquota;
+        const retencao = calcularRetencaoSplit(
+            valorImpostoTotal, Math.min(creditos, valorImpostoTotal), faturamento, percentualImplementacao,
+            dados.modalidadeSplit || 'inteligente', dados.percentualSplitSimplificado
+        );
+
+        return window.LiquidacaoRecebiveis.calcular(dados.mixRecebimentos, {
+            faturamento,
+            aliquotaRetencao: faturamento > 0 ? retencao.valorImpostoSplit / faturamento : 0,
+            taxaAntecipacao: antecipacao?.ativar ? antecipacao.taxaDesconto : 0,
+            percentualAntecipacao: antecipacao?.ativar ? antecipacao.percentualAntecipacao : 0
+        });
+    }
+
+    /**
+     * Calcula o float perdido por tributo no ano: a parcela retida na liquidação deixa de ficar
+     * no caixa pelos dias entre a venda e o vencimento do tributo no regime atual
+     *
+     * @param {Object} calendarioRecolhimento - Float por tributo (CalendarioTributos.calcularFloat)
+     * @param {number} percentualImplementacao - Percentual de Split Payment do ano (decimal)
+     * @returns {Object|null} - Float perdido por tributo e totais ou null sem calendário
+     */
+    function calcularFloatTributosAno(calendarioRecolhimento, percentualImplementacao) {
+        if (!calendarioRecolhimento || calendarioRecolhimento.valorTotal <= 0) {
+            return null;
+        }
+
+        const tributos = calendarioRecolhimento.tributos
+            .filter(tributo => tributo.valor > 0)
+            .map(tributo => ({
+                ...tributo,
+                diasFloatPerdidos: tributo.diasFloat * percentualImplementacao,
+                capitalGiroPerdido: tributo.capitalGiro * percentualImplementacao
+            }));
+
+        return {
+            ano: calendarioRecolhimento.ano,
+            uf: calendarioRecolhimento.uf,
+            percentualImplementacao,
+            tributos,
+            diasFloatMedio: calendarioRecolhimento.diasFloatMedio,
+            diasFloatPerdidos: calendarioRecolhimento.diasFloatMedio * percentualImplementacao,
+            capitalGiro: calendarioRecolhimento.capitalGiro,
+            capitalGiroPerdido: calendarioRecolhimento.capitalGiro * percentualImplementacao
+        };
+    }
+
+    /**
+     * Compara o efeito das modalidades de Split Payment sobre o capital de giro
+     *
+     * @param {number} valorImpostoTotal - Imposto bruto do período
+     * @param {number} creditos - Créditos compensáveis do período
+     * @param {number} faturamento - Valor das operações do período
+     * @param {number} percentualImplementacao - Percentual de implementação do Split Payment (decimal)
+     * @param {number} capitalGiroAtual - Capital de giro disponível no regime atual
+     * @param {number} percentualSimplificado - Percentual fixo de retenção no split simplificado (decimal)
+     * @returns {Array} - Resultado de cada modalidade
+     */
+    function compararModalidadesSplit(valorImpostoTotal, creditos, faturamento, percentualImplementacao, capitalGiroAtual, percentualSimplificado) {
+        return Object.keys(modalidadesSplit).map(modalidade => {
+            const retencao = calcularRetencaoSplit(
+                valorImpostoTotal, creditos, faturamento, percentualImplementacao, modalidade, percentualSimplificado
+            );
+            // No split simplificado o valor retido acima do devido já integra valorImpostoSplit
+            const capitalGiroDisponivel = capitalGiroAtual - retencao.valorImpostoSplit;
+            const diferencaCapitalGiro = capitalGiroDisponivel - capitalGiroAtual;
+
+            return {
+                ...retencao,
+                capitalGiroDisponivel,
+                diferencaCapitalGiro,
+                percentualImpacto: capitalGiroAtual !== 0 ? (diferencaCapitalGiro / capitalGiroAtual) * 100 : 0
+            };
+        });
+    }
+
     /**
      * Calcula o CBS (Contribuição sobre Bens e Serviços)
      * @param {number} baseValue - Valor base para cálculo
-     * @param {number} [rate=aliquotasIVADual.cbs] - Alíquota do CBS
+     * @param {number} [rate] - Alíquota do CBS (padrão: alíquota de referência do cronograma)
      * @param {number} [credits=0] - Créditos de CBS a serem descontados
      * @param {string} [taxCategory='standard'] - Categoria tributária ('standard', 'reduced', 'exempt')
      * @returns {number} Valor do CBS a recolher
      */
-    function calcularCBS(baseValue, rate = aliquotasIVADual.cbs, credits = 0, taxCategory = 'standard') {
+    function calcularCBS(baseValue, rate = obterAliquotasIVADual().cbs, credits = 0, taxCategory = 'standard') {
         let appliedRate;
 
         // Melhorar a lógica de determinação de alíquota com base na categoria
         switch (taxCategory) {
             case 'reduced':
-                // Categoria reduzida: 50% da alíquota padrão (ou usar valor explícito passado)
-                appliedRate = rate * 0.5; // Usa a rate específica do setor com redução
+                // Categoria reduzida: fator de redução definido no cronograma (ou usar valor explícito passado)
+                appliedRate = rate * window.CronogramaTransicao.obterFatorCategoria('reduced'); // Usa a rate específica do setor com redução
                 break;
             case 'exempt':
                 appliedRate = 0; // Isento
@@ -123,7 +393,7 @@ window.IVADualSystem = (function() {
      * @param {Object} options - Opções adicionais para o cálculo
      * @returns {number} Valor do IBS a recolher
      */
-    function calcularIBS(baseValue, rate = aliquotasIVADual.ibs, credits = 0, taxCategory = 'standard', options = {}) {
+    function calcularIBS(baseValue, rate = obterAliquotasIVADual().ibs, credits = 0, taxCategory = 'standard', options = {}) {
         // Validar e normalizar parâmetros
         if (typeof baseValue !== 'number' || isNaN(baseValue)) {
             console.warn('Valor base inválido para cálculo do IBS. Usando zero.');
@@ -132,7 +402,7 @@ window.IVADualSystem = (function() {
 
         if (typeof rate !== 'number' || isNaN(rate)) {
             console.warn(`Alíquota IBS inválida: ${rate}. Usando alíquota padrão.`);
-            rate = aliquotasIVADual.ibs;
+            rate = obterAliquotasIVADual().ibs;
         }
 
         if (typeof credits !== 'number' || isNaN(credits)) {
@@ -146,8 +416,8 @@ window.IVADualSystem = (function() {
 
         switch (taxCategory) {
             case 'reduced':
-                // Para categoria reduzida: 50% da alíquota normal
-                appliedRate = rate * 0.5;
+                // Para categoria reduzida: fator de redução definido no cronograma
+                appliedRate = rate * window.CronogramaTransicao.obterFatorCategoria('reduced');
 
                 // Log de depuração para categoria reduzida
                 console.log(`IBS: Aplicando redução para categoria 'reduced'. 
@@ -197,30 +467,151 @@ window.IVADualSystem = (function() {
     }
 
     /**
-     * Calcula o imposto total no sistema IVA Dual (CBS + IBS)
+     * Calcula o IBS pelo princípio do destino, aplicando a alíquota estadual e municipal de cada destino
+     * à parcela do faturamento destinada a ele
+     * @param {number} baseValue - Valor base para cálculo
+     * @param {number} rate - Alíquota de referência do IBS (decimal), dividida entre os entes quando o destino não informar alíquota própria
+     * @param {Array} destinos - Lista de {uf, codigoMunicipio, participacao, aliquotaEstadual, aliquotaMunicipal}
+     * @param {string} taxCategory - Categoria tributária ('standard', 'reduced', 'exempt')
+     * @param {Object} options - Opções adicionais (reducaoEspecial, fator de implementação)
+     * @returns {Object} - IBS total, detalhamento por destino e valores devidos a cada ente
+     */
+    function calcularIBSPorDestino(baseValue, rate = obterAliquotasIVADual().ibs, destinos = [], taxCategory = 'standard', options = {}) {
+        const fator = typeof options.fator === 'number' ? options.fator : 1;
+        const destinosValidos = (Array.isArray(destinos) ? destinos : [])
+            .filter(destino => destino && (destino.participacao || 0) > 0);
+        const somaParticipacoes = destinosValidos.reduce((soma, destino) => soma + destino.participacao, 0);
+
+        const resultado = {
+            total: 0,
+            aliquotaEfetiva: 0,
+            destinos: [],
+            porEnte: []
+        };
+
+        if (somaParticipacoes <= 0) {
+            return resultado;
+        }
+
+        const entes = {};
+        const acumularEnte = (tipo, codigo, nome, valor) => {
+            const chave = `${tipo}:${codigo}`;
+            if (!entes[chave]) {
+                entes[chave] = { tipo, codigo, nome, valor: 0 };
+            }
+            entes[chave].valor += valor;
+        };
+
+        destinosValidos.forEach(destino => {
+            // Participações normalizadas para somar 100% do faturamento
+            const participacao = destino.participacao / somaParticipacoes;
+            const base = baseValue * participacao;
+            const uf = (destino.uf || window.AliquotasIBSDestino.obterUFPorMunicipio(destino.codigoMunicipio) || '').toUpperCase();
+            const aliquotas = window.AliquotasIBSDestino.obterAliquotaDestino(rate, destino);
+
+            const valor = aliquotas.total > 0 ?
+                calcularIBS(base, aliquotas.total, 0, taxCategory, { reducaoEspecial: options.reducaoEspecial }) * fator : 0;
+            const valorEstadual = aliquotas.total > 0 ? valor * (aliquotas.estadual / aliquotas.total) : 0;
+            const valorMunicipal = valor - valorEstadual;
+
+            resultado.destinos.push({
+                uf,
+                codigoMunicipio: destino.codigoMunicipio || '',
+                municipio: destino.municipio || '',
+                participacao,
+                base,
+                aliquotaEstadual: aliquotas.estadual,
+                aliquotaMunicipal: aliquotas.municipal,
+                origemEstadual: aliquotas.origemEstadual,
+                origemMunicipal: aliquotas.origemMunicipal,
+                valorEstadual,
+                valorMunicipal,
+                valor
+            });
+            resultado.total += valor;
+
+            acumularEnte('estado', uf || 'N/I', uf ? window.AliquotasIBSDestino.obterNomeUF(uf) : 'UF não identificada', valorEstadual);
+            acumularEnte('municipio', destino.codigoMunicipio || `${uf || 'N/I'}-N/I`,
+                destino.municipio || (destino.codigoMunicipio ? `Município ${destino.codigoMunicipio} (${uf})` : `Municípios não identificados (${uf || 'N/I'})`),
+                valorMunicipal);
+        });
+
+        resultado.aliquotaEfetiva = baseValue > 0 ? resultado.total / baseValue : 0;
+        resultado.porEnte = Object.values(entes).sort((a, b) => b.valor - a.valor);
+
+        return resultado;
+    }
+
+    /**
+     * Calcula a alíquota efetiva do Imposto Seletivo (IS)
+     * Quando informados produtos, a alíquota é a média ponderada pela participação de cada produto no faturamento
+     * @param {number} [rate=0] - Alíquota do IS do setor
+     * @param {Array} [produtos] - Produtos sujeitos ao IS ({descricao, participacao, aliquota})
+     * @returns {number} Alíquota efetiva do IS (decimal)
+     */
+    function calcularAliquotaEfetivaSeletivo(rate = 0, produtos = []) {
+        const normalizar = valor => {
+            const numero = typeof valor === 'number' && !isNaN(valor) ? valor : parseFloat(valor) || 0;
+            return Math.max(0, numero > 1 ? numero / 100 : numero);
+        };
+
+        if (Array.isArray(produtos) && produtos.length > 0) {
+            return produtos.reduce((total, produto) => 
+                total + normalizar(produto.participacao) * normalizar(produto.aliquota), 0);
+        }
+
+        return normalizar(rate);
+    }
+
+    /**
+     * Calcula o Imposto Seletivo (IS)
+     * O IS incide uma única vez sobre o valor da operação, sem IBS/CBS na sua base, e não gera créditos
+     * @param {number} baseValue - Valor base para cálculo
+     * @param {number} [rate=0] - Alíquota do IS do setor
+     * @param {Array} [produtos] - Produtos sujeitos ao IS ({descricao, participacao, aliquota})
+     * @returns {number} Valor do IS a recolher
+     */
+    function calcularImpostoSeletivo(baseValue, rate = 0, produtos = []) {
+        if (typeof baseValue !== 'number' || isNaN(baseValue) || baseValue <= 0) {
+            return 0;
+        }
+
+        return baseValue * calcularAliquotaEfetivaSeletivo(rate, produtos);
+    }
+
+    /**
+     * Calcula o imposto total no sistema IVA Dual (CBS + IBS + IS)
+     * O Imposto Seletivo integra a base de cálculo da CBS e do IBS e não admite créditos
      * @param {number} baseValue - Valor base para cálculo
      * @param {Object} [rates] - Alíquotas a serem aplicadas
      * @param {number} rates.cbs - Alíquota do CBS
      * @param {number} rates.ibs - Alíquota do IBS
+     * @param {number} [rates.impostoSeletivo=0] - Alíquota do Imposto Seletivo
+     * @param {Array} [rates.produtosSeletivo] - Produtos sujeitos ao IS com alíquotas próprias
      * @param {Object} [credits] - Créditos a serem descontados
      * @param {number} credits.cbs - Créditos de CBS
      * @param {number} credits.ibs - Créditos de IBS
      * @param {string} [taxCategory='standard'] - Categoria tributária ('standard', 'reduced', 'exempt')
-     * @returns {Object} Objeto contendo os valores de CBS, IBS e total
+     * @returns {Object} Objeto contendo os valores de CBS, IBS, IS e total
      */
     function calcularTotalIVA(baseValue, rates = {}, credits = {}, taxCategory = 'standard') {
-        const cbsRate = rates.cbs || aliquotasIVADual.cbs;
-        const ibsRate = rates.ibs || aliquotasIVADual.ibs;
+        const aliquotasPadrao = obterAliquotasIVADual();
+        const cbsRate = rates.cbs || aliquotasPadrao.cbs;
+        const ibsRate = rates.ibs || aliquotasPadrao.ibs;
         const cbsCredits = credits.cbs || 0;
         const ibsCredits = credits.ibs || 0;
 
-        const cbs = calcularCBS(baseValue, cbsRate, cbsCredits, taxCategory);
-        const ibs = calcularIBS(baseValue, ibsRate, ibsCredits, taxCategory);
+        const impostoSeletivo = calcularImpostoSeletivo(baseValue, rates.impostoSeletivo, rates.produtosSeletivo);
+        const baseIVA = baseValue + impostoSeletivo;
+
+        const cbs = calcularCBS(baseIVA, cbsRate, cbsCredits, taxCategory);
+        const ibs = calcularIBS(baseIVA, ibsRate, ibsCredits, taxCategory);
 
         return {
             cbs,
             ibs,
-            total: cbs + ibs
+            impostoSeletivo,
+            total: cbs + ibs + impostoSeletivo
         };
     }
 
@@ -258,6 +649,7 @@ window.IVADualSystem = (function() {
         const percPrazo = dados.percPrazo > 1 ? dados.percPrazo / 100 : dados.percPrazo;
         const creditos = window.DataManager.extrairValorNumerico(dados.creditos) || 0;
         const compensacao = dados.compensacao || 'automatica';
+        const modalidadeSplit = dados.modalidadeSplit || 'inteligente';
 
         // Verificar consistência de percentuais
         if (Math.abs(percVista + percPrazo - 1) > 0.001) {
@@ -265,18 +657,26 @@ window.IVADualSystem = (function() {
         }
 
         // Obter percentual de implementação para o ano específico
-        const percentualImplementacao = window.CurrentTaxSystem.obterPercentualImplementacao(ano, parametrosSetoriais);
+        const percentualImplementacao = window.CurrentTaxSystem.obterPercentualImplementacao(ano, 'splitPayment', parametrosSetoriais);
 
         // Cálculos do fluxo de caixa com Split Payment
         const valorImpostoTotal = faturamento * aliquota;
         const valorImpostoLiquido = Math.max(0, valorImpostoTotal - creditos);
 
-        // Valor dos impostos afetados pelo Split Payment
-        const valorImpostoSplit = valorImpostoLiquido * percentualImplementacao;
-        const valorImpostoNormal = valorImpostoLiquido - valorImpostoSplit;
+        // Valor dos impostos afetados pelo Split Payment, conforme a modalidade de recolhimento
+        const retencao = calcularRetencaoSplit(
+            valorImpostoTotal, creditos, faturamento, percentualImplementacao, modalidadeSplit, dados.percentualSplitSimplificado
+        );
+        const valorImpostoSplit = retencao.valorImpostoSplit;
+
+        // ICMS-ST, DIFAL e FCP remanescentes no ano: recolhidos no vencimento, fora do Split Payment
+        const icmsComplementar = calcularICMSComplementar(dados, faturamento, ano, parametrosSetoriais);
+        const valorImpostoNormal = retencao.valorImpostoNormal + icmsComplementar.transicao;
 
-        // Cálculo do capital de giro disponível (apenas a parte não afetada pelo Split Payment)
-        const capitalGiroDisponivel = percentualImplementacao > 0 ? valorImpostoNormal : valorImpostoLiquido;
+        // Cálculo do capital de giro disponível (apenas a parte não afetada pelo Split Payment,
+        // descontado o valor retido acima do devido que aguarda compensação)
+        const capitalGiroDisponivel = percentualImplementacao > 0 ? 
+            valorImpostoNormal - retencao.saldoCredor : valorImpostoLiquido + icmsComplementar.transicao;
 
         // Cálculo dos recebimentos
         // Para vendas à vista: recebimento - split payment imediato
@@ -285,8 +685,8 @@ window.IVADualSystem = (function() {
         // Para vendas a prazo: valor integral, mas com retenção de impostos no recebimento
         const recebimentoPrazo = (faturamento * percPrazo) - (valorImpostoSplit * (percPrazo / (percVista + percPrazo)));
 
-        // Prazo para recolhimento do imposto normal (não Split)
-        const prazoRecolhimento = 25;
+        // Prazo para recolhimento do imposto normal (não Split), ajustado depois pelo calendário de vencimentos
+        let prazoRecolhimento = 25;
 
         // Construir objeto de créditos para cálculo de impostos
         const creditsObject = {
@@ -301,12 +701,20 @@ window.IVADualSystem = (function() {
             revenue: faturamento,
             serviceCompany: dados.tipoEmpresa === 'servicos',
             cumulativeRegime: dados.regimePisCofins === 'cumulativo',
-            credits: creditsObject
+            credits: creditsObject,
+            icmsComplementar: dados.icmsComplementar
         });
 
+        // Calendário de vencimentos por tributo, ponderado pelo valor de cada tributo
+        const calendarioRecolhimento = window.CalendarioTributos ? 
+            window.CalendarioTributos.calcularFloat(impostosAtuais, dados.calendarioTributos, { pmr, percVista, percPrazo }, ano) : null;
+
         // Calcular tempo médio do capital em giro
         let tempoMedioCapitalGiro;
-        if (window.DataManager.calcularTempoMedioCapitalGiro) {
+        if (calendarioRecolhimento && calendarioRecolhimento.valorTotal > 0) {
+            prazoRecolhimento = calendarioRecolhimento.prazoMedioRecolhimento;
+            tempoMedioCapitalGiro = calendarioRecolhimento.diasFloatMedio;
+        } else if (window.DataManager.calcularTempoMedioCapitalGiro) {
             tempoMedioCapitalGiro = window.DataManager.calcularTempoMedioCapitalGiro(pmr, prazoRecolhimento, percVista, percPrazo);
         } else {
             // Cálculo in-line se a função do DataManager não estiver disponível
@@ -388,6 +796,10 @@ window.IVADualSystem = (function() {
             valorImpostoLiquido,
             valorImpostoSplit,
             valorImpostoNormal,
+            valorICMSComplementar: icmsComplementar.transicao,
+            modalidadeSplit: retencao.modalidade,
+            creditosDeduzidosRetencao: retencao.creditosDeduzidos,
+            saldoCredorRetencao: retencao.saldoCredor,
             recebimentoVista,
             recebimentoPrazo,
             percentualImplementacao,
@@ -412,6 +824,574 @@ window.IVADualSystem = (function() {
         return resultado;
     }
 
+    /**
+     * Gera o fluxo de caixa período a período (mensal ou diário) comparando o regime atual
+     * com o regime de Split Payment. Para cada período são apresentados as vendas, os
+     * recebimentos, o imposto retido na liquidação (Split Payment), o imposto recolhido no
+     * vencimento tradicional, os créditos compensados e a posição de caixa acumulada.
+     * 
+     * O cálculo parte de uma situação de regime permanente: as vendas do final do ano anterior
+     * geram recebimentos, pagamentos e recolhimentos dentro do ano simulado, o que evidencia
+     * os meses de sobreposição entre o recolhimento tradicional e a retenção na liquidação.
+     * O Imposto Seletivo não é retido: é recolhido no dia diaVencimentoIS do mês seguinte.
+     * 
+     * @param {Object} dados - Dados da empresa e parâmetros de simulação (formato plano)
+     * @param {number} ano - Ano de referência para percentual de implementação
+     * @param {Object} parametrosSetoriais - Parâmetros específicos do setor (opcional)
+     * @param {Object} opcoes - Opções do fluxo (opcional)
+     * @param {string} opcoes.granularidade - 'mensal' (padrão) ou 'diaria'
+     * @param {number} opcoes.saldoInicial - Saldo de caixa no início do ano (padrão: 0)
+     * @param {number} opcoes.prazoRecolhimento - Dia de vencimento único no mês seguinte (padrão: calendário
+     *                                             de vencimentos por tributo do CalendarioTributos ou dia 25)
+     * @param {Object} opcoes.financiamento - Liberação e serviço da dívida da captação de capital de giro
+     *                                        no ano (CronogramaFinanciamento.obterFluxoAno), somados ao caixa com Split Payment
+     * @returns {Object} - Períodos do fluxo de caixa e resumo comparativo entre os regimes
+     * @throws {Error} - Se os dados não estiverem em formato plano
+     */
+    function calcularFluxoCaixaMensal(dados, ano = 2026, parametrosSetoriais = null, opcoes = {}) {
+        // Verificar se os dados estão em formato plano
+        if (dados.empresa !== undefined) {
+            throw new Error('calcularFluxoCaixaMensal espera dados em formato plano. Use DataManager.converterParaEstruturaPlana()');
+        }
+
+        // Validar campos essenciais
+        if (typeof dados.faturamento !== 'number' || isNaN(dados.faturamento)) {
+            throw new Error('Faturamento inválido ou não informado');
+        }
+        if (typeof dados.aliquota !== 'number' || isNaN(dados.aliquota)) {
+            throw new Error('Alíquota inválida ou não informada');
+        }
+
+        // Opções do fluxo
+        const granularidade = (opcoes.granularidade || dados.granularidadeFluxo) === 'diaria' ? 'diaria' : 'mensal';
+        const saldoInicial = typeof opcoes.saldoInicial === 'number' && !isNaN(opcoes.saldoInicial) ? opcoes.saldoInicial : 0;
+        const prazoRecolhimento = typeof opcoes.prazoRecolhimento === 'number' && !isNaN(opcoes.prazoRecolhimento) ? 
+                                  Math.max(1, Math.min(31, opcoes.prazoRecolhimento)) : 25;
+        const financiamento = opcoes.financiamento && Array.isArray(opcoes.financiamento.servicoDivida) ? opcoes.financiamento : null;
+
+        // Extrair e normalizar parâmetros relevantes (faturamento mensal)
+        const faturamento = Math.max(0, dados.faturamento);
+        const aliquota = dados.aliquota > 1 ? dados.aliquota / 100 : dados.aliquota;
+        const margem = dados.margem > 1 ? dados.margem / 100 : (dados.margem || 0);
+        const pmr = Math.max(0, parseInt(dados.pmr) || 0);
+        const pmp = Math.max(0, parseInt(dados.pmp) || 0);
+        let percVista = dados.percVista > 1 ? dados.percVista / 100 : (typeof dados.percVista === 'number' ? dados.percVista : 0.3);
+        let percPrazo = dados.percPrazo > 1 ? dados.percPrazo / 100 : (typeof dados.percPrazo === 'number' ? dados.percPrazo : 1 - percVista);
+        const creditos = typeof dados.creditos === 'number' && !isNaN(dados.creditos) ? Math.max(0, dados.creditos) : 0;
+
+        // Calendário de liquidação por meio de pagamento (substitui a divisão à vista/a prazo com PMR único)
+        const liquidacoes = window.LiquidacaoRecebiveis ? window.LiquidacaoRecebiveis.gerarLiquidacoes(dados.mixRecebimentos) : [];
+
+        // Sazonalidade do faturamento pela série mensal importada das EFD (sem série, vendas constantes)
+        const fatoresSazonalidade = window.CalculationCore.calcularFatoresSazonalidade(dados.serieMensal);
+
+        // Normalizar percentuais de venda para soma 1
+        const somaPercentuais = percVista + percPrazo;
+        if (somaPercentuais > 0 && Math.abs(somaPercentuais - 1) > 0.001) {
+            percVista = percVista / somaPercentuais;
+            percPrazo = percPrazo / somaPercentuais;
+        }
+
+        // Percentuais de implementação do Split Payment (ano simulado e ano anterior)
+        const considerarSplitPayment = dados.splitPayment !== false;
+        const percentualImplementacao = considerarSplitPayment ? 
+            window.CurrentTaxSystem.obterPercentualImplementacao(ano, 'splitPayment', parametrosSetoriais) : 0;
+        const percentualAnterior = considerarSplitPayment ? 
+            window.CurrentTaxSystem.obterPercentualImplementacao(ano - 1, 'splitPayment', parametrosSetoriais) : 0;
+
+        // Valores mensais de referência
+        const valorImpostoTotal = faturamento * aliquota;
+        const creditosCompensaveis = Math.min(creditos, valorImpostoTotal);
+        const valorImpostoLiquido = Math.max(0, valorImpostoTotal - creditos);
+
+        // ICMS-ST, DIFAL e FCP: integrais no regime atual, remanescentes no ano no regime com Split Payment
+        const icmsComplementar = calcularICMSComplementar(dados, faturamento, ano, parametrosSetoriais);
+        const pagamentoFornecedoresMensal = Math.max(0, faturamento - valorImpostoLiquido - icmsComplementar.atual - (faturamento * margem));
+
+        // Retenção mensal conforme a modalidade de Split Payment (ano simulado e ano anterior)
+        const modalidadeSplit = dados.modalidadeSplit || 'inteligente';
+        const retencaoAtual = calcularRetencaoSplit(
+            valorImpostoTotal, creditosCompensaveis, faturamento, percentualImplementacao, modalidadeSplit, dados.percentualSplitSimplificado
+        );
+        const retencaoAnterior = calcularRetencaoSplit(
+            valorImpostoTotal, creditosCompensaveis, faturamento, percentualAnterior, modalidadeSplit, dados.percentualSplitSimplificado
+        );
+
+        // Frações aplicadas sobre cada real recebido
+        const fracaoFornecedores = faturamento > 0 ? pagamentoFornecedoresMensal / faturamento : 0;
+        const fracaoRetencao = retencao => faturamento > 0 ? retencao.valorImpostoSplit / faturamento : 0;
+        const fracaoCreditosRetencao = retencao => faturamento > 0 ? retencao.creditosDeduzidos / faturamento : 0;
+        let saldoCredorRetencao = 0;
+
+        // Imposto Seletivo: não é retido no Split Payment e vence no dia próprio do mês seguinte
+        const aliquotaIS = dados.aliquotaIS || parametrosSetoriais?.aliquotaIS || 0;
+        const produtosIS = dados.produtosIS || parametrosSetoriais?.produtosIS || [];
+        const impostoSeletivoBase = calcularImpostoSeletivo(faturamento, aliquotaIS, produtosIS);
+        const impostoSeletivoAtual = impostoSeletivoBase *
+            window.CurrentTaxSystem.obterPercentualImplementacao(ano, 'impostoSeletivo', parametrosSetoriais);
+        const impostoSeletivoAnterior = impostoSeletivoBase *
+            window.CurrentTaxSystem.obterPercentualImplementacao(ano - 1, 'impostoSeletivo', parametrosSetoriais);
+        const diaVencimentoIS = Math.max(1, Math.min(31, parseInt(dados.diaVencimentoIS, 10) || 25));
+
+        // Recolhimento tradicional no vencimento de cada tributo, na proporção do seu valor, salvo dia único informado
+        let vencimentosTributos = null;
+        if (typeof opcoes.prazoRecolhimento !== 'number' && window.CalendarioTributos) {
+            const calendario = window.CurrentTaxSystem.calcularFluxoCaixaAtual(dados, { ano }).calendarioRecolhimento;
+            if (calendario && calendario.valorTotal > 0) {
+                vencimentosTributos = calendario.tributos.filter(tributo => tributo.participacao > 0);
+            }
+        }
+
+        // Calendário diário do ano simulado
+        const MS_POR_DIA = 86400000;
+        const inicioAno = new Date(ano, 0, 1);
+        const diasAno = Math.round((new Date(ano + 1, 0, 1) - inicioAno) / MS_POR_DIA);
+        const indiceDia = data => Math.round((data - inicioAno) / MS_POR_DIA);
+
+        const diarios = [];
+        for (let i = 0; i < diasAno; i++) {
+            diarios.push({
+                vendas: 0,
+                recebimentos: 0,
+                pagamentosFornecedores: 0,
+                impostoRecolhidoAtual: 0,
+                creditosCompensadosAtual: 0,
+                impostoRetidoSplit: 0,
+                impostoRecolhidoSplit: 0,
+                creditosCompensadosSplit: 0,
+                impostoSeletivoSplit: 0,
+                financiamentoRecebido: 0,
+                servicoDivida: 0
+            });
+        }
+
+        // Registra um evento apenas se ele ocorrer dentro do ano simulado
+        const registrar = (indice, campo, valor) => {
+            if (indice >= 0 && indice < diasAno && valor) {
+                diarios[indice][campo] += valor;
+            }
+        };
+
+        // Meses de competência anteriores cujos efeitos ainda alcançam o ano simulado
+        const prazoMaximoLiquidacao = liquidacoes.reduce((maximo, liquidacao) => Math.max(maximo, liquidacao.dias), pmr);
+        const mesesAnteriores = Math.ceil((Math.max(prazoMaximoLiquidacao, pmp) + 31) / 28);
+
+        for (let mes = -mesesAnteriores; mes < 12; mes++) {
+            const diasMes = new Date(ano, mes + 1, 0).getDate();
+            const fatorMes = fatoresSazonalidade ? fatoresSazonalidade[((mes % 12) + 12) % 12] : 1;
+            const vendaDiaria = faturamento * fatorMes / diasMes;
+            const retencaoMes = mes < 0 ? retencaoAnterior : retencaoAtual;
+
+            for (let dia = 1; dia <= diasMes; dia++) {
+                const indiceVenda = indiceDia(new Date(ano, mes, dia));
+                const valorVista = vendaDiaria * percVista;
+                const valorPrazo = vendaDiaria * percPrazo;
+
+                registrar(indiceVenda, 'vendas', vendaDiaria);
+                registrar(indiceVenda + pmp, 'pagamentosFornecedores', vendaDiaria * fracaoFornecedores);
+
+                if (liquidacoes.length > 0) {
+                    // Cada meio de pagamento (e cada parcela do cartão) liquida no seu prazo, líquido do MDR;
+                    // a retenção do Split Payment ocorre em cada liquidação
+                    liquidacoes.forEach(liquidacao => {
+                        const valorLiquidado = vendaDiaria * liquidacao.fracao;
+                        registrar(indiceVenda + liquidacao.dias, 'recebimentos', valorLiquidado * (1 - liquidacao.mdr));
+                        registrar(indiceVenda + liquidacao.dias, 'impostoRetidoSplit', valorLiquidado * fracaoRetencao(retencaoMes));
+                        registrar(indiceVenda + liquidacao.dias, 'creditosCompensadosSplit', valorLiquidado * fracaoCreditosRetencao(retencaoMes));
+                    });
+                } else {
+                    registrar(indiceVenda, 'recebimentos', valorVista);
+                    registrar(indiceVenda + pmr, 'recebimentos', valorPrazo);
+
+                    // Split Payment: retenção no momento da liquidação financeira
+                    registrar(indiceVenda, 'impostoRetidoSplit', valorVista * fracaoRetencao(retencaoMes));
+                    registrar(indiceVenda + pmr, 'impostoRetidoSplit', valorPrazo * fracaoRetencao(retencaoMes));
+                    registrar(indiceVenda, 'creditosCompensadosSplit', valorVista * fracaoCreditosRetencao(retencaoMes));
+                    registrar(indiceVenda + pmr, 'creditosCompensadosSplit', valorPrazo * fracaoCreditosRetencao(retencaoMes));
+                }
+            }
+
+            // Recolhimento tradicional: vencimento no mês seguinte ao da competência
+            const vencimentos = vencimentosTributos ?
+                vencimentosTributos.map(tributo => ({
+                    indice: indiceDia(window.CalendarioTributos.calcularDataVencimento(tributo, ano, mes)),
+                    fracao: tributo.participacao
+                })) :
+                [{ indice: indiceDia(new Date(ano, mes + 1, Math.min(prazoRecolhimento, new Date(ano, mes + 2, 0).getDate()))), fracao: 1 }];
+            // Valor retido acima do devido (split simplificado) abate o recolhimento da competência
+            const recolhimentoSplit = (retencaoMes.valorImpostoNormal - retencaoMes.saldoCredor) * fatorMes;
+            vencimentos.forEach(({ indice, fracao }) => {
+                registrar(indice, 'impostoRecolhidoAtual', (valorImpostoLiquido + icmsComplementar.atual) * fatorMes * fracao);
+                registrar(indice, 'creditosCompensadosAtual', creditosCompensaveis * fatorMes * fracao);
+                registrar(indice, 'impostoRecolhidoSplit', (Math.max(0, recolhimentoSplit) + icmsComplementar.transicao * fatorMes) * fracao);
+                registrar(indice, 'creditosCompensadosSplit', (creditosCompensaveis - retencaoMes.creditosDeduzidos) * fatorMes * fracao);
+            });
+            if (mes >= 0 && recolhimentoSplit < 0) {
+                saldoCredorRetencao -= recolhimentoSplit;
+            }
+
+            const impostoSeletivoMes = (mes < 0 ? impostoSeletivoAnterior : impostoSeletivoAtual) * fatorMes;
+            if (impostoSeletivoMes > 0) {
+                const indiceVencimentoIS = indiceDia(new Date(ano, mes + 1, Math.min(diaVencimentoIS, new Date(ano, mes + 2, 0).getDate())));
+                registrar(indiceVencimentoIS, 'impostoSeletivoSplit', impostoSeletivoMes);
+            }
+        }
+
+        // Captação de capital de giro: liberação e prestações no dia de vencimento do contrato
+        if (financiamento) {
+            for (let mes = 0; mes < 12; mes++) {
+                const indiceVencimento = indiceDia(new Date(ano, mes, Math.min(financiamento.diaVencimento, new Date(ano, mes + 1, 0).getDate())));
+                registrar(indiceVencimento, 'financiamentoRecebido', financiamento.liberacao[mes]);
+                registrar(indiceVencimento, 'servicoDivida', financiamento.servicoDivida[mes]);
+            }
+        }
+
+        // Agrupar os dias conforme a granularidade solicitada
+        const nomesMeses = ['jan', 'fev', 'mar', 'abr', 'mai', 'jun', 'jul', 'ago', 'set', 'out', 'nov', 'dez'];
+        const formatarDataISO = data => `${data.getFullYear()}-${String(data.getMonth() + 1).padStart(2, '0')}-${String(data.getDate()).padStart(2, '0')}`;
+
+        const grupos = [];
+        if (granularidade === 'diaria') {
+            for (let i = 0; i < diasAno; i++) {
+                const data = new Date(ano, 0, 1 + i);
+                grupos.push({
+                    rotulo: `${String(data.getDate()).padStart(2, '0')}/${String(data.getMonth() + 1).padStart(2, '0')}/${ano}`,
+                    inicio: i,
+                    fim: i
+                });
+            }
+        } else {
+            for (let mes = 0; mes < 12; mes++) {
+                grupos.push({
+                    rotulo: `${nomesMeses[mes]}/${ano}`,
+                    inicio: indiceDia(new Date(ano, mes, 1)),
+                    fim: indiceDia(new Date(ano, mes + 1, 0))
+                });
+            }
+        }
+
+        let saldoAtual = saldoInicial;
+        let saldoSplit = saldoInicial;
+
+        const periodos = grupos.map((grupo, indice) => {
+            const soma = {
+                vendas: 0,
+                recebimentos: 0,
+                pagamentosFornecedores: 0,
+                impostoRecolhidoAtual: 0,
+                creditosCompensadosAtual: 0,
+                impostoRetidoSplit: 0,
+                impostoRecolhidoSplit: 0,
+                creditosCompensadosSplit: 0,
+                impostoSeletivoSplit: 0,
+                financiamentoRecebido: 0,
+                servicoDivida: 0
+            };
+
+            for (let i = grupo.inicio; i <= grupo.fim; i++) {
+                Object.keys(soma).forEach(campo => {
+                    soma[campo] += diarios[i][campo];
+                });
+            }
+
+            const fluxoLiquidoAtual = soma.recebimentos - soma.pagamentosFornecedores - soma.impostoRecolhidoAtual;
+            const fluxoLiquidoSplit = soma.recebimentos - soma.pagamentosFornecedores - soma.impostoRetidoSplit - soma.impostoRecolhidoSplit -
+                                      soma.impostoSeletivoSplit + soma.financiamentoRecebido - soma.servicoDivida;
+
+            saldoAtual += fluxoLiquidoAtual;
+            saldoSplit += fluxoLiquidoSplit;
+
+            return {
+                periodo: indice + 1,
+                rotulo: grupo.rotulo,
+                dataInicio: formatarDataISO(new Date(ano, 0, 1 + grupo.inicio)),
+                dataFim: formatarDataISO(new Date(ano, 0, 1 + grupo.fim)),
+                vendas: soma.vendas,
+                recebimentos: soma.recebimentos,
+                pagamentosFornecedores: soma.pagamentosFornecedores,
+                atual: {
+                    impostoRecolhido: soma.impostoRecolhidoAtual,
+                    creditosCompensados: soma.creditosCompensadosAtual,
+                    fluxoLiquido: fluxoLiquidoAtual,
+                    saldoCaixa: saldoAtual
+                },
+                splitPayment: {
+                    impostoRetido: soma.impostoRetidoSplit,
+                    impostoRecolhido: soma.impostoRecolhidoSplit,
+                    creditosCompensados: soma.creditosCompensadosSplit,
+                    impostoSeletivo: soma.impostoSeletivoSplit,
+                    financiamentoRecebido: soma.financiamentoRecebido,
+                    servicoDivida: soma.servicoDivida,
+                    fluxoLiquido: fluxoLiquidoSplit,
+                    saldoCaixa: saldoSplit
+                },
+                diferencaSaldo: saldoSplit - saldoAtual
+            };
+        });
+
+        // Identificar os períodos críticos para a tesouraria
+        let periodoMenorSaldo = periodos[0];
+        let periodoMaiorDiferenca = periodos[0];
+        periodos.forEach(periodo => {
+            if (periodo.splitPayment.saldoCaixa < periodoMenorSaldo.splitPayment.saldoCaixa) {
+                periodoMenorSaldo = periodo;
+            }
+            if (periodo.diferencaSaldo < periodoMaiorDiferenca.diferencaSaldo) {
+                periodoMaiorDiferenca = periodo;
+            }
+        });
+
+        const somarCampo = (regime, campo) => periodos.reduce((total, periodo) => total + periodo[regime][campo], 0);
+
+        const resumo = {
+            saldoInicial,
+            saldoFinalAtual: saldoAtual,
+            saldoFinalSplit: saldoSplit,
+            diferencaSaldoFinal: saldoSplit - saldoAtual,
+            totalImpostoRecolhidoAtual: somarCampo('atual', 'impostoRecolhido'),
+            totalImpostoRetidoSplit: somarCampo('splitPayment', 'impostoRetido'),
+            totalImpostoRecolhidoSplit: somarCampo('splitPayment', 'impostoRecolhido'),
+            totalCreditosCompensadosAtual: somarCampo('atual', 'creditosCompensados'),
+            totalCreditosCompensadosSplit: somarCampo('splitPayment', 'creditosCompensados'),
+            menorSaldoSplit: periodoMenorSaldo ? periodoMenorSaldo.splitPayment.saldoCaixa : saldoInicial,
+            periodoMenorSaldoSplit: periodoMenorSaldo ? periodoMenorSaldo.rotulo : null,
+            maiorDiferencaSaldo: periodoMaiorDiferenca ? periodoMaiorDiferenca.diferencaSaldo : 0,
+            periodoMaiorDiferenca: periodoMaiorDiferenca ? periodoMaiorDiferenca.rotulo : null,
+            necessidadePicoCapitalGiro: periodoMaiorDiferenca ? Math.max(0, -periodoMaiorDiferenca.diferencaSaldo) : 0,
+            periodosSaldoNegativoSplit: periodos.filter(periodo => periodo.splitPayment.saldoCaixa < 0).map(periodo => periodo.rotulo),
+            saldoCredorRetencaoSplit: saldoCredorRetencao,
+            totalImpostoSeletivoSplit: somarCampo('splitPayment', 'impostoSeletivo'),
+            totalFinanciamentoRecebido: somarCampo('splitPayment', 'financiamentoRecebido'),
+            totalServicoDivida: somarCampo('splitPayment', 'servicoDivida')
+        };
+
+        const formatarMoeda = window.DataManager.formatarMoeda || (valor => valor.toFixed(2));
+
+        const memoriaCritica = {
+            tituloRegime: "Fluxo de Caixa " + (granularidade === 'diaria' ? "Diário" : "Mensal") + " - Split Payment",
+            descricaoRegime: `Comparação período a período entre o recolhimento tradicional (${vencimentosTributos ? 'calendário de vencimentos por tributo' : `dia ${prazoRecolhimento} do mês seguinte`}) e a retenção na liquidação financeira em ${ano}`,
+            formula: "Saldo(t) = Saldo(t-1) + Recebimentos(t) - Pagamentos a Fornecedores(t) - Imposto Retido(t) - Imposto Recolhido(t)",
+            passoAPasso: [
+                `Faturamento mensal: ${formatarMoeda(faturamento)} (${(percVista * 100).toFixed(1)}% à vista, ${(percPrazo * 100).toFixed(1)}% a prazo em ${pmr} dias)`,
+                `Imposto líquido mensal: ${formatarMoeda(valorImpostoTotal)} - ${formatarMoeda(creditosCompensaveis)} de créditos = ${formatarMoeda(valorImpostoLiquido)}`,
+                `Percentual de Split Payment: ${(percentualImplementacao * 100).toFixed(1)}% em ${ano} (${(percentualAnterior * 100).toFixed(1)}% nas competências do ano anterior)`,
+                `Modalidade: ${modalidadesSplit[retencaoAtual.modalidade].nome} - ${modalidadesSplit[retencaoAtual.modalidade].formula}`,
+                `Imposto retido na liquidação no ano: ${formatarMoeda(resumo.totalImpostoRetidoSplit)}`,
+                `Imposto recolhido no vencimento: ${formatarMoeda(resumo.totalImpostoRecolhidoAtual)} (atual) e ${formatarMoeda(resumo.totalImpostoRecolhidoSplit)} (Split Payment)`,
+                `Maior diferença de saldo: ${formatarMoeda(resumo.maiorDiferencaSaldo)} em ${resumo.periodoMaiorDiferenca}`
+            ],
+            observacoes: [
+                "As vendas do final do ano anterior são consideradas para refletir recebimentos e recolhimentos que ocorrem no início do ano.",
+                "Os pagamentos a fornecedores correspondem ao faturamento deduzido do imposto líquido e da margem operacional, pagos no prazo médio de pagamento.",
+                "Na transição de percentual entre anos, o recolhimento tradicional da competência anterior coincide com a retenção sobre as novas vendas."
+            ]
+        };
+
+        if (vencimentosTributos) {
+            memoriaCritica.passoAPasso.push(
+                `Vencimentos no regime atual: ${vencimentosTributos.map(tributo => `${tributo.nome} dia ${tributo.dia} (${(tributo.participacao * 100).toFixed(1)}%)`).join(', ')}`
+            );
+        }
+
+        if (fatoresSazonalidade) {
+            const fatorMinimo = Math.min(...fatoresSazonalidade);
+            const fatorMaximo = Math.max(...fatoresSazonalidade);
+            memoriaCritica.passoAPasso.push(
+                `Sazonalidade da série mensal importada: faturamento de ${fatorMinimo.toFixed(2)}x (${nomesMeses[fatoresSazonalidade.indexOf(fatorMinimo)]}) a ${fatorMaximo.toFixed(2)}x (${nomesMeses[fatoresSazonalidade.indexOf(fatorMaximo)]}) a média mensal`
+            );
+            memoriaCritica.observacoes.push("As vendas, os recolhimentos e as retenções de cada competência seguem o fator de sazonalidade do mês, obtido da série mensal das EFD importadas.");
+        }
+
+        if (liquidacoes.length > 0) {
+            memoriaCritica.observacoes.push("Os recebimentos seguem o calendário de liquidação de cada meio de pagamento (uma liquidação por parcela do cartão), líquidos do MDR, e a retenção do Split Payment ocorre em cada liquidação.");
+        }
+
+        if (impostoSeletivoAtual > 0 || impostoSeletivoAnterior > 0) {
+            memoriaCritica.passoAPasso.push(
+                `Imposto Seletivo recolhido no dia ${diaVencimentoIS} do mês seguinte: ${formatarMoeda(resumo.totalImpostoSeletivoSplit)} no ano`
+            );
+            memoriaCritica.observacoes.push("O Imposto Seletivo não é retido na liquidação: é recolhido no vencimento próprio e deduzido apenas do saldo com Split Payment.");
+        }
+
+        if (financiamento) {
+            memoriaCritica.passoAPasso.push(
+                `Captação de capital de giro no ano: ${formatarMoeda(resumo.totalFinanciamentoRecebido)} liberados e ${formatarMoeda(resumo.totalServicoDivida)} de serviço da dívida`
+            );
+            memoriaCritica.observacoes.push("A liberação e as prestações da captação de capital de giro são somadas apenas ao saldo com Split Payment.");
+        }
+
+        return {
+            ano,
+            granularidade,
+            percentualImplementacao,
+            percentualImplementacaoAnterior: percentualAnterior,
+            modalidadeSplit: retencaoAtual.modalidade,
+            prazoRecolhimento,
+            fatoresSazonalidade,
+            periodos,
+            resumo,
+            memoriaCritica
+        };
+    }
+
+    /**
+     * Compara as duas opções de recolhimento do IBS/CBS para empresas do Simples Nacional:
+     * dentro do DAS (crédito limitado ao valor recolhido no DAS) ou fora do DAS (regime regular,
+     * com crédito integral para o cliente B2B e retenção no Split Payment)
+     *
+     * @param {Object} dados - Dados da empresa e parâmetros de simulação (formato plano)
+     * @param {number} ano - Ano de referência para os percentuais de implementação
+     * @param {Object} parametrosSetoriais - Parâmetros específicos do setor (opcional)
+     * @returns {Object} - Resultado de cada opção, diferenças e recomendação
+     */
+    function compararOpcoesSimplesNacional(dados, ano = ANO_INICIO_OPCAO_SIMPLES_HIBRIDO, parametrosSetoriais = null) {
+        const faturamento = typeof dados.faturamento === 'number' && !isNaN(dados.faturamento) ? dados.faturamento : 0;
+        const aliquotaSimples = dados.aliquota > 1 ? dados.aliquota / 100 : (dados.aliquota || 0);
+        const margem = dados.margem > 1 ? dados.margem / 100 : (dados.margem || 0.15);
+        const taxaCapitalGiro = dados.taxaCapitalGiro > 1 ? dados.taxaCapitalGiro / 100 : (dados.taxaCapitalGiro || 0.021);
+        const percentualVendasB2B = Math.max(0, Math.min(1, dados.percentualVendasB2B !== undefined ? dados.percentualVendasB2B : 0.5));
+        const elasticidade = Math.max(0, dados.elasticidadeDemandaB2B !== undefined ? dados.elasticidadeDemandaB2B : 1.0);
+        const percentualComprasCreditaveis = Math.max(0, Math.min(1, dados.percentualComprasCreditaveis !== undefined ? dados.percentualComprasCreditaveis : 0.5));
+        const participacao = PARTICIPACAO_TRIBUTOS_CONSUMO_DAS[dados.tipoEmpresa] || PARTICIPACAO_TRIBUTOS_CONSUMO_DAS.comercio;
+
+        const percentualCBS = window.CurrentTaxSystem.obterPercentualImplementacao(ano, 'cbs', parametrosSetoriais);
+        const percentualIBS = window.CurrentTaxSystem.obterPercentualImplementacao(ano, 'ibs', parametrosSetoriais);
+        const percentualSplit = window.CurrentTaxSystem.obterPercentualImplementacao(ano, 'splitPayment', parametrosSetoriais);
+
+        // Fração do DAS que corresponde à CBS e ao IBS no ano
+        const fracaoIVANoDAS = participacao.pisCofins * percentualCBS + participacao.icmsIss * percentualIBS;
+
+        // IBS/CBS no regime regular, sem o Imposto Seletivo (devido em ambas as opções)
+        const impostosRegulares = calcularTransicaoIVADual(faturamento, ano, {}, {
+            parametrosSetoriais,
+            dados: { ...dados, aliquotaIS: 0, produtosIS: [] }
+        });
+        const debitoIVARegular = (impostosRegulares.cbs || 0) + (impostosRegulares.ibs || 0);
+        // Créditos fora do DAS: informados, das compras por fornecedor ou das compras creditáveis estimadas
+        const creditosInformados = (dados.creditosCBS || 0) + (dados.creditosIBS || 0);
+        const creditosFornecedores = calcularCreditosFornecedoresAno(dados, ano, parametrosSetoriais);
+        let origemCreditos;
+        let creditosEstimados;
+        if (creditosInformados > 0) {
+            origemCreditos = 'informados';
+            creditosEstimados = creditosInformados;
+        } else if (creditosFornecedores && creditosFornecedores.totais.valorCompras > 0) {
+            origemCreditos = 'fornecedores';
+            creditosEstimados = creditosFornecedores.totais.creditoRecuperavel;
+        } else {
+            // Compras creditáveis em percentual do faturamento, às alíquotas cheias da CBS e do IBS no ano
+            // (as reduções setoriais do débito não alcançam a alíquota das compras)
+            const aliquotasPadrao = obterAliquotasIVADual();
+            const aliquotaCompras =
+                (dados.aliquotaCBS || parametrosSetoriais?.aliquotaCBS || aliquotasPadrao.cbs) * percentualCBS +
+                (dados.aliquotaIBS || parametrosSetoriais?.aliquotaIBS || aliquotasPadrao.ibs) * percentualIBS;
+            origemCreditos = 'percentualCompras';
+            creditosEstimados = faturamento * percentualComprasCreditaveis * aliquotaCompras;
+        }
+        const creditosRegulares = Math.min(debitoIVARegular, creditosEstimados);
+
+        // Opção 1: IBS/CBS dentro do DAS
+        const valorDASIntegral = faturamento * aliquotaSimples;
+        const ivaRecolhidoDAS = valorDASIntegral * fracaoIVANoDAS;
+        const retencaoDentro = calcularRetencaoSplit(
+            ivaRecolhidoDAS, 0, faturamento, percentualSplit, dados.modalidadeSplit, dados.percentualSplitSimplificado
+        );
+
+        // Opção 2: IBS/CBS fora do DAS (regime regular)
+        const valorDASReduzido = valorDASIntegral - ivaRecolhidoDAS;
+        const ivaLiquidoRegular = debitoIVARegular - creditosRegulares;
+        const retencaoFora = calcularRetencaoSplit(
+            debitoIVARegular, creditosRegulares, faturamento, percentualSplit, dados.modalidadeSplit, dados.percentualSplitSimplificado
+        );
+
+        // Crédito apropriável pelo cliente B2B em cada opção (percentual do valor da operação)
+        const creditoClienteDentro = faturamento > 0 ? ivaRecolhidoDAS / faturamento : 0;
+        const creditoClienteFora = faturamento > 0 ? debitoIVARegular / faturamento : 0;
+
+        // Crédito a menor encarece a compra para o cliente B2B e reduz a demanda conforme a elasticidade
+        const diferencialCredito = Math.max(0, creditoClienteFora - creditoClienteDentro);
+        const receitaB2B = faturamento * percentualVendasB2B;
+        const perdaDemanda = receitaB2B * Math.min(1, elasticidade * diferencialCredito);
+
+        const montarOpcao = (opcao, nome, valorDAS, ivaForaDAS, creditosAproveitados, retencao, creditoCliente, perda) => {
+            // No split simplificado o valor retido acima do devido já integra valorImpostoSplit
+            const valorRetidoSplit = retencao.valorImpostoSplit;
+            const cargaTributariaTotal = valorDAS + ivaForaDAS;
+            const custoFinanceiroRetencao = valorRetidoSplit * taxaCapitalGiro;
+            const perdaMargemDemanda = perda * margem;
+
+            return {
+                opcao,
+                nome,
+                valorDAS,
+                ivaRecolhidoDAS: opcao === 'dentroDAS' ? ivaRecolhidoDAS : 0,
+                ivaRecolhidoForaDAS: ivaForaDAS,
+                creditosAproveitados,
+                cargaTributariaTotal,
+                aliquotaEfetiva: faturamento > 0 ? cargaTributariaTotal / faturamento : 0,
+                creditoTransferidoCliente: creditoCliente,
+                valorRetidoSplit,
+                custoFinanceiroRetencao,
+                perdaDemanda: perda,
+                perdaMargemDemanda,
+                resultadoEconomico: -(cargaTributariaTotal + custoFinanceiroRetencao + perdaMargemDemanda)
+            };
+        };
+
+        const dentroDAS = montarOpcao(
+            'dentroDAS', 'IBS/CBS dentro do DAS', valorDASIntegral, 0, 0, retencaoDentro, creditoClienteDentro, perdaDemanda
+        );
+        const foraDAS = montarOpcao(
+            'foraDAS', 'IBS/CBS fora do DAS (regime regular)', valorDASReduzido, ivaLiquidoRegular, creditosRegulares, retencaoFora, creditoClienteFora, 0
+        );
+
+        // Diferenças da opção fora do DAS em relação à opção dentro do DAS (valores mensais)
+        const diferencas = {
+            cargaTributaria: foraDAS.cargaTributariaTotal - dentroDAS.cargaTributariaTotal,
+            valorRetidoSplit: foraDAS.valorRetidoSplit - dentroDAS.valorRetidoSplit,
+            custoFinanceiroRetencao: foraDAS.custoFinanceiroRetencao - dentroDAS.custoFinanceiroRetencao,
+            demandaPreservada: dentroDAS.perdaDemanda - foraDAS.perdaDemanda,
+            resultadoEconomico: foraDAS.resultadoEconomico - dentroDAS.resultadoEconomico
+        };
+
+        // Recomendação
+        const disponivel = ano >= ANO_INICIO_OPCAO_SIMPLES_HIBRIDO && fracaoIVANoDAS > 0;
+        const opcaoRecomendada = disponivel && diferencas.resultadoEconomico > 0 ? 'foraDAS' : 'dentroDAS';
+        const formatarMoeda = window.DataManager.formatarMoeda || (valor => valor.toFixed(2));
+        const justificativas = [];
+
+        if (!disponivel) {
+            justificativas.push(`A opção pelo recolhimento do IBS/CBS fora do DAS só está disponível a partir de ${ANO_INICIO_OPCAO_SIMPLES_HIBRIDO}.`);
+        } else {
+            justificativas.push(diferencas.cargaTributaria > 0 ?
+                `A carga tributária mensal aumenta ${formatarMoeda(diferencas.cargaTributaria)} fora do DAS.` :
+                `A carga tributária mensal diminui ${formatarMoeda(Math.abs(diferencas.cargaTributaria))} fora do DAS.`);
+            justificativas.push(`Os clientes B2B passam a apropriar ${(creditoClienteFora * 100).toFixed(2)}% de crédito, contra ${(creditoClienteDentro * 100).toFixed(2)}% dentro do DAS, preservando ${formatarMoeda(diferencas.demandaPreservada)} de receita mensal.`);
+            justificativas.push(`A retenção no Split Payment varia ${formatarMoeda(diferencas.valorRetidoSplit)}, com custo financeiro adicional de ${formatarMoeda(diferencas.custoFinanceiroRetencao)} ao mês.`);
+            if (percentualVendasB2B === 0) {
+                justificativas.push('Sem vendas para contribuintes, o crédito integral não gera ganho de competitividade.');
+            }
+        }
+
+        return {
+            ano,
+            disponivel,
+            percentualVendasB2B,
+            elasticidadeDemandaB2B: elasticidade,
+            fracaoIVANoDAS,
+            origemCreditos,
+            dentroDAS,
+            foraDAS,
+            diferencas,
+            recomendacao: {
+                opcao: opcaoRecomendada,
+                nome: opcaoRecomendada === 'foraDAS' ? foraDAS.nome : dentroDAS.nome,
+                vantagemMensal: Math.abs(diferencas.resultadoEconomico),
+                justificativas
+            }
+        };
+    }
+
     /**
      * Calcula o impacto do Split Payment no capital de giro
      * 
@@ -450,7 +1430,7 @@ window.IVADualSystem = (function() {
             // Calcular fluxo de caixa no regime atual
             const resultadoAtual = window.CurrentTaxSystem.calcularFluxoCaixaAtual(
                 dados, 
-                { isRecursiveCall: true }
+                { isRecursiveCall: true, ano }
             );
 
             // Calcular impostos no sistema IVA Dual, independentemente da opção Split Payment
@@ -465,7 +1445,10 @@ window.IVADualSystem = (function() {
                     aliquotaCBS: parametrosSetoriais?.aliquotaCBS || dados.aliquotaCBS,
                     aliquotaIBS: parametrosSetoriais?.aliquotaIBS || dados.aliquotaIBS,
                     categoriaIva: parametrosSetoriais?.categoriaIva || dados.categoriaIVA,
-                    reducaoEspecial: parametrosSetoriais?.reducaoEspecial || dados.reducaoEspecial
+                    reducaoEspecial: parametrosSetoriais?.reducaoEspecial || dados.reducaoEspecial,
+                    aliquotaIS: parametrosSetoriais?.aliquotaIS || dados.aliquotaIS,
+                    produtosIS: parametrosSetoriais?.produtosIS || dados.produtosIS,
+                    destinosIBS: parametrosSetoriais?.destinosIBS || dados.destinosIBS
                 };
 
                 // Calcular impostos IVA Dual considerando parâmetros setoriais
@@ -483,6 +1466,8 @@ window.IVADualSystem = (function() {
             // Determinar como calcular o resultado com Split Payment
             let resultadoSplitPayment;
             let resultadoIVASemSplit;
+            let comparativoModalidades = null;
+            let bancoCreditos = null;
 
             // Criar o cenário IVA sem Split explicitamente
             resultadoIVASemSplit = JSON.parse(JSON.stringify(resultadoAtual));
@@ -514,12 +1499,39 @@ window.IVADualSystem = (function() {
                 }
 
                 // Recalcular explicitamente o capital de giro disponível com Split Payment
-                const percentualImplementacao = window.CurrentTaxSystem.obterPercentualImplementacao(ano, parametrosSetoriais);
-                const valorImpostoTotal = resultadoImpostosIVA?.total || 0;
-                const valorImpostoSplit = valorImpostoTotal * percentualImplementacao;
+                const percentualImplementacao = window.CurrentTaxSystem.obterPercentualImplementacao(ano, 'splitPayment', parametrosSetoriais);
+                // O Imposto Seletivo não é retido no Split Payment: recolhimento próprio no vencimento
+                const valorImpostoTotal = (resultadoImpostosIVA?.total || 0) - (resultadoImpostosIVA?.impostoSeletivo || 0);
+                // Créditos das aquisições de ativo imobilizado também abatem a retenção
+                const creditosInvestimento = Math.max(0, parseFloat(dados.bancoCreditos?.creditosInvestimento) || 0);
+                const creditosIVA = (dados.creditosCBS || 0) + (dados.creditosIBS || 0) + creditosInvestimento;
+                const retencao = calcularRetencaoSplit(
+                    valorImpostoTotal, creditosIVA, dados.faturamento, percentualImplementacao,
+                    dados.modalidadeSplit, dados.percentualSplitSimplificado
+                );
+                // Valor retido na liquidação (no split simplificado, inclui o valor retido acima do devido)
+                const valorImpostoSplit = retencao.valorImpostoSplit;
 
                 // No regime Split Payment, o capital de giro disponível é reduzido pelo valor do imposto afetado pelo Split
                 resultadoSplitPayment.capitalGiroDisponivel = resultadoAtual.capitalGiroDisponivel - valorImpostoSplit;
+                resultadoSplitPayment.modalidadeSplit = retencao.modalidade;
+
+                // O Imposto Seletivo permanece no caixa até o vencimento próprio, como o imposto não retido
+                resultadoSplitPayment.impostoSeletivoNoVencimento = resultadoImpostosIVA?.impostoSeletivo || 0;
+                resultadoSplitPayment.capitalGiroDisponivel += resultadoSplitPayment.impostoSeletivoNoVencimento;
+
+                // Créditos retidos no banco de créditos (a apropriar, transportados ou aguardando ressarcimento)
+                bancoCreditos = simularBancoCreditosAno(dados, valorImpostoTotal, creditosIVA);
+                if (bancoCreditos) {
+                    resultadoSplitPayment.creditosImobilizados = bancoCreditos.resumo.mediaCreditosImobilizados;
+                    resultadoSplitPayment.capitalGiroDisponivel -= bancoCreditos.resumo.mediaCreditosImobilizados;
+                }
+
+                // Comparativo entre as modalidades de recolhimento
+                comparativoModalidades = compararModalidadesSplit(
+                    valorImpostoTotal, creditosIVA, dados.faturamento, percentualImplementacao,
+                    resultadoAtual.capitalGiroDisponivel, dados.percentualSplitSimplificado
+                );
 
                 // Log para diagnóstico
                 console.log(`Recalculando capital de giro com Split Payment: Percentual=${percentualImplementacao*100}%, Imposto Total=${valorImpostoTotal}, Imposto Split=${valorImpostoSplit}, Capital Giro Final=${resultadoSplitPayment.capitalGiroDisponivel}`);
@@ -615,9 +1627,43 @@ window.IVADualSystem = (function() {
                 impactoMargemDetalhado,
                 impactoMargemDetalhadoIVASemSplit,
                 splitPaymentConsiderado: considerarSplitPayment,
+                modalidadeSplit: resultadoSplitPayment.modalidadeSplit || null,
+                comparativoModalidades,
+                bancoCreditos,
+                cargaItens: calcularCargaItensAno(dados, ano, parametrosSetoriais),
+                creditosFornecedores: calcularCreditosFornecedoresAno(dados, ano, parametrosSetoriais),
+                liquidacaoRecebiveis: calcularLiquidacaoRecebiveisAno(dados, ano, parametrosSetoriais),
+                floatTributos: calcularFloatTributosAno(
+                    resultadoAtual.calendarioRecolhimento,
+                    considerarSplitPayment ? window.CurrentTaxSystem.obterPercentualImplementacao(ano, 'splitPayment', parametrosSetoriais) : 0
+                ),
+                impostoSeletivo: {
+                    valor: resultadoImpostosIVA?.impostoSeletivo || 0,
+                    aliquotaEfetiva: calcularAliquotaEfetivaSeletivo(
+                        parametrosSetoriais?.aliquotaIS || dados.aliquotaIS, 
+                        parametrosSetoriais?.produtosIS || dados.produtosIS
+                    ),
+                    diaVencimento: dados.diaVencimentoIS || 25, // Dia do mês subsequente
+                    retidoSplitPayment: false,
+                    geraCredito: false
+                },
+                ibsPorDestino: resultadoImpostosIVA?.ibsPorDestino || null,
+                composicaoICMSAtual: resultadoAtual.impostos?.composicaoICMS || null,
+                versaoCronograma: window.CronogramaTransicao.obterVersaoAtiva(),
                 impactoBase: {}
             };
 
+            // Comparativo da opção de recolhimento do IBS/CBS para o Simples Nacional
+            let comparativoSimplesNacional = null;
+            if (dados.regime === 'simples') {
+                try {
+                    comparativoSimplesNacional = compararOpcoesSimplesNacional(dados, ano, parametrosSetoriais);
+                } catch (erroSimples) {
+                    console.warn('Erro ao comparar opções do Simples Nacional:', erroSimples);
+                }
+            }
+            resultado.comparativoSimplesNacional = comparativoSimplesNacional;
+
             // Inicializar adequadamente resultado.impactoBase para evitar o erro
             resultado.impactoBase = {
                 resultadoAtual: resultadoAtual,
@@ -635,9 +1681,19 @@ window.IVADualSystem = (function() {
                 margemOperacionalAjustada: margemAjustada,
                 margemOperacionalAjustadaIVASemSplit: margemAjustadaIVASemSplit,
                 impactoMargem: impactoPercentual,
-                impactoMargemIVASemSplit: impactoPercentualIVASemSplit
+                impactoMargemIVASemSplit: impactoPercentualIVASemSplit,
+                comparativoModalidades: comparativoModalidades,
+                comparativoSimplesNacional: comparativoSimplesNacional
             };
 
+            // Adicionar fluxo de caixa período a período ao resultado
+            try {
+                resultado.fluxoCaixaMensal = calcularFluxoCaixaMensal(dados, ano, parametrosSetoriais);
+            } catch (erroFluxo) {
+                console.warn('Erro ao calcular fluxo de caixa mensal:', erroFluxo);
+                resultado.fluxoCaixaMensal = null;
+            }
+
             // Adicionar análise de sensibilidade ao resultado
             resultado.analiseSensibilidade = calcularAnaliseSensibilidadeSimplificada(
                 dados, 
@@ -687,6 +1743,7 @@ window.IVADualSystem = (function() {
         // Obter percentual de implementação
         const percentualImplementacao = window.CurrentTaxSystem.obterPercentualImplementacao(
             ano, 
+            'splitPayment',
             parametrosSetoriais
         );
 
@@ -801,6 +1858,62 @@ window.IVADualSystem = (function() {
         return resultado;
     }
 
+    /**
+     * Converte a necessidade de capital de giro e o custo financeiro anuais da projeção em valores
+     * reais (R$ do ano inicial, deflacionados pelo IPCA projetado) e em valor presente (descontados
+     * pela taxa de desconto/WACC), mantendo também os valores nominais
+     * 
+     * @param {Object} dados - Dados em formato plano (ipcaProjetado, taxaDesconto)
+     * @param {Object} resultadosAnuais - Resultados de calcularImpactoCapitalGiro por ano
+     * @param {number} anoInicial - Ano-base da projeção
+     * @param {number} anoFinal - Último ano da projeção
+     * @returns {Object} - Valores por ano e totais nominais, reais e presentes
+     */
+    function calcularProjecaoFinanceira(dados, resultadosAnuais, anoInicial, anoFinal) {
+        const { taxaDesconto, fatores } = window.CalculationCore.calcularFatoresFinanceiros(dados, anoInicial, anoFinal);
+
+        const criarTotais = () => ({ totalNecessidadeCapitalGiro: 0, custoFinanceiroTotal: 0 });
+        const projecaoFinanceira = {
+            taxaDesconto,
+            anos: [],
+            totalNominal: criarTotais(),
+            totalReal: criarTotais(),
+            totalValorPresente: criarTotais()
+        };
+
+        for (let ano = anoInicial; ano <= anoFinal; ano++) {
+            const impactoAno = resultadosAnuais[ano];
+            if (!impactoAno) continue;
+
+            const { ipca, fatorInflacao, fatorDesconto } = fatores[ano];
+            const necessidade = impactoAno.necessidadeAdicionalCapitalGiro || 0;
+            const custoFinanceiro = impactoAno.impactoMargemDetalhado?.custoAnualCapitalGiro || 0;
+
+            const linha = {
+                ano,
+                ipca,
+                fatorInflacao,
+                fatorDesconto,
+                necessidadeNominal: necessidade,
+                necessidadeReal: necessidade / fatorInflacao,
+                necessidadeValorPresente: necessidade * fatorDesconto,
+                custoFinanceiroNominal: custoFinanceiro,
+                custoFinanceiroReal: custoFinanceiro / fatorInflacao,
+                custoFinanceiroValorPresente: custoFinanceiro * fatorDesconto
+            };
+            projecaoFinanceira.anos.push(linha);
+
+            projecaoFinanceira.totalNominal.totalNecessidadeCapitalGiro += linha.necessidadeNominal;
+            projecaoFinanceira.totalNominal.custoFinanceiroTotal += linha.custoFinanceiroNominal;
+            projecaoFinanceira.totalReal.totalNecessidadeCapitalGiro += linha.necessidadeReal;
+            projecaoFinanceira.totalReal.custoFinanceiroTotal += linha.custoFinanceiroReal;
+            projecaoFinanceira.totalValorPresente.totalNecessidadeCapitalGiro += linha.necessidadeValorPresente;
+            projecaoFinanceira.totalValorPresente.custoFinanceiroTotal += linha.custoFinanceiroValorPresente;
+        }
+
+        return projecaoFinanceira;
+    }
+
     /**
      * Simula o impacto do Split Payment ao longo do período de transição
      * 
@@ -825,8 +1938,11 @@ window.IVADualSystem = (function() {
         }
 
         // Validar intervalo de anos
-        if (anoInicial < 2026 || anoFinal > 2033 || anoInicial > anoFinal) {
-            throw new Error('Intervalo de anos inválido. O período deve estar entre 2026 e 2033, com ano inicial menor que o final.');
+        const anosCronograma = window.CronogramaTransicao.obterAnos();
+        const primeiroAno = anosCronograma[0];
+        const ultimoAno = anosCronograma[anosCronograma.length - 1];
+        if (anoInicial < primeiroAno || anoFinal > ultimoAno || anoInicial > anoFinal) {
+            throw new Error(`Intervalo de anos inválido. O período deve estar entre ${primeiroAno} e ${ultimoAno}, com ano inicial menor que o final.`);
         }
 
         // Normalizar e validar cenário
@@ -867,9 +1983,19 @@ window.IVADualSystem = (function() {
             const impactoAcumulado = {
                 totalNecessidadeCapitalGiro: 0,
                 custoFinanceiroTotal: 0,
-                impactoMedioMargem: 0
+                impactoMedioMargem: 0,
+                totalImpostoSeletivo: 0,
+                ibsPorEnte: {},
+                totalSaldoCredorICMS: 0
             };
 
+            // Cronograma de aproveitamento do saldo credor de ICMS no IBS (a partir de 2033)
+            const cronogramaSaldoCredorICMS = window.SaldoCredorICMS && dados.saldoCredorICMS?.saldoInicial > 0 ?
+                window.SaldoCredorICMS.gerarCronograma(dados.saldoCredorICMS) : null;
+
+            // Cronograma da captação de capital de giro, dimensionado pelo impacto do primeiro ano
+            let cronogramaFinanciamento = null;
+
             // Adicionar estrutura para comparação entre regimes
             const comparacaoRegimes = {
                 anos: [],
@@ -885,6 +2011,8 @@ window.IVADualSystem = (function() {
                     capitalGiro: [],
                     impostos: []
                 },
+                impostoSeletivo: [],
+                saldoCredorICMS: [],
                 impacto: {
                     diferencaCapitalGiro: [],
                     percentualImpacto: [],
@@ -917,12 +2045,43 @@ window.IVADualSystem = (function() {
                 }
                 // FIM DA MODIFICAÇÃO
 
+                // Entradas de caixa mensais do saldo credor de ICMS no ano
+                impactoAno.saldoCredorICMS = cronogramaSaldoCredorICMS ?
+                    window.SaldoCredorICMS.obterEntradasAno(cronogramaSaldoCredorICMS, ano) : null;
+
+                // Liberação e serviço da dívida da captação de capital de giro no fluxo de caixa do ano
+                if (ano === anoInicial && window.CronogramaFinanciamento && dados.estrategias?.capitalGiro?.ativar) {
+                    const dataContratacao = String(dados.dataInicial || '').startsWith(String(anoInicial)) ? dados.dataInicial : `${anoInicial}-01`;
+                    cronogramaFinanciamento = gerarCronogramaCapitalGiro(dados.estrategias.capitalGiro, impactoAno, dataContratacao);
+                }
+                const financiamentoAno = cronogramaFinanciamento ?
+                    window.CronogramaFinanciamento.obterFluxoAno(cronogramaFinanciamento, ano) : null;
+                if (financiamentoAno && (financiamentoAno.totalLiberacao > 0 || financiamentoAno.totalServicoDivida > 0)) {
+                    impactoAno.financiamentoCapitalGiro = financiamentoAno;
+                    try {
+                        impactoAno.fluxoCaixaMensal = calcularFluxoCaixaMensal(dadosAno, ano, parametrosSetoriais, {
+                            financiamento: impactoAno.financiamentoCapitalGiro
+                        });
+                    } catch (erroFluxo) {
+                        console.warn('Erro ao incluir o serviço da dívida no fluxo de caixa mensal:', erroFluxo);
+                    }
+                }
+
                 // Armazenar resultado do ano
                 resultadosAnuais[ano] = impactoAno;
 
                 // Acumular valores para análise global
                 impactoAcumulado.totalNecessidadeCapitalGiro += impactoAno.necessidadeAdicionalCapitalGiro || 0;
                 impactoAcumulado.custoFinanceiroTotal += impactoAno.impactoMargemDetalhado?.custoAnualCapitalGiro || 0;
+                impactoAcumulado.totalImpostoSeletivo += (impactoAno.impostoSeletivo?.valor || 0) * 12; // Valor anual
+                (impactoAno.ibsPorDestino?.porEnte || []).forEach(ente => {
+                    const chave = `${ente.tipo}:${ente.codigo}`;
+                    if (!impactoAcumulado.ibsPorEnte[chave]) {
+                        impactoAcumulado.ibsPorEnte[chave] = { tipo: ente.tipo, codigo: ente.codigo, nome: ente.nome, valor: 0 };
+                    }
+                    impactoAcumulado.ibsPorEnte[chave].valor += ente.valor * 12; // Valor anual
+                });
+                impactoAcumulado.totalSaldoCredorICMS += impactoAno.saldoCredorICMS?.total || 0;
                 somaImpactoMargem += impactoAno.impactoMargem || 0;
 
                 // Adicionar dados comparativos para gráficos
@@ -952,6 +2111,16 @@ window.IVADualSystem = (function() {
                     impactoAno.resultadoIVASemSplit?.impostos?.total || 0
                 );
 
+                // Imposto Seletivo mensal (fora do Split Payment)
+                comparacaoRegimes.impostoSeletivo.push(
+                    impactoAno.impostoSeletivo?.valor || 0
+                );
+
+                // Entradas anuais do saldo credor de ICMS (compensação com o IBS ou ressarcimento)
+                comparacaoRegimes.saldoCredorICMS.push(
+                    impactoAno.saldoCredorICMS?.total || 0
+                );
+
                 // Dados de impacto
                 comparacaoRegimes.impacto.diferencaCapitalGiro.push(
                     impactoAno.diferencaCapitalGiro || 0
@@ -974,6 +2143,11 @@ window.IVADualSystem = (function() {
             const numAnos = anoFinal - anoInicial + 1;
             impactoAcumulado.impactoMedioMargem = somaImpactoMargem / numAnos;
 
+            // Valores reais (deflacionados pelo IPCA) e presentes (descontados pela taxa de desconto)
+            const projecaoFinanceira = calcularProjecaoFinanceira(dados, resultadosAnuais, anoInicial, anoFinal);
+            impactoAcumulado.valorReal = projecaoFinanceira.totalReal;
+            impactoAcumulado.valorPresente = projecaoFinanceira.totalValorPresente;
+
             // Gerar memória crítica usando DataManager se disponível
             let memoriaCritica;
             try {
@@ -1013,10 +2187,15 @@ window.IVADualSystem = (function() {
                     anoInicial,
                     anoFinal,
                     cenarioTaxaCrescimento,
-                    taxaCrescimento
+                    taxaCrescimento,
+                    modalidadeSplit: modalidadesSplit[dados.modalidadeSplit] ? dados.modalidadeSplit : 'inteligente',
+                    versaoCronograma: window.CronogramaTransicao.obterVersaoAtiva()
                 },
                 resultadosAnuais,  // Resultados para cada ano individualmente
                 impactoAcumulado,
+                projecaoFinanceira, // Valores nominais, reais e presentes por ano
+                saldoCredorICMS: cronogramaSaldoCredorICMS, // Cronograma completo (240 parcelas)
+                cronogramaFinanciamento, // Parcelas da captação de capital de giro (se a estratégia estiver ativa)
                 comparacaoRegimes, // Nova estrutura para comparações e gráficos
                 memoriaCritica
             };
@@ -1085,7 +2264,7 @@ window.IVADualSystem = (function() {
         const cicloFinanceiroAtual = pmr + pme - pmp;
 
         // Obter percentual de implementação para o ano específico
-        const percentualImplementacao = window.CurrentTaxSystem.obterPercentualImplementacao(ano, parametrosSetoriais);
+        const percentualImplementacao = window.CurrentTaxSystem.obterPercentualImplementacao(ano, 'splitPayment', parametrosSetoriais);
 
         // Cálculo do impacto do Split Payment
         const valorImpostoTotal = faturamento * aliquota;
@@ -1150,25 +2329,38 @@ window.IVADualSystem = (function() {
      * @param {Object} estrategias - Configuração das estratégias de mitigação
      * @param {number} ano - Ano de referência para percentual de implementação
      * @param {Object} parametrosSetoriais - Parâmetros específicos do setor (opcional)
+     * @param {Object} projecaoTemporal - Projeção já calculada, usada no VPL das estratégias (opcional)
      * @returns {Object} - Análise detalhada da efetividade das estratégias
      */
-    function calcularEfeitividadeMitigacao(dados, estrategias, ano = 2026, parametrosSetoriais = null) {
+    function calcularEfeitividadeMitigacao(dados, estrategias, ano = 2026, parametrosSetoriais = null, projecaoTemporal = null) {
         // Calcular impacto base sem mitigação
         const impactoBase = calcularImpactoCapitalGiro(dados, ano, parametrosSetoriais);
 
-        // Inicializar resultados por estratégia
+        // Inicializar resultados por estratégia (estratégias ausentes são tratadas como inativas)
         const resultadosEstrategias = {
-            ajustePrecos: estrategias.ajustePrecos.ativar ? calcularEfeitividadeAjustePrecos(dados, estrategias.ajustePrecos, impactoBase) : null,
-            renegociacaoPrazos: estrategias.renegociacaoPrazos.ativar ? calcularEfeitividadeRenegociacaoPrazos(dados, estrategias.renegociacaoPrazos, impactoBase) : null,
-            antecipacaoRecebiveis: estrategias.antecipacaoRecebiveis.ativar ? calcularEfeitividadeAntecipacaoRecebiveis(dados, estrategias.antecipacaoRecebiveis, impactoBase) : null,
-            capitalGiro: estrategias.capitalGiro.ativar ? calcularEfeitividadeCapitalGiro(dados, estrategias.capitalGiro, impactoBase) : null,
-            mixProdutos: estrategias.mixProdutos.ativar ? calcularEfeitividadeMixProdutos(dados, estrategias.mixProdutos, impactoBase) : null,
-            meiosPagamento: estrategias.meiosPagamento.ativar ? calcularEfeitividadeMeiosPagamento(dados, estrategias.meiosPagamento, impactoBase) : null
+            ajustePrecos: estrategias.ajustePrecos?.ativar ? calcularEfeitividadeAjustePrecos(dados, estrategias.ajustePrecos, impactoBase) : null,
+            renegociacaoPrazos: estrategias.renegociacaoPrazos?.ativar ? calcularEfeitividadeRenegociacaoPrazos(dados, estrategias.renegociacaoPrazos, impactoBase) : null,
+            antecipacaoRecebiveis: estrategias.antecipacaoRecebiveis?.ativar ? calcularEfeitividadeAntecipacaoRecebiveis(dados, estrategias.antecipacaoRecebiveis, impactoBase) : null,
+            capitalGiro: estrategias.capitalGiro?.ativar ? calcularEfeitividadeCapitalGiro(dados, estrategias.capitalGiro, impactoBase) : null,
+            mixProdutos: estrategias.mixProdutos?.ativar ? calcularEfeitividadeMixProdutos(dados, estrategias.mixProdutos, impactoBase) : null,
+            meiosPagamento: estrategias.meiosPagamento?.ativar ? calcularEfeitividadeMeiosPagamento(dados, estrategias.meiosPagamento, impactoBase) : null
         };
 
         // Calcular efetividade combinada
         const efeitividadeCombinada = calcularEfeitividadeCombinada(dados, estrategias, resultadosEstrategias, impactoBase);
 
+        // Classificar estratégias pelo VPL do benefício líquido ao longo da projeção
+        let analiseVPL = null;
+        try {
+            const anosCronograma = window.CronogramaTransicao.obterAnos();
+            const projecao = projecaoTemporal?.projecaoFinanceira ? projecaoTemporal :
+                calcularProjecaoTemporal(dados, ano, anosCronograma[anosCronograma.length - 1],
+                    dados.cenario, dados.taxaCrescimento, parametrosSetoriais);
+            analiseVPL = calcularVPLEstrategias(resultadosEstrategias, efeitividadeCombinada, impactoBase, projecao.projecaoFinanceira);
+        } catch (erro) {
+            console.warn('Não foi possível calcular o VPL das estratégias:', erro);
+        }
+
         // Ordenar estratégias por efetividade
         const estrategiasOrdenadas = Object.entries(resultadosEstrategias)
             .filter(([_, resultado]) => resultado !== null)
@@ -1262,12 +2454,85 @@ window.IVADualSystem = (function() {
             combinacaoOtima,
             regimesComparacao,    // Nova estrutura para comparações
             dadosGraficos,        // Nova estrutura para gráficos
+            analiseVPL,           // Ranking das estratégias pelo VPL do benefício líquido
             memoriaCritica: window.CalculationCore.gerarMemoriaCritica(dados, null)
         };
 
         return resultado;
     }
 
+    /**
+     * Calcula o benefício líquido nominal e o VPL de cada estratégia ao longo da projeção
+     * O benefício anual é o custo financeiro do capital de giro evitado (custo do ano × efetividade,
+     * limitada a 100%). O custo da estratégia, apurado sobre o impacto do ano-base, é tratado como
+     * anual e acompanha a evolução da necessidade de capital de giro nos anos seguintes.
+     * 
+     * @param {Object} resultadosEstrategias - Resultados individuais (null para estratégias inativas)
+     * @param {Object} efetividadeCombinada - Resultado de calcularEfeitividadeCombinada
+     * @param {Object} impactoBase - Impacto do ano-base
+     * @param {Object} projecaoFinanceira - Resultado de calcularProjecaoFinanceira
+     * @returns {Object} - Ranking das estratégias por VPL (decrescente) e análise da combinação
+     */
+    function calcularVPLEstrategias(resultadosEstrategias, efetividadeCombinada, impactoBase, projecaoFinanceira) {
+        const necessidadeBase = impactoBase.necessidadeAdicionalCapitalGiro || 0;
+
+        const avaliar = (efetividadePercentual, custoAnual) => {
+            const fracaoEvitada = Math.min(100, efetividadePercentual || 0) / 100;
+            const analise = {
+                beneficioNominal: 0,
+                custoNominal: 0,
+                beneficioLiquidoNominal: 0,
+                vpl: 0,
+                fluxosAnuais: []
+            };
+
+            projecaoFinanceira.anos.forEach(linha => {
+                const escala = necessidadeBase > 0 ? linha.necessidadeNominal / necessidadeBase : 0;
+                const beneficio = linha.custoFinanceiroNominal * fracaoEvitada;
+                const custo = custoAnual * escala;
+                const liquido = beneficio - custo;
+
+                analise.beneficioNominal += beneficio;
+                analise.custoNominal += custo;
+                analise.beneficioLiquidoNominal += liquido;
+                analise.vpl += liquido * linha.fatorDesconto;
+                analise.fluxosAnuais.push({ ano: linha.ano, beneficio, custo, liquido, valorPresente: liquido * linha.fatorDesconto });
+            });
+
+            return analise;
+        };
+
+        const ranking = Object.entries(resultadosEstrategias)
+            .filter(([_, resultado]) => resultado !== null)
+            .map(([nome, resultado]) => {
+                const custoAnual = window.CalculationCore.getFuncaoCusto(nome, resultado) || 0;
+                return {
+                    estrategia: nome,
+                    nome: window.CalculationCore.traduzirNomeEstrategia(nome),
+                    efetividadePercentual: resultado.efetividadePercentual || 0,
+                    custoAnual,
+                    ...avaliar(resultado.efetividadePercentual, custoAnual)
+                };
+            })
+            .sort((a, b) => b.vpl - a.vpl);
+
+        ranking.forEach((item, indice) => {
+            item.posicao = indice + 1;
+        });
+
+        return {
+            taxaDesconto: projecaoFinanceira.taxaDesconto,
+            anoInicial: projecaoFinanceira.anos[0]?.ano || null,
+            anoFinal: projecaoFinanceira.anos[projecaoFinanceira.anos.length - 1]?.ano || null,
+            ranking,
+            combinada: {
+                efetividadePercentual: efetividadeCombinada.efetividadePercentual || 0,
+                custoAnual: efetividadeCombinada.custoTotal || 0,
+                ...avaliar(efetividadeCombinada.efetividadePercentual, efetividadeCombinada.custoTotal || 0)
+            }
+        };
+    }
+
     /**
      * Calcula a efetividade do ajuste de preços
      * 
@@ -1281,7 +2546,7 @@ window.IVADualSystem = (function() {
         const percentualAumento = estrategia.percentualAumento / 100;
         const elasticidade = estrategia.elasticidade;
         const impactoVendas = percentualAumento * elasticidade;
-        const periodoAjuste = estrategia.periodoAjuste;
+        const periodoAjuste = estrategia.periodoAjuste ?? estrategia.periodo; // O formulário informa 'periodo'
 
         // Calcular faturamento ajustado
         const faturamentoAjustado = dados.faturamento * (1 + percentualAumento) * (1 + impactoVendas);
@@ -1409,19 +2674,33 @@ window.IVADualSystem = (function() {
     function calcularEfeitividadeAntecipacaoRecebiveis(dados, estrategia, impactoBase) {
         // Extrair parâmetros
         const percentualAntecipacao = estrategia.percentualAntecipacao / 100; // Percentual de recebíveis a antecipar
-        const taxaDesconto = estrategia.taxaDesconto; // Taxa de desconto (% a.m.)
-        const prazoAntecipacao = estrategia.prazoAntecipacao; // Prazo médio antecipado (dias)
+        const taxaDesconto = estrategia.taxaDesconto > 1 ? estrategia.taxaDesconto / 100 : estrategia.taxaDesconto; // Taxa de desconto (% a.m.)
+        let prazoAntecipacao = estrategia.prazoAntecipacao; // Prazo médio antecipado (dias)
 
         // Calcular o valor das vendas a prazo
         const faturamento = dados.faturamento;
         const percPrazo = dados.percPrazo;
         const vendasPrazo = faturamento * percPrazo;
 
+        // Com o mix de meios de pagamento, cada parcela é antecipada pelo prazo que ainda teria a
+        // decorrer, líquida do MDR e do imposto retido pelo Split Payment na liquidação
+        const liquidacaoRecebiveis = window.LiquidacaoRecebiveis && dados.mixRecebimentos?.length > 0 ?
+            window.LiquidacaoRecebiveis.calcular(dados.mixRecebimentos, {
+                faturamento,
+                aliquotaRetencao: impactoBase.liquidacaoRecebiveis?.aliquotaRetencao || 0,
+                taxaAntecipacao: taxaDesconto,
+                percentualAntecipacao
+            }) : null;
+
         // Valor a ser antecipado
-        const valorAntecipado = vendasPrazo * percentualAntecipacao;
+        const valorAntecipado = liquidacaoRecebiveis ? liquidacaoRecebiveis.totais.valorAntecipado : vendasPrazo * percentualAntecipacao;
 
         // Calcular o custo da antecipação
-        const custoAntecipacao = valorAntecipado * taxaDesconto * (prazoAntecipacao / 30);
+        let custoAntecipacao = valorAntecipado * taxaDesconto * (prazoAntecipacao / 30);
+        if (liquidacaoRecebiveis) {
+            prazoAntecipacao = liquidacaoRecebiveis.prazoMedioAntecipado;
+            custoAntecipacao = liquidacaoRecebiveis.totais.custoAntecipacao;
+        }
 
         // Impacto no fluxo de caixa (valor líquido antecipado)
         const impactoFluxoCaixa = valorAntecipado - custoAntecipacao;
@@ -1439,9 +2718,12 @@ window.IVADualSystem = (function() {
         const necessidadeCapitalGiro = Math.abs(impactoBase.diferencaCapitalGiro);
         const efetividadePercentual = (impactoFluxoCaixa / necessidadeCapitalGiro) * 100;
 
-        // Impacto no PMR
+        // Impacto no PMR (com o mix, redução pelos dias antecipados de cada parcela)
         const pmrOriginal = dados.pmr;
-        const pmrAjustado = pmrOriginal * (1 - (percentualAntecipacao * percPrazo));
+        const pmrAjustado = liquidacaoRecebiveis && vendasPrazo > 0 ?
+            Math.max(0, pmrOriginal - liquidacaoRecebiveis.liquidacoes.reduce((soma, liquidacao) => 
+                soma + liquidacao.valorBruto * liquidacao.diasAntecipados, 0) * percentualAntecipacao / vendasPrazo) :
+            pmrOriginal * (1 - (percentualAntecipacao * percPrazo));
         const reducaoPMR = pmrOriginal - pmrAjustado;
 
         // Impacto no ciclo financeiro
@@ -1451,7 +2733,7 @@ window.IVADualSystem = (function() {
 
         const resultado = {
             percentualAntecipacao: estrategia.percentualAntecipacao,
-            taxaDesconto: estrategia.taxaDesconto * 100,
+            taxaDesconto: taxaDesconto * 100,
             prazoAntecipacao,
             vendasPrazo,
             valorAntecipado,
@@ -1464,6 +2746,7 @@ window.IVADualSystem = (function() {
             reducaoPMR,
             cicloFinanceiroAjustado,
             reducaoCiclo,
+            liquidacaoRecebiveis,
             custoBeneficio: custoTotalAntecipacao / valorTotalAntecipado,
             memoriaCritica: window.CalculationCore.gerarMemoriaCritica(dados, null)
         };
@@ -1471,6 +2754,31 @@ window.IVADualSystem = (function() {
         return resultado;
     }
 
+    /**
+     * Gera o cronograma de amortização da captação de capital de giro
+     * 
+     * @param {Object} estrategia - Configuração da estratégia de capital de giro
+     * @param {Object} impactoBase - Impacto do Split Payment que dimensiona a captação
+     * @param {string} dataContratacao - Data de contratação ('AAAA-MM' ou 'AAAA-MM-DD')
+     * @returns {Object} - Cronograma gerado pelo CronogramaFinanciamento
+     */
+    function gerarCronogramaCapitalGiro(estrategia, impactoBase, dataContratacao) {
+        const necessidadeCapitalGiro = Math.abs(impactoBase?.diferencaCapitalGiro || 0);
+
+        return window.CronogramaFinanciamento.gerarCronograma({
+            valor: necessidadeCapitalGiro * (parseFloat(estrategia.valorCaptacao) || 0) / 100,
+            taxaJuros: estrategia.taxaJuros,
+            prazo: estrategia.prazoPagamento,
+            carencia: estrategia.carencia,
+            sistemaAmortizacao: estrategia.sistemaAmortizacao,
+            tratamentoCarencia: estrategia.tratamentoCarencia,
+            iofDiario: estrategia.iofDiario,
+            iofAdicional: estrategia.iofAdicional,
+            tarifas: estrategia.tarifas,
+            dataContratacao
+        });
+    }
+
     /**
      * Calcula a efetividade da captação de capital de giro
      * 
@@ -1480,31 +2788,29 @@ window.IVADualSystem = (function() {
      * @returns {Object} - Análise de efetividade
      */
     function calcularEfeitividadeCapitalGiro(dados, estrategia, impactoBase) {
-        // Extrair parâmetros
-        const valorCaptacao = estrategia.valorCaptacao / 100; // Percentual da necessidade a ser captado
-        const taxaJuros = estrategia.taxaJuros; // Taxa de juros (% a.m.)
-        const prazoPagamento = estrategia.prazoPagamento; // Prazo de pagamento (meses)
-        const carencia = estrategia.carencia; // Carência (meses)
+        // Cronograma de amortização com carência, IOF e tarifas
+        const cronograma = gerarCronogramaCapitalGiro(estrategia, impactoBase, dados.dataInicial);
+        const { taxaJuros, prazo: prazoPagamento, carencia } = cronograma.parametros;
 
         // Calcular o valor a ser captado
         const necessidadeCapitalGiro = Math.abs(impactoBase.diferencaCapitalGiro);
-        const valorFinanciamento = necessidadeCapitalGiro * valorCaptacao;
+        const valorFinanciamento = cronograma.valorContratado;
 
-        // Calcular o custo mensal de juros
+        // Juros do primeiro mês sobre o valor contratado
         const custoMensalJuros = valorFinanciamento * taxaJuros;
 
-        // Calcular o custo total do financiamento
-        // Durante a carência, paga apenas juros
-        const custoCarencia = custoMensalJuros * carencia;
-
-        // Após a carência, paga juros + principal
-        const valorParcela = valorFinanciamento / (prazoPagamento - carencia);
-        const custoAposCarencia = (valorParcela + custoMensalJuros) * (prazoPagamento - carencia);
+        // Prestações da carência (juros pagos) e do período de amortização
+        const parcelasCarencia = cronograma.parcelas.filter(parcela => parcela.carencia);
+        const parcelasAmortizacao = cronograma.parcelas.filter(parcela => !parcela.carencia);
+        const custoCarencia = parcelasCarencia.reduce((soma, parcela) => soma + parcela.prestacao, 0);
+        const custoAposCarencia = parcelasAmortizacao.reduce((soma, parcela) => soma + parcela.prestacao, 0);
+        const valorParcela = parcelasAmortizacao.length > 0 ? parcelasAmortizacao[0].prestacao : 0;
 
-        const custoTotalFinanciamento = custoCarencia + custoAposCarencia;
+        // Desembolso total: prestações, IOF e tarifas
+        const custoTotalFinanciamento = cronograma.totalPrestacoes + cronograma.iof + cronograma.tarifas;
 
-        // Calcular efetividade (considerando que disponibiliza o valor total imediatamente)
-        const efetividadePercentual = (valorFinanciamento / necessidadeCapitalGiro) * 100;
+        // Calcular efetividade (considerando que disponibiliza o valor líquido de IOF e tarifas imediatamente)
+        const efetividadePercentual = necessidadeCapitalGiro > 0 ? (cronograma.valorLiquidoLiberado / necessidadeCapitalGiro) * 100 : 0;
 
         // Calcular taxa efetiva anual
         const taxaEfetivaAnual = Math.pow(1 + taxaJuros, 12) - 1;
@@ -1514,7 +2820,7 @@ window.IVADualSystem = (function() {
 
         const resultado = {
             valorCaptacao: estrategia.valorCaptacao,
-            taxaJuros: estrategia.taxaJuros * 100,
+            taxaJuros: taxaJuros * 100,
             prazoPagamento,
             carencia,
             valorFinanciamento,
@@ -1523,10 +2829,19 @@ window.IVADualSystem = (function() {
             custoCarencia,
             custoAposCarencia,
             custoTotalFinanciamento,
+            sistemaAmortizacao: cronograma.parametros.sistemaAmortizacao,
+            tratamentoCarencia: cronograma.parametros.tratamentoCarencia,
+            totalJuros: cronograma.totalJuros,
+            iof: cronograma.iof,
+            tarifas: cronograma.tarifas,
+            valorLiquidoLiberado: cronograma.valorLiquidoLiberado,
+            cetMensal: cronograma.cetMensal,
+            cetAnual: cronograma.cetAnual,
+            cronograma,
             efetividadePercentual,
             taxaEfetivaAnual,
             impactoMargemPP,
-            custoBeneficio: custoTotalFinanciamento / valorFinanciamento,
+            custoBeneficio: valorFinanciamento > 0 ? custoTotalFinanciamento / valorFinanciamento : 0,
             memoriaCritica: window.CalculationCore.gerarMemoriaCritica(dados, null)
         };
 
@@ -1657,13 +2972,17 @@ window.IVADualSystem = (function() {
             };
         }
 
+        // Com o mix de meios de pagamento, o PMR atual é o prazo médio do calendário de liquidação
+        const liquidacaoRecebiveis = window.LiquidacaoRecebiveis && dados.mixRecebimentos?.length > 0 ?
+            window.LiquidacaoRecebiveis.calcular(dados.mixRecebimentos, { faturamento }) : null;
+
         // Calcular o PMR atual e novo
-        const pmrAtual = dados.pmr;
+        const pmrAtual = liquidacaoRecebiveis ? liquidacaoRecebiveis.totais.prazoMedio : dados.pmr;
         const pmrNovo = (0 * percVistaNovo) + (30 * percDias30Novo) + (60 * percDias60Novo) + (90 * percDias90Novo);
         const variaPMR = pmrNovo - pmrAtual;
 
         // Calcular o ciclo financeiro atual e novo
-        const cicloFinanceiroAtual = dados.pmr + dados.pme - dados.pmp;
+        const cicloFinanceiroAtual = pmrAtual + dados.pme - dados.pmp;
         const cicloFinanceiroNovo = pmrNovo + dados.pme - dados.pmp;
         const variacaoCiclo = cicloFinanceiroNovo - cicloFinanceiroAtual;
 
@@ -1676,8 +2995,16 @@ window.IVADualSystem = (function() {
         const valorDiario = faturamento / 30;
         const impacto_pmr = valorDiario * (-variaPMR);
 
-        // 2. Custo do incentivo
-        const impactoLiquido = impacto_pmr - valorIncentivoMensal;
+        // 2. MDR deixado de pagar: as vendas migradas para o PIX saem proporcionalmente dos meios a prazo
+        const vendasPrazoMix = liquidacaoRecebiveis ?
+            liquidacaoRecebiveis.liquidacoes.filter(liquidacao => liquidacao.dias > window.LiquidacaoRecebiveis.PRAZO_ANTECIPACAO) : [];
+        const valorPrazoMix = vendasPrazoMix.reduce((soma, liquidacao) => soma + liquidacao.valorBruto, 0);
+        const mdrMedioPrazo = valorPrazoMix > 0 ?
+            vendasPrazoMix.reduce((soma, liquidacao) => soma + liquidacao.valorMDR, 0) / valorPrazoMix : 0;
+        const economiaMDRMensal = faturamento * Math.max(0, aumento_vista) * mdrMedioPrazo;
+
+        // 3. Custo do incentivo
+        const impactoLiquido = impacto_pmr + economiaMDRMensal - valorIncentivoMensal;
 
         // Calcular efetividade
         const necessidadeCapitalGiro = Math.abs(impactoBase.diferencaCapitalGiro);
@@ -1702,6 +3029,10 @@ window.IVADualSystem = (function() {
             variacaoCiclo,
             valorIncentivoMensal,
             impacto_pmr,
+            mdrMedioPrazo,
+            economiaMDRMensal,
+            custoMDRAtual: liquidacaoRecebiveis ? liquidacaoRecebiveis.totais.valorMDR : 0,
+            liquidacaoRecebiveis,
             impactoLiquido,
             efetividadePercentual,
             duracaoEfeito,
@@ -2004,49 +3335,117 @@ window.IVADualSystem = (function() {
             year, 'ibs', options.parametrosSetoriais
         );
 
+        // Obter frações remanescentes dos tributos atuais
+        const percentualPisCofins = window.CurrentTaxSystem.obterPercentualImplementacao(
+            year, 'pisCofins', options.parametrosSetoriais
+        );
+
+        const percentualIcmsIss = window.CurrentTaxSystem.obterPercentualImplementacao(
+            year, 'icmsIss', options.parametrosSetoriais
+        );
+
+        const percentualIPI = window.CurrentTaxSystem.obterPercentualImplementacao(
+            year, 'ipi', options.parametrosSetoriais
+        );
+
+        const percentualIS = window.CurrentTaxSystem.obterPercentualImplementacao(
+            year, 'impostoSeletivo', options.parametrosSetoriais
+        );
+
         // Log para depuração
-        console.log(`Calculando impostos para ano ${year}: CBS=${percentualCBS*100}%, IBS=${percentualIBS*100}%`);
+        console.log(`Calculando impostos para ano ${year}: CBS=${percentualCBS*100}%, IBS=${percentualIBS*100}%, PIS/COFINS=${percentualPisCofins*100}%, ICMS/ISS=${percentualIcmsIss*100}%`);
 
         // Extrair alíquotas específicas do setor
-        const aliquotaCBS = dados.aliquotaCBS || options.parametrosSetoriais?.aliquotaCBS || aliquotasIVADual.cbs;
-        const aliquotaIBS = dados.aliquotaIBS || options.parametrosSetoriais?.aliquotaIBS || aliquotasIVADual.ibs;
-        const categoriaIVA = dados.categoriaIVA || options.parametrosSetoriais?.categoriaIva || 'standard';
+        const aliquotasPadrao = obterAliquotasIVADual();
+        let aliquotaCBS = dados.aliquotaCBS || options.parametrosSetoriais?.aliquotaCBS || aliquotasPadrao.cbs;
+        let aliquotaIBS = dados.aliquotaIBS || options.parametrosSetoriais?.aliquotaIBS || aliquotasPadrao.ibs;
+        let categoriaIVA = dados.categoriaIVA || options.parametrosSetoriais?.categoriaIva || 'standard';
+
+        // Com o portfólio de produtos (NCM) informado, a categoria de cada item substitui a categoria setorial
+        const fatorCargaItens = Array.isArray(dados.itensNCM) && dados.itensNCM.length > 0 && window.SimulacaoItens ?
+            window.SimulacaoItens.calcularFatorCarga(dados.itensNCM) : null;
+        if (fatorCargaItens !== null) {
+            aliquotaCBS *= fatorCargaItens;
+            aliquotaIBS *= fatorCargaItens;
+            categoriaIVA = fatorCargaItens > 0 ? 'standard' : 'exempt';
+        }
         const reducaoEspecial = dados.reducaoEspecial || options.parametrosSetoriais?.reducaoEspecial || 0;
+        const aliquotaIS = dados.aliquotaIS || options.parametrosSetoriais?.aliquotaIS || 0;
+        const produtosIS = dados.produtosIS || options.parametrosSetoriais?.produtosIS || [];
+        const destinosIBS = dados.destinosIBS || options.parametrosSetoriais?.destinosIBS || [];
+
+        // Imposto Seletivo: incide sobre o valor da operação e integra a base da CBS e do IBS
+        result.impostoSeletivo = percentualIS > 0 ? calcularImpostoSeletivo(baseValue, aliquotaIS, produtosIS) * percentualIS : 0;
+        const baseIVA = baseValue + result.impostoSeletivo;
 
         // Aplicar os cálculos de CBS se percentual maior que zero
         if (percentualCBS > 0) {
             // Calcular CBS usando alíquota e categoria específicas
-            const cbsTax = calcularCBS(baseValue, aliquotaCBS, 0, categoriaIVA) * percentualCBS;
-
-            // Reduzir PIS/COFINS proporcionalmente
-            if (result.pis) result.pis *= (1 - percentualCBS);
-            if (result.cofins) result.cofins *= (1 - percentualCBS);
+            const cbsTax = calcularCBS(baseIVA, aliquotaCBS, 0, categoriaIVA) * percentualCBS;
 
             result.cbs = cbsTax;
         } else {
             result.cbs = 0; // Garantir que o valor seja explicitamente definido
         }
 
+        // Reduzir PIS/COFINS conforme o cronograma de extinção
+        if (result.pis) result.pis *= percentualPisCofins;
+        if (result.cofins) result.cofins *= percentualPisCofins;
+
         // Aplicar os cálculos de IBS se percentual maior que zero
-        if (percentualIBS > 0) {
+        if (percentualIBS > 0 && destinosIBS.length > 0) {
+            // IBS devido aos entes de destino, com a alíquota de cada UF e município
+            result.ibsPorDestino = calcularIBSPorDestino(
+                baseIVA, 
+                aliquotaIBS, 
+                destinosIBS, 
+                categoriaIVA, 
+                { reducaoEspecial: reducaoEspecial, fator: percentualIBS }
+            );
+
+            result.ibs = result.ibsPorDestino.total;
+        } else if (percentualIBS > 0) {
             // Calcular IBS usando alíquota e categoria específicas  
             const ibsTax = calcularIBS(
-                baseValue, 
+                baseIVA, 
                 aliquotaIBS, 
                 0, 
                 categoriaIVA, 
                 { reducaoEspecial: reducaoEspecial }
             ) * percentualIBS;
 
-            // Reduzir ICMS/ISS proporcionalmente
-            if (result.icms) result.icms *= (1 - percentualIBS);
-            if (result.iss) result.iss *= (1 - percentualIBS);
-
             result.ibs = ibsTax;
         } else {
             result.ibs = 0; // Garantir que o valor seja explicitamente definido
         }
 
+        // Reduzir ICMS/ISS conforme o cronograma de extinção (2029-2032)
+        if (result.icms) result.icms *= percentualIcmsIss;
+        if (result.iss) result.iss *= percentualIcmsIss;
+        if (result.composicaoICMS) {
+            result.composicaoICMS = Object.fromEntries(Object.entries(result.composicaoICMS).map(([chave, valor]) => 
+                [chave, typeof valor === 'number' ? valor * percentualIcmsIss : valor]));
+        }
+
+        // Reduzir IPI conforme o cronograma
+        if (result.ipi) result.ipi *= percentualIPI;
+
+        // Aplicar alíquotas de teste do período inicial da transição
+        const aliquotasTeste = window.CronogramaTransicao.obterAliquotasTeste(year);
+        if (aliquotasTeste && categoriaIVA !== 'exempt') {
+            const cbsTeste = baseIVA * (aliquotasTeste.cbs || 0);
+            const ibsTeste = baseIVA * (aliquotasTeste.ibs || 0);
+
+            if (aliquotasTeste.compensavel) {
+                // Valores informativos: compensáveis com PIS/COFINS, sem aumento de carga
+                result.testeIVA = { cbs: cbsTeste, ibs: ibsTeste, compensavel: true };
+            } else {
+                // IBS de teste efetivamente cobrado, com redução equivalente da CBS
+                result.ibs += ibsTeste;
+                result.cbs = Math.max(0, result.cbs - ibsTeste);
+            }
+        }
+
         // Recalcular o total considerando todos os impostos
         result.total = 0;
         Object.entries(result).forEach(([chave, valor]) => {
@@ -2202,8 +3601,9 @@ window.IVADualSystem = (function() {
     // Retornar o objeto com funções públicas
     return {
         // Constantes e configurações
-        aliquotasIVADual,
-        periodosTransicao,
+        get aliquotasIVADual() { return obterAliquotasIVADual(); },
+        get periodosTransicao() { return obterPeriodosTransicao(); },
+        modalidadesSplit,
 
         // Interface principal com validação e conversão de dados
         simularImpactoSplitPayment,    // Função principal para uso externo
@@ -2212,14 +3612,22 @@ window.IVADualSystem = (function() {
         // Funções de cálculo de tributos
         calcularCBS,
         calcularIBS,
+        calcularIBSPorDestino,
         calcularTotalIVA,
+        calcularImpostoSeletivo,
+        calcularAliquotaEfetivaSeletivo,
         calcularTransicaoIVADual,
 
         // Funções de análise de fluxo de caixa (uso interno)
         calcularFluxoCaixaSplitPayment,
+        calcularRetencaoSplit,
+        compararModalidadesSplit,
+        compararOpcoesSimplesNacional,
+        calcularFluxoCaixaMensal,
         calcularImpactoCapitalGiro,
         calcularNecessidadeAdicionalCapital,
         calcularProjecaoTemporal,
+        calcularProjecaoFinanceira,
         calcularImpactoCicloFinanceiro,
 
         // Funções de análise de estratégias
@@ -2231,6 +3639,7 @@ window.IVADualSystem = (function() {
         calcularEfeitividadeMixProdutos,
         calcularEfeitividadeMeiosPagamento,
         calcularEfeitividadeCombinada,
+        calcularVPLEstrategias,
         identificarCombinacaoOtima,
 
         // Funções utilitárias
@@ -0,0 +1,218 @@
+/**
+ * LiquidacaoRecebiveis - Calendário de liquidação das vendas por meio de pagamento
+ * Versão: 1.0.0
+ * Cada meio de pagamento liquida as vendas em um prazo próprio: PIX em D+0, cartão de débito em
+ * D+1, cartão de crédito em D+30 por parcela e boleto no vencimento. O credenciador desconta a
+ * taxa de desconto (MDR) e, com o Split Payment, retém o imposto em cada liquidação. A antecipação
+ * é precificada parcela a parcela, pelo prazo que cada uma ainda teria a decorrer.
+ */
+window.LiquidacaoRecebiveis = (function() {
+    /**
+     * Meios de pagamento, prazo de liquidação padrão (dias) e MDR padrão (%)
+     * @type {Object}
+     */
+    const MEIOS_PAGAMENTO = {
+        pix: { nome: 'PIX', prazoLiquidacao: 0, mdr: 0, parcelado: false },
+        dinheiro: { nome: 'Dinheiro', prazoLiquidacao: 0, mdr: 0, parcelado: false },
+        debito: { nome: 'Cartão de débito', prazoLiquidacao: 1, mdr: 0.9, parcelado: false },
+        creditoVista: { nome: 'Cartão de crédito à vista', prazoLiquidacao: 30, mdr: 2.5, parcelado: false },
+        creditoParcelado: { nome: 'Cartão de crédito parcelado', prazoLiquidacao: 30, mdr: 3.2, parcelado: true },
+        boleto: { nome: 'Boleto bancário', prazoLiquidacao: 30, mdr: 0, parcelado: false }
+    };
+
+    /**
+     * Prazo de liquidação das parcelas antecipadas (dias)
+     * @type {number}
+     */
+    const PRAZO_ANTECIPACAO = 1;
+
+    /**
+     * Normaliza o mix de meios de pagamento, descartando meios sem participação. Participações
+     * informadas em percentual são convertidas para decimal e o mix é ajustado para somar 100%.
+     * @param {Array} mix - Meios de pagamento ({meio, participacao, parcelas, prazoLiquidacao, mdr})
+     * @returns {Array} - Meios válidos com participação decimal, parcelas, prazo em dias e MDR decimal
+     */
+    function normalizarMix(mix) {
+        if (!Array.isArray(mix)) return [];
+
+        const numero = (valor, padrao) => {
+            const convertido = parseFloat(valor);
+            return isNaN(convertido) ? padrao : convertido;
+        };
+
+        const meios = mix.filter(item => MEIOS_PAGAMENTO[item?.meio]).map(item => {
+            const padrao = MEIOS_PAGAMENTO[item.meio];
+            const participacao = Math.max(0, numero(item.participacao, 0));
+            const prazo = parseInt(item.prazoLiquidacao);
+            return {
+                meio: item.meio,
+                nome: padrao.nome,
+                participacao: participacao > 1 ? participacao / 100 : participacao,
+                parcelas: padrao.parcelado ? Math.max(1, Math.min(24, parseInt(item.parcelas) || 1)) : 1,
+                prazoLiquidacao: isNaN(prazo) ? padrao.prazoLiquidacao : Math.max(0, prazo),
+                mdr: Math.max(0, numero(item.mdr, padrao.mdr)) / 100
+            };
+        }).filter(item => item.participacao > 0);
+
+        const soma = meios.reduce((total, item) => total + item.participacao, 0);
+        if (soma > 0 && Math.abs(soma - 1) > 0.001) {
+            meios.forEach(item => {
+                item.participacao = item.participacao / soma;
+            });
+        }
+
+        return meios;
+    }
+
+    /**
+     * Gera as liquidações de uma venda unitária: uma por meio de pagamento e uma por parcela do
+     * crédito parcelado (D+prazo, D+2×prazo, ...)
+     * @param {Array} mix - Meios de pagamento
+     * @returns {Array} - Liquidações ({meio, parcela, dias, fracao, mdr}), fração sobre a venda
+     */
+    function gerarLiquidacoes(mix) {
+        const liquidacoes = [];
+
+        normalizarMix(mix).forEach(item => {
+            for (let parcela = 1; parcela <= item.parcelas; parcela++) {
+                liquidacoes.push({
+                    meio: item.meio,
+                    parcela,
+                    dias: item.prazoLiquidacao * (MEIOS_PAGAMENTO[item.meio].parcelado ? parcela : 1),
+                    fracao: item.participacao / item.parcelas,
+                    mdr: item.mdr
+                });
+            }
+        });
+
+        return liquidacoes;
+    }
+
+    /**
+     * Resume o mix nos parâmetros do ciclo financeiro: participação das vendas liquidadas em
+     * até D+1 (à vista) e prazo médio de recebimento das demais
+     * @param {Array} mix - Meios de pagamento
+     * @returns {Object|null} - {percVista, percPrazo, pmr, prazoMedioRecebimento} ou null se o mix estiver vazio
+     */
+    function resumirPrazos(mix) {
+        const liquidacoes = gerarLiquidacoes(mix);
+        if (liquidacoes.length === 0) return null;
+
+        const aVista = liquidacoes.filter(liquidacao => liquidacao.dias <= PRAZO_ANTECIPACAO);
+        const aPrazo = liquidacoes.filter(liquidacao => liquidacao.dias > PRAZO_ANTECIPACAO);
+        const percVista = aVista.reduce((soma, liquidacao) => soma + liquidacao.fracao, 0);
+        const percPrazo = aPrazo.reduce((soma, liquidacao) => soma + liquidacao.fracao, 0);
+
+        return {
+            percVista,
+            percPrazo,
+            pmr: percPrazo > 0 ?
+                Math.round(aPrazo.reduce((soma, liquidacao) => soma + liquidacao.dias * liquidacao.fracao, 0) / percPrazo) : 0,
+            prazoMedioRecebimento: liquidacoes.reduce((soma, liquidacao) => soma + liquidacao.dias * liquidacao.fracao, 0)
+        };
+    }
+
+    /**
+     * Calcula o calendário de liquidação das vendas mensais, o MDR, o imposto retido em cada
+     * liquidação e o custo da antecipação parcela a parcela
+     * @param {Array} mix - Meios de pagamento ({meio, participacao, parcelas, prazoLiquidacao, mdr em %})
+     * @param {Object} opcoes - Parâmetros do cálculo
+     * @param {number} opcoes.faturamento - Vendas mensais (R$)
+     * @param {number} opcoes.aliquotaRetencao - Fração da venda retida pelo Split Payment na liquidação (decimal)
+     * @param {number} opcoes.taxaAntecipacao - Taxa de desconto da antecipação (% a.m. ou decimal)
+     * @param {number} opcoes.percentualAntecipacao - Percentual das parcelas a prazo antecipado (% ou decimal)
+     * @returns {Object} - Liquidações, totais por meio, calendário por prazo e custos
+     */
+    function calcular(mix, opcoes = {}) {
+        const faturamento = Math.max(0, parseFloat(opcoes.faturamento) || 0);
+        const aliquotaRetencao = Math.max(0, parseFloat(opcoes.aliquotaRetencao) || 0);
+        const taxa = Math.max(0, parseFloat(opcoes.taxaAntecipacao) || 0);
+        const taxaAntecipacao = taxa > 1 ? taxa / 100 : taxa;
+        const percentual = Math.max(0, parseFloat(opcoes.percentualAntecipacao) || 0);
+        const percentualAntecipacao = Math.min(1, percentual > 1 ? percentual / 100 : percentual);
+
+        const liquidacoes = gerarLiquidacoes(mix).map(liquidacao => {
+            const valorBruto = faturamento * liquidacao.fracao;
+            const valorMDR = valorBruto * liquidacao.mdr;
+            const impostoRetido = valorBruto * aliquotaRetencao;
+            const valorLiquido = valorBruto - valorMDR - impostoRetido;
+
+            // Antecipação da parcela para D+1, sobre o valor líquido do MDR e do imposto retido
+            const diasAntecipados = Math.max(0, liquidacao.dias - PRAZO_ANTECIPACAO);
+            const valorAntecipado = diasAntecipados > 0 ? Math.max(0, valorLiquido) * percentualAntecipacao : 0;
+            const custoAntecipacao = valorAntecipado * taxaAntecipacao * (diasAntecipados / 30);
+
+            return {
+                ...liquidacao,
+                valorBruto,
+                valorMDR,
+                impostoRetido,
+                valorLiquido,
+                diasAntecipados,
+                valorAntecipado,
+                custoAntecipacao
+            };
+        });
+
+        const campos = ['valorBruto', 'valorMDR', 'impostoRetido', 'valorLiquido', 'valorAntecipado', 'custoAntecipacao'];
+        const somar = lista => {
+            const total = {};
+            campos.forEach(campo => {
+                total[campo] = lista.reduce((soma, liquidacao) => soma + liquidacao[campo], 0);
+            });
+            total.prazoMedio = total.valorBruto > 0 ?
+                lista.reduce((soma, liquidacao) => soma + liquidacao.dias * liquidacao.valorBruto, 0) / total.valorBruto : 0;
+            return total;
+        };
+
+        // Totais por meio de pagamento
+        const porMeio = normalizarMix(mix).map(item => ({
+            meio: item.meio,
+            nome: item.nome,
+            participacao: item.participacao,
+            parcelas: item.parcelas,
+            prazoLiquidacao: item.prazoLiquidacao,
+            mdr: item.mdr,
+            ...somar(liquidacoes.filter(liquidacao => liquidacao.meio === item.meio))
+        }));
+
+        // Calendário: valores liquidados em cada prazo (D+n)
+        const calendario = [...new Set(liquidacoes.map(liquidacao => liquidacao.dias))]
+            .sort((a, b) => a - b)
+            .map(dias => ({
+                dias,
+                ...somar(liquidacoes.filter(liquidacao => liquidacao.dias === dias))
+            }));
+
+        const totais = somar(liquidacoes);
+        totais.percentualMDR = totais.valorBruto > 0 ? totais.valorMDR / totais.valorBruto : 0;
+        totais.custoAntecipacaoPercentual = totais.valorAntecipado > 0 ? totais.custoAntecipacao / totais.valorAntecipado : 0;
+
+        // Prazo médio, ponderado pelo valor, das parcelas antecipadas
+        const prazoMedioAntecipado = totais.valorAntecipado > 0 ?
+            liquidacoes.reduce((soma, liquidacao) => soma + liquidacao.diasAntecipados * liquidacao.valorAntecipado, 0) / totais.valorAntecipado : 0;
+
+        return {
+            faturamento,
+            aliquotaRetencao,
+            taxaAntecipacao,
+            percentualAntecipacao,
+            liquidacoes,
+            porMeio,
+            calendario,
+            totais,
+            prazoMedioAntecipado,
+            // Com o Split Payment o imposto deixa a conta na liquidação: mesmo prazo médio das vendas
+            prazoMedioRetencao: totais.prazoMedio
+        };
+    }
+
+    return {
+        MEIOS_PAGAMENTO,
+        PRAZO_ANTECIPACAO,
+        normalizarMix,
+        gerarLiquidacoes,
+        resumirPrazos,
+        calcular
+    };
+})();
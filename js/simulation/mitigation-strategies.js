@@ -8,121 +8,95 @@ const MitigationStrategiesModule = (function() {
     
     /**
      * Calcula a combinação ótima de estratégias de mitigação
+     * Em vez de enumerar os subconjuntos de estratégias ativas com parâmetros fixos, delega ao
+     * OtimizadorEstrategias a escolha simultânea das estratégias e de seus parâmetros (aumento de
+     * preços, dias adicionais com fornecedores, parcela antecipada e valor captado), minimizando o
+     * custo total sob as restrições informadas. Mix de produtos e meios de pagamento não são
+     * parametrizados pelo otimizador e permanecem apenas nos resultados individuais.
      * @param {Object} dadosPlanos - Dados base da simulação em formato plano
      * @param {Object} estrategiasPlanas - Configurações das estratégias em formato plano
      * @param {Object} impactoBase - Resultado do impacto base sem mitigação
-     * @returns {Object} - Análise da combinação ótima
+     * @param {Object} restricoes - Restrições da otimização ({aumentoPrecoMaximo, prazoFornecedorMaximo, dividaMaxima, efetividadeMinima})
+     * @returns {Object} - Análise da combinação ótima, com a fronteira de Pareto entre custo e neutralização
      * @throws {Error} - Se os dados não estiverem no formato plano esperado
      */
-    function calcularCombinacaoOtima(dadosPlanos, estrategiasPlanas, impactoBase) {
+    function calcularCombinacaoOtima(dadosPlanos, estrategiasPlanas, impactoBase, restricoes = {}) {
         // Validar formato dos dados
         validarEstruturaDadosPlanos(dadosPlanos, 'dadosPlanos');
         validarEstruturaEstrategiasPlanas(estrategiasPlanas, 'estrategiasPlanas');
 
+        if (!window.OtimizadorEstrategias) {
+            throw new Error('Módulo OtimizadorEstrategias não carregado');
+        }
+
         // Normalizar dados críticos para cálculos
         const dadosNormalizados = normalizarDadosParaCalculo(dadosPlanos);
 
-        // Estrutura para armazenar resultados por estratégia
-        const resultadosIndividuais = {};
-        let estrategiasAtivas = [];
+        // Configuração de cada estratégia ativa, na nomenclatura do IVADualSystem
+        const configuracoes = {};
 
-        // Verificar cada estratégia
-        // Ajuste de Preços
         if (estrategiasPlanas.apAtivar) {
-            resultadosIndividuais.ajustePrecos = calcularEfeitividadeAjustePrecos(
-                dadosNormalizados, 
-                {
-                    percentualAumento: estrategiasPlanas.apPercentualAumento,
-                    elasticidade: estrategiasPlanas.apElasticidade,
-                    impactoVendas: estrategiasPlanas.apImpactoVendas,
-                    periodo: estrategiasPlanas.apPeriodo
-                }, 
-                impactoBase
-            );
-            estrategiasAtivas.push('ajustePrecos');
+            configuracoes.ajustePrecos = {
+                percentualAumento: estrategiasPlanas.apPercentualAumento,
+                elasticidade: estrategiasPlanas.apElasticidade,
+                impactoVendas: estrategiasPlanas.apImpactoVendas,
+                periodo: estrategiasPlanas.apPeriodo
+            };
         }
 
-        // Renegociação de Prazos
         if (estrategiasPlanas.rpAtivar) {
-            resultadosIndividuais.renegociacaoPrazos = calcularEfeitividadeRenegociacaoPrazos(
-                dadosNormalizados, 
-                {
-                    aumentoPrazo: estrategiasPlanas.rpAumentoPrazo,
-                    percentualFornecedores: estrategiasPlanas.rpPercentualFornecedores,
-                    contrapartidas: estrategiasPlanas.rpContrapartidas,
-                    custo: estrategiasPlanas.rpCusto
-                }, 
-                impactoBase
-            );
-            estrategiasAtivas.push('renegociacaoPrazos');
+            configuracoes.renegociacaoPrazos = {
+                aumentoPrazo: estrategiasPlanas.rpAumentoPrazo,
+                percentualFornecedores: estrategiasPlanas.rpPercentualFornecedores,
+                contrapartidas: estrategiasPlanas.rpContrapartidas,
+                custoContrapartida: estrategiasPlanas.rpCusto
+            };
         }
 
-        // Antecipação de Recebíveis
         if (estrategiasPlanas.arAtivar) {
-            resultadosIndividuais.antecipacaoRecebiveis = calcularEfeitividadeAntecipacaoRecebiveis(
-                dadosNormalizados, 
-                {
-                    percentualAntecipacao: estrategiasPlanas.arPercentualAntecipacao,
-                    taxaDesconto: estrategiasPlanas.arTaxaDesconto,
-                    prazo: estrategiasPlanas.arPrazo
-                }, 
-                impactoBase
-            );
-            estrategiasAtivas.push('antecipacaoRecebiveis');
+            configuracoes.antecipacaoRecebiveis = {
+                percentualAntecipacao: estrategiasPlanas.arPercentualAntecipacao,
+                taxaDesconto: estrategiasPlanas.arTaxaDesconto,
+                prazoAntecipacao: estrategiasPlanas.arPrazo
+            };
         }
 
-        // Capital de Giro
         if (estrategiasPlanas.cgAtivar) {
-            resultadosIndividuais.capitalGiro = calcularEfeitividadeCapitalGiro(
-                dadosNormalizados, 
-                {
-                    valorCaptacao: estrategiasPlanas.cgValorCaptacao,
-                    taxaJuros: estrategiasPlanas.cgTaxaJuros,
-                    prazo: estrategiasPlanas.cgPrazo,
-                    carencia: estrategiasPlanas.cgCarencia
-                }, 
-                impactoBase
-            );
-            estrategiasAtivas.push('capitalGiro');
+            configuracoes.capitalGiro = {
+                valorCaptacao: estrategiasPlanas.cgValorCaptacao,
+                taxaJuros: estrategiasPlanas.cgTaxaJuros,
+                prazoPagamento: estrategiasPlanas.cgPrazo,
+                carencia: estrategiasPlanas.cgCarencia
+            };
         }
 
-        // Mix de Produtos
         if (estrategiasPlanas.mpAtivar) {
-            resultadosIndividuais.mixProdutos = calcularEfeitividadeMixProdutos(
-                dadosNormalizados, 
-                {
-                    percentualAjuste: estrategiasPlanas.mpPercentualAjuste,
-                    foco: estrategiasPlanas.mpFoco,
-                    impactoReceita: estrategiasPlanas.mpImpactoReceita,
-                    impactoMargem: estrategiasPlanas.mpImpactoMargem
-                }, 
-                impactoBase
-            );
-            estrategiasAtivas.push('mixProdutos');
+            configuracoes.mixProdutos = {
+                percentualAjuste: estrategiasPlanas.mpPercentualAjuste,
+                focoAjuste: estrategiasPlanas.mpFoco,
+                impactoReceita: estrategiasPlanas.mpImpactoReceita,
+                impactoMargem: estrategiasPlanas.mpImpactoMargem
+            };
         }
 
-        // Meios de Pagamento
         if (estrategiasPlanas.mpagAtivar) {
-            resultadosIndividuais.meiosPagamento = calcularEfeitividadeMeiosPagamento(
-                dadosNormalizados, 
-                {
-                    distribuicaoAtual: {
-                        vista: estrategiasPlanas.mpagVistaAtual,
-                        prazo: estrategiasPlanas.mpagPrazoAtual
-                    },
-                    distribuicaoNova: {
-                        vista: estrategiasPlanas.mpagVistaNovo,
-                        dias30: estrategiasPlanas.mpagDias30Novo,
-                        dias60: estrategiasPlanas.mpagDias60Novo,
-                        dias90: estrategiasPlanas.mpagDias90Novo
-                    },
-                    taxaIncentivo: estrategiasPlanas.mpagTaxaIncentivo
-                }, 
-                impactoBase
-            );
-            estrategiasAtivas.push('meiosPagamento');
+            configuracoes.meiosPagamento = {
+                distribuicaoAtual: {
+                    vista: estrategiasPlanas.mpagVistaAtual,
+                    prazo: estrategiasPlanas.mpagPrazoAtual
+                },
+                distribuicaoNova: {
+                    vista: estrategiasPlanas.mpagVistaNovo,
+                    dias30: estrategiasPlanas.mpagDias30Novo,
+                    dias60: estrategiasPlanas.mpagDias60Novo,
+                    dias90: estrategiasPlanas.mpagDias90Novo
+                },
+                taxaIncentivo: estrategiasPlanas.mpagTaxaIncentivo
+            };
         }
 
+        const estrategiasAtivas = Object.keys(configuracoes);
+
         // Se não há estratégias ativas, retornar resultado vazio
         if (estrategiasAtivas.length === 0) {
             return {
@@ -133,167 +107,58 @@ const MitigationStrategiesModule = (function() {
             };
         }
 
-        // Análise de todas as combinações possíveis
-        const todasCombinacoes = gerarCombinacoes(estrategiasAtivas);
-        const resultadosCombinacoes = [];
-
-        for (const combinacao of todasCombinacoes) {
-            if (combinacao.length === 0) continue;
-
-            let efetividadeTotal = 0;
-            let custoTotal = 0;
-
-            // Calcular efetividade e custo da combinação
-            for (const estrategia of combinacao) {
-                const resultado = resultadosIndividuais[estrategia];
-
-                // Aplicar fator de interação para evitar dupla contagem
-                const fatorInteracao = calcularFatorInteracao(estrategia, combinacao, resultadosIndividuais);
-
-                efetividadeTotal += resultado.efetividadePercentual * fatorInteracao;
-                custoTotal += resultado.custoEstrategia;
-            }
-
-            // Limitar efetividade a 100%
-            efetividadeTotal = Math.min(100, efetividadeTotal);
-
-            // Relação custo-benefício
-            const relacaoCustoBeneficio = efetividadeTotal > 0 ? custoTotal / efetividadeTotal : Infinity;
-
-            resultadosCombinacoes.push({
-                combinacao,
-                efetividadeTotal,
-                custoTotal,
-                relacaoCustoBeneficio
-            });
+        // Resultados individuais com os parâmetros informados
+        const calculos = {
+            ajustePrecos: calcularEfeitividadeAjustePrecos,
+            renegociacaoPrazos: calcularEfeitividadeRenegociacaoPrazos,
+            antecipacaoRecebiveis: calcularEfeitividadeAntecipacaoRecebiveis,
+            capitalGiro: calcularEfeitividadeCapitalGiro,
+            mixProdutos: calcularEfeitividadeMixProdutos,
+            meiosPagamento: calcularEfeitividadeMeiosPagamento
+        };
+        const resultadosIndividuais = {};
+        for (const estrategia of estrategiasAtivas) {
+            resultadosIndividuais[estrategia] = calculos[estrategia](dadosNormalizados, configuracoes[estrategia], impactoBase);
         }
 
-        // Ordenar combinações por relação custo-benefício (menor = melhor)
-        resultadosCombinacoes.sort((a, b) => a.relacaoCustoBeneficio - b.relacaoCustoBeneficio);
-
-        // Se não houver resultados válidos, retornar objeto vazio
-        if (resultadosCombinacoes.length === 0) {
+        // Otimização contínua das estratégias ativas parametrizáveis
+        const candidatas = window.OtimizadorEstrategias.ALAVANCAS
+            .filter(chave => estrategiasAtivas.includes(chave.split('.')[0]));
+        const otimizacao = window.OtimizadorEstrategias.otimizar(
+            { ...dadosNormalizados, estrategias: { ...(dadosNormalizados.estrategias || {}), ...configuracoes } },
+            restricoes,
+            undefined,
+            null,
+            { impactoBase, candidatas }
+        );
+
+        const solucao = otimizacao.solucaoOtima;
+        if (!solucao) {
             return {
                 estrategiasOtimas: [],
                 efetividadeTotal: 0,
                 custoTotal: 0,
                 relacaoCustoBeneficio: 0,
-                resultadosIndividuais: {},
-                todasCombinacoes: []
+                resultadosIndividuais,
+                frentePareto: []
             };
         }
 
-        // Retornar a melhor combinação
+        // Limitar efetividade a 100%
+        const efetividadeTotal = Math.min(100, solucao.efetividade);
+
         return {
-            estrategiasOtimas: resultadosCombinacoes[0].combinacao,
-            efetividadeTotal: resultadosCombinacoes[0].efetividadeTotal,
-            custoTotal: resultadosCombinacoes[0].custoTotal,
-            relacaoCustoBeneficio: resultadosCombinacoes[0].relacaoCustoBeneficio,
+            estrategiasOtimas: solucao.estrategiasSelecionadas,
+            parametrosOtimos: solucao.parametros,
+            efetividadeTotal,
+            custoTotal: solucao.custo,
+            relacaoCustoBeneficio: efetividadeTotal > 0 ? solucao.custo / efetividadeTotal : Infinity,
+            viavel: solucao.viavel,
+            restricoes: otimizacao.restricoes,
+            efetividadeMaximaAlcancavel: otimizacao.efetividadeMaximaAlcancavel,
             resultadosIndividuais,
-            todasCombinacoes: resultadosCombinacoes
-        };
-    }
-    
-    /**
-     * Calcula o fator de interação entre estratégias para evitar dupla contagem
-     * @param {string} estrategia - Nome da estratégia
-     * @param {Array} combinacao - Lista de estratégias na combinação
-     * @param {Object} resultadosIndividuais - Resultados individuais das estratégias
-     * @returns {number} - Fator de interação (0-1)
-     */
-    function calcularFatorInteracao(estrategia, combinacao, resultadosIndividuais) {
-        // Matriz de interação entre estratégias
-        const matrizInteracao = {
-            ajustePrecos: {
-                renegociacaoPrazos: 0.9,
-                antecipacaoRecebiveis: 0.8,
-                capitalGiro: 1.0,
-                mixProdutos: 0.7,
-                meiosPagamento: 0.9
-            },
-            renegociacaoPrazos: {
-                ajustePrecos: 0.9,
-                antecipacaoRecebiveis: 0.9,
-                capitalGiro: 0.95,
-                mixProdutos: 0.9,
-                meiosPagamento: 0.85
-            },
-            antecipacaoRecebiveis: {
-                ajustePrecos: 0.8,
-                renegociacaoPrazos: 0.9,
-                capitalGiro: 0.7,
-                mixProdutos: 0.9,
-                meiosPagamento: 0.7
-            },
-            capitalGiro: {
-                ajustePrecos: 1.0,
-                renegociacaoPrazos: 0.95,
-                antecipacaoRecebiveis: 0.7,
-                mixProdutos: 1.0,
-                meiosPagamento: 0.9
-            },
-            mixProdutos: {
-                ajustePrecos: 0.7,
-                renegociacaoPrazos: 0.9,
-                antecipacaoRecebiveis: 0.9,
-                capitalGiro: 1.0,
-                meiosPagamento: 0.8
-            },
-            meiosPagamento: {
-                ajustePrecos: 0.9,
-                renegociacaoPrazos: 0.85,
-                antecipacaoRecebiveis: 0.7,
-                capitalGiro: 0.9,
-                mixProdutos: 0.8
-            }
+            frentePareto: otimizacao.frentePareto
         };
-        
-        // Para estratégia única, fator é 1
-        if (combinacao.length === 1) {
-            return 1.0;
-        }
-        
-        // Calcular fator médio considerando todas as interações
-        let fatorMedio = 1.0;
-        let contadorInteracoes = 0;
-        
-        for (const outraEstrategia of combinacao) {
-            if (outraEstrategia !== estrategia) {
-                fatorMedio *= matrizInteracao[estrategia][outraEstrategia] || 0.9;
-                contadorInteracoes++;
-            }
-        }
-        
-        // Se não houver interações, retornar 1
-        if (contadorInteracoes === 0) {
-            return 1.0;
-        }
-        
-        return fatorMedio;
-    }
-    
-    /**
-     * Gera todas as combinações possíveis de um conjunto de elementos
-     * @param {Array} elementos - Lista de elementos
-     * @returns {Array} - Array de combinações
-     */
-    function gerarCombinacoes(elementos) {
-        // Incluir o conjunto vazio
-        const result = [[]];
-        
-        for (const elemento of elementos) {
-            const novasCombinacoes = [];
-            
-            for (const combinacao of result) {
-                novasCombinacoes.push([...combinacao, elemento]);
-            }
-            
-            // Adicionar novas combinações ao resultado
-            result.push(...novasCombinacoes);
-        }
-        
-        // Remover o conjunto vazio
-        return result.slice(1);
     }
     
     /**
@@ -485,9 +350,10 @@ const MitigationStrategiesModule = (function() {
      * Aceita dados em formato aninhado e os converte para formato plano
      * @param {Object} dadosAninhados - Dados da simulação em formato aninhado ou plano
      * @param {Object} impactoBase - Resultado do impacto base sem mitigação
+     * @param {Object} restricoes - Restrições da otimização (opcional)
      * @returns {Object} - Análise da combinação ótima
      */
-    function calcularCombinacaoOtimaCompat(dadosAninhados, impactoBase) {
+    function calcularCombinacaoOtimaCompat(dadosAninhados, impactoBase, restricoes = {}) {
         // Verificar se os dados já estão em formato plano
         const ehFormatoPlano = dadosAninhados.empresa === undefined;
 
@@ -511,11 +377,64 @@ const MitigationStrategiesModule = (function() {
         }
 
         // Chamar a implementação interna com dados em formato plano
-        return calcularCombinacaoOtima(dadosPlanos, estrategiasPlanas, impactoBase);
+        return calcularCombinacaoOtima(dadosPlanos, estrategiasPlanas, impactoBase, restricoes);
     }
     
-    // Demais funções de cálculo de efetividade para cada estratégia
-    // ...
+    /**
+     * Calcula a efetividade da renegociação de prazos com fornecedores (seção 6.2 da metodologia)
+     * O cálculo é delegado ao IVADualSystem, que mantém a implementação de referência
+     * @param {Object} dadosPlanos - Dados da simulação em formato plano
+     * @param {Object} estrategia - Configuração da estratégia
+     * @param {Object} impactoBase - Resultado do impacto base sem mitigação
+     * @returns {Object} - Análise de efetividade
+     */
+    function calcularEfeitividadeRenegociacaoPrazos(dadosPlanos, estrategia, impactoBase) {
+        return window.IVADualSystem.calcularEfeitividadeRenegociacaoPrazos(dadosPlanos, estrategia, impactoBase);
+    }
+
+    /**
+     * Calcula a efetividade da antecipação de recebíveis (delegada ao IVADualSystem)
+     * @param {Object} dadosPlanos - Dados da simulação em formato plano
+     * @param {Object} estrategia - Configuração da estratégia
+     * @param {Object} impactoBase - Resultado do impacto base sem mitigação
+     * @returns {Object} - Análise de efetividade
+     */
+    function calcularEfeitividadeAntecipacaoRecebiveis(dadosPlanos, estrategia, impactoBase) {
+        return window.IVADualSystem.calcularEfeitividadeAntecipacaoRecebiveis(dadosPlanos, estrategia, impactoBase);
+    }
+
+    /**
+     * Calcula a efetividade da captação de capital de giro (delegada ao IVADualSystem)
+     * @param {Object} dadosPlanos - Dados da simulação em formato plano
+     * @param {Object} estrategia - Configuração da estratégia
+     * @param {Object} impactoBase - Resultado do impacto base sem mitigação
+     * @returns {Object} - Análise de efetividade
+     */
+    function calcularEfeitividadeCapitalGiro(dadosPlanos, estrategia, impactoBase) {
+        return window.IVADualSystem.calcularEfeitividadeCapitalGiro(dadosPlanos, estrategia, impactoBase);
+    }
+
+    /**
+     * Calcula a efetividade do ajuste no mix de produtos (delegada ao IVADualSystem)
+     * @param {Object} dadosPlanos - Dados da simulação em formato plano
+     * @param {Object} estrategia - Configuração da estratégia
+     * @param {Object} impactoBase - Resultado do impacto base sem mitigação
+     * @returns {Object} - Análise de efetividade
+     */
+    function calcularEfeitividadeMixProdutos(dadosPlanos, estrategia, impactoBase) {
+        return window.IVADualSystem.calcularEfeitividadeMixProdutos(dadosPlanos, estrategia, impactoBase);
+    }
+
+    /**
+     * Calcula a efetividade da mudança nos meios de pagamento (delegada ao IVADualSystem)
+     * @param {Object} dadosPlanos - Dados da simulação em formato plano
+     * @param {Object} estrategia - Configuração da estratégia
+     * @param {Object} impactoBase - Resultado do impacto base sem mitigação
+     * @returns {Object} - Análise de efetividade
+     */
+    function calcularEfeitividadeMeiosPagamento(dadosPlanos, estrategia, impactoBase) {
+        return window.IVADualSystem.calcularEfeitividadeMeiosPagamento(dadosPlanos, estrategia, impactoBase);
+    }
     
     // API pública
     return {
@@ -0,0 +1,319 @@
+/**
+ * OtimizadorEstrategias - Otimização contínua do mix de estratégias de mitigação
+ * Versão: 1.0.0
+ * Busca simultaneamente quais estratégias usar e com que intensidade (aumento de preços, dias
+ * adicionais com fornecedores, parcela de recebíveis antecipada e valor captado), minimizando o
+ * custo total sob as restrições informadas. A efetividade e o custo de cada combinação são obtidos
+ * pelo IVADualSystem (calcularEfeitividade* e calcularEfeitividadeCombinada). A otimização usa busca
+ * por padrões (compass search) e a fronteira de Pareto é obtida pelo método da restrição-ε, variando
+ * a efetividade mínima exigida.
+ */
+window.OtimizadorEstrategias = (function() {
+    /**
+     * Parâmetros de estratégia otimizados (chaves de SolverEstrategias.VARIAVEIS)
+     * @type {Array<string>}
+     */
+    const ALAVANCAS = [
+        'ajustePrecos.percentualAumento',
+        'renegociacaoPrazos.aumentoPrazo',
+        'antecipacaoRecebiveis.percentualAntecipacao',
+        'capitalGiro.valorCaptacao'
+    ];
+
+    /**
+     * Restrições padrão da otimização
+     * @type {Object}
+     */
+    const RESTRICOES_PADRAO = {
+        aumentoPrecoMaximo: 10,     // % máximo de aumento de preços
+        prazoFornecedorMaximo: 60,  // Dias adicionais máximos negociados com fornecedores
+        dividaMaxima: null,         // R$ máximo captado (null = limitado à necessidade)
+        efetividadeMinima: 100      // % mínimo de neutralização do impacto
+    };
+
+    /**
+     * Parâmetros numéricos da busca
+     * @type {Object}
+     */
+    const CONFIGURACAO_PADRAO = {
+        passoInicial: 0.25,     // Passo inicial, em fração do intervalo de cada parâmetro
+        passoMinimo: 0.002,     // Critério de parada da busca por padrões
+        maximoAvaliacoes: 600,  // Limite de avaliações por otimização
+        pontosFronteira: 10     // Níveis de efetividade da fronteira de Pareto
+    };
+
+    /**
+     * Normaliza as restrições informadas
+     * @param {Object} restricoes - Restrições ({aumentoPrecoMaximo, prazoFornecedorMaximo, dividaMaxima, efetividadeMinima})
+     * @returns {Object} - Restrições normalizadas
+     */
+    function normalizarRestricoes(restricoes = {}) {
+        const numero = (valor, padrao) => {
+            const convertido = parseFloat(valor);
+            return isNaN(convertido) || convertido < 0 ? padrao : convertido;
+        };
+
+        return {
+            aumentoPrecoMaximo: numero(restricoes.aumentoPrecoMaximo, RESTRICOES_PADRAO.aumentoPrecoMaximo),
+            prazoFornecedorMaximo: numero(restricoes.prazoFornecedorMaximo, RESTRICOES_PADRAO.prazoFornecedorMaximo),
+            dividaMaxima: numero(restricoes.dividaMaxima, RESTRICOES_PADRAO.dividaMaxima),
+            efetividadeMinima: numero(restricoes.efetividadeMinima, RESTRICOES_PADRAO.efetividadeMinima)
+        };
+    }
+
+    /**
+     * Define o intervalo de busca de cada alavanca a partir das restrições
+     * @param {Object} restricoes - Restrições normalizadas
+     * @param {number} necessidadeCapitalGiro - Necessidade de capital de giro a neutralizar
+     * @param {Array<string>} candidatas - Alavancas consideradas
+     * @returns {Array<Object>} - Definição e limites de cada alavanca
+     */
+    function definirIntervalos(restricoes, necessidadeCapitalGiro, candidatas) {
+        return candidatas.map(chave => {
+            const definicao = window.SolverEstrategias.VARIAVEIS[chave];
+            let maximo = definicao.maximo;
+
+            if (chave === 'ajustePrecos.percentualAumento') {
+                maximo = Math.min(maximo, restricoes.aumentoPrecoMaximo);
+            } else if (chave === 'renegociacaoPrazos.aumentoPrazo') {
+                maximo = Math.min(maximo, restricoes.prazoFornecedorMaximo);
+            } else if (chave === 'capitalGiro.valorCaptacao' && restricoes.dividaMaxima !== null) {
+                // A captação é informada em % da necessidade de capital de giro
+                maximo = Math.min(maximo, (restricoes.dividaMaxima / necessidadeCapitalGiro) * 100);
+            }
+
+            return { chave, definicao, minimo: 0, maximo: Math.max(0, maximo) };
+        });
+    }
+
+    /**
+     * Cria a função de avaliação de uma combinação de parâmetros, com cache dos pontos já avaliados
+     * @param {Object} dados - Dados em formato plano (incluindo estrategias)
+     * @param {Array<Object>} intervalos - Alavancas e seus limites
+     * @param {Object} impactoBase - Impacto base do Split Payment
+     * @returns {Function} - Avaliador que recebe a posição normalizada (0 a 1) de cada alavanca
+     */
+    function criarAvaliador(dados, intervalos, impactoBase) {
+        const cache = new Map();
+
+        const avaliar = function(posicao) {
+            const valores = intervalos.map((intervalo, i) => {
+                const valor = intervalo.minimo + posicao[i] * (intervalo.maximo - intervalo.minimo);
+                return intervalo.definicao.inteiro ? Math.round(valor) : Math.round(valor * 10000) / 10000;
+            });
+
+            const chaveCache = valores.join('|');
+            if (cache.has(chaveCache)) {
+                return cache.get(chaveCache);
+            }
+
+            const resultadosEstrategias = {};
+            intervalos.forEach((intervalo, i) => {
+                if (valores[i] > 0) {
+                    const { estrategia, parametro, funcao } = intervalo.definicao;
+                    resultadosEstrategias[estrategia] = window.IVADualSystem[funcao](
+                        dados,
+                        { ...(dados.estrategias?.[estrategia] || {}), [parametro]: valores[i] },
+                        impactoBase
+                    );
+                }
+            });
+
+            const combinada = window.IVADualSystem.calcularEfeitividadeCombinada(
+                dados, dados.estrategias, resultadosEstrategias, impactoBase
+            );
+
+            const avaliacao = {
+                parametros: Object.fromEntries(intervalos.map((intervalo, i) => [intervalo.chave, valores[i]])),
+                estrategiasSelecionadas: Object.keys(resultadosEstrategias),
+                efetividade: combinada.efetividadePercentual || 0,
+                custo: combinada.custoTotal || 0,
+                valorFinanciamento: resultadosEstrategias.capitalGiro?.valorFinanciamento || 0,
+                // Soma das posições normalizadas, usada para desempatar soluções de mesmo custo
+                intensidade: posicao.reduce((soma, valor) => soma + valor, 0)
+            };
+
+            cache.set(chaveCache, avaliacao);
+            return avaliacao;
+        };
+
+        avaliar.totalAvaliacoes = () => cache.size;
+        return avaliar;
+    }
+
+    /**
+     * Busca por padrões (compass search) no hipercubo [0, 1]
+     * @param {Function} avaliar - Avaliador de posições
+     * @param {Function} melhor - Retorna true se a primeira avaliação for melhor que a segunda
+     * @param {Array<number>} inicio - Posição inicial
+     * @param {Object} config - Configuração da busca
+     * @returns {Object} - Posição e avaliação finais
+     */
+    function buscarPorPadroes(avaliar, melhor, inicio, config) {
+        let posicao = [...inicio];
+        let atual = avaliar(posicao);
+        let passo = config.passoInicial;
+        let avaliacoes = 1;
+
+        while (passo >= config.passoMinimo && avaliacoes < config.maximoAvaliacoes) {
+            let melhorou = false;
+
+            for (let i = 0; i < posicao.length && !melhorou; i++) {
+                for (const sentido of [1, -1]) {
+                    const tentativa = [...posicao];
+                    tentativa[i] = Math.max(0, Math.min(1, tentativa[i] + sentido * passo));
+                    if (tentativa[i] === posicao[i]) continue;
+
+                    const avaliacao = avaliar(tentativa);
+                    avaliacoes++;
+                    if (melhor(avaliacao, atual)) {
+                        posicao = tentativa;
+                        atual = avaliacao;
+                        melhorou = true;
+                        break;
+                    }
+                }
+            }
+
+            if (!melhorou) {
+                passo /= 2;
+            }
+        }
+
+        return { posicao, avaliacao: atual };
+    }
+
+    /**
+     * Critério de comparação para minimizar o custo com efetividade mínima:
+     * menor violação da restrição e, entre pontos viáveis, menor custo (em empate, menor intensidade)
+     * @param {number} efetividadeMinima - Efetividade mínima exigida (%)
+     * @returns {Function} - Comparador (a melhor que b)
+     */
+    function criterioCustoMinimo(efetividadeMinima) {
+        const violacao = avaliacao => Math.max(0, efetividadeMinima - avaliacao.efetividade);
+        return (a, b) => {
+            const diferencaViolacao = violacao(a) - violacao(b);
+            if (Math.abs(diferencaViolacao) > 1e-9) return diferencaViolacao < 0;
+            if (Math.abs(a.custo - b.custo) > 1e-6) return a.custo < b.custo;
+            return a.intensidade < b.intensidade - 1e-9;
+        };
+    }
+
+    /**
+     * Minimiza o custo para uma efetividade mínima, partindo de uma ou mais posições iniciais
+     * @param {Function} avaliar - Avaliador de posições
+     * @param {number} efetividadeMinima - Efetividade mínima exigida (%)
+     * @param {Array<Array<number>>} inicios - Posições iniciais
+     * @param {Object} config - Configuração da busca
+     * @returns {Object} - Melhor posição e avaliação encontradas
+     */
+    function minimizarCusto(avaliar, efetividadeMinima, inicios, config) {
+        const melhor = criterioCustoMinimo(efetividadeMinima);
+        let solucao = null;
+
+        inicios.forEach(inicio => {
+            const resultado = buscarPorPadroes(avaliar, melhor, inicio, config);
+            if (!solucao || melhor(resultado.avaliacao, solucao.avaliacao)) {
+                solucao = resultado;
+            }
+        });
+
+        return solucao;
+    }
+
+    /**
+     * Otimiza o mix de estratégias, minimizando o custo total sob as restrições informadas
+     * @param {Object} dados - Dados em formato plano (incluindo estrategias)
+     * @param {Object} restricoes - Restrições ({aumentoPrecoMaximo, prazoFornecedorMaximo, dividaMaxima, efetividadeMinima})
+     * @param {number} ano - Ano de referência do impacto base
+     * @param {Object} parametrosSetoriais - Parâmetros específicos do setor (opcional)
+     * @param {Object} opcoes - Opções ({impactoBase, candidatas, ...CONFIGURACAO_PADRAO})
+     * @returns {Object} - Solução ótima e fronteira de Pareto entre custo e neutralização
+     */
+    function otimizar(dados, restricoes = {}, ano = 2026, parametrosSetoriais = null, opcoes = {}) {
+        if (!dados || dados.empresa !== undefined) {
+            throw new Error('O otimizador de estratégias espera dados em formato plano');
+        }
+        if (!window.SolverEstrategias) {
+            throw new Error('Módulo SolverEstrategias não carregado');
+        }
+
+        const config = { ...CONFIGURACAO_PADRAO, ...opcoes };
+        const limites = normalizarRestricoes(restricoes);
+        const impactoBase = opcoes.impactoBase || window.IVADualSystem.calcularImpactoCapitalGiro(dados, ano, parametrosSetoriais);
+        const necessidadeCapitalGiro = Math.abs(impactoBase.diferencaCapitalGiro || 0);
+
+        const resultado = {
+            ano,
+            restricoes: limites,
+            necessidadeCapitalGiro,
+            solucaoOtima: null,
+            efetividadeMaximaAlcancavel: 0,
+            frentePareto: [],
+            totalAvaliacoes: 0
+        };
+
+        if (necessidadeCapitalGiro === 0) {
+            return resultado;
+        }
+
+        const candidatas = (opcoes.candidatas || ALAVANCAS).filter(chave => ALAVANCAS.includes(chave));
+        const intervalos = definirIntervalos(limites, necessidadeCapitalGiro, candidatas)
+            .filter(intervalo => intervalo.maximo > intervalo.minimo);
+        if (intervalos.length === 0) {
+            return resultado;
+        }
+
+        const avaliar = criarAvaliador(dados, intervalos, impactoBase);
+        const inicioMaximo = intervalos.map(() => 1);
+        const inicioNulo = intervalos.map(() => 0);
+
+        // 1. Efetividade máxima alcançável dentro das restrições
+        const maximo = buscarPorPadroes(avaliar, (a, b) => a.efetividade > b.efetividade + 1e-9, inicioMaximo, config);
+        resultado.efetividadeMaximaAlcancavel = maximo.avaliacao.efetividade;
+
+        // 2. Solução de menor custo para a efetividade mínima exigida
+        const otima = minimizarCusto(avaliar, limites.efetividadeMinima, [maximo.posicao, inicioMaximo, inicioNulo], config);
+        resultado.solucaoOtima = {
+            ...otima.avaliacao,
+            viavel: otima.avaliacao.efetividade >= limites.efetividadeMinima - 1e-6
+        };
+
+        // 3. Fronteira de Pareto: menor custo para cada nível de neutralização (restrição-ε)
+        const efetividadeTeto = Math.min(100, resultado.efetividadeMaximaAlcancavel);
+        const pontos = [];
+        let posicaoAnterior = inicioNulo;
+
+        for (let k = 1; k <= config.pontosFronteira; k++) {
+            const nivel = (efetividadeTeto * k) / config.pontosFronteira;
+            const solucao = minimizarCusto(avaliar, nivel, [posicaoAnterior, maximo.posicao], config);
+            posicaoAnterior = solucao.posicao;
+
+            if (solucao.avaliacao.efetividade >= nivel - 1e-6) {
+                pontos.push({ nivelExigido: nivel, ...solucao.avaliacao });
+            }
+        }
+        if (resultado.solucaoOtima.viavel) {
+            pontos.push({ nivelExigido: limites.efetividadeMinima, ...resultado.solucaoOtima });
+        }
+
+        // Manter apenas os pontos não dominados (mais efetividade exige mais custo)
+        pontos.sort((a, b) => a.efetividade - b.efetividade || a.custo - b.custo);
+        resultado.frentePareto = pontos.filter((ponto, i) =>
+            !pontos.some((outro, j) => j !== i &&
+                outro.custo <= ponto.custo && outro.efetividade >= ponto.efetividade &&
+                (outro.custo < ponto.custo || outro.efetividade > ponto.efetividade))
+        ).filter((ponto, i, lista) => i === 0 || ponto.efetividade !== lista[i - 1].efetividade || ponto.custo !== lista[i - 1].custo);
+
+        resultado.totalAvaliacoes = avaliar.totalAvaliacoes();
+        return resultado;
+    }
+
+    return {
+        ALAVANCAS,
+        RESTRICOES_PADRAO,
+        CONFIGURACAO_PADRAO,
+        normalizarRestricoes,
+        otimizar
+    };
+})();
@@ -0,0 +1,165 @@
+/**
+ * SaldoCredorICMS - Aproveitamento do saldo credor de ICMS na transição para o IBS
+ * Versão: 1.0.0
+ * Os saldos credores de ICMS existentes ao final de 2032, homologados pelo estado, podem ser
+ * compensados com o IBS ou ressarcidos em parcelas mensais, iguais e sucessivas, corrigidas
+ * pelo IPCA (LC 214/2025, arts. 134 a 137). Até 2032 o saldo permanece na escrita fiscal do
+ * ICMS, acumulando ou sendo consumido conforme a apuração mensal (E110).
+ */
+window.SaldoCredorICMS = (function() {
+    /**
+     * Regra legal de aproveitamento do saldo credor
+     * @type {Object}
+     */
+    const REGRA_APROVEITAMENTO = {
+        anoInicio: 2033,            // Primeira parcela em janeiro de 2033
+        numeroParcelas: 240,        // Parcelas mensais, iguais e sucessivas
+        correcaoPadrao: 0.04,       // IPCA anual estimado (decimal)
+        prazoRessarcimentoPadrao: 2 // Meses entre a parcela e o ressarcimento em dinheiro
+    };
+
+    /**
+     * Formas de aproveitamento das parcelas
+     * @type {Object}
+     */
+    const formasAproveitamento = {
+        compensacao: {
+            nome: 'Compensação com o IBS',
+            descricao: 'A parcela reduz o IBS a recolher no próprio mês'
+        },
+        ressarcimento: {
+            nome: 'Ressarcimento',
+            descricao: 'A parcela é restituída em dinheiro após o prazo de ressarcimento'
+        }
+    };
+
+    /**
+     * Normaliza os parâmetros do saldo credor
+     * @param {Object} parametros - Parâmetros informados
+     * @returns {Object} - Parâmetros normalizados
+     */
+    function normalizarParametros(parametros = {}) {
+        const numero = (valor, padrao) => {
+            const convertido = parseFloat(valor);
+            return isNaN(convertido) ? padrao : convertido;
+        };
+
+        const correcao = numero(parametros.correcaoIPCA, REGRA_APROVEITAMENTO.correcaoPadrao);
+
+        // Data de referência do saldo no formato 'AAAA-MM', limitada ao início do aproveitamento
+        const [anoInformado, mesInformado] = String(parametros.dataReferencia || '').split('-').map(Number);
+        const anoReferencia = Math.min(REGRA_APROVEITAMENTO.anoInicio, anoInformado || 2026);
+        const mesReferencia = anoReferencia === REGRA_APROVEITAMENTO.anoInicio ? 1 : Math.max(1, Math.min(12, mesInformado || 1));
+
+        return {
+            saldoInicial: Math.max(0, numero(parametros.saldoInicial, 0)),
+            acumuloMensal: numero(parametros.acumuloMensal, 0),
+            dataReferencia: `${anoReferencia}-${String(mesReferencia).padStart(2, '0')}`,
+            anoReferencia,
+            mesReferencia,
+            correcaoIPCA: Math.max(0, correcao > 1 ? correcao / 100 : correcao),
+            formaAproveitamento: formasAproveitamento[parametros.formaAproveitamento] ? parametros.formaAproveitamento : 'compensacao',
+            prazoRessarcimento: Math.max(0, parseInt(parametros.prazoRessarcimento ?? REGRA_APROVEITAMENTO.prazoRessarcimentoPadrao) || 0)
+        };
+    }
+
+    /**
+     * Projeta o saldo credor existente ao final do ano anterior ao início do aproveitamento.
+     * O saldo informado refere-se ao início do mês de referência e varia pelo acúmulo mensal
+     * (positivo) ou pelo consumo na apuração do ICMS (negativo), sem ficar negativo.
+     * @param {Object} parametros - Parâmetros normalizados
+     * @returns {number} - Saldo credor a homologar
+     */
+    function projetarSaldoHomologado(parametros) {
+        const mesesAteInicio = (REGRA_APROVEITAMENTO.anoInicio - parametros.anoReferencia) * 12 - (parametros.mesReferencia - 1);
+        let saldo = parametros.saldoInicial;
+
+        for (let mes = 0; mes < mesesAteInicio; mes++) {
+            saldo = Math.max(0, saldo + parametros.acumuloMensal);
+        }
+
+        return saldo;
+    }
+
+    /**
+     * Gera o cronograma mensal de aproveitamento do saldo credor
+     * @param {Object} parametros - Parâmetros do saldo credor (saldoInicial, acumuloMensal, correcaoIPCA, ...)
+     * @returns {Object} - Saldo homologado, parcelas mensais e entradas de caixa por ano
+     */
+    function gerarCronograma(parametros) {
+        const p = normalizarParametros(parametros);
+        const saldoHomologado = projetarSaldoHomologado(p);
+        const numeroParcelas = REGRA_APROVEITAMENTO.numeroParcelas;
+        const valorParcelaBase = saldoHomologado / numeroParcelas;
+        const defasagem = p.formaAproveitamento === 'ressarcimento' ? p.prazoRessarcimento : 0;
+
+        const parcelas = [];
+        const entradasPorAno = {};
+        let saldoRemanescente = saldoHomologado;
+        let totalEntradas = 0;
+
+        for (let numero = 1; numero <= numeroParcelas && valorParcelaBase > 0; numero++) {
+            const mesesDesdeInicio = numero - 1;
+            const valorParcela = valorParcelaBase * Math.pow(1 + p.correcaoIPCA, mesesDesdeInicio / 12);
+            const indiceEntrada = mesesDesdeInicio + defasagem;
+            const ano = REGRA_APROVEITAMENTO.anoInicio + Math.floor(indiceEntrada / 12);
+            const mes = (indiceEntrada % 12) + 1;
+
+            saldoRemanescente -= valorParcelaBase;
+            totalEntradas += valorParcela;
+            entradasPorAno[ano] = (entradasPorAno[ano] || 0) + valorParcela;
+
+            parcelas.push({
+                numero,
+                ano,
+                mes,
+                valor: valorParcela,
+                saldoRemanescente: Math.max(0, saldoRemanescente)
+            });
+        }
+
+        return {
+            parametros: p,
+            saldoHomologado,
+            numeroParcelas: parcelas.length,
+            valorParcelaInicial: parcelas.length > 0 ? parcelas[0].valor : 0,
+            anoInicio: REGRA_APROVEITAMENTO.anoInicio,
+            anoTermino: parcelas.length > 0 ? parcelas[parcelas.length - 1].ano : null,
+            formaAproveitamento: p.formaAproveitamento,
+            parcelas,
+            entradasPorAno,
+            totalEntradas
+        };
+    }
+
+    /**
+     * Obtém as entradas de caixa mensais do cronograma para um ano
+     * @param {Object} cronograma - Cronograma gerado por gerarCronograma
+     * @param {number} ano - Ano de referência
+     * @returns {Object} - Entradas de cada mês (jan a dez) e total do ano
+     */
+    function obterEntradasAno(cronograma, ano) {
+        const mensal = new Array(12).fill(0);
+
+        (cronograma?.parcelas || [])
+            .filter(parcela => parcela.ano === ano)
+            .forEach(parcela => {
+                mensal[parcela.mes - 1] += parcela.valor;
+            });
+
+        return {
+            ano,
+            mensal,
+            total: mensal.reduce((soma, valor) => soma + valor, 0)
+        };
+    }
+
+    return {
+        REGRA_APROVEITAMENTO,
+        formasAproveitamento,
+        normalizarParametros,
+        projetarSaldoHomologado,
+        gerarCronograma,
+        obterEntradasAno
+    };
+})();
@@ -0,0 +1,130 @@
+/**
+ * SimulacaoItens - Cálculo da CBS e do IBS por produto (NCM)
+ * Versão: 1.0.0
+ * Empresas com portfólio misto (supermercados, farmácias) têm produtos em categorias de alíquota
+ * diferentes, e uma única alíquota setorial distorce o resultado. Cada NCM é enquadrado pelo
+ * CategoriasNCM; os débitos (saídas) e créditos (entradas) de cada item são calculados com o
+ * fator da sua categoria e consolidados na alíquota efetiva da empresa.
+ */
+window.SimulacaoItens = (function() {
+    /**
+     * Normaliza a lista de itens, descartando NCMs inválidos e itens sem valor
+     * @param {Array} itensNCM - Itens ({ncm, descricao, valorSaidas, valorEntradas})
+     * @returns {Array} - Itens válidos com valores numéricos
+     */
+    function normalizarItens(itensNCM) {
+        if (!Array.isArray(itensNCM)) return [];
+
+        return itensNCM.map(item => ({
+            ncm: window.CategoriasNCM.normalizarNCM(item?.ncm),
+            descricao: item?.descricao || '',
+            valorSaidas: Math.max(0, parseFloat(item?.valorSaidas) || 0),
+            valorEntradas: Math.max(0, parseFloat(item?.valorEntradas) || 0)
+        })).filter(item => item.ncm.length >= 2 && (item.valorSaidas > 0 || item.valorEntradas > 0));
+    }
+
+    /**
+     * Calcula a CBS e o IBS de cada item e consolida por categoria e para a empresa
+     * @param {Array} itensNCM - Itens ({ncm, descricao, valorSaidas, valorEntradas} em R$/mês)
+     * @param {Object} aliquotas - Alíquotas padrão {cbs, ibs} em decimal
+     * @returns {Object} - Itens calculados, totais por categoria e alíquota efetiva da empresa
+     */
+    function calcular(itensNCM, aliquotas = {}) {
+        const aliquotaCBS = aliquotas.cbs || 0;
+        const aliquotaIBS = aliquotas.ibs || 0;
+        const aliquotaPadrao = aliquotaCBS + aliquotaIBS;
+
+        const itens = normalizarItens(itensNCM).map(item => {
+            const categoria = window.CategoriasNCM.obterCategoria(item.ncm);
+            const fator = window.CategoriasNCM.CATEGORIAS[categoria].fator;
+            const debitoCBS = item.valorSaidas * aliquotaCBS * fator;
+            const debitoIBS = item.valorSaidas * aliquotaIBS * fator;
+            const creditoCBS = item.valorEntradas * aliquotaCBS * fator;
+            const creditoIBS = item.valorEntradas * aliquotaIBS * fator;
+
+            return {
+                ...item,
+                categoria,
+                fator,
+                aliquotaEfetiva: aliquotaPadrao * fator,
+                debitoCBS,
+                debitoIBS,
+                creditoCBS,
+                creditoIBS,
+                impostoLiquido: debitoCBS + debitoIBS - creditoCBS - creditoIBS
+            };
+        });
+
+        const porCategoria = {};
+        Object.keys(window.CategoriasNCM.CATEGORIAS).forEach(categoria => {
+            porCategoria[categoria] = {
+                nome: window.CategoriasNCM.CATEGORIAS[categoria].nome,
+                quantidade: 0,
+                valorSaidas: 0,
+                valorEntradas: 0,
+                debitos: 0,
+                creditos: 0
+            };
+        });
+
+        const totais = { valorSaidas: 0, valorEntradas: 0, debitoCBS: 0, debitoIBS: 0, creditoCBS: 0, creditoIBS: 0 };
+        itens.forEach(item => {
+            const grupo = porCategoria[item.categoria];
+            grupo.quantidade++;
+            grupo.valorSaidas += item.valorSaidas;
+            grupo.valorEntradas += item.valorEntradas;
+            grupo.debitos += item.debitoCBS + item.debitoIBS;
+            grupo.creditos += item.creditoCBS + item.creditoIBS;
+
+            Object.keys(totais).forEach(campo => {
+                totais[campo] += item[campo];
+            });
+        });
+        totais.debitos = totais.debitoCBS + totais.debitoIBS;
+        totais.creditos = totais.creditoCBS + totais.creditoIBS;
+        totais.impostoLiquido = totais.debitos - totais.creditos;
+
+        // Fator médio ponderado pelo valor; sem saídas informadas, usar o perfil das entradas
+        const fatorCargaSaidas = totais.valorSaidas > 0 && aliquotaPadrao > 0 ?
+            totais.debitos / (totais.valorSaidas * aliquotaPadrao) : null;
+        const fatorCargaEntradas = totais.valorEntradas > 0 && aliquotaPadrao > 0 ?
+            totais.creditos / (totais.valorEntradas * aliquotaPadrao) : null;
+
+        // Comparação com a alíquota única (todos os itens na alíquota padrão)
+        const impostoLiquidoAliquotaUnica = (totais.valorSaidas - totais.valorEntradas) * aliquotaPadrao;
+
+        return {
+            aliquotas: { cbs: aliquotaCBS, ibs: aliquotaIBS, total: aliquotaPadrao },
+            itens,
+            porCategoria,
+            totais,
+            fatorCargaSaidas,
+            fatorCargaEntradas,
+            aliquotaEfetiva: aliquotaPadrao * (fatorCargaSaidas ?? fatorCargaEntradas ?? 1),
+            impostoLiquidoAliquotaUnica,
+            diferencaAliquotaUnica: totais.impostoLiquido - impostoLiquidoAliquotaUnica
+        };
+    }
+
+    /**
+     * Fator médio da carga de CBS/IBS sobre as saídas, a aplicar sobre a alíquota padrão
+     * @param {Array} itensNCM - Itens ({ncm, valorSaidas, valorEntradas})
+     * @returns {number|null} - Fator entre 0 e 1, ou null se não houver itens com valor
+     */
+    function calcularFatorCarga(itensNCM) {
+        const itens = normalizarItens(itensNCM);
+        const baseSaidas = itens.some(item => item.valorSaidas > 0);
+        const campo = baseSaidas ? 'valorSaidas' : 'valorEntradas';
+
+        const total = itens.reduce((soma, item) => soma + item[campo], 0);
+        if (total <= 0) return null;
+
+        return itens.reduce((soma, item) => soma + item[campo] * window.CategoriasNCM.obterFator(item.ncm), 0) / total;
+    }
+
+    return {
+        normalizarItens,
+        calcular,
+        calcularFatorCarga
+    };
+})();
@@ -0,0 +1,536 @@
+/**
+ * SimulacaoMonteCarlo - Análise estocástica do impacto no capital de giro
+ * Versão: 1.0.0
+ * Cada parâmetro incerto recebe uma distribuição de probabilidade (triangular, normal ou uniforme).
+ * A cada iteração os parâmetros são sorteados e o impacto no capital de giro é recalculado pelo
+ * IVADualSystem.calcularImpactoCapitalGiro, formando a distribuição da necessidade de capital de giro
+ * e do custo de financiamento.
+ */
+window.SimulacaoMonteCarlo = (function() {
+    /**
+     * Limites do número de iterações
+     * @type {Object}
+     */
+    const LIMITES_ITERACOES = {
+        minimo: 100,
+        maximo: 10000,
+        padrao: 1000
+    };
+
+    /**
+     * Iterações processadas antes de devolver o controle ao navegador
+     * @type {number}
+     */
+    const TAMANHO_LOTE = 50;
+
+    /**
+     * Parâmetros que podem receber distribuição de probabilidade.
+     * Valores percentuais são tratados em decimal (0,05 = 5%).
+     * @type {Object}
+     */
+    const PARAMETROS = {
+        pmr: {
+            nome: 'Prazo Médio de Recebimento',
+            unidade: 'dias',
+            percentual: false,
+            inteiro: true,
+            minimo: 0,
+            maximo: 360
+        },
+        pmp: {
+            nome: 'Prazo Médio de Pagamento',
+            unidade: 'dias',
+            percentual: false,
+            inteiro: true,
+            minimo: 0,
+            maximo: 360
+        },
+        taxaCrescimento: {
+            nome: 'Crescimento do Faturamento',
+            unidade: '% a.a.',
+            percentual: true,
+            inteiro: false,
+            minimo: -1,
+            maximo: 1
+        },
+        percVista: {
+            nome: 'Vendas à Vista',
+            unidade: '%',
+            percentual: true,
+            inteiro: false,
+            minimo: 0,
+            maximo: 1
+        },
+        aliquotaCBS: {
+            nome: 'Alíquota CBS',
+            unidade: '%',
+            percentual: true,
+            inteiro: false,
+            minimo: 0,
+            maximo: 1
+        },
+        aliquotaIBS: {
+            nome: 'Alíquota IBS',
+            unidade: '%',
+            percentual: true,
+            inteiro: false,
+            minimo: 0,
+            maximo: 1
+        },
+        taxaCapitalGiro: {
+            nome: 'Taxa de Capital de Giro',
+            unidade: '% a.m.',
+            percentual: true,
+            inteiro: false,
+            minimo: 0,
+            maximo: 1
+        }
+    };
+
+    /**
+     * Distribuições de probabilidade disponíveis e seus parâmetros
+     * @type {Object}
+     */
+    const DISTRIBUICOES = {
+        triangular: {
+            nome: 'Triangular',
+            parametros: ['minimo', 'moda', 'maximo']
+        },
+        normal: {
+            nome: 'Normal',
+            parametros: ['media', 'desvioPadrao']
+        },
+        uniforme: {
+            nome: 'Uniforme',
+            parametros: ['minimo', 'maximo']
+        }
+    };
+
+    /**
+     * Indicadores de resultado acompanhados em cada iteração
+     * @type {Object}
+     */
+    const INDICADORES = {
+        necessidadeAdicionalCapitalGiro: 'Necessidade Adicional de Capital de Giro',
+        necessidadePicoCapitalGiro: 'Necessidade de Pico no Fluxo Mensal',
+        custoAnualCapitalGiro: 'Custo Anual de Financiamento'
+    };
+
+    // Controle da execução em andamento
+    let _cancelamentoSolicitado = false;
+    let _emExecucao = false;
+
+    /**
+     * Cria um gerador pseudoaleatório reprodutível (mulberry32)
+     * @param {number} semente - Semente inteira
+     * @returns {Function} - Função que retorna números uniformes em [0, 1)
+     */
+    function criarGerador(semente) {
+        let estado = semente >>> 0;
+        return function() {
+            estado = (estado + 0x6D2B79F5) >>> 0;
+            let t = estado;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Sorteia um valor da distribuição configurada
+     * @param {Object} distribuicao - Distribuição ({tipo, minimo, moda, maximo, media, desvioPadrao})
+     * @param {Function} aleatorio - Gerador uniforme em [0, 1)
+     * @returns {number} - Valor sorteado
+     */
+    function amostrar(distribuicao, aleatorio) {
+        switch (distribuicao.tipo) {
+            case 'triangular': {
+                const { minimo, moda, maximo } = distribuicao;
+                if (maximo === minimo) return minimo;
+                const u = aleatorio();
+                const corte = (moda - minimo) / (maximo - minimo);
+                return u < corte
+                    ? minimo + Math.sqrt(u * (maximo - minimo) * (moda - minimo))
+                    : maximo - Math.sqrt((1 - u) * (maximo - minimo) * (maximo - moda));
+            }
+            case 'normal': {
+                // Transformação de Box-Muller
+                const u1 = 1 - aleatorio();
+                const u2 = aleatorio();
+                const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+                return distribuicao.media + z * distribuicao.desvioPadrao;
+            }
+            case 'uniforme':
+                return distribuicao.minimo + aleatorio() * (distribuicao.maximo - distribuicao.minimo);
+            default:
+                throw new Error(`Distribuição não suportada: ${distribuicao.tipo}`);
+        }
+    }
+
+    /**
+     * Valida e normaliza a distribuição de um parâmetro
+     * @param {string} parametro - Chave do parâmetro em PARAMETROS
+     * @param {Object} distribuicao - Distribuição informada
+     * @returns {Object} - Distribuição com valores numéricos
+     * @throws {Error} Se a distribuição for inválida
+     */
+    function validarDistribuicao(parametro, distribuicao) {
+        const definicao = PARAMETROS[parametro];
+        if (!definicao) {
+            throw new Error(`Parâmetro não suportado na simulação de Monte Carlo: ${parametro}`);
+        }
+
+        const tipo = distribuicao?.tipo;
+        if (!DISTRIBUICOES[tipo]) {
+            throw new Error(`Distribuição inválida para ${definicao.nome}: ${tipo}`);
+        }
+
+        const normalizada = { tipo };
+        DISTRIBUICOES[tipo].parametros.forEach(campo => {
+            const valor = parseFloat(distribuicao[campo]);
+            if (isNaN(valor)) {
+                throw new Error(`${definicao.nome}: valor "${campo}" não informado`);
+            }
+            normalizada[campo] = valor;
+        });
+
+        if (tipo === 'triangular' && !(normalizada.minimo <= normalizada.moda && normalizada.moda <= normalizada.maximo)) {
+            throw new Error(`${definicao.nome}: a distribuição triangular exige mínimo ≤ moda ≤ máximo`);
+        }
+        if (tipo === 'uniforme' && normalizada.minimo > normalizada.maximo) {
+            throw new Error(`${definicao.nome}: o mínimo não pode ser maior que o máximo`);
+        }
+        if (tipo === 'normal' && normalizada.desvioPadrao < 0) {
+            throw new Error(`${definicao.nome}: o desvio padrão não pode ser negativo`);
+        }
+
+        return normalizada;
+    }
+
+    /**
+     * Valida a configuração da simulação
+     * @param {Object} configuracao - Configuração ({iteracoes, semente, limiteCredito, distribuicoes})
+     * @returns {Object} - Configuração normalizada
+     * @throws {Error} Se nenhuma distribuição válida for informada
+     */
+    function normalizarConfiguracao(configuracao = {}) {
+        const distribuicoes = {};
+        Object.entries(configuracao.distribuicoes || {}).forEach(([parametro, distribuicao]) => {
+            if (distribuicao) {
+                distribuicoes[parametro] = validarDistribuicao(parametro, distribuicao);
+            }
+        });
+
+        if (Object.keys(distribuicoes).length === 0) {
+            throw new Error('Selecione ao menos um parâmetro com distribuição de probabilidade');
+        }
+
+        const iteracoes = parseInt(configuracao.iteracoes, 10) || LIMITES_ITERACOES.padrao;
+        const semente = parseInt(configuracao.semente, 10);
+        const limiteCredito = parseFloat(configuracao.limiteCredito);
+
+        return {
+            iteracoes: Math.max(LIMITES_ITERACOES.minimo, Math.min(LIMITES_ITERACOES.maximo, iteracoes)),
+            semente: isNaN(semente) ? Date.now() % 2147483647 : semente,
+            limiteCredito: isNaN(limiteCredito) || limiteCredito < 0 ? null : limiteCredito,
+            distribuicoes
+        };
+    }
+
+    /**
+     * Sorteia os parâmetros de uma iteração, respeitando os limites de cada parâmetro
+     * @param {Object} distribuicoes - Distribuições normalizadas por parâmetro
+     * @param {Function} aleatorio - Gerador uniforme em [0, 1)
+     * @returns {Object} - Valores sorteados por parâmetro
+     */
+    function sortearParametros(distribuicoes, aleatorio) {
+        const amostra = {};
+        Object.entries(distribuicoes).forEach(([parametro, distribuicao]) => {
+            const definicao = PARAMETROS[parametro];
+            let valor = Math.max(definicao.minimo, Math.min(definicao.maximo, amostrar(distribuicao, aleatorio)));
+            if (definicao.inteiro) {
+                valor = Math.round(valor);
+            }
+            amostra[parametro] = valor;
+        });
+        return amostra;
+    }
+
+    /**
+     * Calcula o impacto no capital de giro para um conjunto de parâmetros sorteados.
+     * O crescimento é aplicado ao faturamento do ano inicial da simulação até o ano analisado.
+     * @param {Object} dadosBase - Dados em formato plano
+     * @param {number} ano - Ano analisado
+     * @param {Object} parametrosSetoriais - Parâmetros setoriais da simulação
+     * @param {Object} amostra - Valores sorteados por parâmetro
+     * @param {number} anoInicial - Ano inicial da simulação
+     * @returns {Object} - Indicadores de resultado da iteração
+     */
+    function simularIteracao(dadosBase, ano, parametrosSetoriais, amostra, anoInicial) {
+        const dados = JSON.parse(JSON.stringify(dadosBase));
+        const parametros = { ...(parametrosSetoriais || {}) };
+
+        if (amostra.pmr !== undefined) dados.pmr = amostra.pmr;
+        if (amostra.pmp !== undefined) dados.pmp = amostra.pmp;
+        if (amostra.percVista !== undefined) {
+            dados.percVista = amostra.percVista;
+            dados.percPrazo = 1 - amostra.percVista;
+        }
+        if (amostra.taxaCapitalGiro !== undefined) dados.taxaCapitalGiro = amostra.taxaCapitalGiro;
+
+        // As alíquotas setoriais prevalecem sobre as dos dados no cálculo do IVA
+        if (amostra.aliquotaCBS !== undefined) {
+            dados.aliquotaCBS = amostra.aliquotaCBS;
+            parametros.aliquotaCBS = amostra.aliquotaCBS;
+        }
+        if (amostra.aliquotaIBS !== undefined) {
+            dados.aliquotaIBS = amostra.aliquotaIBS;
+            parametros.aliquotaIBS = amostra.aliquotaIBS;
+        }
+
+        const taxaCrescimento = amostra.taxaCrescimento !== undefined ? amostra.taxaCrescimento : 0;
+        dados.faturamento = dados.faturamento * Math.pow(1 + taxaCrescimento, Math.max(0, ano - anoInicial));
+
+        const impacto = window.IVADualSystem.calcularImpactoCapitalGiro(dados, ano, parametros);
+
+        return {
+            necessidadeAdicionalCapitalGiro: impacto.necessidadeAdicionalCapitalGiro || 0,
+            necessidadePicoCapitalGiro: impacto.fluxoCaixaMensal?.resumo?.necessidadePicoCapitalGiro || 0,
+            custoAnualCapitalGiro: impacto.impactoMargemDetalhado?.custoAnualCapitalGiro || 0
+        };
+    }
+
+    /**
+     * Calcula o percentil de uma amostra ordenada por interpolação linear
+     * @param {Array<number>} valoresOrdenados - Valores em ordem crescente
+     * @param {number} percentil - Percentil desejado (0 a 100)
+     * @returns {number} - Valor do percentil
+     */
+    function calcularPercentil(valoresOrdenados, percentil) {
+        if (valoresOrdenados.length === 0) return 0;
+        const posicao = (percentil / 100) * (valoresOrdenados.length - 1);
+        const inferior = Math.floor(posicao);
+        const superior = Math.ceil(posicao);
+        return valoresOrdenados[inferior] + (valoresOrdenados[superior] - valoresOrdenados[inferior]) * (posicao - inferior);
+    }
+
+    /**
+     * Resume a distribuição de um indicador
+     * @param {Array<number>} valores - Valores obtidos nas iterações
+     * @returns {Object} - Percentis P5, P50 e P95, média, desvio padrão, mínimo e máximo
+     */
+    function resumirDistribuicao(valores) {
+        const ordenados = [...valores].sort((a, b) => a - b);
+        const n = ordenados.length;
+        const media = n > 0 ? ordenados.reduce((soma, valor) => soma + valor, 0) / n : 0;
+        const variancia = n > 1 ? ordenados.reduce((soma, valor) => soma + Math.pow(valor - media, 2), 0) / (n - 1) : 0;
+
+        return {
+            p5: calcularPercentil(ordenados, 5),
+            p50: calcularPercentil(ordenados, 50),
+            p95: calcularPercentil(ordenados, 95),
+            media,
+            desvioPadrao: Math.sqrt(variancia),
+            minimo: n > 0 ? ordenados[0] : 0,
+            maximo: n > 0 ? ordenados[n - 1] : 0
+        };
+    }
+
+    /**
+     * Agrupa os valores em classes de mesma amplitude
+     * @param {Array<number>} valores - Valores obtidos nas iterações
+     * @param {number} numeroClasses - Quantidade de classes
+     * @returns {Object} - Limites inferiores, limites superiores e frequências de cada classe
+     */
+    function gerarHistograma(valores, numeroClasses = 20) {
+        if (valores.length === 0) {
+            return { inicio: [], fim: [], frequencias: [] };
+        }
+
+        const minimo = Math.min(...valores);
+        const maximo = Math.max(...valores);
+        const classes = maximo > minimo ? numeroClasses : 1;
+        const amplitude = maximo > minimo ? (maximo - minimo) / classes : 1;
+        const frequencias = new Array(classes).fill(0);
+
+        valores.forEach(valor => {
+            const indice = Math.min(classes - 1, Math.floor((valor - minimo) / amplitude));
+            frequencias[indice]++;
+        });
+
+        return {
+            inicio: frequencias.map((_, i) => minimo + i * amplitude),
+            fim: frequencias.map((_, i) => minimo + (i + 1) * amplitude),
+            frequencias
+        };
+    }
+
+    /**
+     * Consolida os indicadores das iterações concluídas
+     * @param {Object} valores - Valores por indicador
+     * @param {Object} amostras - Valores sorteados por parâmetro
+     * @param {Object} configuracao - Configuração normalizada
+     * @param {Object} controle - Ano, iterações concluídas, falhas e cancelamento
+     * @returns {Object} - Resultado da simulação de Monte Carlo
+     */
+    function consolidarResultados(valores, amostras, configuracao, controle) {
+        const indicadores = {};
+        Object.keys(INDICADORES).forEach(indicador => {
+            indicadores[indicador] = resumirDistribuicao(valores[indicador]);
+        });
+
+        const parametrosSorteados = {};
+        Object.keys(amostras).forEach(parametro => {
+            parametrosSorteados[parametro] = resumirDistribuicao(amostras[parametro]);
+        });
+
+        // Probabilidade de a necessidade de capital superar o limite de crédito disponível
+        let probabilidadeExcederLimite = null;
+        if (configuracao.limiteCredito !== null && controle.concluidas > 0) {
+            const proporcaoAcima = lista => lista.filter(valor => valor > configuracao.limiteCredito).length / lista.length;
+            probabilidadeExcederLimite = {
+                necessidadeAdicionalCapitalGiro: proporcaoAcima(valores.necessidadeAdicionalCapitalGiro),
+                necessidadePicoCapitalGiro: proporcaoAcima(valores.necessidadePicoCapitalGiro)
+            };
+        }
+
+        return {
+            ano: controle.ano,
+            iteracoesSolicitadas: configuracao.iteracoes,
+            iteracoesConcluidas: controle.concluidas,
+            iteracoesComFalha: controle.falhas,
+            cancelada: controle.cancelada,
+            semente: configuracao.semente,
+            limiteCredito: configuracao.limiteCredito,
+            distribuicoes: configuracao.distribuicoes,
+            indicadores,
+            parametrosSorteados,
+            probabilidadeExcederLimite,
+            histograma: gerarHistograma(valores.necessidadeAdicionalCapitalGiro)
+        };
+    }
+
+    /**
+     * Executa a simulação de Monte Carlo em lotes, sem bloquear a interface
+     * @param {Object} dadosBase - Dados em formato plano
+     * @param {number} ano - Ano analisado
+     * @param {Object} parametrosSetoriais - Parâmetros setoriais da simulação
+     * @param {Object} configuracao - Configuração ({iteracoes, semente, limiteCredito, distribuicoes})
+     * @param {Object} opcoes - Opções ({anoInicial, aoProgredir(concluidas, total)})
+     * @returns {Promise<Object>} - Resultado consolidado da simulação
+     */
+    function executar(dadosBase, ano, parametrosSetoriais, configuracao, opcoes = {}) {
+        return new Promise((resolve, reject) => {
+            if (_emExecucao) {
+                reject(new Error('Já existe uma simulação de Monte Carlo em andamento'));
+                return;
+            }
+            if (!dadosBase || dadosBase.empresa !== undefined) {
+                reject(new Error('A simulação de Monte Carlo espera dados em formato plano'));
+                return;
+            }
+
+            let config;
+            try {
+                config = normalizarConfiguracao(configuracao);
+            } catch (erro) {
+                reject(erro);
+                return;
+            }
+
+            const anoInicial = opcoes.anoInicial || ano;
+            const aleatorio = criarGerador(config.semente);
+            const valores = {};
+            Object.keys(INDICADORES).forEach(indicador => { valores[indicador] = []; });
+            const amostras = {};
+            Object.keys(config.distribuicoes).forEach(parametro => { amostras[parametro] = []; });
+
+            const controle = { ano, concluidas: 0, falhas: 0, cancelada: false };
+            let ultimoErro = null;
+
+            _emExecucao = true;
+            _cancelamentoSolicitado = false;
+            console.log(`Iniciando simulação de Monte Carlo: ${config.iteracoes} iterações, ano ${ano}, semente ${config.semente}`);
+
+            const finalizar = () => {
+                _emExecucao = false;
+                if (controle.concluidas === 0) {
+                    reject(controle.cancelada
+                        ? new Error('Simulação de Monte Carlo cancelada antes da primeira iteração')
+                        : new Error('Nenhuma iteração pôde ser calculada' + (ultimoErro ? ': ' + ultimoErro.message : '')));
+                    return;
+                }
+                console.log(`Simulação de Monte Carlo finalizada: ${controle.concluidas} iterações concluídas, ${controle.falhas} com falha`);
+                resolve(consolidarResultados(valores, amostras, config, controle));
+            };
+
+            const processarLote = () => {
+                if (_cancelamentoSolicitado) {
+                    controle.cancelada = true;
+                    finalizar();
+                    return;
+                }
+
+                const limiteLote = Math.min(config.iteracoes, controle.concluidas + controle.falhas + TAMANHO_LOTE);
+                for (let i = controle.concluidas + controle.falhas; i < limiteLote; i++) {
+                    const amostra = sortearParametros(config.distribuicoes, aleatorio);
+                    try {
+                        const resultado = simularIteracao(dadosBase, ano, parametrosSetoriais, amostra, anoInicial);
+                        Object.keys(INDICADORES).forEach(indicador => valores[indicador].push(resultado[indicador]));
+                        Object.keys(amostra).forEach(parametro => amostras[parametro].push(amostra[parametro]));
+                        controle.concluidas++;
+                    } catch (erro) {
+                        ultimoErro = erro;
+                        controle.falhas++;
+                    }
+                }
+
+                if (typeof opcoes.aoProgredir === 'function') {
+                    opcoes.aoProgredir(controle.concluidas + controle.falhas, config.iteracoes);
+                }
+
+                if (controle.concluidas + controle.falhas < config.iteracoes) {
+                    setTimeout(processarLote, 0);
+                } else {
+                    finalizar();
+                }
+            };
+
+            setTimeout(processarLote, 0);
+        });
+    }
+
+    /**
+     * Solicita o cancelamento da simulação em andamento.
+     * O lote em processamento é concluído e o resultado parcial é consolidado.
+     */
+    function cancelar() {
+        if (_emExecucao) {
+            _cancelamentoSolicitado = true;
+        }
+    }
+
+    return {
+        LIMITES_ITERACOES,
+        PARAMETROS,
+        DISTRIBUICOES,
+        INDICADORES,
+        criarGerador,
+        amostrar,
+        validarDistribuicao,
+        simularIteracao,
+        calcularPercentil,
+        resumirDistribuicao,
+        gerarHistograma,
+        executar,
+        cancelar,
+
+        /**
+         * Verifica se há uma simulação em andamento
+         * @returns {boolean}
+         */
+        emExecucao: function() {
+            return _emExecucao;
+        }
+    };
+})();
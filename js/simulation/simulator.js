@@ -116,6 +116,18 @@ function gerarMemoriaCalculo(dados, impactoBase, projecaoTemporal) {
         throw new Error('Estrutura incompatível. Dados devem estar em formato plano para memória de cálculo.');
     }
     
+    // Percentuais de transição e alíquotas de referência da versão ativa do cronograma
+    const tabelaTransicao = window.CronogramaTransicao.obterTabela();
+    const percentuaisTransicao = tabelaTransicao.percentuais.splitPayment;
+    const anosTransicao = Object.keys(percentuaisTransicao).map(Number).sort((a, b) => a - b);
+    const anoInicialTransicao = anosTransicao[0];
+    const anoFinalTransicao = anosTransicao[anosTransicao.length - 1];
+    const formatarPercentualTransicao = valor => `${(valor * 100).toLocaleString('pt-BR', { maximumFractionDigits: 2 })}%`;
+    const percentualInicialIVA = formatarPercentualTransicao(percentuaisTransicao[anoInicialTransicao]);
+    const percentualFinalIVA = formatarPercentualTransicao(percentuaisTransicao[anoFinalTransicao]);
+    const percentualInicialAtual = formatarPercentualTransicao(1 - percentuaisTransicao[anoInicialTransicao]);
+    const percentualFinalAtual = formatarPercentualTransicao(1 - percentuaisTransicao[anoFinalTransicao]);
+    
     return {
         dadosEntrada: {
             empresa: {
@@ -152,27 +164,48 @@ function gerarMemoriaCalculo(dados, impactoBase, projecaoTemporal) {
                     ipi: typeof dados.debitosIPI === 'number' ? dados.debitosIPI : 0,
                     iss: typeof dados.debitosISS === 'number' ? dados.debitosISS : 0
                 },
-                // NOVA SEÇÃO: Cronograma de transição
-                cronogramaTransicao: {
-                    2026: 0.10, 2027: 0.25, 2028: 0.40, 2029: 0.55,
-                    2030: 0.70, 2031: 0.85, 2032: 0.95, 2033: 1.00
-                }
+                // Imposto Seletivo: fora do Split Payment, sem créditos e incluído na base da CBS/IBS
+                impostoSeletivo: {
+                    aliquota: typeof dados.aliquotaIS === 'number' ? dados.aliquotaIS : 0,
+                    aliquotaEfetiva: window.IVADualSystem.calcularAliquotaEfetivaSeletivo(dados.aliquotaIS, dados.produtosIS),
+                    produtos: Array.isArray(dados.produtosIS) ? dados.produtosIS : [],
+                    diaVencimento: dados.diaVencimentoIS || 25
+                },
+                // NOVA SEÇÃO: Cronograma de transição (versão ativa da tabela)
+                cronogramaTransicao: window.CronogramaTransicao.obterTabela().percentuais.splitPayment,
+                versaoCronograma: window.CronogramaTransicao.obterIdentificacao()
             },
             parametrosSimulacao: {
                 cenario: dados.cenario || 'moderado',
                 taxaCrescimento: typeof dados.taxaCrescimento === 'number' ? dados.taxaCrescimento : 0.05,
                 dataInicial: dados.dataInicial || '2026-01-01',
-                dataFinal: dados.dataFinal || '2033-12-31'
+                dataFinal: dados.dataFinal || '2033-12-31',
+                modalidadeSplit: dados.modalidadeSplit || 'inteligente',
+                percentualSplitSimplificado: typeof dados.percentualSplitSimplificado === 'number' ? dados.percentualSplitSimplificado : 0.10
             }
         },
         impactoBase: {
             diferencaCapitalGiro: impactoBase.diferencaCapitalGiro,
             percentualImpacto: impactoBase.percentualImpacto,
-            impactoDiasFaturamento: impactoBase.impactoDiasFaturamento
+            impactoDiasFaturamento: impactoBase.impactoDiasFaturamento,
+            modalidadeSplit: impactoBase.resultadoSplitPayment?.modalidadeSplit || null,
+            comparativoModalidades: impactoBase.comparativoModalidades || [],
+            impostoSeletivo: impactoBase.impostoSeletivo || null,
+            comparativoSimplesNacional: impactoBase.comparativoSimplesNacional || null,
+            ibsPorDestino: impactoBase.ibsPorDestino || null,
+            composicaoICMSAtual: impactoBase.composicaoICMSAtual || null
         },
         projecaoTemporal: {
             parametros: projecaoTemporal.parametros,
-            impactoAcumulado: projecaoTemporal.impactoAcumulado
+            impactoAcumulado: projecaoTemporal.impactoAcumulado,
+            saldoCredorICMS: projecaoTemporal.saldoCredorICMS ? {
+                saldoHomologado: projecaoTemporal.saldoCredorICMS.saldoHomologado,
+                numeroParcelas: projecaoTemporal.saldoCredorICMS.numeroParcelas,
+                valorParcelaInicial: projecaoTemporal.saldoCredorICMS.valorParcelaInicial,
+                anoTermino: projecaoTemporal.saldoCredorICMS.anoTermino,
+                formaAproveitamento: projecaoTemporal.saldoCredorICMS.formaAproveitamento,
+                totalEntradas: projecaoTemporal.saldoCredorICMS.totalEntradas
+            } : null
         },
         // NOVA SEÇÃO: Memória crítica com cálculos de transição
         memoriaCritica: {
@@ -180,15 +213,34 @@ function gerarMemoriaCalculo(dados, impactoBase, projecaoTemporal) {
             passoAPasso: [
                 "1. Calcular débitos e créditos por imposto no sistema atual",
                 "2. Calcular alíquotas efetivas por imposto",
-                "3. Determinar percentual de transição para o ano (10% em 2026 até 100% em 2033)",
+                `3. Determinar percentual de transição para o ano (${percentualInicialIVA} em ${anoInicialTransicao} até ${percentualFinalIVA} em ${anoFinalTransicao})`,
                 "4. Calcular valor híbrido: (Tributos Atuais × % Sistema Atual) + (IVA Dual × % Sistema Novo)",
                 "5. Determinar impacto no capital de giro considerando a transição progressiva",
-                "6. Projetar impactos ao longo dos 8 anos de transição"
+                `6. Projetar impactos ao longo dos ${anosTransicao.length} anos de transição`
             ],
             observacoes: [
                 "Durante a transição, empresas pagarão ambos os sistemas simultaneamente",
-                "O percentual do sistema atual diminui gradualmente de 90% (2026) para 0% (2033)",
-                "O percentual do IVA Dual aumenta gradualmente de 10% (2026) para 100% (2033)",
+                `O percentual do sistema atual diminui gradualmente de ${percentualInicialAtual} (${anoInicialTransicao}) para ${percentualFinalAtual} (${anoFinalTransicao})`,
+                `O percentual do IVA Dual aumenta gradualmente de ${percentualInicialIVA} (${anoInicialTransicao}) para ${percentualFinalIVA} (${anoFinalTransicao})`,
+                `Cronograma de transição utilizado: versão ${tabelaTransicao.versao}`,
+                `Alíquotas de referência do cronograma: CBS ${formatarPercentualTransicao(tabelaTransicao.aliquotasReferencia.cbs)} e IBS ${formatarPercentualTransicao(tabelaTransicao.aliquotasReferencia.ibs)} (antes da tabela versionada o simulador adotava 8,25% para cada tributo)`,
+                obterDescricaoModalidadeSplit(dados.modalidadeSplit),
+                ...(!window.IVADualSystem.modalidadesSplit[dados.modalidadeSplit] || dados.modalidadeSplit === 'inteligente' ? [
+                    "Split Inteligente é a modalidade padrão: os créditos de CBS e IBS são deduzidos antes da retenção. Simulações salvas antes da escolha da modalidade retinham o percentual de implementação sobre o imposto bruto e, ao serem recalculadas, apresentam retenção menor"
+                ] : []),
+                "Imposto Seletivo: incide uma única vez, integra a base de cálculo da CBS e do IBS, não gera créditos e é recolhido no vencimento próprio, fora do Split Payment",
+                ...(impactoBase.comparativoSimplesNacional ? [
+                    `Simples Nacional: opção recomendada no ano inicial - ${impactoBase.comparativoSimplesNacional.recomendacao.nome}`
+                ] : []),
+                ...(impactoBase.ibsPorDestino ? [
+                    "IBS: devido aos estados e municípios de destino, conforme a distribuição do faturamento informada (alíquotas não informadas seguem a divisão referencial estadual/municipal)"
+                ] : []),
+                ...(projecaoTemporal.saldoCredorICMS ? [
+                    "Saldo credor de ICMS: homologado ao final de 2032 e aproveitado em 240 parcelas mensais corrigidas pelo IPCA, por compensação com o IBS ou ressarcimento (LC 214/2025)"
+                ] : []),
+                ...(impactoBase.composicaoICMSAtual?.complementar > 0 ? [
+                    "ICMS-ST, DIFAL e FCP: somados ao ICMS próprio no sistema atual e reduzidos na mesma proporção do ICMS durante a transição"
+                ] : []),
                 "Cálculos baseiam-se na LC 214/2025 e regulamentação posterior",
                 "Valores podem variar conforme alterações na regulamentação"
             ]
@@ -196,6 +248,17 @@ function gerarMemoriaCalculo(dados, impactoBase, projecaoTemporal) {
     };
 }
 
+/**
+ * Descreve a modalidade de Split Payment utilizada na simulação
+ * @param {string} modalidade - 'inteligente', 'simplificado' ou 'manual'
+ * @returns {string} - Descrição da modalidade e da fórmula de retenção
+ */
+function obterDescricaoModalidadeSplit(modalidade) {
+    const modalidades = window.IVADualSystem.modalidadesSplit;
+    const info = modalidades[modalidade] || modalidades.inteligente;
+    return `Modalidade de Split Payment: ${info.nome} - ${info.descricao} (${info.formula})`;
+}
+
 /**
  * Integra dados do SPED na estrutura plana para cálculos
  * @param {Object} dadosPlanos - Estrutura plana de dados
@@ -518,13 +581,7 @@ const SimuladorFluxoCaixa = {
                 const anoFinal = parseInt(dadosPlanos.dataFinal?.split('-')[0], 10) || 2033;
 
                 // 5. Obter parametros setoriais em formato próprio para cálculos
-                const parametrosSetoriais = {
-                    aliquotaCBS: dadosValidados.ivaConfig?.cbs || 0.088,
-                    aliquotaIBS: dadosValidados.ivaConfig?.ibs || 0.177,
-                    categoriaIva: dadosValidados.ivaConfig?.categoriaIva || 'standard',
-                    reducaoEspecial: dadosValidados.ivaConfig?.reducaoEspecial || 0,
-                    cronogramaProprio: false
-                };
+                const parametrosSetoriais = this._obterParametrosSetoriais(dadosValidados);
 
                 // 6. Calcular impacto base com tratamento de erro robusto
                 let impactoBase;
@@ -607,6 +664,8 @@ const SimuladorFluxoCaixa = {
                     projecaoTemporal,
                     memoriaCalculo,
                     dadosUtilizados: dadosValidados,
+                    // Versão da tabela de transição utilizada nos cálculos
+                    cronogramaTransicao: window.CronogramaTransicao.obterIdentificacao(),
                     // Garantir estrutura de exportação
                     resultadosExportacao: this._gerarEstruturaExportacao(impactoBase, projecaoTemporal)
                 };
@@ -637,6 +696,25 @@ const SimuladorFluxoCaixa = {
             }
         },
 
+    /**
+     * Obtém os parâmetros setoriais no formato esperado pelos cálculos
+     * @private
+     * @param {Object} dadosValidados - Dados validados (formato aninhado)
+     * @returns {Object} Parâmetros setoriais
+     */
+    _obterParametrosSetoriais(dadosValidados) {
+        return {
+            aliquotaCBS: dadosValidados.ivaConfig?.cbs || 0.088,
+            aliquotaIBS: dadosValidados.ivaConfig?.ibs || 0.177,
+            categoriaIva: dadosValidados.ivaConfig?.categoriaIva || 'standard',
+            reducaoEspecial: dadosValidados.ivaConfig?.reducaoEspecial || 0,
+            aliquotaIS: dadosValidados.ivaConfig?.aliquotaIS || 0,
+            produtosIS: dadosValidados.ivaConfig?.produtosIS || [],
+            destinosIBS: dadosValidados.ivaConfig?.destinosIBS || [],
+            cronogramaProprio: false
+        };
+    },
+
     /**
      * Valida a estrutura do impacto base
      * @private
@@ -982,6 +1060,319 @@ const SimuladorFluxoCaixa = {
         };
     },
     
+    /**
+     * Prepara os dados do formulário da mesma forma que a simulação determinística
+     * @private
+     * @returns {Object} Dados validados (aninhados), dados planos e ano inicial
+     * @throws {Error} Se não for possível obter os dados do formulário
+     */
+    _prepararDadosFormulario() {
+        let dadosAninhados = window.DataManager.obterDadosDoFormulario();
+        if (!dadosAninhados) {
+            throw new Error('Não foi possível obter dados para a simulação');
+        }
+        dadosAninhados = processarDadosComIntegracaoSped(dadosAninhados);
+
+        const dadosValidados = this.validarDados(dadosAninhados);
+        const dadosPlanos = window.DataManager.converterParaEstruturaPlana(dadosValidados);
+        if (dadosValidados.dadosSpedImportados) {
+            integrarDadosSpedNaEstruturaPlana(dadosPlanos, dadosValidados.dadosSpedImportados);
+        }
+
+        return {
+            dadosValidados,
+            dadosPlanos,
+            anoInicial: parseInt(dadosPlanos.dataInicial?.split('-')[0], 10) || 2026
+        };
+    },
+
+    /**
+     * Executa a simulação de Monte Carlo do impacto no capital de giro com os dados do formulário
+     * @param {Object} configuracao - Configuração ({ano, iteracoes, semente, limiteCredito, distribuicoes})
+     * @param {Object} opcoes - Opções repassadas ao SimulacaoMonteCarlo (ex.: aoProgredir)
+     * @returns {Promise<Object>} Resultado consolidado da simulação de Monte Carlo
+     */
+    simularMonteCarlo(configuracao, opcoes = {}) {
+        console.log('Iniciando simulação de Monte Carlo do capital de giro...');
+        try {
+            if (!window.SimulacaoMonteCarlo) {
+                throw new Error('Módulo SimulacaoMonteCarlo não carregado');
+            }
+
+            const { dadosValidados, dadosPlanos, anoInicial } = this._prepararDadosFormulario();
+            const ano = parseInt(configuracao?.ano, 10) || anoInicial;
+
+            return window.SimulacaoMonteCarlo.executar(
+                dadosPlanos,
+                ano,
+                this._obterParametrosSetoriais(dadosValidados),
+                configuracao,
+                { ...opcoes, anoInicial }
+            );
+        } catch (erro) {
+            console.error('Erro ao preparar a simulação de Monte Carlo:', erro);
+            return Promise.reject(erro);
+        }
+    },
+
+    /**
+     * Resolve o valor de um parâmetro de estratégia que atinge a meta informada (ponto de equilíbrio)
+     * @param {string} chaveVariavel - Parâmetro a resolver (ex.: 'ajustePrecos.percentualAumento')
+     * @param {Object} meta - Meta ({tipo: 'neutralizacao'|'custoMaximo', valor})
+     * @param {number} ano - Ano de referência (padrão: ano inicial da simulação)
+     * @returns {Object|null} Resultado do SolverEstrategias ou null em caso de erro
+     */
+    resolverPontoEquilibrio(chaveVariavel, meta, ano) {
+        console.log(`Resolvendo ponto de equilíbrio de ${chaveVariavel}...`);
+        try {
+            if (!window.SolverEstrategias) {
+                throw new Error('Módulo SolverEstrategias não carregado');
+            }
+
+            const { dadosValidados, dadosPlanos, anoInicial } = this._prepararDadosFormulario();
+
+            const resultado = window.SolverEstrategias.resolver(
+                dadosPlanos,
+                chaveVariavel,
+                meta,
+                parseInt(ano, 10) || anoInicial,
+                this._obterParametrosSetoriais(dadosValidados)
+            );
+
+            console.log(`Ponto de equilíbrio: ${resultado.situacao} após ${resultado.historicoConvergencia.length} avaliações`);
+            return resultado;
+        } catch (erro) {
+            console.error('Erro ao resolver o ponto de equilíbrio:', erro);
+            alert('Ocorreu um erro ao resolver o ponto de equilíbrio: ' + erro.message);
+            return null;
+        }
+    },
+
+    /**
+     * Otimiza o mix de estratégias de mitigação com os dados atuais do formulário
+     * @param {Object} restricoes - Restrições ({aumentoPrecoMaximo, prazoFornecedorMaximo, dividaMaxima, efetividadeMinima})
+     * @param {number} ano - Ano de referência (padrão: ano inicial da simulação)
+     * @returns {Object|null} Resultado do OtimizadorEstrategias ou null em caso de erro
+     */
+    otimizarEstrategias(restricoes, ano) {
+        console.log('Otimizando mix de estratégias de mitigação...');
+        try {
+            if (!window.OtimizadorEstrategias) {
+                throw new Error('Módulo OtimizadorEstrategias não carregado');
+            }
+
+            const { dadosValidados, dadosPlanos, anoInicial } = this._prepararDadosFormulario();
+
+            const resultado = window.OtimizadorEstrategias.otimizar(
+                dadosPlanos,
+                restricoes,
+                parseInt(ano, 10) || anoInicial,
+                this._obterParametrosSetoriais(dadosValidados)
+            );
+
+            console.log(`Otimização concluída: ${resultado.frentePareto.length} pontos na fronteira de Pareto, ${resultado.totalAvaliacoes} avaliações`);
+            return resultado;
+        } catch (erro) {
+            console.error('Erro ao otimizar as estratégias:', erro);
+            alert('Ocorreu um erro ao otimizar as estratégias: ' + erro.message);
+            return null;
+        }
+    },
+
+    /**
+     * Inclui no grupo econômico a empresa preenchida no formulário
+     * @param {string} nome - Nome da empresa
+     * @param {string} cnpj - CNPJ da empresa (identifica a empresa no grupo, se informado)
+     * @returns {Object|null} Empresa armazenada no SimuladorRepository ou null em caso de erro
+     */
+    adicionarEmpresaAoGrupo(nome, cnpj) {
+        try {
+            if (!window.SimuladorRepository) {
+                throw new Error('SimuladorRepository não carregado');
+            }
+
+            const { dadosValidados } = this._prepararDadosFormulario();
+            const cnpjNormalizado = String(cnpj || '').replace(/\D/g, '');
+
+            const entidade = window.SimuladorRepository.salvarEntidadeGrupo({
+                id: cnpjNormalizado || undefined,
+                nome: nome,
+                cnpj: cnpjNormalizado,
+                dados: dadosValidados
+            });
+
+            console.log(`Empresa ${entidade.nome} incluída no grupo econômico`);
+            return entidade;
+        } catch (erro) {
+            console.error('Erro ao incluir a empresa no grupo econômico:', erro);
+            alert('Ocorreu um erro ao incluir a empresa no grupo: ' + erro.message);
+            return null;
+        }
+    },
+
+    /**
+     * Simula as empresas do grupo econômico e consolida o impacto, eliminando as operações intragrupo
+     * @param {number} ano - Ano de referência (padrão: ano inicial da simulação de cada empresa)
+     * @returns {Object|null} Resultado do ConsolidacaoGrupo ou null em caso de erro
+     */
+    simularGrupoEconomico(ano) {
+        console.log('Simulando grupo econômico...');
+        try {
+            if (!window.ConsolidacaoGrupo || !window.SimuladorRepository) {
+                throw new Error('Módulo ConsolidacaoGrupo não carregado');
+            }
+
+            const grupo = window.SimuladorRepository.obterGrupoEconomico();
+            let anoReferencia = parseInt(ano, 10);
+
+            const entidades = grupo.entidades.map(entidade => {
+                const dadosValidados = this.validarDados(entidade.dados);
+                const dadosPlanos = window.DataManager.converterParaEstruturaPlana(dadosValidados);
+                if (dadosValidados.dadosSpedImportados) {
+                    integrarDadosSpedNaEstruturaPlana(dadosPlanos, dadosValidados.dadosSpedImportados);
+                }
+                if (!anoReferencia) {
+                    anoReferencia = parseInt(dadosPlanos.dataInicial?.split('-')[0], 10) || 2026;
+                }
+
+                return {
+                    id: entidade.id,
+                    nome: entidade.nome,
+                    cnpj: entidade.cnpj,
+                    dadosPlanos,
+                    parametrosSetoriais: this._obterParametrosSetoriais(dadosValidados)
+                };
+            });
+
+            const resultado = window.ConsolidacaoGrupo.simular(entidades, grupo.operacoesIntercompany, anoReferencia || 2026);
+
+            console.log(`Grupo econômico simulado: ${resultado.entidades.length} empresas, ${resultado.eliminacoes.length} operações intragrupo eliminadas`);
+            return resultado;
+        } catch (erro) {
+            console.error('Erro ao simular o grupo econômico:', erro);
+            alert('Ocorreu um erro ao simular o grupo econômico: ' + erro.message);
+            return null;
+        }
+    },
+
+    /**
+     * Calcula o resumo dos resultados de um cenário: impacto no ano inicial, projeção e estratégias ativas
+     * @private
+     * @param {Object} dadosAninhados - Dados do cenário (formato aninhado)
+     * @returns {Object} Indicadores do ComparacaoCenarios.extrairIndicadores
+     */
+    _calcularIndicadoresCenario(dadosAninhados) {
+        const dadosValidados = this.validarDados(dadosAninhados);
+        const dadosPlanos = window.DataManager.converterParaEstruturaPlana(dadosValidados);
+        if (dadosValidados.dadosSpedImportados) {
+            integrarDadosSpedNaEstruturaPlana(dadosPlanos, dadosValidados.dadosSpedImportados);
+        }
+
+        const anoInicial = parseInt(dadosPlanos.dataInicial?.split('-')[0], 10) || 2026;
+        const anoFinal = parseInt(dadosPlanos.dataFinal?.split('-')[0], 10) || 2033;
+        const parametrosSetoriais = this._obterParametrosSetoriais(dadosValidados);
+
+        const impactoBase = window.IVADualSystem.calcularImpactoCapitalGiro(dadosPlanos, anoInicial, parametrosSetoriais);
+        const projecaoTemporal = window.IVADualSystem.calcularProjecaoTemporal(
+            dadosPlanos,
+            anoInicial,
+            anoFinal,
+            dadosPlanos.cenario,
+            dadosPlanos.taxaCrescimento,
+            parametrosSetoriais
+        );
+
+        const estrategiasAtivas = Object.values(dadosPlanos.estrategias || {}).some(estrategia => estrategia?.ativar === true);
+        const resultadoEstrategias = estrategiasAtivas ?
+            window.IVADualSystem.calcularEfeitividadeMitigacao(dadosPlanos, dadosPlanos.estrategias, anoInicial, parametrosSetoriais, projecaoTemporal) :
+            null;
+
+        return window.ComparacaoCenarios.extrairIndicadores(impactoBase, projecaoTemporal, resultadoEstrategias);
+    },
+
+    /**
+     * Salva os dados do formulário como cenário nomeado da empresa, com o resumo dos resultados.
+     * Um cenário com o mesmo nome é atualizado.
+     * @param {string} empresa - Nome da empresa
+     * @param {string} nome - Nome do cenário (ex.: "base", "preço +3%")
+     * @returns {Object|null} Cenário armazenado no SimuladorRepository ou null em caso de erro
+     */
+    salvarCenario(empresa, nome) {
+        try {
+            if (!window.SimuladorRepository || !window.ComparacaoCenarios) {
+                throw new Error('Módulo ComparacaoCenarios não carregado');
+            }
+            if (!String(nome || '').trim()) {
+                throw new Error('Informe o nome do cenário');
+            }
+
+            const { dadosValidados } = this._prepararDadosFormulario();
+            const cenario = window.SimuladorRepository.salvarCenario(empresa, {
+                nome: nome,
+                dados: dadosValidados,
+                indicadores: this._calcularIndicadoresCenario(dadosValidados)
+            });
+
+            console.log(`Cenário ${cenario.nome} salvo para a empresa ${window.SimuladorRepository._chaveEmpresaCenarios(empresa)}`);
+            return cenario;
+        } catch (erro) {
+            console.error('Erro ao salvar o cenário:', erro);
+            alert('Ocorreu um erro ao salvar o cenário: ' + erro.message);
+            return null;
+        }
+    },
+
+    /**
+     * Carrega os dados de um cenário no formulário para edição
+     * @param {string} empresa - Nome da empresa
+     * @param {string} id - Identificador do cenário
+     * @returns {Object|null} Cenário carregado ou null se não existir
+     */
+    carregarCenario(empresa, id) {
+        const cenario = window.SimuladorRepository?.obterCenario(empresa, id);
+        if (!cenario) {
+            console.warn(`Cenário ${id} não encontrado`);
+            return null;
+        }
+
+        window.DataManager.preencherFormulario(cenario.dados);
+        console.log(`Cenário ${cenario.nome} carregado no formulário`);
+        return cenario;
+    },
+
+    /**
+     * Compara cenários da empresa lado a lado. Os indicadores são recalculados com as tabelas
+     * vigentes, para que cenários salvos em datas diferentes sejam comparáveis.
+     * @param {string} empresa - Nome da empresa
+     * @param {Array} ids - Identificadores dos cenários (o primeiro é a referência)
+     * @returns {Object|null} Resultado do ComparacaoCenarios.comparar ou null em caso de erro
+     */
+    compararCenarios(empresa, ids) {
+        console.log('Comparando cenários...');
+        try {
+            if (!window.SimuladorRepository || !window.ComparacaoCenarios) {
+                throw new Error('Módulo ComparacaoCenarios não carregado');
+            }
+
+            const cenarios = (ids || []).map(id => {
+                const cenario = window.SimuladorRepository.obterCenario(empresa, id);
+                if (!cenario) {
+                    throw new Error(`Cenário ${id} não encontrado`);
+                }
+                return { ...cenario, indicadores: this._calcularIndicadoresCenario(cenario.dados) };
+            });
+
+            const resultado = window.ComparacaoCenarios.comparar(cenarios);
+
+            console.log(`Comparação concluída: ${resultado.cenarios.map(cenario => cenario.nome).join(' x ')}`);
+            return resultado;
+        } catch (erro) {
+            console.error('Erro ao comparar os cenários:', erro);
+            alert('Ocorreu um erro ao comparar os cenários: ' + erro.message);
+            return null;
+        }
+    },
+
     /**
      * Simula o impacto das estratégias de mitigação
      * @returns {Object} Resultados da simulação com estratégias
@@ -1063,7 +1454,9 @@ const SimuladorFluxoCaixa = {
             const resultadoEstrategias = window.IVADualSystem.calcularEfeitividadeMitigacao(
                 dadosPlanos,
                 estrategiasAtivas,
-                parseInt(dadosPlanos.dataInicial?.split('-')[0], 10) || 2026
+                parseInt(dadosPlanos.dataInicial?.split('-')[0], 10) || 2026,
+                null,
+                window.resultadosSimulacao?.projecaoTemporal || null
             );
 
             // Validar resultado para garantir segurança
@@ -1121,6 +1514,37 @@ const SimuladorFluxoCaixa = {
                     html += '</div>';
                 }
 
+                // Ranking pelo VPL do benefício líquido (custo financeiro evitado menos custo da estratégia)
+                const analiseVPL = resultadoEstrategias.analiseVPL;
+                if (analiseVPL && analiseVPL.ranking.length > 0) {
+                    html += '<div class="estrategias-vpl">';
+                    html += `<h5>Ranking por VPL do Benefício Líquido (${analiseVPL.anoInicial}-${analiseVPL.anoFinal}, desconto de ${(analiseVPL.taxaDesconto * 100).toFixed(2)}% a.a.)</h5>`;
+                    html += '<table class="estrategias-tabela">';
+                    html += '<tr><th>#</th><th>Estratégia</th><th>Benefício Nominal</th><th>Custo Nominal</th><th>Benefício Líquido Nominal</th><th>VPL</th></tr>';
+
+                    analiseVPL.ranking.forEach(item => {
+                        html += `<tr>
+                            <td>${item.posicao}</td>
+                            <td>${item.nome}</td>
+                            <td>${window.CalculationCore.formatarMoeda(item.beneficioNominal)}</td>
+                            <td>${window.CalculationCore.formatarMoeda(item.custoNominal)}</td>
+                            <td>${window.CalculationCore.formatarMoeda(item.beneficioLiquidoNominal)}</td>
+                            <td>${window.CalculationCore.formatarMoeda(item.vpl)}</td>
+                        </tr>`;
+                    });
+
+                    html += `<tr>
+                        <td></td>
+                        <td><strong>Combinação</strong></td>
+                        <td>${window.CalculationCore.formatarMoeda(analiseVPL.combinada.beneficioNominal)}</td>
+                        <td>${window.CalculationCore.formatarMoeda(analiseVPL.combinada.custoNominal)}</td>
+                        <td>${window.CalculationCore.formatarMoeda(analiseVPL.combinada.beneficioLiquidoNominal)}</td>
+                        <td>${window.CalculationCore.formatarMoeda(analiseVPL.combinada.vpl)}</td>
+                    </tr>`;
+                    html += '</table>';
+                    html += '</div>';
+                }
+
                 html += '</div>'; // Fechamento da div estrategias-resumo
 
                 // Incluir log para diagnóstico
@@ -0,0 +1,298 @@
+/**
+ * SolverEstrategias - Ponto de equilíbrio das estratégias de mitigação
+ * Versão: 1.0.0
+ * Determina o valor de um parâmetro de estratégia necessário para atingir uma meta: a neutralização
+ * (total ou parcial) do impacto do Split Payment no capital de giro, ou o maior valor possível
+ * dentro de um custo máximo. A efetividade e o custo são obtidos pelas funções calcularEfeitividade*
+ * do IVADualSystem; a solução é localizada por varredura do intervalo seguida de bissecção.
+ */
+window.SolverEstrategias = (function() {
+    /**
+     * Parâmetros de estratégia que podem ser resolvidos, com o intervalo de busca
+     * @type {Object}
+     */
+    const VARIAVEIS = {
+        'ajustePrecos.percentualAumento': {
+            estrategia: 'ajustePrecos',
+            parametro: 'percentualAumento',
+            funcao: 'calcularEfeitividadeAjustePrecos',
+            nome: 'Aumento de Preços',
+            unidade: '%',
+            minimo: 0,
+            maximo: 50,
+            inteiro: false
+        },
+        'renegociacaoPrazos.aumentoPrazo': {
+            estrategia: 'renegociacaoPrazos',
+            parametro: 'aumentoPrazo',
+            funcao: 'calcularEfeitividadeRenegociacaoPrazos',
+            nome: 'Aumento do Prazo com Fornecedores',
+            unidade: 'dias',
+            minimo: 0,
+            maximo: 180,
+            inteiro: true
+        },
+        'antecipacaoRecebiveis.percentualAntecipacao': {
+            estrategia: 'antecipacaoRecebiveis',
+            parametro: 'percentualAntecipacao',
+            funcao: 'calcularEfeitividadeAntecipacaoRecebiveis',
+            nome: 'Recebíveis a Prazo Antecipados',
+            unidade: '%',
+            minimo: 0,
+            maximo: 100,
+            inteiro: false
+        },
+        'capitalGiro.valorCaptacao': {
+            estrategia: 'capitalGiro',
+            parametro: 'valorCaptacao',
+            funcao: 'calcularEfeitividadeCapitalGiro',
+            nome: 'Captação de Capital de Giro',
+            unidade: '% da necessidade',
+            minimo: 0,
+            maximo: 100,
+            inteiro: false
+        },
+        'mixProdutos.percentualAjuste': {
+            estrategia: 'mixProdutos',
+            parametro: 'percentualAjuste',
+            funcao: 'calcularEfeitividadeMixProdutos',
+            nome: 'Faturamento com Mix Ajustado',
+            unidade: '%',
+            minimo: 0,
+            maximo: 100,
+            inteiro: false
+        }
+    };
+
+    /**
+     * Tipos de meta aceitos pelo solver
+     * @type {Object}
+     */
+    const TIPOS_META = {
+        neutralizacao: {
+            nome: 'Neutralização do impacto',
+            unidade: '% de efetividade',
+            padrao: 100
+        },
+        custoMaximo: {
+            nome: 'Custo máximo da estratégia',
+            unidade: 'R$',
+            padrao: 0
+        }
+    };
+
+    /**
+     * Parâmetros numéricos do método de solução
+     * @type {Object}
+     */
+    const CONFIGURACAO_PADRAO = {
+        divisoesBusca: 40,      // Pontos da varredura inicial do intervalo
+        tolerancia: 0.01,       // Desvio aceito em relação à meta (p.p. de efetividade ou R$)
+        maximoIteracoes: 60     // Limite de iterações da bissecção
+    };
+
+    /**
+     * Calcula a efetividade e o custo da estratégia com o parâmetro informado
+     * @param {Object} dados - Dados em formato plano
+     * @param {Object} estrategias - Configuração das estratégias
+     * @param {Object} definicao - Definição da variável em VARIAVEIS
+     * @param {number} valor - Valor do parâmetro
+     * @param {Object} impactoBase - Impacto base do Split Payment
+     * @returns {Object} - Valor, efetividade (%) e custo (R$)
+     */
+    function avaliar(dados, estrategias, definicao, valor, impactoBase) {
+        const estrategia = {
+            ...(estrategias?.[definicao.estrategia] || {}),
+            [definicao.parametro]: valor
+        };
+        const resultado = window.IVADualSystem[definicao.funcao](dados, estrategia, impactoBase);
+
+        return {
+            valor,
+            efetividade: resultado.efetividadePercentual,
+            custo: window.CalculationCore.getFuncaoCusto(definicao.estrategia, resultado)
+        };
+    }
+
+    /**
+     * Valida a meta do solver
+     * @param {Object} meta - Meta ({tipo, valor})
+     * @returns {Object} - Meta normalizada
+     * @throws {Error} Se o tipo ou o valor da meta forem inválidos
+     */
+    function normalizarMeta(meta = {}) {
+        const tipo = meta.tipo || 'neutralizacao';
+        if (!TIPOS_META[tipo]) {
+            throw new Error(`Tipo de meta inválido: ${tipo}`);
+        }
+
+        const valor = meta.valor === undefined || meta.valor === '' ? TIPOS_META[tipo].padrao : parseFloat(meta.valor);
+        if (isNaN(valor) || valor < 0) {
+            throw new Error(`Valor da meta inválido: ${meta.valor}`);
+        }
+
+        return { tipo, valor };
+    }
+
+    /**
+     * Resolve o valor do parâmetro de estratégia que atinge a meta.
+     * Na neutralização, retorna o menor valor cuja efetividade alcança a meta; no custo máximo,
+     * o maior valor cujo custo não ultrapassa a meta.
+     * @param {Object} dados - Dados em formato plano (incluindo estrategias)
+     * @param {string} chaveVariavel - Chave da variável em VARIAVEIS (ex.: 'ajustePrecos.percentualAumento')
+     * @param {Object} meta - Meta ({tipo: 'neutralizacao'|'custoMaximo', valor})
+     * @param {number} ano - Ano de referência do impacto base
+     * @param {Object} parametrosSetoriais - Parâmetros específicos do setor (opcional)
+     * @param {Object} opcoes - Opções ({minimo, maximo, divisoesBusca, tolerancia, maximoIteracoes})
+     * @returns {Object} - Valor necessário, situação da solução e histórico de convergência
+     */
+    function resolver(dados, chaveVariavel, meta, ano = 2026, parametrosSetoriais = null, opcoes = {}) {
+        const definicao = VARIAVEIS[chaveVariavel];
+        if (!definicao) {
+            throw new Error(`Parâmetro de estratégia não suportado pelo solver: ${chaveVariavel}`);
+        }
+        if (!dados || dados.empresa !== undefined) {
+            throw new Error('O solver de estratégias espera dados em formato plano');
+        }
+
+        const metaNormalizada = normalizarMeta(meta);
+        const config = { ...CONFIGURACAO_PADRAO, ...opcoes };
+        const minimo = opcoes.minimo !== undefined ? opcoes.minimo : definicao.minimo;
+        const maximo = opcoes.maximo !== undefined ? opcoes.maximo : definicao.maximo;
+
+        const impactoBase = window.IVADualSystem.calcularImpactoCapitalGiro(dados, ano, parametrosSetoriais);
+        const necessidadeCapitalGiro = Math.abs(impactoBase.diferencaCapitalGiro || 0);
+
+        const resultado = {
+            variavel: chaveVariavel,
+            nome: definicao.nome,
+            unidade: definicao.unidade,
+            meta: metaNormalizada,
+            ano,
+            intervalo: { minimo, maximo },
+            necessidadeCapitalGiro,
+            situacao: null,
+            convergiu: false,
+            valorNecessario: null,
+            efetividade: null,
+            custo: null,
+            melhorAlcancado: null,
+            historicoConvergencia: [],
+            mensagem: ''
+        };
+
+        if (necessidadeCapitalGiro === 0) {
+            resultado.situacao = 'semImpacto';
+            resultado.mensagem = `Não há impacto do Split Payment no capital de giro em ${ano} a neutralizar.`;
+            return resultado;
+        }
+
+        const historico = resultado.historicoConvergencia;
+        const desvio = avaliacao => metaNormalizada.tipo === 'neutralizacao'
+            ? avaliacao.efetividade - metaNormalizada.valor
+            : avaliacao.custo - metaNormalizada.valor;
+        // Lado viável da meta: efetividade não inferior ou custo não superior ao informado
+        const viavel = avaliacao => metaNormalizada.tipo === 'neutralizacao' ? avaliacao.desvio >= 0 : avaliacao.desvio <= 0;
+        const calcular = (valor, fase) => {
+            const avaliacao = avaliar(dados, dados.estrategias, definicao, valor, impactoBase);
+            avaliacao.desvio = desvio(avaliacao);
+            historico.push({ iteracao: historico.length + 1, fase, ...avaliacao });
+            return avaliacao;
+        };
+        const concluir = (avaliacao, situacao) => {
+            resultado.situacao = situacao;
+            resultado.convergiu = situacao === 'convergiu';
+            resultado.valorNecessario = avaliacao.valor;
+            resultado.efetividade = avaliacao.efetividade;
+            resultado.custo = avaliacao.custo;
+            return resultado;
+        };
+
+        // 1. Varredura do intervalo até o primeiro ponto que atinge (ou ultrapassa) a meta
+        let anterior = null;
+        let atingido = null;
+        for (let i = 0; i <= config.divisoesBusca; i++) {
+            let valor = minimo + (maximo - minimo) * (i / config.divisoesBusca);
+            if (definicao.inteiro) valor = Math.round(valor);
+            if (anterior && valor === anterior.valor) continue;
+
+            const avaliacao = calcular(valor, 'varredura');
+            if (!isFinite(avaliacao.desvio)) continue;
+
+            if (!resultado.melhorAlcancado || avaliacao.efetividade > resultado.melhorAlcancado.efetividade) {
+                resultado.melhorAlcancado = { valor, efetividade: avaliacao.efetividade, custo: avaliacao.custo };
+            }
+
+            if (avaliacao.desvio >= 0) {
+                atingido = avaliacao;
+                break;
+            }
+            anterior = avaliacao;
+        }
+
+        if (!atingido) {
+            if (metaNormalizada.tipo === 'custoMaximo' && anterior) {
+                // O custo não alcança o limite em todo o intervalo
+                concluir(anterior, 'limiteSuperior');
+                resultado.mensagem = `O custo permanece abaixo de ${metaNormalizada.valor.toFixed(2)} até o limite do intervalo (${maximo} ${definicao.unidade}).`;
+                return resultado;
+            }
+            resultado.situacao = 'inatingivel';
+            resultado.mensagem = metaNormalizada.tipo === 'neutralizacao' && resultado.melhorAlcancado
+                ? `A meta de ${metaNormalizada.valor}% não é atingida entre ${minimo} e ${maximo} ${definicao.unidade}. Maior efetividade: ${resultado.melhorAlcancado.efetividade.toFixed(2)}% com ${resultado.melhorAlcancado.valor} ${definicao.unidade}.`
+                : 'Não foi possível avaliar a estratégia no intervalo informado.';
+            return resultado;
+        }
+
+        if (!anterior) {
+            // A meta já é atendida (neutralização) ou excedida (custo) no início do intervalo
+            if (metaNormalizada.tipo === 'custoMaximo' && atingido.desvio > 0) {
+                resultado.situacao = 'inatingivel';
+                resultado.mensagem = `O custo no início do intervalo (${minimo} ${definicao.unidade}) já excede o máximo informado.`;
+                return resultado;
+            }
+            concluir(atingido, 'convergiu');
+            resultado.mensagem = `A meta é atendida com ${atingido.valor} ${definicao.unidade}.`;
+            return resultado;
+        }
+
+        // 2. Bissecção entre o último ponto abaixo da meta e o primeiro que a atinge
+        let abaixo = anterior;
+        let acima = atingido;
+        const larguraMinima = definicao.inteiro ? 1 : (maximo - minimo) * 1e-9;
+
+        for (let i = 0; i < config.maximoIteracoes && acima.valor - abaixo.valor > larguraMinima; i++) {
+            let valor = (abaixo.valor + acima.valor) / 2;
+            if (definicao.inteiro) valor = Math.floor(valor);
+
+            const avaliacao = calcular(valor, 'bisseccao');
+            if (!isFinite(avaliacao.desvio)) break;
+
+            if (viavel(avaliacao) && Math.abs(avaliacao.desvio) <= config.tolerancia) {
+                concluir(avaliacao, 'convergiu');
+                resultado.mensagem = `Meta atendida com ${valor.toFixed(definicao.inteiro ? 0 : 2)} ${definicao.unidade}.`;
+                return resultado;
+            }
+
+            if (avaliacao.desvio >= 0) {
+                acima = avaliacao;
+            } else {
+                abaixo = avaliacao;
+            }
+        }
+
+        // Lado viável do intervalo: atinge a neutralização ou permanece dentro do custo
+        const solucao = metaNormalizada.tipo === 'neutralizacao' ? acima : abaixo;
+        concluir(solucao, 'convergiu');
+        resultado.mensagem = `Meta atendida com ${solucao.valor.toFixed(definicao.inteiro ? 0 : 2)} ${definicao.unidade}.`;
+        return resultado;
+    }
+
+    return {
+        VARIAVEIS,
+        TIPOS_META,
+        CONFIGURACAO_PADRAO,
+        avaliar,
+        resolver
+    };
+})();
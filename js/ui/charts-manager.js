@@ -831,6 +831,206 @@ window.ChartManager = (function() {
         });
     }
     
+    /**
+     * Renderizar histograma da simulação de Monte Carlo
+     * @param {Object} resultadoMonteCarlo - Resultado do SimulacaoMonteCarlo.executar
+     */
+    function renderizarGraficoMonteCarlo(resultadoMonteCarlo) {
+        const canvas = document.getElementById('grafico-monte-carlo');
+        if (!canvas) {
+            console.error('Elemento canvas para gráfico de Monte Carlo não encontrado');
+            return;
+        }
+
+        // Destruir gráfico anterior se existir
+        if (_charts.monteCarlo) {
+            _charts.monteCarlo.destroy();
+        }
+
+        if (!resultadoMonteCarlo || !resultadoMonteCarlo.histograma) {
+            console.warn('Resultado da simulação de Monte Carlo não disponível');
+            return;
+        }
+
+        const formatarMoeda = valor => new Intl.NumberFormat('pt-BR', {
+            style: 'currency',
+            currency: 'BRL',
+            maximumFractionDigits: 0
+        }).format(valor);
+
+        const histograma = resultadoMonteCarlo.histograma;
+        const necessidade = resultadoMonteCarlo.indicadores.necessidadeAdicionalCapitalGiro;
+        const limite = resultadoMonteCarlo.limiteCredito;
+
+        // Classes acima do limite de crédito destacadas em vermelho
+        const cores = histograma.fim.map(fim =>
+            limite !== null && fim > limite ? 'rgba(255, 99, 132, 0.7)' : 'rgba(54, 162, 235, 0.7)'
+        );
+
+        const data = {
+            labels: histograma.inicio.map(inicio => formatarMoeda(inicio)),
+            datasets: [
+                {
+                    label: 'Frequência das Iterações',
+                    data: histograma.frequencias,
+                    backgroundColor: cores,
+                    borderColor: cores.map(cor => cor.replace('0.7', '1')),
+                    borderWidth: 1
+                }
+            ]
+        };
+
+        const options = {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                title: {
+                    display: true,
+                    text: `Necessidade Adicional de Capital de Giro - ${resultadoMonteCarlo.ano}`,
+                    font: {
+                        size: 16
+                    }
+                },
+                subtitle: {
+                    display: true,
+                    text: `P5 ${formatarMoeda(necessidade.p5)} | P50 ${formatarMoeda(necessidade.p50)} | P95 ${formatarMoeda(necessidade.p95)}`,
+                    font: {
+                        size: 14
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        title: function(contexto) {
+                            const i = contexto[0].dataIndex;
+                            return `${formatarMoeda(histograma.inicio[i])} a ${formatarMoeda(histograma.fim[i])}`;
+                        },
+                        label: function(context) {
+                            const percentual = (context.parsed.y / resultadoMonteCarlo.iteracoesConcluidas) * 100;
+                            return `${context.parsed.y} iterações (${percentual.toFixed(1)}%)`;
+                        }
+                    }
+                },
+                legend: {
+                    display: false
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'Iterações'
+                    }
+                }
+            }
+        };
+
+        _charts.monteCarlo = new Chart(canvas, {
+            type: 'bar',
+            data: data,
+            options: options
+        });
+    }
+
+    /**
+     * Renderizar fronteira de Pareto entre custo e neutralização do otimizador de estratégias
+     * @param {Object} resultadoOtimizacao - Resultado do OtimizadorEstrategias.otimizar
+     */
+    function renderizarGraficoFronteiraPareto(resultadoOtimizacao) {
+        const canvas = document.getElementById('grafico-fronteira-pareto');
+        if (!canvas) {
+            console.error('Elemento canvas para gráfico da fronteira de Pareto não encontrado');
+            return;
+        }
+
+        // Destruir gráfico anterior se existir
+        if (_charts.fronteiraPareto) {
+            _charts.fronteiraPareto.destroy();
+        }
+
+        if (!resultadoOtimizacao || !Array.isArray(resultadoOtimizacao.frentePareto)) {
+            console.warn('Resultado da otimização de estratégias não disponível');
+            return;
+        }
+
+        const formatarMoeda = valor => new Intl.NumberFormat('pt-BR', {
+            style: 'currency',
+            currency: 'BRL',
+            maximumFractionDigits: 0
+        }).format(valor);
+
+        const pontos = resultadoOtimizacao.frentePareto.map(ponto => ({ x: ponto.efetividade, y: ponto.custo }));
+        const solucao = resultadoOtimizacao.solucaoOtima;
+
+        const data = {
+            datasets: [
+                {
+                    label: 'Fronteira de Pareto',
+                    data: pontos,
+                    borderColor: 'rgba(54, 162, 235, 1)',
+                    backgroundColor: 'rgba(54, 162, 235, 0.7)',
+                    showLine: true,
+                    tension: 0
+                },
+                {
+                    label: 'Solução Ótima',
+                    data: solucao && solucao.viavel ? [{ x: solucao.efetividade, y: solucao.custo }] : [],
+                    borderColor: 'rgba(255, 99, 132, 1)',
+                    backgroundColor: 'rgba(255, 99, 132, 0.9)',
+                    pointRadius: 7
+                }
+            ]
+        };
+
+        const options = {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                title: {
+                    display: true,
+                    text: `Fronteira de Pareto: Custo x Neutralização - ${resultadoOtimizacao.ano}`,
+                    font: {
+                        size: 16
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            return `${context.dataset.label}: ${context.parsed.x.toFixed(1)}% com custo de ${formatarMoeda(context.parsed.y)}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'Neutralização do Impacto (%)'
+                    }
+                },
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'Custo Total (R$)'
+                    },
+                    ticks: {
+                        callback: function(valor) {
+                            return formatarMoeda(valor);
+                        }
+                    }
+                }
+            }
+        };
+
+        _charts.fronteiraPareto = new Chart(canvas, {
+            type: 'scatter',
+            data: data,
+            options: options
+        });
+    }
+
     /**
      * Renderizar gráfico de estratégias de mitigação
      * @param {Object} resultadoEstrategias - Resultado das estratégias de mitigação 
@@ -1636,6 +1836,8 @@ window.ChartManager = (function() {
         renderizarGraficoProjecao,
         renderizarGraficoDecomposicao,
         renderizarGraficoSensibilidade,
+        renderizarGraficoMonteCarlo,
+        renderizarGraficoFronteiraPareto,
         renderizarGraficoEstrategias,     // Nova função para estratégias
         renderizarGraficoEfetividadeEstrategias,  // Nova função auxiliar
         renderizarGraficoComparacaoEstrategias,   // Nova função auxiliar
@@ -133,9 +133,14 @@ const EstrategiasMitigacaoController = {
             capitalGiro: {
                 ativar: document.getElementById('cg-ativar').value === '1',
                 valorCaptacao: parseInt(document.getElementById('cg-valor').value) || 100,
-                taxaJuros: parseFloat(document.getElementById('cg-taxa').value) / 100 || 0.021,
+                taxaJuros: parseFloat(document.getElementById('cg-taxa').value) || 2.1, // % a.m.
                 prazoPagamento: parseInt(document.getElementById('cg-prazo').value) || 12,
-                carencia: parseInt(document.getElementById('cg-carencia').value) || 3
+                carencia: parseInt(document.getElementById('cg-carencia').value) || 3,
+                sistemaAmortizacao: document.getElementById('cg-sistema-amortizacao')?.value || 'sac',
+                tratamentoCarencia: document.getElementById('cg-tratamento-carencia')?.value || 'pagos',
+                iofDiario: parseFloat(document.getElementById('cg-iof-diario')?.value),
+                iofAdicional: parseFloat(document.getElementById('cg-iof-adicional')?.value),
+                tarifas: window.DataManager.extrairValorNumerico('cg-tarifas')
             },
             mixProdutos: {
                 ativar: document.getElementById('mp-ativar').value === '1',
@@ -186,7 +191,8 @@ const EstrategiasMitigacaoController = {
             // Mapear os seletores de ativação das estratégias
             const seletoresAtivacao = [
                 'ap-ativar', 'rp-ativar', 'ar-ativar', 
-                'cg-ativar', 'mp-ativar', 'mp-pag-ativar'
+                'cg-ativar', 'mp-ativar', 'mp-pag-ativar',
+                'cg-sistema-amortizacao', 'cg-tratamento-carencia'
             ];
 
             // Adicionar evento de mudança para cada seletor
@@ -214,7 +220,8 @@ const EstrategiasMitigacaoController = {
             const camposNumericos = [
                 'ap-percentual', 'ap-elasticidade', 'rp-aumento-prazo', 'rp-percentual',
                 'ar-percentual', 'ar-taxa', 'ar-prazo', 'cg-valor', 'cg-taxa',
-                'cg-prazo', 'cg-carencia', 'mp-percentual', 'mp-impacto-receita',
+                'cg-prazo', 'cg-carencia', 'cg-iof-diario', 'cg-iof-adicional', 'cg-tarifas',
+                'mp-percentual', 'mp-impacto-receita',
                 'mp-impacto-margem', 'mp-pag-vista-novo', 'mp-pag-30-novo',
                 'mp-pag-60-novo', 'mp-pag-90-novo', 'mp-pag-taxa-incentivo'
             ];
@@ -26,6 +26,30 @@ const FormsManager = {
         // Inicializar exibição de campos para cenário personalizado
         this.inicializarCenarioPersonalizado();
         
+        // Inicializar exibição do percentual do split simplificado
+        this.inicializarModalidadeSplit();
+        
+        // Inicializar campos do Imposto Seletivo
+        this.inicializarImpostoSeletivo();
+        
+        // Inicializar tabela de destinos do IBS
+        this.inicializarDestinosIBS();
+        
+        // Inicializar tabela de produtos por NCM
+        this.inicializarItensNCM();
+        
+        // Inicializar tabela de fornecedores e regimes tributários
+        this.inicializarFornecedores();
+        
+        // Inicializar tabela do mix de meios de pagamento
+        this.inicializarMeiosPagamento();
+        
+        // Inicializar calendário de vencimentos dos tributos
+        this.inicializarCalendarioTributos();
+        
+        // Inicializar tabela da série mensal importada das EFD
+        this.inicializarSerieMensal();
+        
         console.log('Gerenciador de formulários inicializado');
     },
 
@@ -121,18 +145,8 @@ const FormsManager = {
             typeof window.SimuladorFluxoCaixa.obterPercentualImplementacao === 'function') {
             return window.SimuladorFluxoCaixa.obterPercentualImplementacao(anoReferencia);
         } else {
-            // Cronograma de implementação definido na metodologia
-            const cronograma = {
-                2026: 0.10,
-                2027: 0.25,
-                2028: 0.40,
-                2029: 0.55,
-                2030: 0.70,
-                2031: 0.85,
-                2032: 0.95,
-                2033: 1.00
-            };
-            return cronograma[anoReferencia] || 0.10;
+            // Cronograma de implementação da versão ativa da tabela de transição
+            return window.CronogramaTransicao.obterPercentual(anoReferencia, 'splitPayment');
         }
     },
 
@@ -297,5 +311,626 @@ const FormsManager = {
                 }
             });
         }
+    },
+
+    /**
+     * Inicializa exibição do percentual fixo para a modalidade de split simplificado
+     */
+    inicializarModalidadeSplit: function() {
+        const campoModalidade = document.getElementById('modalidade-split');
+        
+        if (campoModalidade) {
+            campoModalidade.addEventListener('change', () => {
+                const divSplitSimplificado = document.getElementById('campo-split-simplificado');
+                
+                if (divSplitSimplificado) {
+                    divSplitSimplificado.style.display =
+                        campoModalidade.value === 'simplificado' ? 'block' : 'none';
+                }
+            });
+        }
+    },
+
+    /**
+     * Inicializa os campos do Imposto Seletivo: alíquota do setor e produtos com alíquota própria
+     */
+    inicializarImpostoSeletivo: function() {
+        const campoSetor = document.getElementById('setor');
+        const campoAliquotaIS = document.getElementById('aliquota-is');
+        
+        if (campoSetor && campoAliquotaIS) {
+            campoSetor.addEventListener('change', () => {
+                if (typeof SetoresRepository !== 'undefined' && campoSetor.value) {
+                    campoAliquotaIS.value = (SetoresRepository.obterAliquotaSeletivo(campoSetor.value) * 100).toFixed(2);
+                }
+            });
+        }
+        
+        const btnAdicionar = document.getElementById('btn-adicionar-produto-is');
+        
+        if (btnAdicionar) {
+            btnAdicionar.addEventListener('click', () => this.adicionarLinhaProdutoIS());
+        }
+    },
+
+    /**
+     * Adiciona uma linha à tabela de produtos sujeitos ao Imposto Seletivo
+     * @param {Object} produto - Produto ({descricao, participacao, aliquota}), decimais
+     */
+    adicionarLinhaProdutoIS: function(produto = {}) {
+        const tabela = document.getElementById('tabela-produtos-is');
+        if (!tabela) return;
+        
+        const linha = document.createElement('tr');
+        linha.innerHTML = `
+            <td><input type="text" class="produto-is-descricao" placeholder="Descrição"></td>
+            <td><input type="number" class="produto-is-participacao" min="0" max="100" step="0.1" value="${((produto.participacao || 0) * 100).toFixed(1)}"></td>
+            <td><input type="number" class="produto-is-aliquota" min="0" max="100" step="0.01" value="${((produto.aliquota || 0) * 100).toFixed(2)}"></td>
+            <td><button type="button" class="btn-secondary btn-remover-produto-is">Remover</button></td>
+        `;
+        // Descrição atribuída como valor, sem interpretar HTML
+        linha.querySelector('.produto-is-descricao').value = produto.descricao || '';
+        
+        linha.querySelector('.btn-remover-produto-is').addEventListener('click', () => linha.remove());
+        tabela.querySelector('tbody').appendChild(linha);
+    },
+
+    /**
+     * Substitui as linhas da tabela de produtos sujeitos ao Imposto Seletivo
+     * @param {Array} produtos - Lista de produtos
+     */
+    preencherProdutosIS: function(produtos) {
+        const tabela = document.getElementById('tabela-produtos-is');
+        if (!tabela || !Array.isArray(produtos)) return;
+        
+        tabela.querySelector('tbody').innerHTML = '';
+        produtos.forEach(produto => this.adicionarLinhaProdutoIS(produto));
+    },
+
+    /**
+     * Inicializa a tabela de distribuição do faturamento por destino (UF e município) do IBS
+     */
+    inicializarDestinosIBS: function() {
+        const btnAdicionar = document.getElementById('btn-adicionar-destino-ibs');
+        
+        if (btnAdicionar) {
+            btnAdicionar.addEventListener('click', () => this.adicionarLinhaDestinoIBS());
+        }
+    },
+
+    /**
+     * Adiciona uma linha à tabela de destinos do IBS
+     * @param {Object} destino - Destino ({uf, codigoMunicipio, participacao, aliquotaEstadual, aliquotaMunicipal}), decimais
+     */
+    adicionarLinhaDestinoIBS: function(destino = {}) {
+        const tabela = document.getElementById('tabela-destinos-ibs');
+        if (!tabela) return;
+        
+        const formatarAliquota = valor => typeof valor === 'number' ? (valor * 100).toFixed(2) : '';
+        const linha = document.createElement('tr');
+        linha.innerHTML = `
+            <td><input type="text" class="destino-ibs-uf" maxlength="2" placeholder="UF"></td>
+            <td><input type="text" class="destino-ibs-municipio" maxlength="7" placeholder="Código IBGE"></td>
+            <td><input type="number" class="destino-ibs-participacao" min="0" max="100" step="0.01" value="${((destino.participacao || 0) * 100).toFixed(2)}"></td>
+            <td><input type="number" class="destino-ibs-aliquota-estadual" min="0" max="100" step="0.01" placeholder="Referência" value="${formatarAliquota(destino.aliquotaEstadual)}"></td>
+            <td><input type="number" class="destino-ibs-aliquota-municipal" min="0" max="100" step="0.01" placeholder="Referência" value="${formatarAliquota(destino.aliquotaMunicipal)}"></td>
+            <td><button type="button" class="btn-secondary btn-remover-destino-ibs">Remover</button></td>
+        `;
+        
+        // UF e município vindos de importações atribuídos como valor, sem interpretar HTML
+        const campoMunicipio = linha.querySelector('.destino-ibs-municipio');
+        const campoUF = linha.querySelector('.destino-ibs-uf');
+        campoUF.value = destino.uf || '';
+        campoMunicipio.value = destino.codigoMunicipio || '';
+        
+        // Completar a UF a partir do código IBGE do município
+        campoMunicipio.addEventListener('change', () => {
+            if (!campoUF.value && window.AliquotasIBSDestino) {
+                campoUF.value = window.AliquotasIBSDestino.obterUFPorMunicipio(campoMunicipio.value);
+            }
+        });
+        
+        linha.querySelector('.btn-remover-destino-ibs').addEventListener('click', () => linha.remove());
+        tabela.querySelector('tbody').appendChild(linha);
+    },
+
+    /**
+     * Substitui as linhas da tabela de destinos do IBS
+     * @param {Array} destinos - Lista de destinos
+     */
+    preencherDestinosIBS: function(destinos) {
+        const tabela = document.getElementById('tabela-destinos-ibs');
+        if (!tabela || !Array.isArray(destinos)) return;
+        
+        tabela.querySelector('tbody').innerHTML = '';
+        destinos.forEach(destino => this.adicionarLinhaDestinoIBS(destino));
+    },
+
+    /**
+     * Inicializa a tabela de produtos por NCM (vendas e compras mensais)
+     */
+    inicializarItensNCM: function() {
+        const btnAdicionar = document.getElementById('btn-adicionar-item-ncm');
+        
+        if (btnAdicionar) {
+            btnAdicionar.addEventListener('click', () => this.adicionarLinhaItemNCM());
+        }
+    },
+
+    /**
+     * Adiciona uma linha à tabela de produtos por NCM
+     * @param {Object} item - Produto ({ncm, descricao, valorSaidas, valorEntradas}), valores mensais
+     */
+    adicionarLinhaItemNCM: function(item = {}) {
+        const tabela = document.getElementById('tabela-itens-ncm');
+        if (!tabela) return;
+        
+        const linha = document.createElement('tr');
+        linha.innerHTML = `
+            <td><input type="text" class="item-ncm-codigo" maxlength="10" placeholder="NCM" value="${item.ncm || ''}"></td>
+            <td><input type="text" class="item-ncm-descricao" placeholder="Descrição"></td>
+            <td><input type="number" class="item-ncm-saidas" min="0" step="0.01" value="${(item.valorSaidas || 0).toFixed(2)}"></td>
+            <td><input type="number" class="item-ncm-entradas" min="0" step="0.01" value="${(item.valorEntradas || 0).toFixed(2)}"></td>
+            <td class="item-ncm-categoria"></td>
+            <td><button type="button" class="btn-secondary btn-remover-item-ncm">Remover</button></td>
+        `;
+        // Descrição vinda do SPED atribuída como valor, sem interpretar HTML
+        linha.querySelector('.item-ncm-descricao').value = item.descricao || '';
+        
+        // Exibir a categoria de alíquota do NCM conforme a tabela de configurações
+        const campoNCM = linha.querySelector('.item-ncm-codigo');
+        const celulaCategoria = linha.querySelector('.item-ncm-categoria');
+        const atualizarCategoria = () => {
+            if (!window.CategoriasNCM || !campoNCM.value) {
+                celulaCategoria.textContent = '';
+                return;
+            }
+            const categoria = window.CategoriasNCM.obterCategoria(campoNCM.value);
+            celulaCategoria.textContent = window.CategoriasNCM.CATEGORIAS[categoria].nome;
+        };
+        campoNCM.addEventListener('change', atualizarCategoria);
+        atualizarCategoria();
+        
+        linha.querySelector('.btn-remover-item-ncm').addEventListener('click', () => linha.remove());
+        tabela.querySelector('tbody').appendChild(linha);
+    },
+
+    /**
+     * Substitui as linhas da tabela de produtos por NCM
+     * @param {Array} itens - Lista de produtos
+     */
+    preencherItensNCM: function(itens) {
+        const tabela = document.getElementById('tabela-itens-ncm');
+        if (!tabela || !Array.isArray(itens)) return;
+        
+        tabela.querySelector('tbody').innerHTML = '';
+        itens.forEach(item => this.adicionarLinhaItemNCM(item));
+    },
+
+    /**
+     * Inicializa a tabela de fornecedores e a importação da lista de regimes tributários
+     */
+    inicializarFornecedores: function() {
+        const btnAdicionar = document.getElementById('btn-adicionar-fornecedor');
+        
+        if (btnAdicionar) {
+            btnAdicionar.addEventListener('click', () => this.adicionarLinhaFornecedor());
+        }
+        
+        // Lista de regimes (documento;regime;nome) mantida fora do simulador
+        const inputLista = document.getElementById('arquivo-regimes-fornecedores');
+        if (inputLista && window.RegimesFornecedores) {
+            inputLista.addEventListener('change', () => {
+                const arquivo = inputLista.files && inputLista.files[0];
+                if (!arquivo) return;
+                
+                const leitor = new FileReader();
+                leitor.onload = evento => {
+                    const resultado = window.RegimesFornecedores.importarLista(evento.target.result);
+                    
+                    // Reclassificar os fornecedores da tabela pelo cadastro atualizado
+                    document.querySelectorAll('#tabela-fornecedores tbody tr').forEach(linha => {
+                        const classificacao = window.RegimesFornecedores.classificar(linha.querySelector('.fornecedor-documento').value);
+                        if (classificacao.origem === 'cadastro') {
+                            linha.querySelector('.fornecedor-regime').value = classificacao.regime;
+                        }
+                    });
+                    this.atualizarCreditosFornecedores();
+                    
+                    alert(`${resultado.importados} fornecedores importados. ${resultado.ignorados} linhas ignoradas.`);
+                    inputLista.value = '';
+                };
+                leitor.readAsText(arquivo);
+            });
+        }
+        
+        ['aliquota-cbs', 'aliquota-ibs'].forEach(id => {
+            const campo = document.getElementById(id);
+            if (campo) {
+                campo.addEventListener('change', () => this.atualizarCreditosFornecedores());
+            }
+        });
+    },
+
+    /**
+     * Adiciona uma linha à tabela de fornecedores
+     * @param {Object} fornecedor - Fornecedor ({documento, nome, uf, regime, valorCompras}), compras mensais
+     */
+    adicionarLinhaFornecedor: function(fornecedor = {}) {
+        const tabela = document.getElementById('tabela-fornecedores');
+        if (!tabela || !window.RegimesFornecedores) return;
+        
+        const opcoesRegime = Object.entries(window.RegimesFornecedores.REGIMES)
+            .map(([chave, regime]) => `<option value="${chave}">${regime.nome}</option>`)
+            .join('');
+        const linha = document.createElement('tr');
+        linha.dataset.uf = fornecedor.uf || '';
+        linha.innerHTML = `
+            <td><input type="text" class="fornecedor-documento" maxlength="18" placeholder="CNPJ/CPF" value="${fornecedor.documento || ''}"></td>
+            <td><input type="text" class="fornecedor-nome" placeholder="Nome"></td>
+            <td><input type="number" class="fornecedor-compras" min="0" step="0.01" value="${(fornecedor.valorCompras || 0).toFixed(2)}"></td>
+            <td><select class="fornecedor-regime">${opcoesRegime}</select></td>
+            <td class="fornecedor-credito-recuperavel"></td>
+            <td class="fornecedor-credito-perdido"></td>
+            <td><button type="button" class="btn-secondary btn-remover-fornecedor">Remover</button></td>
+        `;
+        // Nome vindo do SPED atribuído como valor, sem interpretar HTML
+        linha.querySelector('.fornecedor-nome').value = fornecedor.nome || '';
+        
+        const campoDocumento = linha.querySelector('.fornecedor-documento');
+        const campoRegime = linha.querySelector('.fornecedor-regime');
+        campoRegime.value = fornecedor.regime || window.RegimesFornecedores.obterRegime(fornecedor.documento);
+        
+        // Sugerir o regime cadastrado ao informar o documento
+        campoDocumento.addEventListener('change', () => {
+            campoRegime.value = window.RegimesFornecedores.obterRegime(campoDocumento.value);
+            this.atualizarCreditosFornecedores();
+        });
+        
+        // A alteração do regime atualiza o cadastro de fornecedores
+        campoRegime.addEventListener('change', () => {
+            try {
+                window.RegimesFornecedores.definirRegime(campoDocumento.value, campoRegime.value, linha.querySelector('.fornecedor-nome').value);
+            } catch (erro) {
+                console.warn('FORMS-MANAGER: Regime não salvo no cadastro de fornecedores:', erro.message);
+            }
+            this.atualizarCreditosFornecedores();
+        });
+        
+        linha.querySelector('.fornecedor-compras').addEventListener('change', () => this.atualizarCreditosFornecedores());
+        linha.querySelector('.btn-remover-fornecedor').addEventListener('click', () => {
+            linha.remove();
+            this.atualizarCreditosFornecedores();
+        });
+        tabela.querySelector('tbody').appendChild(linha);
+        this.atualizarCreditosFornecedores();
+    },
+
+    /**
+     * Substitui as linhas da tabela de fornecedores
+     * @param {Array} fornecedores - Lista de fornecedores
+     */
+    preencherFornecedores: function(fornecedores) {
+        const tabela = document.getElementById('tabela-fornecedores');
+        if (!tabela || !Array.isArray(fornecedores)) return;
+        
+        tabela.querySelector('tbody').innerHTML = '';
+        fornecedores.forEach(fornecedor => this.adicionarLinhaFornecedor(fornecedor));
+        this.atualizarCreditosFornecedores();
+    },
+
+    /**
+     * Recalcula o crédito recuperável e o crédito perdido de cada fornecedor com as alíquotas de CBS e IBS
+     */
+    atualizarCreditosFornecedores: function() {
+        const tabela = document.getElementById('tabela-fornecedores');
+        if (!tabela || !window.CreditosFornecedores) return;
+        
+        const aliquotas = {
+            cbs: parseFloat(document.getElementById('aliquota-cbs')?.value || '0') / 100,
+            ibs: parseFloat(document.getElementById('aliquota-ibs')?.value || '0') / 100
+        };
+        const formatarMoeda = valor => window.DataManager ? window.DataManager.formatarMoeda(valor) : valor.toFixed(2);
+        const totais = { creditoRecuperavel: 0, creditoPerdido: 0, creditoPotencial: 0 };
+        
+        tabela.querySelectorAll('tbody tr').forEach(linha => {
+            const resultado = window.CreditosFornecedores.calcular([{
+                documento: linha.querySelector('.fornecedor-documento').value,
+                regime: linha.querySelector('.fornecedor-regime').value,
+                valorCompras: linha.querySelector('.fornecedor-compras').value
+            }], aliquotas);
+            
+            linha.querySelector('.fornecedor-credito-recuperavel').textContent = formatarMoeda(resultado.totais.creditoRecuperavel);
+            linha.querySelector('.fornecedor-credito-perdido').textContent = formatarMoeda(resultado.totais.creditoPerdido);
+            Object.keys(totais).forEach(campo => {
+                totais[campo] += resultado.totais[campo];
+            });
+        });
+        
+        const resumo = document.getElementById('resumo-fornecedores');
+        if (resumo) {
+            resumo.textContent = totais.creditoPotencial > 0 ?
+                `Crédito de CBS/IBS recuperável: ${formatarMoeda(totais.creditoRecuperavel)}/mês (${((totais.creditoRecuperavel / totais.creditoPotencial) * 100).toFixed(1)}% do crédito integral). Crédito perdido: ${formatarMoeda(totais.creditoPerdido)}/mês.` :
+                '';
+        }
+    },
+
+    /**
+     * Inicializa a tabela do mix de meios de pagamento
+     */
+    inicializarMeiosPagamento: function() {
+        const btnAdicionar = document.getElementById('btn-adicionar-meio-pagamento');
+        
+        if (btnAdicionar) {
+            btnAdicionar.addEventListener('click', () => this.adicionarLinhaMeioPagamento());
+        }
+    },
+
+    /**
+     * Adiciona uma linha à tabela de meios de pagamento
+     * @param {Object} item - Meio de pagamento ({meio, participacao (0-1), parcelas, prazoLiquidacao, mdr em %})
+     */
+    adicionarLinhaMeioPagamento: function(item = {}) {
+        const tabela = document.getElementById('tabela-meios-pagamento');
+        if (!tabela || !window.LiquidacaoRecebiveis) return;
+        
+        const meios = window.LiquidacaoRecebiveis.MEIOS_PAGAMENTO;
+        const meio = meios[item.meio] ? item.meio : 'pix';
+        const opcoesMeio = Object.entries(meios)
+            .map(([chave, dadosMeio]) => `<option value="${chave}">${dadosMeio.nome}</option>`)
+            .join('');
+        const linha = document.createElement('tr');
+        linha.innerHTML = `
+            <td><select class="meio-pagamento-tipo">${opcoesMeio}</select></td>
+            <td><input type="number" class="meio-pagamento-participacao" min="0" max="100" step="0.1" value="${((item.participacao || 0) * 100).toFixed(1)}"></td>
+            <td><input type="number" class="meio-pagamento-parcelas" min="1" max="24" step="1" value="${item.parcelas || 1}"></td>
+            <td><input type="number" class="meio-pagamento-prazo" min="0" step="1" value="${item.prazoLiquidacao ?? meios[meio].prazoLiquidacao}"></td>
+            <td><input type="number" class="meio-pagamento-mdr" min="0" step="0.01" value="${item.mdr ?? meios[meio].mdr}"></td>
+            <td><button type="button" class="btn-secondary btn-remover-meio-pagamento">Remover</button></td>
+        `;
+        
+        const campoMeio = linha.querySelector('.meio-pagamento-tipo');
+        const campoParcelas = linha.querySelector('.meio-pagamento-parcelas');
+        campoMeio.value = meio;
+        campoParcelas.disabled = !meios[meio].parcelado;
+        
+        // A troca do meio de pagamento sugere o prazo de liquidação e o MDR padrão
+        campoMeio.addEventListener('change', () => {
+            const padrao = meios[campoMeio.value];
+            linha.querySelector('.meio-pagamento-prazo').value = padrao.prazoLiquidacao;
+            linha.querySelector('.meio-pagamento-mdr').value = padrao.mdr;
+            campoParcelas.disabled = !padrao.parcelado;
+            if (!padrao.parcelado) {
+                campoParcelas.value = 1;
+            }
+            this.atualizarResumoMeiosPagamento();
+        });
+        
+        linha.querySelectorAll('input').forEach(campo => {
+            campo.addEventListener('change', () => this.atualizarResumoMeiosPagamento());
+        });
+        linha.querySelector('.btn-remover-meio-pagamento').addEventListener('click', () => {
+            linha.remove();
+            this.atualizarResumoMeiosPagamento();
+        });
+        tabela.querySelector('tbody').appendChild(linha);
+        this.atualizarResumoMeiosPagamento();
+    },
+
+    /**
+     * Substitui as linhas da tabela de meios de pagamento
+     * @param {Array} mix - Meios de pagamento
+     */
+    preencherMeiosPagamento: function(mix) {
+        const tabela = document.getElementById('tabela-meios-pagamento');
+        if (!tabela || !Array.isArray(mix)) return;
+        
+        tabela.querySelector('tbody').innerHTML = '';
+        mix.forEach(item => this.adicionarLinhaMeioPagamento(item));
+        this.atualizarResumoMeiosPagamento();
+    },
+
+    /**
+     * Atualiza o resumo do mix: soma das participações, vendas à vista e prazo médio de recebimento
+     */
+    atualizarResumoMeiosPagamento: function() {
+        const resumo = document.getElementById('resumo-meios-pagamento');
+        if (!resumo || !window.LiquidacaoRecebiveis) return;
+        
+        const linhas = Array.from(document.querySelectorAll('#tabela-meios-pagamento tbody tr'));
+        const mix = linhas.map(linha => ({
+            meio: linha.querySelector('.meio-pagamento-tipo').value,
+            participacao: parseFloat(linha.querySelector('.meio-pagamento-participacao').value || '0') / 100,
+            parcelas: parseInt(linha.querySelector('.meio-pagamento-parcelas').value || '1'),
+            prazoLiquidacao: parseInt(linha.querySelector('.meio-pagamento-prazo').value || '0'),
+            mdr: parseFloat(linha.querySelector('.meio-pagamento-mdr').value || '0')
+        }));
+        const soma = mix.reduce((total, item) => total + (item.participacao || 0), 0);
+        const prazos = window.LiquidacaoRecebiveis.resumirPrazos(mix);
+        
+        if (!prazos) {
+            resumo.textContent = '';
+            return;
+        }
+        
+        resumo.textContent = `Participações: ${(soma * 100).toFixed(1)}%` +
+            (Math.abs(soma - 1) > 0.001 ? ' (serão ajustadas para 100%)' : '') +
+            `. Vendas liquidadas em até D+${window.LiquidacaoRecebiveis.PRAZO_ANTECIPACAO}: ${(prazos.percVista * 100).toFixed(1)}%. ` +
+            `PMR das vendas a prazo: ${prazos.pmr} dias. Prazo médio de recebimento: ${prazos.prazoMedioRecebimento.toFixed(1)} dias.`;
+    },
+
+    /**
+     * Inicializa a seleção da UF e a tabela de vencimentos dos tributos do regime atual
+     */
+    inicializarCalendarioTributos: function() {
+        const selectUF = document.getElementById('uf-estabelecimento');
+        const tabela = document.getElementById('tabela-calendario-tributos');
+        if (!tabela || !window.CalendarioTributos) return;
+        
+        if (selectUF && window.AliquotasIBSDestino) {
+            Object.values(window.AliquotasIBSDestino.UFS)
+                .sort((a, b) => a.sigla.localeCompare(b.sigla))
+                .forEach(uf => {
+                    const opcao = document.createElement('option');
+                    opcao.value = uf.sigla;
+                    opcao.textContent = `${uf.sigla} - ${uf.nome}`;
+                    selectUF.appendChild(opcao);
+                });
+            selectUF.addEventListener('change', () => this.atualizarCalendarioTributos());
+        }
+        
+        const tbody = tabela.querySelector('tbody');
+        tbody.innerHTML = '';
+        Object.entries(window.CalendarioTributos.TRIBUTOS).forEach(([tributo, dadosTributo]) => {
+            const linha = document.createElement('tr');
+            linha.dataset.tributo = tributo;
+            linha.innerHTML = `
+                <td>${dadosTributo.nome}</td>
+                <td><input type="number" class="vencimento-dia" min="1" max="31" step="1"></td>
+                <td><input type="number" class="vencimento-meses" min="1" max="3" step="1"></td>
+                <td class="vencimento-float"></td>
+            `;
+            linha.querySelectorAll('input').forEach(campo => {
+                campo.addEventListener('change', () => this.atualizarCalendarioTributos());
+            });
+            tbody.appendChild(linha);
+        });
+        
+        const campoDataInicial = document.getElementById('data-inicial');
+        if (campoDataInicial) {
+            campoDataInicial.addEventListener('change', () => this.atualizarCalendarioTributos());
+        }
+        
+        this.atualizarCalendarioTributos();
+    },
+
+    /**
+     * Preenche a UF e os vencimentos ajustados do calendário de tributos
+     * @param {Object} calendario - Calendário ({uf, vencimentos: {tributo: {dia, mesesApos}}})
+     */
+    preencherCalendarioTributos: function(calendario) {
+        const selectUF = document.getElementById('uf-estabelecimento');
+        if (selectUF) {
+            selectUF.value = calendario?.uf || '';
+        }
+        
+        document.querySelectorAll('#tabela-calendario-tributos tbody tr').forEach(linha => {
+            const vencimento = calendario?.vencimentos?.[linha.dataset.tributo] || {};
+            linha.querySelector('.vencimento-dia').value = vencimento.dia || '';
+            linha.querySelector('.vencimento-meses').value = vencimento.mesesApos || '';
+        });
+        this.atualizarCalendarioTributos();
+    },
+
+    /**
+     * Atualiza o vencimento padrão (sugerido no campo) e o float das vendas à vista de cada tributo
+     */
+    atualizarCalendarioTributos: function() {
+        if (!window.CalendarioTributos) return;
+        
+        const linhas = Array.from(document.querySelectorAll('#tabela-calendario-tributos tbody tr'));
+        const calendario = {
+            uf: document.getElementById('uf-estabelecimento')?.value || '',
+            vencimentos: {}
+        };
+        linhas.forEach(linha => {
+            calendario.vencimentos[linha.dataset.tributo] = {
+                dia: linha.querySelector('.vencimento-dia').value,
+                mesesApos: linha.querySelector('.vencimento-meses').value
+            };
+        });
+        
+        const padrao = window.CalendarioTributos.obterVencimentos({ uf: calendario.uf });
+        const vencimentos = window.CalendarioTributos.obterVencimentos(calendario);
+        const ano = parseInt(String(document.getElementById('data-inicial')?.value || '').substring(0, 4)) || new Date().getFullYear();
+        
+        linhas.forEach(linha => {
+            const tributo = linha.dataset.tributo;
+            linha.querySelector('.vencimento-dia').placeholder = padrao[tributo].dia;
+            linha.querySelector('.vencimento-meses').placeholder = padrao[tributo].mesesApos;
+            const float = window.CalendarioTributos.calcularDiasFloat(vencimentos[tributo], { percVista: 1 }, ano);
+            linha.querySelector('.vencimento-float').textContent = float.diasVista.toFixed(1);
+        });
+    },
+
+    /**
+     * Inicializa a tabela da série mensal importada das EFD
+     */
+    inicializarSerieMensal: function() {
+        const btnLimpar = document.getElementById('btn-limpar-serie-mensal');
+        
+        if (btnLimpar) {
+            btnLimpar.addEventListener('click', () => this.preencherSerieMensal([]));
+        }
+        
+        this.atualizarSerieMensal();
+    },
+
+    /**
+     * Substitui as linhas da tabela da série mensal. Débitos e créditos da apuração ficam na linha
+     * (data-debitos e data-creditos); o faturamento pode ser ajustado.
+     * @param {Array} serie - Série mensal ({competencia, faturamento, debitos, creditos, saldos})
+     */
+    preencherSerieMensal: function(serie) {
+        const tabela = document.getElementById('tabela-serie-mensal');
+        if (!tabela || !Array.isArray(serie)) return;
+        
+        const somar = valores => Object.values(valores || {}).reduce((total, valor) => total + (parseFloat(valor) || 0), 0);
+        const tbody = tabela.querySelector('tbody');
+        tbody.innerHTML = '';
+        serie.forEach(item => {
+            const [ano, mes] = String(item.competencia || '').split('-');
+            const linha = document.createElement('tr');
+            linha.dataset.competencia = item.competencia || '';
+            linha.dataset.debitos = JSON.stringify(item.debitos || {});
+            linha.dataset.creditos = JSON.stringify(item.creditos || {});
+            linha.innerHTML = `
+                <td>${mes}/${ano}</td>
+                <td><input type="number" class="serie-faturamento" min="0" step="0.01" value="${(item.faturamento || 0).toFixed(2)}"></td>
+                <td>${FormatacaoHelper.formatarMoeda(somar(item.debitos))}</td>
+                <td>${FormatacaoHelper.formatarMoeda(somar(item.creditos))}</td>
+                <td>${FormatacaoHelper.formatarMoeda(somar(item.debitos) - somar(item.creditos))}</td>
+                <td class="serie-fator"></td>
+            `;
+            linha.querySelector('.serie-faturamento').addEventListener('change', () => this.atualizarSerieMensal());
+            tbody.appendChild(linha);
+        });
+        this.atualizarSerieMensal();
+    },
+
+    /**
+     * Atualiza o fator de sazonalidade de cada competência e o resumo da série (pico e vale)
+     */
+    atualizarSerieMensal: function() {
+        const resumo = document.getElementById('resumo-serie-mensal');
+        const linhas = Array.from(document.querySelectorAll('#tabela-serie-mensal tbody tr'));
+        const serie = linhas.map(linha => ({
+            competencia: linha.dataset.competencia,
+            faturamento: parseFloat(linha.querySelector('.serie-faturamento').value || '0')
+        }));
+        const fatores = window.CalculationCore ? window.CalculationCore.calcularFatoresSazonalidade(serie) : null;
+        
+        linhas.forEach((linha, indice) => {
+            const mes = parseInt(serie[indice].competencia.substring(5, 7)) - 1;
+            linha.querySelector('.serie-fator').textContent = fatores ? fatores[mes].toFixed(2) : '-';
+        });
+        
+        if (!resumo) return;
+        if (!fatores) {
+            resumo.textContent = serie.length > 0 ?
+                'Informe ao menos duas competências com faturamento para calcular a sazonalidade.' :
+                'Sem série mensal: a simulação usa o faturamento informado em todos os meses.';
+            return;
+        }
+        
+        const nomesMeses = ['jan', 'fev', 'mar', 'abr', 'mai', 'jun', 'jul', 'ago', 'set', 'out', 'nov', 'dez'];
+        const cobertos = fatores.map((fator, mes) => ({ fator, mes }))
+            .filter(item => serie.some(registro => parseInt(registro.competencia.substring(5, 7)) - 1 === item.mes));
+        const pico = cobertos.reduce((maior, item) => item.fator > maior.fator ? item : maior);
+        const vale = cobertos.reduce((menor, item) => item.fator < menor.fator ? item : menor);
+        const media = serie.reduce((total, item) => total + item.faturamento, 0) / serie.length;
+        
+        resumo.textContent = `${serie.length} competências. Faturamento médio: ${FormatacaoHelper.formatarMoeda(media)}. ` +
+            `Pico em ${nomesMeses[pico.mes]} (fator ${pico.fator.toFixed(2)}), vale em ${nomesMeses[vale.mes]} (fator ${vale.fator.toFixed(2)}).`;
     }
 };
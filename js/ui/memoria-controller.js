@@ -1105,18 +1105,6 @@ const MemoriaCalculoController = {
      * @returns {number} Percentual de implementação
      */
     obterPercentualImplementacao: function(ano) {
-        // Percentuais padrão do cronograma de implementação
-        const percentuaisPadrao = {
-            2026: 10,
-            2027: 25,
-            2028: 40,
-            2029: 55,
-            2030: 70,
-            2031: 85,
-            2032: 95,
-            2033: 100
-        };
-
         // Tentar obter do repositório
         if (window.SimuladorRepository && typeof window.SimuladorRepository.obterSecao === 'function') {
             const cronograma = window.SimuladorRepository.obterSecao('cronogramaImplementacao');
@@ -1127,8 +1115,9 @@ const MemoriaCalculoController = {
             }
         }
 
-        // Valor padrão
-        return percentuaisPadrao[ano] || null;
+        // Valor padrão: versão ativa da tabela de transição (0-100)
+        const percentualPadrao = window.CronogramaTransicao.obterPercentual(ano, 'splitPayment');
+        return percentualPadrao ? Math.round(percentualPadrao * 100) : null;
     },
     
     /**
@@ -1237,7 +1237,7 @@ const SimulacaoPrincipalController = {
             capitalGiro: {
                 ativar: document.getElementById('estrategia-capital').checked,
                 valorCaptacao: parseFloat(document.getElementById('capital-percentual').value),
-                taxaJuros: parseFloat(document.getElementById('capital-taxa').value) / 100,
+                taxaJuros: parseFloat(document.getElementById('capital-taxa').value), // % a.m.
                 prazoPagamento: 12, // 12 meses
                 carencia: 1 // 1 mês
             },
@@ -18,14 +18,16 @@ window.DataManager = (function() {
             margem: 0,                // Decimal (0-1)
             setor: '',                // Código alfanumérico 
             tipoEmpresa: '',          // 'comercio', 'industria', 'servicos'
-            regime: ''                // 'simples', 'presumido', 'real'
+            regime: '',               // 'simples', 'presumido', 'real'
+            serieMensal: []           // Array de {competencia ('AAAA-MM'), faturamento, debitos, creditos, saldos} (R$) - EFD mensais importadas
         },
         cicloFinanceiro: {
             pmr: 30,                  // Dias
             pmp: 30,                  // Dias
             pme: 30,                  // Dias
             percVista: 0.3,           // Decimal (0-1)
-            percPrazo: 0.7            // Decimal (0-1)
+            percPrazo: 0.7,           // Decimal (0-1)
+            mixRecebimentos: []       // Array de {meio, participacao (0-1), parcelas, prazoLiquidacao (dias), mdr (%)}
         },
         parametrosFiscais: {
             aliquota: 0.265,          // Decimal (0-1)
@@ -38,6 +40,46 @@ window.DataManager = (function() {
                 ipi: 0,               
                 cbs: 0,               
                 ibs: 0                
+            },
+            simplesNacional: {        // Opção de recolhimento do IBS/CBS (apenas Simples Nacional)
+                percentualVendasB2B: 0.5,          // Decimal (0-1)
+                elasticidadeDemandaB2B: 1.0,       // Variação da demanda por variação do custo líquido
+                percentualComprasCreditaveis: 0.5  // Decimal (0-1) do faturamento
+            },
+            icmsComplementar: {       // ICMS-ST, DIFAL e FCP (apenas comércio/indústria)
+                percentualVendasST: 0,            // Decimal (0-1) - vendas como substituto tributário
+                mvaST: 0,                         // Decimal - Margem de Valor Agregado (pode superar 1)
+                aliquotaInternaST: 0.18,          // Decimal (0-1)
+                aliquotaFCPST: 0,                 // Decimal (0-1)
+                percentualVendasSubstituido: 0,   // Decimal (0-1) - mercadorias com ICMS retido anteriormente
+                percentualVendasDIFAL: 0,         // Decimal (0-1) - interestaduais a não contribuintes
+                aliquotaInterestadual: 0.12,      // Decimal (0-1) - 4%, 7% ou 12%
+                aliquotaInternaDestino: 0.18,     // Decimal (0-1)
+                aliquotaFCPDestino: 0,            // Decimal (0-1)
+                aliquotaFCP: 0,                   // Decimal (0-1) - operações internas
+                cargaEfetivaST: 0,                // Decimal (0-1) do faturamento - apurada no SPED (E210)
+                cargaEfetivaDIFAL: 0,             // Decimal (0-1) do faturamento - apurada no SPED (E310)
+                cargaEfetivaFCP: 0                // Decimal (0-1) do faturamento - apurada no SPED (E310)
+            },
+            saldoCredorICMS: {        // Saldo credor de ICMS aproveitado no IBS a partir de 2033
+                saldoInicial: 0,                  // Valor monetário (R$) - E110 VL_SLD_CREDOR_TRANSPORTAR
+                dataReferencia: '2026-01',        // 'AAAA-MM' - mês a que o saldo se refere
+                acumuloMensal: 0,                 // Valor monetário (R$) - variação mensal até 2032 (pode ser negativa)
+                correcaoIPCA: 0.04,               // Decimal (0-1) - IPCA anual aplicado às parcelas
+                formaAproveitamento: 'compensacao', // 'compensacao', 'ressarcimento'
+                prazoRessarcimento: 2             // Meses entre a parcela e o ressarcimento
+            },
+            bancoCreditos: {          // Banco de créditos de IBS/CBS e fila de ressarcimento
+                tipoCompensacao: 'automatica',    // 'automatica', 'mensal', 'trimestral'
+                saldoInicial: 0,                  // Valor monetário (R$) - saldo credor no início do período
+                creditosInvestimento: 0,          // Valor monetário (R$) - créditos mensais de aquisições de ativo imobilizado
+                solicitarRessarcimento: true,     // Se o excedente é levado a ressarcimento ou transportado
+                prazoRessarcimento: 60            // Dias entre o pedido e o ressarcimento (30, 60 ou 180)
+            },
+            fornecedores: [],         // Array de {documento, nome, uf, regime, valorCompras} (R$/mês)
+            calendarioTributos: {     // Vencimentos dos tributos do regime atual (float perdido com o Split Payment)
+                uf: '',                           // Sigla da UF do estabelecimento - prazo do ICMS
+                vencimentos: {}                   // {tributo: {dia, mesesApos}} - ajustes sobre o calendário padrão
             }
         },
         parametrosSimulacao: {
@@ -45,18 +87,31 @@ window.DataManager = (function() {
             taxaCrescimento: 0.05,    // Decimal (0-1)
             dataInicial: '2026-01-01',// ISO 8601
             dataFinal: '2033-12-31',  // ISO 8601
-            splitPayment: true        // Booleano
+            splitPayment: true,       // Booleano
+            modalidadeSplit: 'inteligente', // 'inteligente', 'simplificado', 'manual'
+            percentualSplitSimplificado: 0.10, // Decimal (0-1)
+            granularidadeFluxo: 'mensal' // 'mensal', 'diaria'
         },
         parametrosFinanceiros: {
             taxaCapitalGiro: 0.021,   // Decimal (0-1)
             taxaAntecipacao: 0.018,   // Decimal (0-1)
-            spreadBancario: 0.005     // Decimal (0-1)
+            spreadBancario: 0.005,    // Decimal (0-1)
+            ipcaProjetado: {          // Decimal (0-1) - IPCA anual projetado por ano
+                2026: 0.040, 2027: 0.0375, 2028: 0.035, 2029: 0.035,
+                2030: 0.035, 2031: 0.035, 2032: 0.035, 2033: 0.035
+            },
+            taxaDesconto: 0.12        // Decimal (0-1) a.a. - WACC ou custo de oportunidade, para valor presente
         },
         ivaConfig: {
             cbs: 0.088,               // Decimal (0-1)
             ibs: 0.177,               // Decimal (0-1)
             categoriaIva: 'standard', // 'standard', 'reduced', 'exempt'
-            reducaoEspecial: 0        // Decimal (0-1)
+            reducaoEspecial: 0,       // Decimal (0-1)
+            aliquotaIS: 0,            // Decimal (0-1) - Imposto Seletivo do setor
+            produtosIS: [],           // Array de {descricao, participacao, aliquota} (decimais)
+            diaVencimentoIS: 25,      // Dia do mês subsequente
+            destinosIBS: [],          // Array de {uf, codigoMunicipio, participacao, aliquotaEstadual, aliquotaMunicipal}
+            itensNCM: []              // Array de {ncm, descricao, valorSaidas, valorEntradas} (R$/mês)
         },
         estrategias: {
             ajustePrecos: {
@@ -84,7 +139,12 @@ window.DataManager = (function() {
                 valorCaptacao: 100,       // Percentual inteiro (%)
                 taxaJuros: 2.1,           // Percentual (% a.m.)
                 prazoPagamento: 12,       // Meses
-                carencia: 3               // Meses
+                carencia: 3,              // Meses
+                sistemaAmortizacao: "sac", // "sac", "price", "bullet"
+                tratamentoCarencia: "pagos", // "pagos", "capitalizados"
+                iofDiario: 0.0041,        // Percentual (% a.d.)
+                iofAdicional: 0.38,       // Percentual (%)
+                tarifas: 0                // Valor monetário (R$)
             },
             mixProdutos: {
                 ativar: false,            // Booleano
@@ -120,6 +180,26 @@ window.DataManager = (function() {
         }
     };
 
+    /**
+     * Campos do formulário (em %) correspondentes aos parâmetros de ICMS-ST, DIFAL e FCP
+     * @type {Object}
+     */
+    const camposICMSComplementar = {
+        percentualVendasST: 'icms-perc-vendas-st',
+        mvaST: 'icms-mva-st',
+        aliquotaInternaST: 'icms-aliquota-interna-st',
+        aliquotaFCPST: 'icms-aliquota-fcp-st',
+        percentualVendasSubstituido: 'icms-perc-vendas-substituido',
+        percentualVendasDIFAL: 'icms-perc-vendas-difal',
+        aliquotaInterestadual: 'icms-aliquota-interestadual',
+        aliquotaInternaDestino: 'icms-aliquota-interna-destino',
+        aliquotaFCPDestino: 'icms-aliquota-fcp-destino',
+        aliquotaFCP: 'icms-aliquota-fcp',
+        cargaEfetivaST: 'icms-carga-efetiva-st',
+        cargaEfetivaDIFAL: 'icms-carga-efetiva-difal',
+        cargaEfetivaFCP: 'icms-carga-efetiva-fcp'
+    };
+
     /**
      * Retorna uma cópia profunda da estrutura aninhada padrão
      * @returns {Object} - Estrutura aninhada padrão
@@ -150,6 +230,10 @@ window.DataManager = (function() {
             plano.setor = dadosAninhados.empresa.setor || '';
             plano.tipoEmpresa = dadosAninhados.empresa.tipoEmpresa || '';
             plano.regime = dadosAninhados.empresa.regime || '';
+            
+            // Série mensal importada das EFD (sazonalidade do faturamento)
+            plano.serieMensal = Array.isArray(dadosAninhados.empresa.serieMensal) ? 
+                                JSON.parse(JSON.stringify(dadosAninhados.empresa.serieMensal)) : [];
         }
         
         // Ciclo Financeiro
@@ -159,6 +243,10 @@ window.DataManager = (function() {
             plano.pme = dadosAninhados.cicloFinanceiro.pme || 30;
             plano.percVista = dadosAninhados.cicloFinanceiro.percVista || 0.3;
             plano.percPrazo = dadosAninhados.cicloFinanceiro.percPrazo || 0.7;
+            
+            // Meios de pagamento e calendário de liquidação das vendas
+            plano.mixRecebimentos = Array.isArray(dadosAninhados.cicloFinanceiro.mixRecebimentos) ? 
+                                    JSON.parse(JSON.stringify(dadosAninhados.cicloFinanceiro.mixRecebimentos)) : [];
         }
         
         // Parâmetros Fiscais
@@ -167,6 +255,39 @@ window.DataManager = (function() {
             plano.tipoOperacao = dadosAninhados.parametrosFiscais.tipoOperacao || '';
             plano.regimePisCofins = dadosAninhados.parametrosFiscais.regimePisCofins || '';
             
+            // Parâmetros da opção de recolhimento do IBS/CBS no Simples Nacional
+            const simplesNacional = dadosAninhados.parametrosFiscais.simplesNacional || {};
+            plano.percentualVendasB2B = simplesNacional.percentualVendasB2B !== undefined ? simplesNacional.percentualVendasB2B : 0.5;
+            plano.elasticidadeDemandaB2B = simplesNacional.elasticidadeDemandaB2B !== undefined ? simplesNacional.elasticidadeDemandaB2B : 1.0;
+            plano.percentualComprasCreditaveis = simplesNacional.percentualComprasCreditaveis !== undefined ? simplesNacional.percentualComprasCreditaveis : 0.5;
+            
+            // Parâmetros de ICMS-ST, DIFAL e FCP
+            plano.icmsComplementar = {
+                ...estruturaPadrao.parametrosFiscais.icmsComplementar,
+                ...(dadosAninhados.parametrosFiscais.icmsComplementar || {})
+            };
+            
+            // Saldo credor de ICMS a aproveitar no IBS
+            plano.saldoCredorICMS = {
+                ...estruturaPadrao.parametrosFiscais.saldoCredorICMS,
+                ...(dadosAninhados.parametrosFiscais.saldoCredorICMS || {})
+            };
+            
+            // Banco de créditos de IBS/CBS
+            plano.bancoCreditos = {
+                ...estruturaPadrao.parametrosFiscais.bancoCreditos,
+                ...(dadosAninhados.parametrosFiscais.bancoCreditos || {})
+            };
+            
+            // Fornecedores e regime tributário (crédito de CBS/IBS recuperável)
+            plano.fornecedores = Array.isArray(dadosAninhados.parametrosFiscais.fornecedores) ? 
+                                 JSON.parse(JSON.stringify(dadosAninhados.parametrosFiscais.fornecedores)) : [];
+            
+            // Calendário de vencimentos dos tributos do regime atual
+            plano.calendarioTributos = JSON.parse(JSON.stringify(
+                dadosAninhados.parametrosFiscais.calendarioTributos || estruturaPadrao.parametrosFiscais.calendarioTributos
+            ));
+            
             // Tratar créditos separadamente com validação robusta
             if (dadosAninhados.parametrosFiscais.creditos) {
                 const creditos = dadosAninhados.parametrosFiscais.creditos;
@@ -232,6 +353,10 @@ window.DataManager = (function() {
                 plano.dataInicial = dadosAninhados.parametrosSimulacao.dataInicial || '2026-01-01';
                 plano.dataFinal = dadosAninhados.parametrosSimulacao.dataFinal || '2033-12-31';
                 plano.splitPayment = dadosAninhados.parametrosSimulacao.splitPayment !== false; // Default true
+                plano.modalidadeSplit = dadosAninhados.parametrosSimulacao.modalidadeSplit || 'inteligente';
+                plano.percentualSplitSimplificado = dadosAninhados.parametrosSimulacao.percentualSplitSimplificado !== undefined ? 
+                    dadosAninhados.parametrosSimulacao.percentualSplitSimplificado : 0.10;
+                plano.granularidadeFluxo = dadosAninhados.parametrosSimulacao.granularidadeFluxo || 'mensal';
             }
         }
         
@@ -240,6 +365,10 @@ window.DataManager = (function() {
             plano.taxaCapitalGiro = dadosAninhados.parametrosFinanceiros.taxaCapitalGiro || 0.021;
             plano.taxaAntecipacao = dadosAninhados.parametrosFinanceiros.taxaAntecipacao || 0.018;
             plano.spreadBancario = dadosAninhados.parametrosFinanceiros.spreadBancario || 0.005;
+            plano.ipcaProjetado = dadosAninhados.parametrosFinanceiros.ipcaProjetado ? 
+                                  {...dadosAninhados.parametrosFinanceiros.ipcaProjetado} : {...estruturaPadrao.parametrosFinanceiros.ipcaProjetado};
+            plano.taxaDesconto = dadosAninhados.parametrosFinanceiros.taxaDesconto !== undefined ? 
+                                 dadosAninhados.parametrosFinanceiros.taxaDesconto : 0.12;
         }
         
         // IVA Config
@@ -256,6 +385,14 @@ window.DataManager = (function() {
 
             plano.categoriaIVA = dadosAninhados.ivaConfig.categoriaIva || 'standard';
             plano.reducaoEspecial = dadosAninhados.ivaConfig.reducaoEspecial || 0;
+            plano.aliquotaIS = dadosAninhados.ivaConfig.aliquotaIS || 0;
+            plano.produtosIS = Array.isArray(dadosAninhados.ivaConfig.produtosIS) ? 
+                               JSON.parse(JSON.stringify(dadosAninhados.ivaConfig.produtosIS)) : [];
+            plano.diaVencimentoIS = dadosAninhados.ivaConfig.diaVencimentoIS || 25;
+            plano.destinosIBS = Array.isArray(dadosAninhados.ivaConfig.destinosIBS) ? 
+                                JSON.parse(JSON.stringify(dadosAninhados.ivaConfig.destinosIBS)) : [];
+            plano.itensNCM = Array.isArray(dadosAninhados.ivaConfig.itensNCM) ? 
+                             JSON.parse(JSON.stringify(dadosAninhados.ivaConfig.itensNCM)) : [];
         }
         
         // Estratégias (apenas se necessário para algum módulo específico)
@@ -298,7 +435,8 @@ window.DataManager = (function() {
             margem: dadosPlanos.margem !== undefined ? dadosPlanos.margem : 0,
             setor: dadosPlanos.setor || '',
             tipoEmpresa: dadosPlanos.tipoEmpresa || '',
-            regime: dadosPlanos.regime || ''
+            regime: dadosPlanos.regime || '',
+            serieMensal: Array.isArray(dadosPlanos.serieMensal) ? JSON.parse(JSON.stringify(dadosPlanos.serieMensal)) : []
         };
         
         // Ciclo Financeiro
@@ -307,7 +445,8 @@ window.DataManager = (function() {
             pmp: dadosPlanos.pmp !== undefined ? dadosPlanos.pmp : 30,
             pme: dadosPlanos.pme !== undefined ? dadosPlanos.pme : 30,
             percVista: dadosPlanos.percVista !== undefined ? dadosPlanos.percVista : 0.3,
-            percPrazo: dadosPlanos.percPrazo !== undefined ? dadosPlanos.percPrazo : 0.7
+            percPrazo: dadosPlanos.percPrazo !== undefined ? dadosPlanos.percPrazo : 0.7,
+            mixRecebimentos: Array.isArray(dadosPlanos.mixRecebimentos) ? JSON.parse(JSON.stringify(dadosPlanos.mixRecebimentos)) : []
         };
         
         // Parâmetros Fiscais com validação de créditos
@@ -315,6 +454,25 @@ window.DataManager = (function() {
             aliquota: dadosPlanos.aliquota !== undefined ? dadosPlanos.aliquota : 0.265,
             tipoOperacao: dadosPlanos.tipoOperacao || '',
             regimePisCofins: dadosPlanos.regimePisCofins || '',
+            simplesNacional: {
+                percentualVendasB2B: dadosPlanos.percentualVendasB2B !== undefined ? dadosPlanos.percentualVendasB2B : 0.5,
+                elasticidadeDemandaB2B: dadosPlanos.elasticidadeDemandaB2B !== undefined ? dadosPlanos.elasticidadeDemandaB2B : 1.0,
+                percentualComprasCreditaveis: dadosPlanos.percentualComprasCreditaveis !== undefined ? dadosPlanos.percentualComprasCreditaveis : 0.5
+            },
+            icmsComplementar: {
+                ...estruturaPadrao.parametrosFiscais.icmsComplementar,
+                ...(dadosPlanos.icmsComplementar || {})
+            },
+            saldoCredorICMS: {
+                ...estruturaPadrao.parametrosFiscais.saldoCredorICMS,
+                ...(dadosPlanos.saldoCredorICMS || {})
+            },
+            bancoCreditos: {
+                ...estruturaPadrao.parametrosFiscais.bancoCreditos,
+                ...(dadosPlanos.bancoCreditos || {})
+            },
+            fornecedores: Array.isArray(dadosPlanos.fornecedores) ? JSON.parse(JSON.stringify(dadosPlanos.fornecedores)) : [],
+            calendarioTributos: JSON.parse(JSON.stringify(dadosPlanos.calendarioTributos || estruturaPadrao.parametrosFiscais.calendarioTributos)),
             creditos: {
                 // Normalizar créditos com múltiplas fontes possíveis
                 pis: dadosPlanos.creditosPIS !== undefined ? dadosPlanos.creditosPIS : 
@@ -347,14 +505,19 @@ window.DataManager = (function() {
             taxaCrescimento: dadosPlanos.taxaCrescimento !== undefined ? dadosPlanos.taxaCrescimento : 0.05,
             dataInicial: dadosPlanos.dataInicial || '2026-01-01',
             dataFinal: dadosPlanos.dataFinal || '2033-12-31',
-            splitPayment: dadosPlanos.splitPayment !== false // Default true
+            splitPayment: dadosPlanos.splitPayment !== false, // Default true
+            modalidadeSplit: dadosPlanos.modalidadeSplit || 'inteligente',
+            percentualSplitSimplificado: dadosPlanos.percentualSplitSimplificado !== undefined ? dadosPlanos.percentualSplitSimplificado : 0.10,
+            granularidadeFluxo: dadosPlanos.granularidadeFluxo || 'mensal'
         };
         
         // Parâmetros Financeiros
         aninhado.parametrosFinanceiros = {
             taxaCapitalGiro: dadosPlanos.taxaCapitalGiro !== undefined ? dadosPlanos.taxaCapitalGiro : 0.021,
             taxaAntecipacao: dadosPlanos.taxaAntecipacao !== undefined ? dadosPlanos.taxaAntecipacao : 0.018,
-            spreadBancario: dadosPlanos.spreadBancario !== undefined ? dadosPlanos.spreadBancario : 0.005
+            spreadBancario: dadosPlanos.spreadBancario !== undefined ? dadosPlanos.spreadBancario : 0.005,
+            ipcaProjetado: dadosPlanos.ipcaProjetado ? {...dadosPlanos.ipcaProjetado} : {...estruturaPadrao.parametrosFinanceiros.ipcaProjetado},
+            taxaDesconto: dadosPlanos.taxaDesconto !== undefined ? dadosPlanos.taxaDesconto : 0.12
         };
         
         // IVA Config
@@ -362,7 +525,12 @@ window.DataManager = (function() {
             cbs: dadosPlanos.aliquotaCBS !== undefined ? dadosPlanos.aliquotaCBS : 0.088,
             ibs: dadosPlanos.aliquotaIBS !== undefined ? dadosPlanos.aliquotaIBS : 0.177,
             categoriaIva: dadosPlanos.categoriaIVA || 'standard',
-            reducaoEspecial: dadosPlanos.reducaoEspecial !== undefined ? dadosPlanos.reducaoEspecial : 0
+            reducaoEspecial: dadosPlanos.reducaoEspecial !== undefined ? dadosPlanos.reducaoEspecial : 0,
+            aliquotaIS: dadosPlanos.aliquotaIS !== undefined ? dadosPlanos.aliquotaIS : 0,
+            produtosIS: Array.isArray(dadosPlanos.produtosIS) ? JSON.parse(JSON.stringify(dadosPlanos.produtosIS)) : [],
+            diaVencimentoIS: dadosPlanos.diaVencimentoIS || 25,
+            destinosIBS: Array.isArray(dadosPlanos.destinosIBS) ? JSON.parse(JSON.stringify(dadosPlanos.destinosIBS)) : [],
+            itensNCM: Array.isArray(dadosPlanos.itensNCM) ? JSON.parse(JSON.stringify(dadosPlanos.itensNCM)) : []
         };
         
         // Estratégias e Cronograma (manter se forem fornecidos)
@@ -420,6 +588,33 @@ window.DataManager = (function() {
             resultado.empresa.regime = '';
         }
         
+        // Validar série mensal: competências válidas, em ordem e sem repetição
+        if (!Array.isArray(resultado.empresa.serieMensal)) {
+            resultado.empresa.serieMensal = [];
+        }
+        const valorSerie = valor => Math.max(0, parseFloat(valor) || 0);
+        const tributosSerie = valores => Object.fromEntries(
+            ['icms', 'ipi', 'pis', 'cofins'].map(tributo => [tributo, valorSerie(valores?.[tributo])])
+        );
+        const serieNormalizada = [];
+        resultado.empresa.serieMensal.forEach(item => {
+            if (!item || !/^\d{4}-(0[1-9]|1[0-2])$/.test(item.competencia) ||
+                serieNormalizada.some(existente => existente.competencia === item.competencia)) {
+                return;
+            }
+            const debitos = tributosSerie(item.debitos);
+            const creditos = tributosSerie(item.creditos);
+            serieNormalizada.push({
+                competencia: item.competencia,
+                faturamento: valorSerie(item.faturamento),
+                debitos,
+                creditos,
+                // Saldo positivo a recolher, negativo credor
+                saldos: Object.fromEntries(Object.keys(debitos).map(tributo => [tributo, debitos[tributo] - creditos[tributo]]))
+            });
+        });
+        resultado.empresa.serieMensal = serieNormalizada.sort((a, b) => a.competencia.localeCompare(b.competencia));
+        
         // Validação Ciclo Financeiro
         if (!resultado.cicloFinanceiro) resultado.cicloFinanceiro = {...estruturaPadrao.cicloFinanceiro};
         
@@ -458,6 +653,36 @@ window.DataManager = (function() {
             }
         }
         
+        // Validar meios de pagamento (participação em decimal, MDR em percentual)
+        if (!Array.isArray(resultado.cicloFinanceiro.mixRecebimentos)) {
+            resultado.cicloFinanceiro.mixRecebimentos = [];
+        }
+        const meiosPagamento = window.LiquidacaoRecebiveis ? window.LiquidacaoRecebiveis.MEIOS_PAGAMENTO : {};
+        resultado.cicloFinanceiro.mixRecebimentos = resultado.cicloFinanceiro.mixRecebimentos
+            .filter(item => meiosPagamento[item?.meio])
+            .map(item => {
+                const participacao = Math.max(0, parseFloat(item.participacao) || 0);
+                const prazo = parseInt(item.prazoLiquidacao);
+                const mdr = parseFloat(item.mdr);
+                return {
+                    meio: item.meio,
+                    participacao: participacao > 1 ? participacao / 100 : participacao,
+                    parcelas: meiosPagamento[item.meio].parcelado ? Math.max(1, Math.min(24, parseInt(item.parcelas) || 1)) : 1,
+                    prazoLiquidacao: isNaN(prazo) || prazo < 0 ? meiosPagamento[item.meio].prazoLiquidacao : prazo,
+                    mdr: isNaN(mdr) || mdr < 0 ? meiosPagamento[item.meio].mdr : mdr
+                };
+            })
+            .filter(item => item.participacao > 0);
+        
+        // Com o mix informado, o calendário de liquidação define a parcela à vista e o PMR
+        const prazosRecebimento = window.LiquidacaoRecebiveis ? 
+            window.LiquidacaoRecebiveis.resumirPrazos(resultado.cicloFinanceiro.mixRecebimentos) : null;
+        if (prazosRecebimento) {
+            resultado.cicloFinanceiro.percVista = prazosRecebimento.percVista;
+            resultado.cicloFinanceiro.percPrazo = prazosRecebimento.percPrazo;
+            resultado.cicloFinanceiro.pmr = prazosRecebimento.pmr;
+        }
+        
         // Validação Parâmetros Fiscais
         if (!resultado.parametrosFiscais) resultado.parametrosFiscais = {...estruturaPadrao.parametrosFiscais};
         
@@ -483,6 +708,125 @@ window.DataManager = (function() {
             resultado.parametrosFiscais.regimePisCofins = '';
         }
         
+        // Validar parâmetros da opção de recolhimento do IBS/CBS no Simples Nacional
+        resultado.parametrosFiscais.simplesNacional = {
+            ...estruturaPadrao.parametrosFiscais.simplesNacional,
+            ...(resultado.parametrosFiscais.simplesNacional || {})
+        };
+        const simplesNacional = resultado.parametrosFiscais.simplesNacional;
+        ['percentualVendasB2B', 'percentualComprasCreditaveis'].forEach(campo => {
+            let valor = parseFloat(simplesNacional[campo]);
+            if (isNaN(valor)) valor = estruturaPadrao.parametrosFiscais.simplesNacional[campo];
+            if (valor > 1) valor = valor / 100;
+            simplesNacional[campo] = Math.max(0, Math.min(1, valor));
+        });
+        simplesNacional.elasticidadeDemandaB2B = parseFloat(simplesNacional.elasticidadeDemandaB2B);
+        if (isNaN(simplesNacional.elasticidadeDemandaB2B) || simplesNacional.elasticidadeDemandaB2B < 0) {
+            simplesNacional.elasticidadeDemandaB2B = estruturaPadrao.parametrosFiscais.simplesNacional.elasticidadeDemandaB2B;
+        }
+        
+        // Validar parâmetros de ICMS-ST, DIFAL e FCP
+        resultado.parametrosFiscais.icmsComplementar = {
+            ...estruturaPadrao.parametrosFiscais.icmsComplementar,
+            ...(resultado.parametrosFiscais.icmsComplementar || {})
+        };
+        const icmsComplementar = resultado.parametrosFiscais.icmsComplementar;
+        Object.keys(estruturaPadrao.parametrosFiscais.icmsComplementar).forEach(campo => {
+            let valor = parseFloat(icmsComplementar[campo]);
+            if (isNaN(valor) || valor < 0) valor = estruturaPadrao.parametrosFiscais.icmsComplementar[campo];
+            // A MVA é a única taxa que pode superar 100%
+            if (campo !== 'mvaST') {
+                if (valor > 1) valor = valor / 100;
+                valor = Math.min(1, valor);
+            }
+            icmsComplementar[campo] = valor;
+        });
+        const somaVendasICMS = icmsComplementar.percentualVendasST + icmsComplementar.percentualVendasSubstituido + icmsComplementar.percentualVendasDIFAL;
+        if (somaVendasICMS > 1) {
+            console.warn(`Vendas com ST, substituídas e DIFAL somam ${(somaVendasICMS * 100).toFixed(1)}% do faturamento.`);
+        }
+        
+        // Validar parâmetros do saldo credor de ICMS
+        const padraoSaldoCredor = estruturaPadrao.parametrosFiscais.saldoCredorICMS;
+        resultado.parametrosFiscais.saldoCredorICMS = {
+            ...padraoSaldoCredor,
+            ...(resultado.parametrosFiscais.saldoCredorICMS || {})
+        };
+        const saldoCredorICMS = resultado.parametrosFiscais.saldoCredorICMS;
+        saldoCredorICMS.saldoInicial = Math.max(0, parseFloat(saldoCredorICMS.saldoInicial) || 0);
+        saldoCredorICMS.acumuloMensal = parseFloat(saldoCredorICMS.acumuloMensal) || 0;
+        if (!/^\d{4}-\d{2}$/.test(saldoCredorICMS.dataReferencia)) {
+            saldoCredorICMS.dataReferencia = padraoSaldoCredor.dataReferencia;
+        }
+        let correcaoIPCA = parseFloat(saldoCredorICMS.correcaoIPCA);
+        if (isNaN(correcaoIPCA) || correcaoIPCA < 0) correcaoIPCA = padraoSaldoCredor.correcaoIPCA;
+        saldoCredorICMS.correcaoIPCA = correcaoIPCA > 1 ? correcaoIPCA / 100 : correcaoIPCA;
+        if (!['compensacao', 'ressarcimento'].includes(saldoCredorICMS.formaAproveitamento)) {
+            saldoCredorICMS.formaAproveitamento = padraoSaldoCredor.formaAproveitamento;
+        }
+        saldoCredorICMS.prazoRessarcimento = Math.max(0, parseInt(saldoCredorICMS.prazoRessarcimento) || 0);
+        
+        // Validar parâmetros do banco de créditos de IBS/CBS
+        const padraoBancoCreditos = estruturaPadrao.parametrosFiscais.bancoCreditos;
+        resultado.parametrosFiscais.bancoCreditos = {
+            ...padraoBancoCreditos,
+            ...(resultado.parametrosFiscais.bancoCreditos || {})
+        };
+        const bancoCreditos = resultado.parametrosFiscais.bancoCreditos;
+        if (!['automatica', 'mensal', 'trimestral'].includes(bancoCreditos.tipoCompensacao)) {
+            bancoCreditos.tipoCompensacao = padraoBancoCreditos.tipoCompensacao;
+        }
+        bancoCreditos.saldoInicial = Math.max(0, parseFloat(bancoCreditos.saldoInicial) || 0);
+        bancoCreditos.creditosInvestimento = Math.max(0, parseFloat(bancoCreditos.creditosInvestimento) || 0);
+        bancoCreditos.solicitarRessarcimento = bancoCreditos.solicitarRessarcimento !== false && bancoCreditos.solicitarRessarcimento !== 'false';
+        const prazoBanco = parseInt(bancoCreditos.prazoRessarcimento);
+        bancoCreditos.prazoRessarcimento = isNaN(prazoBanco) || prazoBanco < 0 ? padraoBancoCreditos.prazoRessarcimento : prazoBanco;
+        
+        // Validar fornecedores e regimes tributários
+        if (!Array.isArray(resultado.parametrosFiscais.fornecedores)) {
+            resultado.parametrosFiscais.fornecedores = [];
+        }
+        const regimesFornecedor = window.RegimesFornecedores ? 
+            Object.keys(window.RegimesFornecedores.REGIMES) : ['regular', 'simplesRegular', 'simples', 'naoContribuinte'];
+        resultado.parametrosFiscais.fornecedores = resultado.parametrosFiscais.fornecedores
+            .map(fornecedor => {
+                const documento = String(fornecedor.documento || '').replace(/\D/g, '');
+                let regime = fornecedor.regime;
+                if (!regimesFornecedor.includes(regime)) {
+                    // Regime não informado: cadastro de fornecedores ou regime presumido pelo documento
+                    regime = window.RegimesFornecedores ? window.RegimesFornecedores.obterRegime(documento) : 'regular';
+                }
+                return {
+                    documento,
+                    nome: fornecedor.nome || '',
+                    uf: String(fornecedor.uf || '').toUpperCase(),
+                    regime,
+                    valorCompras: Math.max(0, parseFloat(fornecedor.valorCompras) || 0)
+                };
+            })
+            .filter(fornecedor => fornecedor.valorCompras > 0);
+        
+        // Validar calendário de vencimentos (dia de 1 a 31, de 1 a 3 meses após a competência)
+        const calendarioTributos = resultado.parametrosFiscais.calendarioTributos || {};
+        const tributosCalendario = window.CalendarioTributos ? Object.keys(window.CalendarioTributos.TRIBUTOS) : [];
+        const vencimentosTributos = {};
+        Object.entries(calendarioTributos.vencimentos || {}).forEach(([tributo, vencimento]) => {
+            const dia = parseInt(vencimento?.dia);
+            const mesesApos = parseInt(vencimento?.mesesApos);
+            if (!tributosCalendario.includes(tributo)) return;
+            if ((dia >= 1 && dia <= 31) || (mesesApos >= 1 && mesesApos <= 3)) {
+                vencimentosTributos[tributo] = {
+                    dia: dia >= 1 && dia <= 31 ? dia : null,
+                    mesesApos: mesesApos >= 1 && mesesApos <= 3 ? mesesApos : null
+                };
+            }
+        });
+        const ufCalendario = String(calendarioTributos.uf || '').toUpperCase();
+        resultado.parametrosFiscais.calendarioTributos = {
+            uf: window.AliquotasIBSDestino && !window.AliquotasIBSDestino.ufValida(ufCalendario) ? '' : ufCalendario,
+            vencimentos: vencimentosTributos
+        };
+        
         // Garantir que créditos existam e sejam não-negativos
         if (!resultado.parametrosFiscais.creditos) {
             resultado.parametrosFiscais.creditos = {...estruturaPadrao.parametrosFiscais.creditos};
@@ -510,6 +854,26 @@ window.DataManager = (function() {
             resultado.parametrosSimulacao.cenario = 'moderado';
         }
         
+        // Validar modalidade de Split Payment
+        const modalidadesValidas = ['inteligente', 'simplificado', 'manual'];
+        if (!modalidadesValidas.includes(resultado.parametrosSimulacao.modalidadeSplit)) {
+            console.warn(`Modalidade de Split Payment inválida: "${resultado.parametrosSimulacao.modalidadeSplit}". Utilizando valor padrão "inteligente".`);
+            resultado.parametrosSimulacao.modalidadeSplit = 'inteligente';
+        }
+        
+        // Converter percentual do split simplificado para decimal se necessário
+        if (typeof resultado.parametrosSimulacao.percentualSplitSimplificado !== 'number' || isNaN(resultado.parametrosSimulacao.percentualSplitSimplificado)) {
+            resultado.parametrosSimulacao.percentualSplitSimplificado = 0.10;
+        } else if (resultado.parametrosSimulacao.percentualSplitSimplificado > 1) {
+            resultado.parametrosSimulacao.percentualSplitSimplificado = resultado.parametrosSimulacao.percentualSplitSimplificado / 100;
+        }
+        
+        // Validar granularidade do fluxo de caixa
+        const granularidadesValidas = ['mensal', 'diaria'];
+        if (!granularidadesValidas.includes(resultado.parametrosSimulacao.granularidadeFluxo)) {
+            resultado.parametrosSimulacao.granularidadeFluxo = 'mensal';
+        }
+        
         // Converter taxa de crescimento para decimal se necessário
         if (resultado.parametrosSimulacao.taxaCrescimento > 1) {
             resultado.parametrosSimulacao.taxaCrescimento = resultado.parametrosSimulacao.taxaCrescimento / 100;
@@ -558,6 +922,22 @@ window.DataManager = (function() {
         resultado.parametrosFinanceiros.taxaAntecipacao = Math.max(0, resultado.parametrosFinanceiros.taxaAntecipacao);
         resultado.parametrosFinanceiros.spreadBancario = Math.max(0, resultado.parametrosFinanceiros.spreadBancario);
         
+        // Validar projeção do IPCA (um valor por ano, em decimal) e taxa de desconto
+        const ipcaInformado = resultado.parametrosFinanceiros.ipcaProjetado || {};
+        resultado.parametrosFinanceiros.ipcaProjetado = {};
+        Object.entries({...estruturaPadrao.parametrosFinanceiros.ipcaProjetado, ...ipcaInformado}).forEach(([ano, taxa]) => {
+            let ipca = parseFloat(taxa);
+            if (isNaN(ipca)) ipca = estruturaPadrao.parametrosFinanceiros.ipcaProjetado[ano] || 0;
+            if (Math.abs(ipca) > 1) ipca = ipca / 100;
+            // Deflação admitida, limitada a -100%
+            resultado.parametrosFinanceiros.ipcaProjetado[ano] = Math.max(-0.99, ipca);
+        });
+        
+        let taxaDesconto = parseFloat(resultado.parametrosFinanceiros.taxaDesconto);
+        if (isNaN(taxaDesconto)) taxaDesconto = estruturaPadrao.parametrosFinanceiros.taxaDesconto;
+        if (taxaDesconto > 1) taxaDesconto = taxaDesconto / 100;
+        resultado.parametrosFinanceiros.taxaDesconto = Math.max(0, taxaDesconto);
+        
         // Validação IVA Config
         if (!resultado.ivaConfig) resultado.ivaConfig = {...estruturaPadrao.ivaConfig};
         
@@ -574,10 +954,69 @@ window.DataManager = (function() {
             resultado.ivaConfig.reducaoEspecial = resultado.ivaConfig.reducaoEspecial / 100;
         }
         
+        // Validar Imposto Seletivo
+        if (typeof resultado.ivaConfig.aliquotaIS !== 'number' || isNaN(resultado.ivaConfig.aliquotaIS)) {
+            resultado.ivaConfig.aliquotaIS = 0;
+        } else if (resultado.ivaConfig.aliquotaIS > 1) {
+            resultado.ivaConfig.aliquotaIS = resultado.ivaConfig.aliquotaIS / 100;
+        }
+        
+        if (!Array.isArray(resultado.ivaConfig.produtosIS)) {
+            resultado.ivaConfig.produtosIS = [];
+        }
+        resultado.ivaConfig.produtosIS = resultado.ivaConfig.produtosIS
+            .map(produto => ({
+                descricao: produto.descricao || '',
+                participacao: Math.max(0, Math.min(1, produto.participacao > 1 ? produto.participacao / 100 : (parseFloat(produto.participacao) || 0))),
+                aliquota: Math.max(0, Math.min(1, produto.aliquota > 1 ? produto.aliquota / 100 : (parseFloat(produto.aliquota) || 0)))
+            }))
+            .filter(produto => produto.participacao > 0);
+        
+        const diaVencimentoIS = parseInt(resultado.ivaConfig.diaVencimentoIS, 10);
+        resultado.ivaConfig.diaVencimentoIS = isNaN(diaVencimentoIS) ? 25 : Math.max(1, Math.min(31, diaVencimentoIS));
+        
+        // Validar distribuição do faturamento por destino (IBS)
+        if (!Array.isArray(resultado.ivaConfig.destinosIBS)) {
+            resultado.ivaConfig.destinosIBS = [];
+        }
+        resultado.ivaConfig.destinosIBS = resultado.ivaConfig.destinosIBS
+            .map(destino => {
+                const codigoMunicipio = String(destino.codigoMunicipio || '').replace(/\D/g, '');
+                let uf = String(destino.uf || '').toUpperCase();
+                if (!uf && window.AliquotasIBSDestino) {
+                    uf = window.AliquotasIBSDestino.obterUFPorMunicipio(codigoMunicipio);
+                }
+                const normalizarAliquota = window.AliquotasIBSDestino ? 
+                    window.AliquotasIBSDestino.normalizarAliquota : (valor => valor);
+                return {
+                    uf,
+                    codigoMunicipio,
+                    municipio: destino.municipio || '',
+                    participacao: Math.max(0, Math.min(1, destino.participacao > 1 ? destino.participacao / 100 : (parseFloat(destino.participacao) || 0))),
+                    aliquotaEstadual: normalizarAliquota(destino.aliquotaEstadual),
+                    aliquotaMunicipal: normalizarAliquota(destino.aliquotaMunicipal)
+                };
+            })
+            .filter(destino => destino.participacao > 0 && (destino.uf || destino.codigoMunicipio));
+        
+        // Validar portfólio de produtos por NCM (valores mensais)
+        if (!Array.isArray(resultado.ivaConfig.itensNCM)) {
+            resultado.ivaConfig.itensNCM = [];
+        }
+        resultado.ivaConfig.itensNCM = resultado.ivaConfig.itensNCM
+            .map(item => ({
+                ncm: String(item.ncm || '').replace(/\D/g, '').substring(0, 8),
+                descricao: item.descricao || '',
+                valorSaidas: Math.max(0, parseFloat(item.valorSaidas) || 0),
+                valorEntradas: Math.max(0, parseFloat(item.valorEntradas) || 0)
+            }))
+            .filter(item => item.ncm.length >= 2 && (item.valorSaidas > 0 || item.valorEntradas > 0));
+        
         // Garantir alíquotas entre 0 e 1
         resultado.ivaConfig.cbs = Math.max(0, Math.min(1, resultado.ivaConfig.cbs));
         resultado.ivaConfig.ibs = Math.max(0, Math.min(1, resultado.ivaConfig.ibs));
         resultado.ivaConfig.reducaoEspecial = Math.max(0, Math.min(1, resultado.ivaConfig.reducaoEspecial));
+        resultado.ivaConfig.aliquotaIS = Math.max(0, Math.min(1, resultado.ivaConfig.aliquotaIS));
         
         // Validar categoria IVA
         const categoriasIvaValidas = ['standard', 'reduced', 'exempt'];
@@ -662,6 +1101,14 @@ window.DataManager = (function() {
             dados.empresa.tipoEmpresa = document.getElementById('tipo-empresa')?.value || '';
             dados.empresa.regime = document.getElementById('regime')?.value || '';
             
+            // Série mensal importada: faturamento editável, débitos e créditos da apuração
+            dados.empresa.serieMensal = Array.from(document.querySelectorAll('#tabela-serie-mensal tbody tr')).map(linha => ({
+                competencia: linha.dataset.competencia || '',
+                faturamento: parseFloat(linha.querySelector('.serie-faturamento')?.value || '0'),
+                debitos: JSON.parse(linha.dataset.debitos || '{}'),
+                creditos: JSON.parse(linha.dataset.creditos || '{}')
+            }));
+            
             // Ciclo Financeiro
             dados.cicloFinanceiro.pmr = parseInt(document.getElementById('pmr')?.value || '30');
             dados.cicloFinanceiro.pmp = parseInt(document.getElementById('pmp')?.value || '30');
@@ -669,11 +1116,27 @@ window.DataManager = (function() {
             dados.cicloFinanceiro.percVista = parseFloat(document.getElementById('perc-vista')?.value || '30') / 100;
             dados.cicloFinanceiro.percPrazo = 1 - dados.cicloFinanceiro.percVista;
             
+            // Meios de pagamento: o calendário de liquidação define a parcela à vista e o PMR
+            dados.cicloFinanceiro.mixRecebimentos = Array.from(document.querySelectorAll('#tabela-meios-pagamento tbody tr')).map(linha => ({
+                meio: linha.querySelector('.meio-pagamento-tipo')?.value || '',
+                participacao: parseFloat(linha.querySelector('.meio-pagamento-participacao')?.value || '0') / 100,
+                parcelas: parseInt(linha.querySelector('.meio-pagamento-parcelas')?.value || '1'),
+                prazoLiquidacao: parseInt(linha.querySelector('.meio-pagamento-prazo')?.value || '0'),
+                mdr: parseFloat(linha.querySelector('.meio-pagamento-mdr')?.value || '0')
+            })).filter(item => item.meio && item.participacao > 0);
+            
             // Parâmetros Fiscais - depende do regime selecionado
             const regime = dados.empresa.regime;
             
             if (regime === 'simples') {
                 dados.parametrosFiscais.aliquota = parseFloat(document.getElementById('aliquota-simples')?.value || '0') / 100;
+                
+                // Opção de recolhimento do IBS/CBS dentro ou fora do DAS
+                dados.parametrosFiscais.simplesNacional = {
+                    percentualVendasB2B: parseFloat(document.getElementById('percentual-vendas-b2b')?.value || '50') / 100,
+                    elasticidadeDemandaB2B: parseFloat(document.getElementById('elasticidade-demanda-b2b')?.value || '1'),
+                    percentualComprasCreditaveis: parseFloat(document.getElementById('percentual-compras-creditaveis')?.value || '50') / 100
+                };
             } else {
                 // Alíquota é calculada com base no IVA Dual
                 dados.parametrosFiscais.aliquota = parseFloat(document.getElementById('aliquota')?.value || '0') / 100;
@@ -706,6 +1169,33 @@ window.DataManager = (function() {
                     
                     dados.parametrosFiscais.creditos.icms = dados.empresa.faturamento * baseCalcICMS * aliquotaICMS * percCreditoICMS;
                     
+                    // ICMS-ST, DIFAL e FCP
+                    dados.parametrosFiscais.icmsComplementar = {};
+                    Object.entries(camposICMSComplementar).forEach(([campo, id]) => {
+                        const elemento = document.getElementById(id);
+                        dados.parametrosFiscais.icmsComplementar[campo] = elemento && elemento.value !== '' ?
+                            (parseFloat(elemento.value) || 0) / 100 : estruturaPadrao.parametrosFiscais.icmsComplementar[campo];
+                    });
+                    
+                    // Saldo credor de ICMS a aproveitar no IBS
+                    dados.parametrosFiscais.saldoCredorICMS = {
+                        saldoInicial: document.getElementById('saldo-credor-icms') ? extrairValorNumerico('saldo-credor-icms') : 0,
+                        dataReferencia: document.getElementById('saldo-credor-data-referencia')?.value || '2026-01',
+                        acumuloMensal: parseFloat(document.getElementById('saldo-credor-acumulo-mensal')?.value || '0') || 0,
+                        correcaoIPCA: parseFloat(document.getElementById('saldo-credor-correcao-ipca')?.value || '4') / 100,
+                        formaAproveitamento: document.getElementById('saldo-credor-forma')?.value || 'compensacao',
+                        prazoRessarcimento: parseInt(document.getElementById('saldo-credor-prazo-ressarcimento')?.value || '2')
+                    };
+                    
+                    // Banco de créditos de IBS/CBS e fila de ressarcimento
+                    dados.parametrosFiscais.bancoCreditos = {
+                        tipoCompensacao: document.getElementById('compensacao')?.value || 'automatica',
+                        saldoInicial: document.getElementById('banco-creditos-saldo-inicial') ? extrairValorNumerico('banco-creditos-saldo-inicial') : 0,
+                        creditosInvestimento: document.getElementById('banco-creditos-investimento') ? extrairValorNumerico('banco-creditos-investimento') : 0,
+                        solicitarRessarcimento: (document.getElementById('banco-creditos-ressarcimento')?.value || 'sim') === 'sim',
+                        prazoRessarcimento: parseInt(document.getElementById('banco-creditos-prazo-ressarcimento')?.value || '60')
+                    };
+                    
                     // IPI (apenas para indústria)
                     if (dados.empresa.tipoEmpresa === 'industria') {
                         const baseCalcIPI = parseFloat(document.getElementById('ipi-base-calc')?.value || '0') / 100;
@@ -742,11 +1232,84 @@ window.DataManager = (function() {
             // Split Payment
             dados.parametrosSimulacao.splitPayment = document.getElementById('considerar-split')?.checked !== false;
             
+            // Modalidade de Split Payment
+            dados.parametrosSimulacao.modalidadeSplit = document.getElementById('modalidade-split')?.value || 'inteligente';
+            dados.parametrosSimulacao.percentualSplitSimplificado = parseFloat(document.getElementById('percentual-split-simplificado')?.value || '10') / 100;
+            
+            // Granularidade do fluxo de caixa
+            dados.parametrosSimulacao.granularidadeFluxo = document.getElementById('granularidade-fluxo')?.value || 'mensal';
+            
             // IVA Config
             dados.ivaConfig.cbs = parseFloat(document.getElementById('aliquota-cbs')?.value || '0') / 100;
             dados.ivaConfig.ibs = parseFloat(document.getElementById('aliquota-ibs')?.value || '0') / 100;
             dados.ivaConfig.categoriaIva = document.getElementById('categoria-iva')?.value || 'standard';
             dados.ivaConfig.reducaoEspecial = parseFloat(document.getElementById('reducao')?.value || '0') / 100;
+            
+            // Imposto Seletivo (alíquota do setor e produtos com alíquota própria)
+            dados.ivaConfig.aliquotaIS = parseFloat(document.getElementById('aliquota-is')?.value || '0') / 100;
+            dados.ivaConfig.diaVencimentoIS = parseInt(document.getElementById('dia-vencimento-is')?.value || '25', 10);
+            dados.ivaConfig.produtosIS = Array.from(document.querySelectorAll('#tabela-produtos-is tbody tr')).map(linha => ({
+                descricao: linha.querySelector('.produto-is-descricao')?.value || '',
+                participacao: parseFloat(linha.querySelector('.produto-is-participacao')?.value || '0') / 100,
+                aliquota: parseFloat(linha.querySelector('.produto-is-aliquota')?.value || '0') / 100
+            })).filter(produto => produto.participacao > 0);
+            
+            // Distribuição do faturamento por destino (IBS devido a cada UF e município)
+            dados.ivaConfig.destinosIBS = Array.from(document.querySelectorAll('#tabela-destinos-ibs tbody tr')).map(linha => {
+                const valorAliquota = campo => {
+                    const valor = linha.querySelector(campo)?.value;
+                    return valor === undefined || valor === '' ? null : parseFloat(valor) / 100;
+                };
+                return {
+                    uf: linha.querySelector('.destino-ibs-uf')?.value || '',
+                    codigoMunicipio: linha.querySelector('.destino-ibs-municipio')?.value || '',
+                    participacao: parseFloat(linha.querySelector('.destino-ibs-participacao')?.value || '0') / 100,
+                    aliquotaEstadual: valorAliquota('.destino-ibs-aliquota-estadual'),
+                    aliquotaMunicipal: valorAliquota('.destino-ibs-aliquota-municipal')
+                };
+            }).filter(destino => destino.participacao > 0);
+            
+            // Portfólio de produtos por NCM (categoria de alíquota de cada item)
+            dados.ivaConfig.itensNCM = Array.from(document.querySelectorAll('#tabela-itens-ncm tbody tr')).map(linha => ({
+                ncm: linha.querySelector('.item-ncm-codigo')?.value || '',
+                descricao: linha.querySelector('.item-ncm-descricao')?.value || '',
+                valorSaidas: parseFloat(linha.querySelector('.item-ncm-saidas')?.value || '0'),
+                valorEntradas: parseFloat(linha.querySelector('.item-ncm-entradas')?.value || '0')
+            })).filter(item => item.ncm && (item.valorSaidas > 0 || item.valorEntradas > 0));
+            
+            // Fornecedores: o crédito de CBS/IBS recuperável conforme o regime substitui a estimativa manual
+            dados.parametrosFiscais.fornecedores = Array.from(document.querySelectorAll('#tabela-fornecedores tbody tr')).map(linha => ({
+                documento: linha.querySelector('.fornecedor-documento')?.value || '',
+                nome: linha.querySelector('.fornecedor-nome')?.value || '',
+                uf: linha.dataset.uf || '',
+                regime: linha.querySelector('.fornecedor-regime')?.value || 'regular',
+                valorCompras: parseFloat(linha.querySelector('.fornecedor-compras')?.value || '0')
+            })).filter(fornecedor => fornecedor.valorCompras > 0);
+            
+            // Calendário de vencimentos: campos em branco mantêm o vencimento padrão
+            dados.parametrosFiscais.calendarioTributos = {
+                uf: document.getElementById('uf-estabelecimento')?.value || '',
+                vencimentos: {}
+            };
+            document.querySelectorAll('#tabela-calendario-tributos tbody tr').forEach(linha => {
+                const dia = linha.querySelector('.vencimento-dia')?.value || '';
+                const mesesApos = linha.querySelector('.vencimento-meses')?.value || '';
+                if (dia || mesesApos) {
+                    dados.parametrosFiscais.calendarioTributos.vencimentos[linha.dataset.tributo] = {
+                        dia: dia ? parseInt(dia) : null,
+                        mesesApos: mesesApos ? parseInt(mesesApos) : null
+                    };
+                }
+            });
+            
+            if (dados.parametrosFiscais.fornecedores.length > 0 && window.CreditosFornecedores) {
+                const creditosFornecedores = window.CreditosFornecedores.calcular(dados.parametrosFiscais.fornecedores, {
+                    cbs: dados.ivaConfig.cbs,
+                    ibs: dados.ivaConfig.ibs
+                });
+                dados.parametrosFiscais.creditos.cbs = creditosFornecedores.totais.creditoCBS;
+                dados.parametrosFiscais.creditos.ibs = creditosFornecedores.totais.creditoIBS;
+            }
 
             // Estratégias de Mitigação
             // Assegurar que dados.estrategias existe e é um clone profundo para evitar alterar estruturaPadrao diretamente.
@@ -799,10 +1362,15 @@ window.DataManager = (function() {
             if (cgAtivarElement) {
                 dados.estrategias.capitalGiro.ativar = cgAtivarElement.value === '1';
                 if (dados.estrategias.capitalGiro.ativar) {
-                    dados.estrategias.capitalGiro.valorCaptacao = parseFloat(document.getElementById('cg-valor-captacao')?.value || estruturaPadrao.estrategias.capitalGiro.valorCaptacao); // This is %, so direct parseFloat
-                    dados.estrategias.capitalGiro.taxaJuros = parseFloat(document.getElementById('cg-taxa-juros')?.value || estruturaPadrao.estrategias.capitalGiro.taxaJuros); // This is % a.m., so direct parseFloat
-                    dados.estrategias.capitalGiro.prazoPagamento = parseInt(document.getElementById('cg-prazo-pagamento')?.value || estruturaPadrao.estrategias.capitalGiro.prazoPagamento);
+                    dados.estrategias.capitalGiro.valorCaptacao = parseFloat(document.getElementById('cg-valor')?.value || estruturaPadrao.estrategias.capitalGiro.valorCaptacao); // This is %, so direct parseFloat
+                    dados.estrategias.capitalGiro.taxaJuros = parseFloat(document.getElementById('cg-taxa')?.value || estruturaPadrao.estrategias.capitalGiro.taxaJuros); // This is % a.m., so direct parseFloat
+                    dados.estrategias.capitalGiro.prazoPagamento = parseInt(document.getElementById('cg-prazo')?.value || estruturaPadrao.estrategias.capitalGiro.prazoPagamento);
                     dados.estrategias.capitalGiro.carencia = parseInt(document.getElementById('cg-carencia')?.value || estruturaPadrao.estrategias.capitalGiro.carencia);
+                    dados.estrategias.capitalGiro.sistemaAmortizacao = document.getElementById('cg-sistema-amortizacao')?.value || estruturaPadrao.estrategias.capitalGiro.sistemaAmortizacao;
+                    dados.estrategias.capitalGiro.tratamentoCarencia = document.getElementById('cg-tratamento-carencia')?.value || estruturaPadrao.estrategias.capitalGiro.tratamentoCarencia;
+                    dados.estrategias.capitalGiro.iofDiario = parseFloat(document.getElementById('cg-iof-diario')?.value ?? estruturaPadrao.estrategias.capitalGiro.iofDiario); // This is % a.d., so direct parseFloat
+                    dados.estrategias.capitalGiro.iofAdicional = parseFloat(document.getElementById('cg-iof-adicional')?.value ?? estruturaPadrao.estrategias.capitalGiro.iofAdicional); // This is %, so direct parseFloat
+                    dados.estrategias.capitalGiro.tarifas = document.getElementById('cg-tarifas') ? extrairValorNumerico('cg-tarifas') : estruturaPadrao.estrategias.capitalGiro.tarifas;
                 }
             }
 
@@ -836,6 +1404,18 @@ window.DataManager = (function() {
             // Cumpensação
             dados.parametrosFinanceiros.tipoCompensacao = document.getElementById('compensacao')?.value || 'automatica';
             
+            // Projeção do IPCA e taxa de desconto (valores em %)
+            document.querySelectorAll('.ipca-projetado').forEach(campo => {
+                const taxa = parseFloat(campo.value);
+                if (campo.dataset.ano && !isNaN(taxa)) {
+                    dados.parametrosFinanceiros.ipcaProjetado[campo.dataset.ano] = taxa / 100;
+                }
+            });
+            const campoTaxaDesconto = document.getElementById('taxa-desconto');
+            if (campoTaxaDesconto && campoTaxaDesconto.value !== '') {
+                dados.parametrosFinanceiros.taxaDesconto = parseFloat(campoTaxaDesconto.value) / 100;
+            }
+            
         } catch (erro) {
             console.error('Erro ao obter dados do formulário:', erro);
         }
@@ -891,6 +1471,134 @@ window.DataManager = (function() {
                     const event = new Event('change');
                     elRegime.dispatchEvent(event);
                 }
+                
+                // Série mensal importada das EFD
+                if (Array.isArray(dadosValidados.empresa.serieMensal) && 
+                    typeof FormsManager !== 'undefined' && typeof FormsManager.preencherSerieMensal === 'function') {
+                    FormsManager.preencherSerieMensal(dadosValidados.empresa.serieMensal);
+                }
+            }
+            
+            // Opção de recolhimento do IBS/CBS no Simples Nacional
+            if (dadosValidados.parametrosFiscais?.simplesNacional) {
+                const simplesNacional = dadosValidados.parametrosFiscais.simplesNacional;
+                
+                const elVendasB2B = document.getElementById('percentual-vendas-b2b');
+                if (elVendasB2B) {
+                    elVendasB2B.value = (simplesNacional.percentualVendasB2B * 100).toFixed(1);
+                }
+                
+                const elElasticidade = document.getElementById('elasticidade-demanda-b2b');
+                if (elElasticidade) {
+                    elElasticidade.value = simplesNacional.elasticidadeDemandaB2B;
+                }
+                
+                const elComprasCreditaveis = document.getElementById('percentual-compras-creditaveis');
+                if (elComprasCreditaveis) {
+                    elComprasCreditaveis.value = (simplesNacional.percentualComprasCreditaveis * 100).toFixed(1);
+                }
+            }
+            
+            // ICMS-ST, DIFAL e FCP
+            if (dadosValidados.parametrosFiscais?.icmsComplementar) {
+                const icmsComplementar = dadosValidados.parametrosFiscais.icmsComplementar;
+                
+                Object.entries(camposICMSComplementar).forEach(([campo, id]) => {
+                    const elemento = document.getElementById(id);
+                    if (elemento) {
+                        elemento.value = (icmsComplementar[campo] * 100).toFixed(2);
+                    }
+                });
+            }
+            
+            // Saldo credor de ICMS
+            if (dadosValidados.parametrosFiscais?.saldoCredorICMS) {
+                const saldoCredorICMS = dadosValidados.parametrosFiscais.saldoCredorICMS;
+                
+                const elSaldo = document.getElementById('saldo-credor-icms');
+                if (elSaldo) {
+                    if (typeof window.CurrencyFormatter !== 'undefined' && typeof window.CurrencyFormatter.formatarValorMonetario === 'function') {
+                        elSaldo.value = window.CurrencyFormatter.formatarValorMonetario(saldoCredorICMS.saldoInicial * 100);
+                    } else {
+                        elSaldo.value = saldoCredorICMS.saldoInicial.toFixed(2);
+                    }
+                }
+                
+                const camposSaldo = {
+                    'saldo-credor-data-referencia': saldoCredorICMS.dataReferencia,
+                    'saldo-credor-acumulo-mensal': saldoCredorICMS.acumuloMensal.toFixed(2),
+                    'saldo-credor-correcao-ipca': (saldoCredorICMS.correcaoIPCA * 100).toFixed(2),
+                    'saldo-credor-forma': saldoCredorICMS.formaAproveitamento,
+                    'saldo-credor-prazo-ressarcimento': saldoCredorICMS.prazoRessarcimento
+                };
+                Object.entries(camposSaldo).forEach(([id, valor]) => {
+                    const elemento = document.getElementById(id);
+                    if (elemento) {
+                        elemento.value = valor;
+                    }
+                });
+            }
+            
+            // Banco de créditos de IBS/CBS
+            if (dadosValidados.parametrosFiscais?.bancoCreditos) {
+                const bancoCreditos = dadosValidados.parametrosFiscais.bancoCreditos;
+                
+                ['saldoInicial', 'creditosInvestimento'].forEach(campo => {
+                    const elemento = document.getElementById(campo === 'saldoInicial' ? 'banco-creditos-saldo-inicial' : 'banco-creditos-investimento');
+                    if (elemento) {
+                        elemento.value = typeof window.CurrencyFormatter !== 'undefined' && typeof window.CurrencyFormatter.formatarValorMonetario === 'function' ?
+                            window.CurrencyFormatter.formatarValorMonetario(bancoCreditos[campo] * 100) :
+                            bancoCreditos[campo].toFixed(2);
+                    }
+                });
+                
+                const camposBanco = {
+                    'compensacao': bancoCreditos.tipoCompensacao,
+                    'banco-creditos-ressarcimento': bancoCreditos.solicitarRessarcimento ? 'sim' : 'nao',
+                    'banco-creditos-prazo-ressarcimento': bancoCreditos.prazoRessarcimento
+                };
+                Object.entries(camposBanco).forEach(([id, valor]) => {
+                    const elemento = document.getElementById(id);
+                    if (elemento) {
+                        elemento.value = valor;
+                    }
+                });
+            }
+            
+            // Fornecedores e regime tributário
+            if (Array.isArray(dadosValidados.parametrosFiscais?.fornecedores) && 
+                typeof FormsManager !== 'undefined' && typeof FormsManager.preencherFornecedores === 'function') {
+                FormsManager.preencherFornecedores(dadosValidados.parametrosFiscais.fornecedores);
+            }
+            
+            // Calendário de vencimentos dos tributos
+            if (dadosValidados.parametrosFiscais?.calendarioTributos && 
+                typeof FormsManager !== 'undefined' && typeof FormsManager.preencherCalendarioTributos === 'function') {
+                FormsManager.preencherCalendarioTributos(dadosValidados.parametrosFiscais.calendarioTributos);
+            }
+            
+            // Portfólio de produtos por NCM
+            if (Array.isArray(dadosValidados.ivaConfig?.itensNCM) && 
+                typeof FormsManager !== 'undefined' && typeof FormsManager.preencherItensNCM === 'function') {
+                FormsManager.preencherItensNCM(dadosValidados.ivaConfig.itensNCM);
+            }
+            
+            // Imposto Seletivo: alíquota do setor, vencimento e produtos com alíquota própria
+            if (dadosValidados.ivaConfig) {
+                const elAliquotaIS = document.getElementById('aliquota-is');
+                if (elAliquotaIS) {
+                    elAliquotaIS.value = ((dadosValidados.ivaConfig.aliquotaIS || 0) * 100).toFixed(2);
+                }
+                
+                const elDiaVencimentoIS = document.getElementById('dia-vencimento-is');
+                if (elDiaVencimentoIS) {
+                    elDiaVencimentoIS.value = dadosValidados.ivaConfig.diaVencimentoIS;
+                }
+                
+                if (Array.isArray(dadosValidados.ivaConfig.produtosIS) && 
+                    typeof FormsManager !== 'undefined' && typeof FormsManager.preencherProdutosIS === 'function') {
+                    FormsManager.preencherProdutosIS(dadosValidados.ivaConfig.produtosIS);
+                }
             }
             
             // Ciclo Financeiro
@@ -918,6 +1626,11 @@ window.DataManager = (function() {
                     const event = new Event('input');
                     elPercVista.dispatchEvent(event);
                 }
+                
+                if (Array.isArray(dadosValidados.cicloFinanceiro.mixRecebimentos) && 
+                    typeof FormsManager !== 'undefined' && typeof FormsManager.preencherMeiosPagamento === 'function') {
+                    FormsManager.preencherMeiosPagamento(dadosValidados.cicloFinanceiro.mixRecebimentos);
+                }
             }
             
             // Parâmetros de Simulação
@@ -954,6 +1667,22 @@ window.DataManager = (function() {
                 if (elConsiderarSplit) {
                     elConsiderarSplit.checked = dadosValidados.parametrosSimulacao.splitPayment;
                 }
+                
+                const elModalidadeSplit = document.getElementById('modalidade-split');
+                if (elModalidadeSplit) {
+                    elModalidadeSplit.value = dadosValidados.parametrosSimulacao.modalidadeSplit || 'inteligente';
+                    elModalidadeSplit.dispatchEvent(new Event('change'));
+                }
+                
+                const elPercentualSplitSimplificado = document.getElementById('percentual-split-simplificado');
+                if (elPercentualSplitSimplificado) {
+                    elPercentualSplitSimplificado.value = (dadosValidados.parametrosSimulacao.percentualSplitSimplificado * 100).toFixed(1);
+                }
+                
+                const elGranularidadeFluxo = document.getElementById('granularidade-fluxo');
+                if (elGranularidadeFluxo) {
+                    elGranularidadeFluxo.value = dadosValidados.parametrosSimulacao.granularidadeFluxo || 'mensal';
+                }
             }
             
             // Adicionar mais campos conforme necessário...
@@ -660,12 +660,15 @@ class PDFExporter extends BaseExporter {
         const aliquotaIBS = typeof ivaConfig.ibs === 'number' ? formatPercentage(ivaConfig.ibs) : '17,70%';
         const reducaoEspecial = typeof ivaConfig.reducaoEspecial === 'number' ? formatPercentage(ivaConfig.reducaoEspecial) : '0,00%';
         const categoriaIva = ivaConfig.categoriaIva || 'standard';
+        const aliquotaIS = window.IVADualSystem && typeof window.IVADualSystem.calcularAliquotaEfetivaSeletivo === 'function' ?
+            window.IVADualSystem.calcularAliquotaEfetivaSeletivo(ivaConfig.aliquotaIS, ivaConfig.produtosIS) : (ivaConfig.aliquotaIS || 0);
 
         const dadosIVA = [
             { label: "Alíquota CBS:", valor: aliquotaCBS },
             { label: "Alíquota IBS:", valor: aliquotaIBS },
             { label: "Categoria IVA:", valor: this._formatarTexto(categoriaIva) },
             { label: "Redução Especial:", valor: reducaoEspecial },
+            { label: "Imposto Seletivo:", valor: aliquotaIS > 0 ? formatPercentage(aliquotaIS) + ' (sem crédito, fora do Split)' : 'Não aplicável' },
             { label: "Split Payment:", valor: "Ativado" }
         ];
 
@@ -748,7 +751,8 @@ class PDFExporter extends BaseExporter {
             { label: "Data Inicial:", valor: dataInicial },
             { label: "Data Final:", valor: dataFinal },
             { label: "Cenário de Crescimento:", valor: cenario },
-            { label: "Taxa de Crescimento:", valor: taxaCrescimento }
+            { label: "Taxa de Crescimento:", valor: taxaCrescimento },
+            { label: "Tabela de Transição:", valor: window.CronogramaTransicao ? window.CronogramaTransicao.obterVersaoAtiva() : 'N/A' }
         ];
 
         parametrosSimulacao.forEach(item => {
@@ -949,6 +953,32 @@ class PDFExporter extends BaseExporter {
 
     4. A diferença entre os sistemas IVA (com e sem Split) é de ${formatCurrency(Math.abs(impactoTotalAtualVsSplit - impactoTotalAtualVsIVASemSplit))}, demonstrando o impacto específico do mecanismo de Split Payment.`;
 
+            let proximoItem = 5;
+            const totalImpostoSeletivo = simulation.projecaoTemporal.impactoAcumulado?.totalImpostoSeletivo || 0;
+            if (totalImpostoSeletivo > 0) {
+                analiseTexto += `
+
+    ${proximoItem++}. O Imposto Seletivo soma ${formatCurrency(totalImpostoSeletivo)} no período. Ele integra a base da CBS e do IBS, não gera créditos e é recolhido no vencimento próprio, sem retenção no Split Payment.`;
+            }
+
+            const ibsPorEnte = Object.values(simulation.projecaoTemporal.impactoAcumulado?.ibsPorEnte || {})
+                .sort((a, b) => b.valor - a.valor);
+            if (ibsPorEnte.length > 0) {
+                const principaisEntes = ibsPorEnte.slice(0, 5)
+                    .map(ente => `${ente.nome} (${formatCurrency(ente.valor)})`)
+                    .join(', ');
+                analiseTexto += `
+
+    ${proximoItem++}. Pelo princípio do destino, o IBS do período é devido a ${ibsPorEnte.length} entes federativos. Principais credores: ${principaisEntes}.`;
+            }
+
+            const saldoCredorICMS = simulation.projecaoTemporal.saldoCredorICMS;
+            if (saldoCredorICMS?.numeroParcelas > 0) {
+                analiseTexto += `
+
+    ${proximoItem++}. O saldo credor de ICMS homologado ao final de 2032 (${formatCurrency(saldoCredorICMS.saldoHomologado)}) gera entradas de caixa de ${formatCurrency(simulation.projecaoTemporal.impactoAcumulado?.totalSaldoCredorICMS || 0)} no período projetado e de ${formatCurrency(saldoCredorICMS.totalEntradas)} até ${saldoCredorICMS.anoTermino}, em ${saldoCredorICMS.numeroParcelas} parcelas mensais corrigidas pelo IPCA.`;
+            }
+
             const splitAnalise = doc.splitTextToSize(analiseTexto, pageWidth - margins.left - margins.right);
             doc.text(splitAnalise, margins.left, currentY);
             currentY += splitAnalise.length * 5 + 15;
@@ -2088,7 +2118,43 @@ class ExcelExporter extends BaseExporter {
                 const wsResults = this._createResultsWorksheet(dadosSimulacao, resultadosSimulacao);
                 XLSX.utils.book_append_sheet(wb, wsResults, "Resultados");
 
-                // 3. Calculation Memory Worksheet (if available)
+                // 3. Cash Flow Worksheet (if available)
+                const wsCashFlow = this._createCashFlowWorksheet(resultadosSimulacao);
+                if (wsCashFlow) {
+                    XLSX.utils.book_append_sheet(wb, wsCashFlow, "Fluxo de Caixa");
+                }
+
+                // 4. IBS por Destino Worksheet (if available)
+                const wsIBSDestino = this._createIBSDestinoWorksheet(resultadosSimulacao);
+                if (wsIBSDestino) {
+                    XLSX.utils.book_append_sheet(wb, wsIBSDestino, "IBS por Destino");
+                }
+
+                // 5. Tax Float Worksheet (if available)
+                const wsFloatTributos = this._createFloatTributosWorksheet(resultadosSimulacao);
+                if (wsFloatTributos) {
+                    XLSX.utils.book_append_sheet(wb, wsFloatTributos, "Float dos Tributos");
+                }
+
+                // 6. Saldo Credor ICMS Worksheet (if available)
+                const wsSaldoCredor = this._createSaldoCredorICMSWorksheet(resultadosSimulacao);
+                if (wsSaldoCredor) {
+                    XLSX.utils.book_append_sheet(wb, wsSaldoCredor, "Saldo Credor ICMS");
+                }
+
+                // 7. Capital de Giro Loan Schedule Worksheet (if available)
+                const wsFinanciamento = this._createCronogramaFinanciamentoWorksheet(resultadosSimulacao);
+                if (wsFinanciamento) {
+                    XLSX.utils.book_append_sheet(wb, wsFinanciamento, "Financiamento");
+                }
+
+                // 8. Monte Carlo Worksheet (if available)
+                const wsMonteCarlo = this._createMonteCarloWorksheet(resultadosSimulacao);
+                if (wsMonteCarlo) {
+                    XLSX.utils.book_append_sheet(wb, wsMonteCarlo, "Monte Carlo");
+                }
+
+                // 9. Calculation Memory Worksheet (if available)
                 if (window.memoriaCalculoSimulacao) {
                     const wsMemory = this._createMemoryWorksheet();
                     XLSX.utils.book_append_sheet(wb, wsMemory, "Memória de Cálculo");
@@ -2178,6 +2244,7 @@ class ExcelExporter extends BaseExporter {
             ["Período de Simulação:", 
                 `${dadosAninhados.parametrosSimulacao?.dataInicial?.split('-')[0] || '2026'} a ${dadosAninhados.parametrosSimulacao?.dataFinal?.split('-')[0] || '2033'}`
             ],
+            ["Tabela de Transição:", results.cronogramaTransicao?.versao || (window.CronogramaTransicao ? window.CronogramaTransicao.obterVersaoAtiva() : "")],
             [],
             ["Resultados Principais"]
         ];
@@ -2361,7 +2428,9 @@ class ExcelExporter extends BaseExporter {
                 cbs: dadosPlanos.aliquotaCBS || 0.088,
                 ibs: dadosPlanos.aliquotaIBS || 0.177,
                 categoriaIva: dadosPlanos.categoriaIva || 'standard',
-                reducaoEspecial: dadosPlanos.reducaoEspecial || 0
+                reducaoEspecial: dadosPlanos.reducaoEspecial || 0,
+                aliquotaIS: dadosPlanos.aliquotaIS || 0,
+                produtosIS: dadosPlanos.produtosIS || []
             };
         }
 
@@ -2379,7 +2448,7 @@ class ExcelExporter extends BaseExporter {
             [],
             ["TABELA DE RESULTADOS ANUAIS"],
             [],
-            ["Ano", "Split Payment (R$)", "Sistema Atual (R$)", "Diferença (R$)", "Variação (%)", "Impacto no Fluxo de Caixa"]
+            ["Ano", "Split Payment (R$)", "Sistema Atual (R$)", "Diferença (R$)", "Variação (%)", "Impacto no Fluxo de Caixa", "Imposto Seletivo Mensal (R$)", "Saldo Credor ICMS - Entradas no Ano (R$)"]
         ];
 
         // Extrair resultados detalhados
@@ -2413,7 +2482,9 @@ class ExcelExporter extends BaseExporter {
                 capitalGiroAtual,
                 diferenca,
                 percentualImpacto / 100, // Formato de percentual no Excel
-                impactoText
+                impactoText,
+                results.projecaoTemporal?.resultadosAnuais?.[ano]?.impostoSeletivo?.valor || 0,
+                results.projecaoTemporal?.resultadosAnuais?.[ano]?.saldoCredorICMS?.total || 0
             ]);
         });
 
@@ -2441,6 +2512,368 @@ class ExcelExporter extends BaseExporter {
         return ws;
     }
 
+    /**
+     * Cria a planilha com o fluxo de caixa período a período de cada ano simulado
+     * @param {Object} results - Resultados da simulação
+     * @returns {Object|null} Planilha ou null se não houver fluxo disponível
+     */
+    _createCashFlowWorksheet(results) {
+        const resultadosAnuais = results?.projecaoTemporal?.resultadosAnuais || {};
+        const anos = Object.keys(resultadosAnuais)
+            .filter(ano => resultadosAnuais[ano]?.fluxoCaixaMensal?.periodos)
+            .sort();
+
+        if (anos.length === 0) {
+            return null;
+        }
+
+        const cashFlowData = [
+            ["FLUXO DE CAIXA PERÍODO A PERÍODO - SPLIT PAYMENT"],
+            ["Expertzy Inteligência Tributária"],
+            [],
+            ["Ano", "Período", "Vendas (R$)", "Recebimentos (R$)", "Pagamentos a Fornecedores (R$)",
+             "Imposto Retido na Liquidação (R$)", "Imposto no Vencimento - Atual (R$)", "Imposto no Vencimento - Split (R$)",
+             "Imposto Seletivo - Split (R$)", "Créditos Compensados - Atual (R$)", "Créditos Compensados - Split (R$)",
+             "Captação de Capital de Giro (R$)", "Serviço da Dívida (R$)",
+             "Saldo de Caixa - Atual (R$)", "Saldo de Caixa - Split (R$)", "Diferença de Saldo (R$)"]
+        ];
+
+        anos.forEach(ano => {
+            resultadosAnuais[ano].fluxoCaixaMensal.periodos.forEach(periodo => {
+                cashFlowData.push([
+                    parseInt(ano),
+                    periodo.rotulo,
+                    periodo.vendas,
+                    periodo.recebimentos,
+                    periodo.pagamentosFornecedores,
+                    periodo.splitPayment.impostoRetido,
+                    periodo.atual.impostoRecolhido,
+                    periodo.splitPayment.impostoRecolhido,
+                    periodo.splitPayment.impostoSeletivo || 0,
+                    periodo.atual.creditosCompensados,
+                    periodo.splitPayment.creditosCompensados,
+                    periodo.splitPayment.financiamentoRecebido || 0,
+                    periodo.splitPayment.servicoDivida || 0,
+                    periodo.atual.saldoCaixa,
+                    periodo.splitPayment.saldoCaixa,
+                    periodo.diferencaSaldo
+                ]);
+            });
+        });
+
+        const ws = XLSX.utils.aoa_to_sheet(cashFlowData);
+
+        ws['!cols'] = [{ wch: 8 }, { wch: 12 }].concat(Array(14).fill({ wch: 20 }));
+        ws['!merges'] = [
+            { s: { r: 0, c: 0 }, e: { r: 0, c: 15 } }
+        ];
+
+        return ws;
+    }
+
+    _createIBSDestinoWorksheet(results) {
+        const resultadosAnuais = results?.projecaoTemporal?.resultadosAnuais || {};
+        const anos = Object.keys(resultadosAnuais)
+            .filter(ano => resultadosAnuais[ano]?.ibsPorDestino?.destinos?.length > 0)
+            .sort();
+
+        if (anos.length === 0) {
+            return null;
+        }
+
+        const ibsDestinoData = [
+            ["IBS POR ENTE DE DESTINO (UF E MUNICÍPIO)"],
+            ["Expertzy Inteligência Tributária"],
+            [],
+            ["Ano", "UF", "Município", "Participação (%)", "Alíquota Estadual (%)", "Alíquota Municipal (%)",
+             "IBS Estadual Mensal (R$)", "IBS Municipal Mensal (R$)", "IBS Total Mensal (R$)"]
+        ];
+
+        anos.forEach(ano => {
+            resultadosAnuais[ano].ibsPorDestino.destinos.forEach(destino => {
+                ibsDestinoData.push([
+                    parseInt(ano),
+                    destino.uf || 'N/I',
+                    destino.municipio || destino.codigoMunicipio || 'N/I',
+                    destino.participacao * 100,
+                    destino.aliquotaEstadual * 100,
+                    destino.aliquotaMunicipal * 100,
+                    destino.valorEstadual,
+                    destino.valorMunicipal,
+                    destino.valor
+                ]);
+            });
+        });
+
+        // Totais acumulados por ente no período da projeção
+        const ibsPorEnte = Object.values(results.projecaoTemporal.impactoAcumulado?.ibsPorEnte || {})
+            .sort((a, b) => b.valor - a.valor);
+
+        if (ibsPorEnte.length > 0) {
+            ibsDestinoData.push([]);
+            ibsDestinoData.push(["IBS ACUMULADO NO PERÍODO POR ENTE"]);
+            ibsDestinoData.push(["Esfera", "Código", "Ente", "IBS Devido (R$)"]);
+            ibsPorEnte.forEach(ente => {
+                ibsDestinoData.push([
+                    ente.tipo === 'estado' ? 'Estadual' : 'Municipal',
+                    ente.codigo,
+                    ente.nome,
+                    ente.valor
+                ]);
+            });
+        }
+
+        const ws = XLSX.utils.aoa_to_sheet(ibsDestinoData);
+
+        ws['!cols'] = [{ wch: 10 }, { wch: 8 }, { wch: 32 }].concat(Array(6).fill({ wch: 20 }));
+        ws['!merges'] = [
+            { s: { r: 0, c: 0 }, e: { r: 0, c: 8 } }
+        ];
+
+        return ws;
+    }
+
+    _createFloatTributosWorksheet(results) {
+        const resultadosAnuais = results?.projecaoTemporal?.resultadosAnuais || {};
+        const anos = Object.keys(resultadosAnuais)
+            .filter(ano => resultadosAnuais[ano]?.floatTributos?.tributos?.length > 0)
+            .sort();
+
+        if (anos.length === 0) {
+            return null;
+        }
+
+        const floatData = [
+            ["FLOAT DOS TRIBUTOS DO REGIME ATUAL PERDIDO COM O SPLIT PAYMENT"],
+            ["Expertzy Inteligência Tributária"],
+            [],
+            ["Ano", "Tributo", "Dia de Vencimento", "Meses após a Competência", "Valor Mensal (R$)",
+             "Float à Vista (dias)", "Float Médio (dias)", "Split Payment (%)", "Float Perdido (dias)", "Capital de Giro Perdido (R$)"]
+        ];
+
+        anos.forEach(ano => {
+            const floatTributos = resultadosAnuais[ano].floatTributos;
+            floatTributos.tributos.forEach(tributo => {
+                floatData.push([
+                    parseInt(ano),
+                    tributo.nome,
+                    tributo.dia,
+                    tributo.mesesApos,
+                    tributo.valor,
+                    tributo.diasFloatVista,
+                    tributo.diasFloat,
+                    floatTributos.percentualImplementacao * 100,
+                    tributo.diasFloatPerdidos,
+                    tributo.capitalGiroPerdido
+                ]);
+            });
+        });
+
+        const ws = XLSX.utils.aoa_to_sheet(floatData);
+
+        ws['!cols'] = [{ wch: 10 }, { wch: 14 }].concat(Array(8).fill({ wch: 20 }));
+        ws['!merges'] = [
+            { s: { r: 0, c: 0 }, e: { r: 0, c: 9 } }
+        ];
+
+        return ws;
+    }
+
+    _createSaldoCredorICMSWorksheet(results) {
+        const cronograma = results?.projecaoTemporal?.saldoCredorICMS;
+
+        if (!cronograma || cronograma.parcelas.length === 0) {
+            return null;
+        }
+
+        const formaAproveitamento = window.SaldoCredorICMS?.formasAproveitamento[cronograma.formaAproveitamento]?.nome ||
+                                    cronograma.formaAproveitamento;
+
+        const saldoCredorData = [
+            ["SALDO CREDOR DE ICMS CONVERTIDO EM IBS"],
+            ["Expertzy Inteligência Tributária"],
+            [],
+            ["Saldo Homologado ao Final de 2032 (R$)", cronograma.saldoHomologado],
+            ["Forma de Aproveitamento", formaAproveitamento],
+            ["Número de Parcelas", cronograma.numeroParcelas],
+            ["Correção Anual pelo IPCA (%)", cronograma.parametros.correcaoIPCA * 100],
+            ["Total das Entradas com Correção (R$)", cronograma.totalEntradas],
+            [],
+            ["ENTRADAS DE CAIXA POR ANO"],
+            ["Ano", "Entradas (R$)"]
+        ];
+
+        Object.keys(cronograma.entradasPorAno).sort().forEach(ano => {
+            saldoCredorData.push([parseInt(ano), cronograma.entradasPorAno[ano]]);
+        });
+
+        saldoCredorData.push([]);
+        saldoCredorData.push(["CRONOGRAMA MENSAL"]);
+        saldoCredorData.push(["Parcela", "Mês/Ano", "Entrada de Caixa (R$)", "Saldo Remanescente (R$)"]);
+
+        cronograma.parcelas.forEach(parcela => {
+            saldoCredorData.push([
+                parcela.numero,
+                `${String(parcela.mes).padStart(2, '0')}/${parcela.ano}`,
+                parcela.valor,
+                parcela.saldoRemanescente
+            ]);
+        });
+
+        const ws = XLSX.utils.aoa_to_sheet(saldoCredorData);
+
+        ws['!cols'] = [{ wch: 38 }, { wch: 24 }, { wch: 22 }, { wch: 24 }];
+        ws['!merges'] = [
+            { s: { r: 0, c: 0 }, e: { r: 0, c: 3 } }
+        ];
+
+        return ws;
+    }
+
+    _createCronogramaFinanciamentoWorksheet(results) {
+        const cronograma = results?.projecaoTemporal?.cronogramaFinanciamento;
+
+        if (!cronograma || cronograma.parcelas.length === 0) {
+            return null;
+        }
+
+        const parametros = cronograma.parametros;
+        const sistema = window.CronogramaFinanciamento?.SISTEMAS_AMORTIZACAO[parametros.sistemaAmortizacao]?.nome ||
+                        parametros.sistemaAmortizacao;
+        const tratamentoCarencia = window.CronogramaFinanciamento?.TRATAMENTOS_CARENCIA[parametros.tratamentoCarencia]?.nome ||
+                                   parametros.tratamentoCarencia;
+
+        const financiamentoData = [
+            ["CRONOGRAMA DA CAPTAÇÃO DE CAPITAL DE GIRO"],
+            ["Expertzy Inteligência Tributária"],
+            [],
+            ["Valor Contratado (R$)", cronograma.valorContratado],
+            ["Contratação", `${String(cronograma.mesContratacao).padStart(2, '0')}/${cronograma.anoContratacao}`],
+            ["Sistema de Amortização", sistema],
+            ["Taxa de Juros (% a.m.)", parametros.taxaJuros * 100],
+            ["Prazo (meses)", parametros.prazo],
+            ["Carência (meses)", `${parametros.carencia} - ${tratamentoCarencia}`],
+            ["IOF (R$)", cronograma.iof],
+            ["Tarifas (R$)", cronograma.tarifas],
+            ["Valor Líquido Liberado (R$)", cronograma.valorLiquidoLiberado],
+            ["Total de Juros (R$)", cronograma.totalJuros],
+            ["Custo Total - Juros, IOF e Tarifas (R$)", cronograma.custoTotal],
+            ["CET (% a.m.)", cronograma.cetMensal !== null ? cronograma.cetMensal * 100 : "N/D"],
+            ["CET (% a.a.)", cronograma.cetAnual !== null ? cronograma.cetAnual * 100 : "N/D"],
+            [],
+            ["CRONOGRAMA MENSAL"],
+            ["Parcela", "Mês/Ano", "Saldo Inicial (R$)", "Juros (R$)", "Juros Capitalizados (R$)",
+             "Amortização (R$)", "Prestação (R$)", "Saldo Final (R$)"]
+        ];
+
+        cronograma.parcelas.forEach(parcela => {
+            financiamentoData.push([
+                parcela.numero,
+                `${String(parcela.mes).padStart(2, '0')}/${parcela.ano}`,
+                parcela.saldoInicial,
+                parcela.juros,
+                parcela.jurosCapitalizados,
+                parcela.amortizacao,
+                parcela.prestacao,
+                parcela.saldoFinal
+            ]);
+        });
+
+        financiamentoData.push([
+            "Total",
+            "",
+            "",
+            cronograma.totalJuros,
+            cronograma.totalJurosCapitalizados,
+            cronograma.totalAmortizacao,
+            cronograma.totalPrestacoes,
+            ""
+        ]);
+
+        const ws = XLSX.utils.aoa_to_sheet(financiamentoData);
+
+        ws['!cols'] = [{ wch: 38 }, { wch: 24 }].concat(Array(6).fill({ wch: 20 }));
+        ws['!merges'] = [
+            { s: { r: 0, c: 0 }, e: { r: 0, c: 7 } }
+        ];
+
+        return ws;
+    }
+
+    _createMonteCarloWorksheet(results) {
+        const monteCarlo = results?.monteCarlo;
+
+        if (!monteCarlo || !monteCarlo.indicadores) {
+            return null;
+        }
+
+        const indicadores = window.SimulacaoMonteCarlo?.INDICADORES || {};
+        const parametros = window.SimulacaoMonteCarlo?.PARAMETROS || {};
+        const distribuicoes = window.SimulacaoMonteCarlo?.DISTRIBUICOES || {};
+
+        const monteCarloData = [
+            ["SIMULAÇÃO DE MONTE CARLO - CAPITAL DE GIRO"],
+            ["Expertzy Inteligência Tributária"],
+            [],
+            ["Ano Analisado", monteCarlo.ano],
+            ["Iterações Concluídas", monteCarlo.iteracoesConcluidas],
+            ["Semente Aleatória", monteCarlo.semente],
+            ["Limite de Crédito (R$)", monteCarlo.limiteCredito !== null ? monteCarlo.limiteCredito : "Não informado"],
+            [],
+            ["PERCENTIS DOS RESULTADOS"],
+            ["Indicador", "P5 (R$)", "P50 (R$)", "P95 (R$)", "Média (R$)", "Desvio Padrão (R$)"]
+        ];
+
+        Object.keys(monteCarlo.indicadores).forEach(indicador => {
+            const estatisticas = monteCarlo.indicadores[indicador];
+            monteCarloData.push([
+                indicadores[indicador] || indicador,
+                estatisticas.p5,
+                estatisticas.p50,
+                estatisticas.p95,
+                estatisticas.media,
+                estatisticas.desvioPadrao
+            ]);
+        });
+
+        if (monteCarlo.probabilidadeExcederLimite) {
+            monteCarloData.push([]);
+            monteCarloData.push(["PROBABILIDADE DE EXCEDER O LIMITE DE CRÉDITO"]);
+            monteCarloData.push(["Necessidade Adicional de Capital de Giro (%)", monteCarlo.probabilidadeExcederLimite.necessidadeAdicionalCapitalGiro * 100]);
+            monteCarloData.push(["Necessidade de Pico no Fluxo Mensal (%)", monteCarlo.probabilidadeExcederLimite.necessidadePicoCapitalGiro * 100]);
+        }
+
+        monteCarloData.push([]);
+        monteCarloData.push(["DISTRIBUIÇÕES UTILIZADAS"]);
+        monteCarloData.push(["Parâmetro", "Distribuição", "Parâmetros", "P5 Sorteado", "P50 Sorteado", "P95 Sorteado"]);
+
+        Object.keys(monteCarlo.distribuicoes).forEach(parametro => {
+            const distribuicao = monteCarlo.distribuicoes[parametro];
+            const sorteados = monteCarlo.parametrosSorteados[parametro];
+            const descricao = (distribuicoes[distribuicao.tipo]?.parametros || [])
+                .map(campo => `${campo}: ${distribuicao[campo]}`)
+                .join("; ");
+
+            monteCarloData.push([
+                parametros[parametro]?.nome || parametro,
+                distribuicoes[distribuicao.tipo]?.nome || distribuicao.tipo,
+                descricao,
+                sorteados?.p5,
+                sorteados?.p50,
+                sorteados?.p95
+            ]);
+        });
+
+        const ws = XLSX.utils.aoa_to_sheet(monteCarloData);
+
+        ws['!cols'] = [{ wch: 44 }, { wch: 18 }, { wch: 40 }, { wch: 18 }, { wch: 18 }, { wch: 20 }];
+        ws['!merges'] = [
+            { s: { r: 0, c: 0 }, e: { r: 0, c: 5 } }
+        ];
+
+        return ws;
+    }
+
     _createMemoryWorksheet() {
         // Selecionar o ano (usando o mesmo mecanismo do PDF)
         const anoSelecionado = document.getElementById("select-ano-memoria")?.value ||
@@ -2560,7 +2993,9 @@ class ExcelExporter extends BaseExporter {
             { wch: 20 }, // Sistema Atual
             { wch: 20 }, // Diferença
             { wch: 15 }, // Variação
-            { wch: 40 }  // Impacto
+            { wch: 40 }, // Impacto
+            { wch: 22 }, // Imposto Seletivo
+            { wch: 30 }  // Saldo Credor ICMS
         ];
 
         // Mesclar células de título